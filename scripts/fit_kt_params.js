@@ -0,0 +1,208 @@
+/**
+ * Offline knowledge-tracing parameter fit.
+ *
+ * Reads every recorded tutor answer (DynamoDB knowledge `history` plus the Supabase
+ * `knowledge_state.history` mirror, and optionally attempts.jsonl files written by
+ * scripts/import_ednet.js), fits per-topic BKT parameters by EM on a training
+ * split of learners, and reports held-out AUC for the current vs refitted parameters.
+ * Refits are written to DDB_KT_PARAMS_TABLE only when they do not lower held-out AUC.
+ *
+ * Usage:
+ *   AWS_REGION=us-east-1 node scripts/fit_kt_params.js [--dry-run] [--force]
+ *     [--holdout=0.2] [--min-attempts=30] [--no-dynamo] [--no-supabase]
+ *     [--from=data/ednet/attempts.jsonl] [--max-learners=50000]
+ */
+require('dotenv').config();
+const { scanKnowledgeItems, getKtParams, putKtParams } = require('../src/services/tutorStore');
+const { DEFAULT_TOPIC_KEY } = require('../src/services/ktParamStore');
+const { getTaxonomy, resolveTopicIn } = require('../src/services/topicTaxonomy');
+const { readAttemptSequences } = require('../src/services/ednetImporter');
+const {
+  buildTopicSequences,
+  fitBktEm,
+  predictSequences,
+  auc,
+  isHoldoutUser,
+} = require('../src/services/ktFitting');
+
+function parseArgs(argv) {
+  const flags = new Set(argv.filter((a) => a.startsWith('--') && !a.includes('=')));
+  const opt = (name, fallback) => {
+    const hit = argv.find((a) => a.startsWith(`--${name}=`));
+    return hit ? hit.slice(name.length + 3) : fallback;
+  };
+  return {
+    dryRun: flags.has('--dry-run'),
+    force: flags.has('--force'),
+    useDynamo: !flags.has('--no-dynamo'),
+    useSupabase: !flags.has('--no-supabase'),
+    holdout: Math.max(0.05, Math.min(0.5, Number(opt('holdout', 0.2)) || 0.2)),
+    minAttempts: Math.max(1, Number(opt('min-attempts', 30)) || 30),
+    from: argv.filter((a) => a.startsWith('--from=')).map((a) => a.slice('--from='.length)),
+    maxLearners: Math.max(0, Number(opt('max-learners', 0)) || 0),
+  };
+}
+
+function addEntries(users, userId, entries) {
+  if (!userId || !Array.isArray(entries)) return;
+  if (!users.has(userId)) users.set(userId, new Map());
+  const seen = users.get(userId);
+  for (const e of entries) {
+    if (!e || !e.ts || typeof e.correct !== 'boolean') continue;
+    // The Supabase mirror repeats DynamoDB entries; de-duplicate on (ts, topic, result).
+    const k = `${e.ts}|${String(e.topic || '').toLowerCase()}|${e.correct}`;
+    if (!seen.has(k)) seen.set(k, { ts: e.ts, topic: e.topic, topic_key: e.topic_key, correct: e.correct });
+  }
+}
+
+async function loadFromDynamo(users) {
+  let startKey = null;
+  let pages = 0;
+  do {
+    const { items, lastKey } = await scanKnowledgeItems({ startKey, limit: 200 });
+    for (const it of items) {
+      const userId = it.user_id || String(it.pk || '').replace(/^user#/, '');
+      addEntries(users, userId, it.history);
+    }
+    startKey = lastKey;
+    pages += 1;
+  } while (startKey);
+  console.log(`DynamoDB: scanned ${pages} page(s)`);
+}
+
+async function loadFromSupabase(users) {
+  if (!process.env.SUPABASE_URL) {
+    console.log('Supabase: SUPABASE_URL not set, skipping');
+    return;
+  }
+  const supabase = require('../src/config/supabase');
+  const pageSize = 500;
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('knowledge_state')
+      .select('user_id, history')
+      .range(from, from + pageSize - 1);
+    if (error) throw error;
+    for (const row of data || []) addEntries(users, row.user_id, row.history);
+    if (!data || data.length < pageSize) break;
+  }
+}
+
+// EM keeps every sequence in memory; --max-learners caps how many a large import contributes.
+async function loadFromFile(users, filePath, maxLearners) {
+  let added = 0;
+  for await (const { userId, entries } of readAttemptSequences(filePath)) {
+    if (maxLearners && !users.has(userId) && users.size >= maxLearners) break;
+    addEntries(users, userId, entries);
+    added += 1;
+  }
+  console.log(`${filePath}: read ${added} sequence(s)`);
+}
+
+/**
+ * The tutor reads parameters by taxonomy topic id (resolveTopic in routes/tutor.js). Entries from
+ * before the taxonomy carry only the topic text, or a lowercased-text key, and EdNet attempts carry
+ * the mapped topic name; resolve them the same way so their fits land under keys the tutor reads.
+ */
+function taxonomyKeyOf(taxonomy) {
+  const resolved = new Map();
+  return (e) => {
+    if (e.topic_key && taxonomy.byId.has(e.topic_key)) return e.topic_key;
+    const text = String(e.topic || e.topic_key || 'General');
+    if (!resolved.has(text)) resolved.set(text, resolveTopicIn(taxonomy, text).id);
+    return resolved.get(text);
+  };
+}
+
+function fmt(x) {
+  return typeof x === 'number' ? x.toFixed(4) : '-';
+}
+
+async function currentParamsFor(topicKey) {
+  try {
+    const own = await getKtParams(topicKey);
+    if (own?.params) return own.params;
+    const pooled = await getKtParams(DEFAULT_TOPIC_KEY);
+    return pooled?.params || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const users = new Map();
+  if (args.useDynamo) await loadFromDynamo(users);
+  if (args.useSupabase) await loadFromSupabase(users);
+  for (const file of args.from) await loadFromFile(users, file, args.maxLearners);
+
+  const train = [];
+  const test = [];
+  for (const [userId, entries] of users) {
+    const row = { userId, entries: Array.from(entries.values()) };
+    (isHoldoutUser(userId, args.holdout) ? test : train).push(row);
+  }
+  console.log(`Learners: ${users.size} (train ${train.length}, held out ${test.length})`);
+
+  const topicKeyOf = taxonomyKeyOf(await getTaxonomy());
+  const trainSeqs = buildTopicSequences(train, { topicKeyOf });
+  const testSeqs = buildTopicSequences(test, { topicKeyOf });
+
+  // Pooled fit across all topics: fallback for topics with too little data of their own.
+  const pooledTrain = Array.from(trainSeqs.values()).flat();
+  const pooledTest = Array.from(testSeqs.values()).flat();
+  const fits = [{ topicKey: DEFAULT_TOPIC_KEY, train: pooledTrain, test: pooledTest }];
+  for (const [topicKey, seqs] of trainSeqs) {
+    const attempts = seqs.reduce((n, s) => n + s.length, 0);
+    if (attempts < args.minAttempts) continue;
+    fits.push({ topicKey, train: seqs, test: testSeqs.get(topicKey) || [] });
+  }
+
+  const report = [];
+  for (const f of fits) {
+    const current = await currentParamsFor(f.topicKey);
+    const fit = fitBktEm(f.train, { init: current || undefined });
+    if (!fit.attempts) continue;
+    const aucCurrent = auc(predictSequences(f.test, current || {}));
+    const aucNew = auc(predictSequences(f.test, fit.params));
+    const improved = aucNew !== null && (aucCurrent === null || aucNew >= aucCurrent);
+    const write = !args.dryRun && (improved || args.force);
+
+    if (write) {
+      await putKtParams({
+        topicKey: f.topicKey,
+        params: fit.params,
+        metrics: {
+          train_attempts: fit.attempts,
+          train_sequences: fit.sequences,
+          test_attempts: f.test.reduce((n, s) => n + s.length, 0),
+          log_likelihood: fit.logLik,
+          iterations: fit.iterations,
+          auc_holdout: aucNew,
+          auc_previous: aucCurrent,
+        },
+      });
+    }
+
+    report.push({
+      topic: f.topicKey,
+      train: fit.attempts,
+      test: f.test.reduce((n, s) => n + s.length, 0),
+      p_init: fmt(fit.params.p_init),
+      p_learn: fmt(fit.params.p_learn),
+      p_guess: fmt(fit.params.p_guess),
+      p_slip: fmt(fit.params.p_slip),
+      auc_current: fmt(aucCurrent),
+      auc_refit: fmt(aucNew),
+      action: write ? 'written' : (args.dryRun ? 'dry-run' : 'kept current'),
+    });
+  }
+
+  console.table(report);
+  if (args.dryRun) console.log('Dry run: no parameters were written.');
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
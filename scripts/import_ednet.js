@@ -0,0 +1,96 @@
+/**
+ * Import EdNet-format CSVs into local question metadata + KT training sequences, and optionally
+ * seed the tutor's question bank (TUTOR_STORE) from them.
+ *
+ * Sources may be local paths or s3://bucket/key URIs (optionally gzipped); files are
+ * streamed, never loaded whole.
+ *
+ * Usage:
+ *   node scripts/import_ednet.js --interactions=s3://bucket/datasets/ednet/raw/train.csv \
+ *     [--questions=data/questions.csv] [--topic-map=data/ednet_topics.json] \
+ *     [--out=data/ednet] [--limit-rows=1000000] [--seed-bank]
+ *
+ * Topics from --topic-map are resolved to taxonomy ids (topic_key). --seed-bank adds questions that
+ * have text and a taxonomy topic to the bank (see docs/ednet_ingestion.md).
+ *
+ * Then fit KT parameters from the output:
+ *   node scripts/fit_kt_params.js --from=data/ednet/attempts.jsonl --no-dynamo --no-supabase --dry-run
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  loadTopicMap,
+  importQuestions,
+  importInteractions,
+  seedQuestionBank,
+} = require('../src/services/ednetImporter');
+const { getTaxonomy } = require('../src/services/topicTaxonomy');
+
+function opt(argv, name, fallback) {
+  const hit = argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : fallback;
+}
+
+function closeStream(out) {
+  return new Promise((resolve, reject) => {
+    out.on('error', reject);
+    out.end(resolve);
+  });
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const interactions = opt(argv, 'interactions');
+  if (!interactions) throw new Error('--interactions=<path|s3://bucket/key> is required');
+  const questionsSrc = opt(argv, 'questions');
+  const outDir = opt(argv, 'out', path.join('data', 'ednet'));
+  const limit = Number(opt(argv, 'limit-rows', 0)) || undefined;
+  const topicMap = loadTopicMap(opt(argv, 'topic-map'));
+  const seedBank = argv.includes('--seed-bank');
+  if (seedBank && !questionsSrc) throw new Error('--seed-bank needs --questions=<path|s3://bucket/key>');
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  let questions = new Map();
+  const questionsOut = path.join(outDir, 'questions.jsonl');
+  if (questionsSrc) {
+    const taxonomy = await getTaxonomy();
+    const qOut = fs.createWriteStream(questionsOut);
+    questions = await importQuestions({ source: questionsSrc, topicMap, taxonomy, out: qOut });
+    await closeStream(qOut);
+    console.log(`Questions: ${questions.size} written to ${questionsOut}`);
+    const unmapped = new Set(Array.from(questions.values()).filter((q) => !q.canonical).map((q) => q.topic));
+    if (unmapped.size) {
+      console.warn(`Topics not in the taxonomy (KT-only, never seeded): ${Array.from(unmapped).slice(0, 20).join(', ')}`);
+    }
+  }
+
+  const aOut = fs.createWriteStream(path.join(outDir, 'attempts.jsonl'));
+  const started = Date.now();
+  const stats = await importInteractions({ source: interactions, questions, out: aOut, limit });
+  await closeStream(aOut);
+  const bank = seedBank ? await seedQuestionBank({ source: questionsOut, questions }) : null;
+
+  fs.writeFileSync(path.join(outDir, 'import_stats.json'), JSON.stringify({
+    interactions,
+    questions: questionsSrc || null,
+    imported_at: new Date().toISOString(),
+    seconds: Math.round((Date.now() - started) / 1000),
+    ...stats,
+    ...(bank ? { bank } : {}),
+  }, null, 2));
+
+  console.log(JSON.stringify({ outDir, ...stats, topics: Object.keys(stats.topics).length, ...(bank ? { bank } : {}) }, null, 2));
+  if (bank?.skippedNoText) {
+    console.warn(`${bank.skippedNoText} question(s) have no text and were not added to the bank (EdNet KT1 ships none).`);
+  }
+  if (stats.splitUsers > 0) {
+    console.warn(`${stats.splitUsers} learner(s) were not contiguous in the input and were split into several sequences.`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+/**
+ * Standalone indexing job worker.
+ *
+ * Runs queued indexing job items (src/services/jobWorker.js) outside the API server, e.g. on a separate
+ * machine, or with JOB_WORKER=off on the API. With --drain it runs the items that are due and exits.
+ *
+ * Usage:
+ *   node scripts/job-worker.js [--concurrency=2] [--poll-ms=5000]
+ *   node scripts/job-worker.js --drain [--job=<jobId>] [--deadline-ms=600000]
+ */
+require('dotenv').config();
+const { startWorker, drainQueue } = require('../src/services/jobWorker');
+const { jobStoreName } = require('../src/services/jobQueue');
+
+function parseArgs(argv) {
+  const opt = (name) => {
+    const hit = argv.find((a) => a.startsWith(`--${name}=`));
+    return hit ? hit.slice(name.length + 3) : undefined;
+  };
+  const int = (name) => {
+    const n = Number(opt(name));
+    return Number.isInteger(n) && n > 0 ? n : undefined;
+  };
+  return {
+    drain: argv.includes('--drain'),
+    jobId: opt('job') || null,
+    concurrency: int('concurrency'),
+    pollMs: int('poll-ms'),
+    deadlineMs: int('deadline-ms'),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.drain) {
+    const result = await drainQueue({ jobId: args.jobId, ...(args.deadlineMs ? { deadlineMs: args.deadlineMs } : {}) });
+    console.log(`Drained: ${result.processed} item(s), ${result.failed} failed${result.timedOut ? ' (deadline reached)' : ''}.`);
+    return;
+  }
+
+  const worker = startWorker({
+    ...(args.concurrency ? { concurrency: args.concurrency } : {}),
+    ...(args.pollMs ? { pollMs: args.pollMs } : {}),
+  });
+  console.log(`Job worker ${worker.id} polling the ${jobStoreName()} job store.`);
+  // Keep the process alive between polls (the worker's timers do not).
+  const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+  const shutdown = async () => {
+    console.log('Stopping job worker; waiting for running items...');
+    clearInterval(keepAlive);
+    await worker.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -55,7 +55,7 @@ app.use((req, res, next) => {
 
 // Import routes with guard to avoid import-time crashes (isolate each import)
 let userRoutes, webhookRoutes, roleRoutes, representativesRoutes, aiRoutes, ragRoutes, uploadRoutes, aiAdminRoutes, storageRoutes, knowledgeStateRoutes, communityRoutes, tutorRoutes, supportRoutes, emailRoutes, recommendersPublicRoutes, notificationRoutes;
-let knowledgeBaseRoutes;
+let knowledgeBaseRoutes, jobRoutes;
 try { webhookRoutes = require('./routes/webhooks'); console.log('Loaded routes: /api/webhooks'); } catch (e) { console.error('Failed to load /api/webhooks:', e?.message || e); }
 try { userRoutes = require('./routes/users'); console.log('Loaded routes: /api/users'); } catch (e) { console.error('Failed to load /api/users:', e?.message || e); }
 try { uploadRoutes = require('./routes/upload'); console.log('Loaded routes: /api/upload'); } catch (e) { console.error('Failed to load /api/upload:', e?.message || e); }
@@ -64,6 +64,7 @@ try { representativesRoutes = require('./routes/representatives'); console.log('
 try { aiRoutes = require('./routes/ai'); console.log('Loaded routes: /api/ai'); } catch (e) { console.error('Failed to load /api/ai:', e?.message || e); }
 try { ragRoutes = require('./routes/rag'); console.log('Loaded routes: /api/rag'); } catch (e) { console.error('Failed to load /api/rag:', e?.message || e); }
 try { knowledgeBaseRoutes = require('./routes/knowledge_base'); console.log('Loaded routes: /api/kb'); } catch (e) { console.error('Failed to load /api/kb:', e?.message || e); }
+try { jobRoutes = require('./routes/jobs'); console.log('Loaded routes: /api/jobs'); } catch (e) { console.error('Failed to load /api/jobs:', e?.message || e); }
 try { aiAdminRoutes = require('./routes/ai_admin'); console.log('Loaded routes: /api/ai-admin'); } catch (e) { console.error('Failed to load /api/ai-admin:', e?.message || e); }
 try { storageRoutes = require('./routes/storage'); console.log('Loaded routes: /api/storage'); } catch (e) { console.error('Failed to load /api/storage:', e?.message || e); }
 try { knowledgeStateRoutes = require('./routes/knowledge_state'); console.log('Loaded routes: /api/knowledge-state'); } catch (e) { console.error('Failed to load /api/knowledge-state:', e?.message || e); }
@@ -113,6 +114,7 @@ if (representativesRoutes) app.use('/api/representatives', representativesRoutes
 if (aiRoutes) app.use('/api/ai', aiRoutes);
 if (ragRoutes) app.use('/api/rag', ragRoutes);
 if (knowledgeBaseRoutes) app.use('/api/kb', knowledgeBaseRoutes);
+if (jobRoutes) app.use('/api/jobs', jobRoutes);
 if (uploadRoutes) app.use('/api/upload', uploadRoutes);
 if (aiAdminRoutes) app.use('/api/ai-admin', aiAdminRoutes);
 if (storageRoutes) app.use('/api/storage', storageRoutes);
@@ -182,6 +184,15 @@ app.use((err, req, res, next) => {
 if (!IS_SERVERLESS) {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
+    // Indexing job worker (services/jobWorker.js); serverless deployments drain via /api/jobs/work
+    if (String(process.env.JOB_WORKER || '').toLowerCase() !== 'off') {
+      try {
+        require('./services/jobWorker').startWorker();
+        console.log('Started indexing job worker');
+      } catch (e) {
+        console.error('Failed to start indexing job worker:', e?.message || e);
+      }
+    }
   });
   module.exports = app;
 } else {
@@ -2,10 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const supabase = require('../config/supabase');
+const { isLocalLlm, LocalOpenAI, openaiApiKey } = require('../services/localLlm');
+const { defaultChunkOptions } = require('../services/chunking');
+const { submitJob } = require('../services/jobWorker');
+const { summarizeOutcomes } = require('../services/indexingJobs');
 
 // Lazy import for ESM-only OpenAI SDK to avoid import-time crashes in CJS
 let OpenAIClass = null;
 const getOpenAI = async () => {
+  if (isLocalLlm()) return LocalOpenAI;
   if (OpenAIClass) return OpenAIClass;
   try {
     const mod = await import('openai');
@@ -64,7 +69,7 @@ router.post('/generate-html', async (req, res) => {
       return res.status(400).json({ error: 'prompt is required' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
+    const apiKey = openaiApiKey();
     if (!apiKey) {
       return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
     }
@@ -116,7 +121,7 @@ router.post('/chat', async (req, res) => {
       return res.status(400).json({ error: 'messages array required' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
+    const apiKey = openaiApiKey();
     if (!apiKey) {
       return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
     }
@@ -242,7 +247,7 @@ router.post('/chat-stream', async (req, res) => {
       return res.status(400).json({ error: 'messages array required' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
+    const apiKey = openaiApiKey();
     if (!apiKey) {
       return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
     }
@@ -392,56 +397,41 @@ module.exports = router;
 
 // ========== INDEXING AND ANSWER ENDPOINTS ==========
 
-// Chunk helper
-function chunkText(text, maxChars = 1200) {
-  const chunks = [];
-  let i = 0;
-  while (i < text.length) {
-    const slice = text.slice(i, i + maxChars);
-    chunks.push(slice);
-    i += maxChars;
-  }
-  return chunks;
-}
-
 // POST /api/ai/index-school
-// { schoolId, bucket: 'school-ai' }
+// { schoolId, bucket: 'school-ai', dryRun?, force? }
+// Indexes every file as one indexing job (services/jobWorker.js); files that fail are listed in `failed`
+// and retried by the job. Skips files unchanged since they were last indexed
+// (services/documentRegistry.js); dryRun only reports.
 router.post('/index-school', async (req, res) => {
   try {
-    const { schoolId, bucket = 'school-ai' } = req.body || {};
+    const { schoolId, bucket = 'school-ai', dryRun, force } = req.body || {};
     if (!schoolId) return res.status(400).json({ error: 'schoolId required' });
+    if (!openaiApiKey()) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
 
     // List files in folder `${schoolId}`
     const { data: files, error: listErr } = await supabase.storage.from(bucket).list(`${schoolId}`, { limit: 1000 });
     if (listErr) throw listErr;
 
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
-    if (!apiKey) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
-    const OpenAI = await getOpenAI();
-    const client = new OpenAI({ apiKey });
-
-    let indexed = 0;
-    for (const f of files || []) {
-      // Fetch file as text via public URL
-      const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(`${schoolId}/${f.name}`);
-      const url = urlData?.publicUrl;
-      if (!url) continue;
-      const resp = await fetch(url);
-      const raw = await resp.text();
-      const chunks = chunkText(raw);
-      // Generate embeddings for each chunk
-      for (let idx = 0; idx < chunks.length; idx++) {
-        const text = chunks[idx];
-        const emb = await client.embeddings.create({ model: 'text-embedding-3-small', input: text });
-        const vector = emb.data?.[0]?.embedding;
-        if (!vector) continue;
-        const { error: insErr } = await supabase
-          .from('school_ai_documents')
-          .insert({ school_id: schoolId, file_path: `${schoolId}/${f.name}`, chunk_index: idx, content: text, embedding: vector });
-        if (!insErr) indexed++;
-      }
-    }
-    res.json({ indexed });
+    const job = await submitJob({
+      type: 'files',
+      schoolId,
+      items: (files || []).map((f) => ({
+        itemType: 'file',
+        payload: {
+          schoolId,
+          bucket,
+          path: `${schoolId}/${f.name}`,
+          etag: f.metadata?.eTag || null,
+          lastModified: f.updated_at || null,
+          chunking: defaultChunkOptions(),
+          dryRun: Boolean(dryRun),
+          force: Boolean(force),
+        },
+      })),
+      track: !dryRun,
+    });
+    const { indexedChunks, ...summary } = summarizeOutcomes(job.outcomes);
+    res.json({ indexed: indexedChunks, jobId: job.jobId, ...summary });
   } catch (e) {
     console.error('index-school error:', e);
     res.status(500).json({ error: 'Failed to index documents' });
@@ -454,7 +444,7 @@ router.post('/ask', async (req, res) => {
   try {
     const { schoolId, question } = req.body || {};
     if (!schoolId || !question) return res.status(400).json({ error: 'schoolId and question required' });
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
+    const apiKey = openaiApiKey();
     if (!apiKey) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
     const OpenAI = await getOpenAI();
     const client = new OpenAI({ apiKey });
@@ -4,6 +4,11 @@ const { authenticate } = require('../middleware/auth');
 const { authorize } = require('../middleware/authorize');
 const { PERMISSIONS } = require('../utils/roles');
 const supabase = require('../config/supabase');
+const { openaiApiKey } = require('../services/localLlm');
+const { resolveChunkOptions } = require('../services/chunking');
+const { forgetIndexedDocument } = require('../services/ragDocuments');
+const { submitJob } = require('../services/jobWorker');
+const { summarizeOutcomes } = require('../services/indexingJobs');
 
 // All routes require auth + AI admin permission
 router.use(authenticate);
@@ -98,57 +103,41 @@ router.post('/list-files', async (req, res) => {
   }
 });
 
-// Index files to global_ai_documents
+// Index files to global_ai_documents, as one indexing job (services/jobWorker.js) with an item per file
+// Optional chunking: { strategy, maxTokens, overlapTokens } (see services/chunking.js)
+// Unchanged files are skipped (services/documentRegistry.js); dryRun: true reports `changes` without
+// indexing, force: true re-embeds every file. Files that fail are listed in `failed` and retried by the job.
 router.post('/index-files', async (req, res) => {
   try {
-    const { bucket = 'global-ai', prefix = 'docs', maxFiles } = req.body || {};
+    const { bucket = 'global-ai', prefix = 'docs', maxFiles, chunking, dryRun, force } = req.body || {};
+    const chunkOptions = resolveChunkOptions(chunking);
     const { data: list, error } = await supabase.storage.from(bucket).list(prefix, { limit: 1000 });
     if (error) throw error;
     const files = (list || []).filter(it => it && it.name && !String(it.name).startsWith('.'));
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
-    if (!apiKey) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
-    const mod = await import('openai');
-    const OpenAI = mod.default || mod.OpenAI || mod;
-    const client = new OpenAI({ apiKey });
-    let indexed = 0;
+    if (!openaiApiKey()) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
     const limit = typeof maxFiles === 'number' && maxFiles > 0 ? Math.min(maxFiles, files.length) : files.length;
-    for (let i = 0; i < limit; i++) {
-      const f = files[i];
-      const path = `${prefix}/${f.name}`;
-      const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(path);
-      const url = urlData?.publicUrl;
-      if (!url) continue;
-      try {
-        const resp = await fetch(url);
-        const ct = String(resp.headers.get('content-type') || '');
-        let text = '';
-        if (/application\/pdf/i.test(ct)) {
-          try { const buf = Buffer.from(await resp.arrayBuffer()); const pdfParse = (await import('pdf-parse')).default; const parsed = await pdfParse(buf); text = String(parsed.text || '').trim(); } catch (_) { text = await resp.text(); }
-        } else {
-          text = await resp.text();
-        }
-        text = (text || '').replace(/\u0000/g, ' ').trim();
-        if (!text) continue;
-        // clear old
-        await supabase.from('global_ai_documents').delete().eq('file_path', path);
-        // chunk
-        const chunkSize = 1200; const chunks = [];
-        for (let p = 0; p < text.length; p += chunkSize) chunks.push(text.slice(p, p + chunkSize));
-        for (let idx = 0; idx < chunks.length; idx++) {
-          const piece = chunks[idx];
-          const emb = await client.embeddings.create({ model: 'text-embedding-3-small', input: piece });
-          const vec = emb.data?.[0]?.embedding;
-          if (!vec) continue;
-          await supabase.from('global_ai_documents').insert({ file_path: path, chunk_index: idx, content: piece, embedding: vec });
-          indexed++;
-        }
-      } catch (e) {
-        console.warn('index file failed', f.name, e?.message || e);
-      }
-    }
-    return res.json({ indexed, processedFiles: limit });
+    const job = await submitJob({
+      type: 'global_files',
+      meta: { bucket, prefix },
+      items: files.slice(0, limit).map((f) => ({
+        itemType: 'global_file',
+        payload: {
+          bucket,
+          path: `${prefix}/${f.name}`,
+          etag: f.metadata?.eTag || null,
+          lastModified: f.updated_at || null,
+          chunking: chunkOptions,
+          dryRun: Boolean(dryRun),
+          force: Boolean(force),
+        },
+      })),
+      track: !dryRun,
+    });
+    const { indexedChunks, ...summary } = summarizeOutcomes(job.outcomes);
+    return res.json({ indexed: indexedChunks, processedFiles: limit, jobId: job.jobId, ...summary });
   } catch (e) {
     console.error('ai-admin index-files error:', e);
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
     return res.status(500).json({ error: 'Failed to index files' });
   }
 });
@@ -159,6 +148,7 @@ router.post('/delete-file', async (req, res) => {
     if (!path) return res.status(400).json({ error: 'path required' });
     await supabase.storage.from(bucket).remove([path]);
     await supabase.from('global_ai_documents').delete().eq('file_path', path);
+    await forgetIndexedDocument('global_ai_documents', { filePath: path });
     return res.json({ deleted: true });
   } catch (e) {
     console.error('ai-admin delete-file error:', e);
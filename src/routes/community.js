@@ -3,7 +3,7 @@ const router = express.Router();
 
 const { authenticate } = require('../middleware/auth');
 const supabase = require('../config/supabase');
-const { getKnowledge } = require('../services/tutorDynamoStore');
+const { getKnowledge } = require('../services/tutorStore');
 
 router.use(authenticate);
 
@@ -0,0 +1,258 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../utils/roles');
+const { drainQueue, wakeWorkers } = require('../services/jobWorker');
+const { ITEM_STATUSES, JOB_STATUSES, getJob, listJobs, cancelJob, retryItems } = require('../services/jobQueue');
+const { itemSource } = require('../services/indexingJobs');
+
+const requireAdmin = [authenticate, authorize(PERMISSIONS.MANAGE_AI)];
+const FINISHED_JOB_STATUSES = ['completed', 'error', 'cancelled'];
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function hasCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  const header = String(req.headers.authorization || '');
+  if (!secret || !header.startsWith('Bearer ')) return false;
+  const given = Buffer.from(header.slice(7));
+  const expected = Buffer.from(secret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// A scheduler calls with `Authorization: Bearer $CRON_SECRET`; anyone else needs AI admin rights.
+function cronOrAdmin(req, res, next) {
+  if (hasCronSecret(req)) return next();
+  const [auth, admin] = requireAdmin;
+  return auth(req, res, (err) => (err ? next(err) : admin(req, res, next)));
+}
+
+// Run due indexing job items in this request (services/jobWorker.js), for deployments without a
+// long-running worker, e.g. the Vercel cron in vercel.json. Stops after `deadlineMs` (default
+// JOB_DRAIN_MS: 50 s, or 8 s on Vercel).
+// GET|POST /api/jobs/work { jobId?, deadlineMs? }
+async function work(req, res) {
+  try {
+    const input = { ...req.query, ...(req.body || {}) };
+    const deadlineMs = Number(input.deadlineMs);
+    const result = await drainQueue({
+      jobId: input.jobId || null,
+      ...(Number.isFinite(deadlineMs) && deadlineMs > 0 ? { deadlineMs: Math.min(deadlineMs, 5 * 60 * 1000) } : {}),
+    });
+    return res.json(result);
+  } catch (e) {
+    console.error('jobs work error:', e);
+    return res.status(500).json({ error: 'Failed to run queued jobs' });
+  }
+}
+
+router.get('/work', cronOrAdmin, work);
+router.post('/work', cronOrAdmin, work);
+
+function itemView(item) {
+  return {
+    id: item.id,
+    item_type: item.item_type,
+    source: itemSource(item.payload || {}),
+    status: item.status,
+    attempts: item.attempts || 0,
+    max_attempts: item.max_attempts || null,
+    last_error: item.last_error || null,
+    progress: item.progress ?? null,
+    result: item.result ?? null,
+    available_at: item.available_at || null,
+    started_at: item.started_at || null,
+    finished_at: item.finished_at || null,
+  };
+}
+
+// Item counts by status; "error" items of the former edge-function worker count as dead.
+function countItems(items) {
+  const counts = Object.fromEntries(ITEM_STATUSES.map((status) => [status, 0]));
+  for (const item of items) {
+    const status = item.status === 'error' ? 'dead' : item.status;
+    if (status in counts) counts[status] += 1;
+  }
+  return { ...counts, total: items.length };
+}
+
+// Load the job named by :id, answering 404 when there is none.
+async function loadJob(req, res) {
+  const found = UUID_RE.test(req.params.id) ? await getJob(req.params.id) : null;
+  if (!found) res.status(404).json({ error: 'Job not found' });
+  return found;
+}
+
+// Indexing jobs, newest first. Page with `before` = the previous response's `nextBefore`.
+// GET /api/jobs?schoolId=&type=&status=queued,running&before=&limit=20
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { schoolId, type, status, before } = req.query;
+    const statuses = String(status || '').split(',').map((v) => v.trim()).filter(Boolean);
+    const unknown = statuses.find((v) => !JOB_STATUSES.includes(v));
+    if (unknown) return res.status(400).json({ error: `Unknown job status "${unknown}"`, allowed: JOB_STATUSES });
+    if (before && !Number.isFinite(Date.parse(before))) return res.status(400).json({ error: 'before must be a date' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const jobs = await listJobs({
+      schoolId: schoolId || null,
+      type: type || null,
+      statuses,
+      before: before ? new Date(before).toISOString() : null,
+      limit,
+    });
+    const nextBefore = jobs.length === limit ? jobs[jobs.length - 1].created_at : null;
+    return res.json({ jobs, nextBefore });
+  } catch (e) {
+    console.error('jobs list error:', e);
+    return res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// A job with the status, attempts and last error of each item.
+// GET /api/jobs/:id
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const found = await loadJob(req, res);
+    if (!found) return undefined;
+    return res.json({ job: found.job, counts: countItems(found.items), items: found.items.map(itemView) });
+  } catch (e) {
+    console.error('jobs get error:', e);
+    return res.status(500).json({ error: 'Failed to load job' });
+  }
+});
+
+// Cancel the job's queued and running items (services/jobQueue.js cancelJob).
+// POST /api/jobs/:id/cancel
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const found = await loadJob(req, res);
+    if (!found) return undefined;
+    const cancelled = await cancelJob(found.job.id);
+    if (!cancelled && FINISHED_JOB_STATUSES.includes(found.job.status)) {
+      return res.status(409).json({ error: `Job already ${found.job.status}` });
+    }
+    const { job, items } = await getJob(found.job.id);
+    return res.json({ cancelled, job, counts: countItems(items) });
+  } catch (e) {
+    console.error('jobs cancel error:', e);
+    return res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Queue the job's failed items again (all of them, or `itemIds`) and wake the workers.
+// POST /api/jobs/:id/retry { itemIds? }
+router.post('/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const { itemIds } = req.body || {};
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.some((id) => typeof id !== 'string'))) {
+      return res.status(400).json({ error: 'itemIds must be an array of item ids' });
+    }
+    const found = await loadJob(req, res);
+    if (!found) return undefined;
+    const retried = await retryItems(found.job.id, { itemIds: itemIds || null });
+    if (retried) wakeWorkers();
+    const { job, items } = await getJob(found.job.id);
+    return res.json({ retried, job, counts: countItems(items) });
+  } catch (e) {
+    console.error('jobs retry error:', e);
+    return res.status(500).json({ error: 'Failed to retry job items' });
+  }
+});
+
+// Server-Sent Events: `progress` events ({ job, counts, items }, items listing only those that changed;
+// the first event lists all) while the job runs, then `done` ({ job, counts }) and the stream ends.
+// The store is polled every JOB_EVENTS_POLL_MS (default 2 s).
+// GET /api/jobs/:id/events
+router.get('/:id/events', requireAdmin, async (req, res) => {
+  const cleanup = [];
+  try {
+    const found = await loadJob(req, res);
+    if (!found) return;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    const send = (payload) => {
+      try {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      } catch (_) {}
+    };
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      for (const fn of cleanup) {
+        try { fn(); } catch (_) {}
+      }
+    };
+    req.on('close', close);
+
+    const seen = new Map();
+    let lastJob = '';
+    const publish = ({ job, items }) => {
+      const changed = items.filter((item) => {
+        const key = JSON.stringify([item.status, item.attempts, item.progress, item.last_error]);
+        if (seen.get(item.id) === key) return false;
+        seen.set(item.id, key);
+        return true;
+      });
+      const jobKey = JSON.stringify([job.status, job.processed_count, job.failed_count, job.total_count]);
+      const counts = countItems(items);
+      if (changed.length || jobKey !== lastJob) send({ type: 'progress', job, counts, items: changed.map(itemView) });
+      lastJob = jobKey;
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        send({ type: 'done', job, counts });
+        close();
+        res.end();
+      }
+    };
+
+    const pollMs = Math.max(Number(process.env.JOB_EVENTS_POLL_MS) || 2000, 250);
+    let timer = null;
+    const poll = async () => {
+      try {
+        const next = await getJob(found.job.id);
+        if (closed) return;
+        if (!next) {
+          send({ type: 'error', error: 'Job not found' });
+          close();
+          res.end();
+          return;
+        }
+        publish(next);
+      } catch (e) {
+        console.warn('Job events poll failed (non-critical):', e?.message || e);
+      }
+      if (!closed) timer = setTimeout(poll, pollMs);
+    };
+    cleanup.push(() => clearTimeout(timer));
+    // Comment lines keep proxies from closing a quiet stream.
+    const ping = setInterval(() => {
+      try { res.write(': ping\n\n'); } catch (_) {}
+    }, 15000);
+    cleanup.push(() => clearInterval(ping));
+
+    publish(found);
+    if (!closed) timer = setTimeout(poll, pollMs);
+  } catch (e) {
+    console.error('jobs events error:', e);
+    for (const fn of cleanup) {
+      try { fn(); } catch (_) {}
+    }
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to stream job events' });
+    else {
+      try {
+        res.write(`data: ${JSON.stringify({ type: 'error', error: 'Streaming failed' })}\n\n`);
+        res.end();
+      } catch (_) {}
+    }
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,15 @@ const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const { authorize } = require('../middleware/authorize');
 const { PERMISSIONS } = require('../utils/roles');
-const { listS3Objects, getS3ObjectBuffer } = require('../services/s3Client');
+const { listS3Objects, putS3Object } = require('../services/s3Client');
 const { embedText } = require('../services/bedrockEmbeddings');
-const { ensureKnnIndex, bulkIndex, deleteBySource, knnSearch } = require('../services/openSearchClient');
+const { ensureKnnIndex, vectorBackend, isVectorStoreConfigured } = require('../services/vectorStore');
+const { SEARCH_MODES, FUSION_METHODS, searchKb } = require('../services/hybridSearch');
+const { resolveReranker, candidateCount, rerank } = require('../services/reranker');
+const { resolveChunkOptions } = require('../services/chunking');
+const { resolvePdfExtraction, citationLabel, deepLink } = require('../services/documentExtraction');
+const { submitJob } = require('../services/jobWorker');
+const { summarizeOutcomes } = require('../services/indexingJobs');
 
 router.use(authenticate);
 router.use(authorize(PERMISSIONS.MANAGE_AI));
@@ -22,12 +28,17 @@ router.get('/diag', async (_req, res) => {
   if (!process.env.AWS_REGION && !process.env.AWS_DEFAULT_REGION) missing.push('AWS_REGION');
   if (!process.env.AWS_ACCESS_KEY_ID) missing.push('AWS_ACCESS_KEY_ID');
   if (!process.env.AWS_SECRET_ACCESS_KEY) missing.push('AWS_SECRET_ACCESS_KEY');
-  if (!process.env.OPENSEARCH_ENDPOINT) missing.push('OPENSEARCH_ENDPOINT');
-  if (!process.env.OPENSEARCH_INDEX) missing.push('OPENSEARCH_INDEX');
+  const backend = vectorBackend();
+  if (backend === 'opensearch') {
+    if (!process.env.OPENSEARCH_ENDPOINT) missing.push('OPENSEARCH_ENDPOINT');
+    if (!process.env.OPENSEARCH_INDEX) missing.push('OPENSEARCH_INDEX');
+  }
   return res.json({
     ok: missing.length === 0,
     missing,
     region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || null,
+    vectorBackend: backend,
+    vectorStoreConfigured: isVectorStoreConfigured(),
     opensearchConfigured: Boolean(process.env.OPENSEARCH_ENDPOINT && process.env.OPENSEARCH_INDEX),
     embeddingsProvider: process.env.EMBEDDINGS_PROVIDER || null,
     bedrockEmbedModel: process.env.BEDROCK_EMBED_MODEL_ID || 'amazon.titan-embed-text-v2:0',
@@ -46,14 +57,22 @@ function replaceExt(name, extWithDot) {
   return `${n.slice(0, idx)}${extWithDot}`;
 }
 
-async function putS3Object({ bucket, key, body, contentType }) {
-  const s3 = getS3Client();
-  await s3.send(new PutObjectCommand({
-    Bucket: bucket,
-    Key: key,
-    Body: body,
-    ContentType: contentType || 'application/octet-stream',
-  }));
+/**
+ * Error of a KB indexing job in which every item failed (e.g. the vector store rejects writes), so the
+ * route answers with it and its status instead of an empty success.
+ */
+function allFailedError(outcomes) {
+  const failed = outcomes.filter((o) => o.error);
+  return failed.length && failed.length === outcomes.length ? failed[0].error : null;
+}
+
+/** Documents a KB job wrote (new or changed, not a dry run) and poorly extracted PDFs (`flaggedDocuments`). */
+function kbRunResults(outcomes, dryRun) {
+  const results = outcomes.filter((o) => o.result).map((o) => o.result);
+  return {
+    written: dryRun ? [] : results.filter((r) => r.status === 'new' || r.status === 'changed'),
+    flaggedDocuments: results.filter((r) => r.flagged).map((r) => ({ source: r.source, ...r.flagged })),
+  };
 }
 
 function sanitizeFilename(name) {
@@ -87,53 +106,9 @@ function isPrivateHostname(hostname) {
   return false;
 }
 
-function chunkText(text, maxChars = 1200) {
-  const chunks = [];
-  const clean = String(text || '').replace(/\u0000/g, ' ').trim();
-  if (!clean) return chunks;
-  let i = 0;
-  while (i < clean.length) {
-    chunks.push(clean.slice(i, i + maxChars));
-    i += maxChars;
-  }
-  return chunks;
-}
-
-function sniffType(key, contentType) {
-  const k = String(key || '').toLowerCase();
-  if (String(contentType || '').toLowerCase().includes('pdf') || k.endsWith('.pdf')) return 'pdf';
-  if (k.endsWith('.html') || k.endsWith('.htm')) return 'html';
-  if (k.endsWith('.md') || k.endsWith('.txt') || k.endsWith('.json') || k.endsWith('.csv')) return 'text';
-  return 'unknown';
-}
-
-async function extractTextFromBuffer(buf, kind) {
-  const b = Buffer.isBuffer(buf) ? buf : Buffer.from(buf || '');
-  if (!b.length) return '';
-
-  if (kind === 'pdf') {
-    try {
-      const pdfParse = require('pdf-parse');
-      const parsed = await pdfParse(b);
-      return String(parsed?.text || '').trim();
-    } catch (_) {
-      // fall through to naive decode
-    }
-  }
-
-  const asText = b.toString('utf-8');
-  if (kind === 'html') {
-    try {
-      const cheerio = require('cheerio');
-      const $ = cheerio.load(asText);
-      const text = $('body').text();
-      return String(text || '').replace(/\s+/g, ' ').trim();
-    } catch (_) {
-      return String(asText || '').replace(/\s+/g, ' ').trim();
-    }
-  }
-
-  return String(asText || '').trim();
+/** Adds `citation` ("Chapter 2 › Quadratics, p. 14") and `link` (deep link for web sources) to a search result. */
+function withCitation(r) {
+  return { ...r, citation: citationLabel(r), link: deepLink(r.source, r.anchor) };
 }
 
 function extractLinksFromHtml(html, baseUrl) {
@@ -276,6 +251,14 @@ router.post('/crawl', async (req, res) => {
 /**
  * POST /api/kb/pipeline/run
  * rawPrefix → cleanedPrefix + curatedPrefix + OpenSearch index.
+ * Optional `chunking: { strategy, maxTokens, overlapTokens }` (see services/chunking.js).
+ * Optional `pdfExtraction: "layout" | "text"` (default KB_PDF_EXTRACTION, "layout"). Layout extraction
+ * writes a per-page quality report next to the cleaned text (`<name>.quality.json`); documents with
+ * poorly extracted pages are listed in `flaggedDocuments`.
+ * Unchanged raw files are skipped and only changed chunks are re-embedded (services/documentRegistry.js);
+ * `dryRun: true` reports the per-file `changes` without writing, `force: true` reprocesses every file.
+ * Runs as an indexing job (services/jobWorker.js) with an item per raw file; `background: true` only
+ * queues it (202 with `jobId`). Files that fail are listed in `failed` and retried by the job.
  */
 router.post('/pipeline/run', async (req, res) => {
   try {
@@ -287,12 +270,19 @@ router.post('/pipeline/run', async (req, res) => {
       cleanedPrefix,
       curatedPrefix,
       maxFiles = 15,
+      chunking,
+      pdfExtraction,
+      dryRun,
+      force,
+      background,
     } = req.body || {};
 
     if (!bucket || !rawPrefix || !cleanedPrefix || !curatedPrefix) {
       return res.status(400).json({ error: 'bucket, rawPrefix, cleanedPrefix, curatedPrefix are required' });
     }
     if (scope === 'school' && !schoolId) return res.status(400).json({ error: 'schoolId is required when scope=school' });
+    const chunkOptions = resolveChunkOptions(chunking);
+    const pdf = resolvePdfExtraction(pdfExtraction);
 
     const rawP = ensurePrefix(rawPrefix);
     const cleanedP = ensurePrefix(cleanedPrefix);
@@ -304,71 +294,52 @@ router.post('/pipeline/run', async (req, res) => {
       .filter(f => f?.key && !String(f.key).endsWith('/'))
       .slice(0, limit);
 
-    let processedRaw = 0;
-    let wroteCleaned = 0;
-    let wroteCurated = 0;
-    let indexedChunks = 0;
-
-    for (const f of targets) {
-      const key = f.key;
-      const buf = await getS3ObjectBuffer({ bucket, key });
-      const kind = sniffType(key);
-      const text = await extractTextFromBuffer(buf, kind);
-      if (!text) continue;
-
-      processedRaw += 1;
-
-      const rel = String(key).startsWith(rawP) ? String(key).slice(rawP.length) : String(key).split('/').pop();
-      const cleanedKey = `${cleanedP}${replaceExt(rel, '.txt')}`;
-      const curatedKey = `${curatedP}${replaceExt(rel, '.jsonl')}`;
-
-      await putS3Object({ bucket, key: cleanedKey, body: text, contentType: 'text/plain; charset=utf-8' });
-      wroteCleaned += 1;
-
-      const chunks = chunkText(text, 1200);
-      const docs = [];
-      const source = `s3://${bucket}/${key}`;
-      try { await deleteBySource({ scope, schoolId, source }); } catch (_) {}
-
-      for (let idx = 0; idx < chunks.length; idx++) {
-        const chunk = chunks[idx];
-        const vector = await embedText(chunk);
-        await ensureKnnIndex({ dimension: vector.length });
-        docs.push({
-          id: `${scope}#${scope === 'school' ? String(schoolId) : 'global'}#${source}#${idx}`,
+    const items = targets.map((f) => {
+      const key = String(f.key);
+      const rel = key.startsWith(rawP) ? key.slice(rawP.length) : key.split('/').pop();
+      return {
+        itemType: 'kb_object',
+        payload: {
           scope,
-          school_id: scope === 'school' ? String(schoolId) : undefined,
-          source,
-          chunk_index: idx,
-          content: chunk,
-          embedding: vector,
-          created_at: new Date().toISOString(),
-        });
-      }
-      if (docs.length) {
-        await bulkIndex(docs);
-        indexedChunks += docs.length;
-      }
-
-      const jsonl = docs.map(d => JSON.stringify({
-        scope: d.scope,
-        school_id: d.school_id,
-        source: d.source,
-        chunk_index: d.chunk_index,
-        content: d.content,
-        created_at: d.created_at,
-      })).join('\n');
-      await putS3Object({ bucket, key: curatedKey, body: jsonl, contentType: 'application/jsonl; charset=utf-8' });
-      wroteCurated += 1;
-    }
+          schoolId,
+          bucket,
+          key,
+          etag: f.etag,
+          lastModified: f.lastModified,
+          chunking: chunkOptions,
+          pdfExtraction: pdf,
+          dryRun: Boolean(dryRun),
+          force: Boolean(force),
+          pipeline: {
+            cleanedKey: `${cleanedP}${replaceExt(rel, '.txt')}`,
+            qualityKey: `${cleanedP}${replaceExt(rel, '.quality.json')}`,
+            curatedKey: `${curatedP}${replaceExt(rel, '.jsonl')}`,
+          },
+        },
+      };
+    });
+    const job = await submitJob({
+      type: 'kb_pipeline',
+      schoolId: scope === 'school' ? schoolId : null,
+      meta: { scope, bucket, rawPrefix: rawP },
+      items,
+      background: Boolean(background) && !dryRun,
+      track: !dryRun,
+    });
+    if (job.queued) return res.status(202).json({ ok: true, queued: true, jobId: job.jobId, total: job.total });
+    const failedAll = allFailedError(job.outcomes);
+    if (failedAll) throw failedAll;
+    const { written, flaggedDocuments } = kbRunResults(job.outcomes, dryRun);
 
     return res.json({
       ok: true,
       scope,
-      processedRaw,
-      wroteCleaned,
-      wroteCurated,
-      indexedChunks,
+      processedRaw: written.length,
+      wroteCleaned: written.length,
+      wroteCurated: written.length,
+      flaggedDocuments,
+      jobId: job.jobId,
+      ...summarizeOutcomes(job.outcomes),
       totalRawFiles: targets.length,
       rawPrefix: rawP,
       cleanedPrefix: cleanedP,
@@ -434,60 +405,71 @@ router.post('/list', async (req, res) => {
  * - scope: "global" | "school"
  * - schoolId?: uuid (required if scope=school)
  * - urls: string[]
+ * - chunking?: { strategy, maxTokens, overlapTokens } (see services/chunking.js)
+ * - pdfExtraction?: "layout" | "text" (default KB_PDF_EXTRACTION); PDF results carry a `quality` summary
+ * - dryRun?: boolean, report what would change (`changes`) without indexing
+ * - force?: boolean, re-embed every URL even if unchanged
+ * - background?: boolean, only queue the indexing job (202 with `jobId`); otherwise it runs in the
+ *   request and failed URLs (`ok: false`, `retrying`) are retried by the job
+ * URLs are re-fetched conditionally (ETag / Last-Modified); unchanged pages are skipped and only changed
+ * chunks are re-embedded. Each result has a `status` of "new", "changed" or "unchanged".
  */
 router.post('/index-url', async (req, res) => {
   try {
-    const { scope = 'global', schoolId, urls = [] } = req.body || {};
+    const { scope = 'global', schoolId, urls = [], chunking, pdfExtraction, dryRun, force, background } = req.body || {};
     if (!Array.isArray(urls) || urls.length === 0) return res.status(400).json({ error: 'urls[] required' });
     if (scope === 'school' && !schoolId) return res.status(400).json({ error: 'schoolId is required when scope=school' });
+    const chunkOptions = resolveChunkOptions(chunking);
+    const pdf = resolvePdfExtraction(pdfExtraction);
 
-    const results = [];
-    for (const u of urls.slice(0, 30)) {
-      const url = String(u || '').trim();
-      if (!url) continue;
+    const entries = urls.slice(0, 30).map((u) => String(u || '').trim()).filter(Boolean).map((url) => {
       try {
         const parsed = new URL(url);
         if (!/^https?:$/.test(parsed.protocol)) throw new Error('Only http/https URLs are allowed');
         if (isPrivateHostname(parsed.hostname)) throw new Error('Blocked URL host');
-
-        const resp = await fetch(url, { redirect: 'follow' });
-        const ct = String(resp.headers.get('content-type') || '');
-        const buf = Buffer.from(await resp.arrayBuffer());
-        const kind = sniffType(parsed.pathname || '', ct);
-        const text = await extractTextFromBuffer(buf, kind === 'unknown' ? (ct.includes('html') ? 'html' : 'text') : kind);
-        if (!text) throw new Error('No text extracted');
-
-        const source = url;
-        try { await deleteBySource({ scope, schoolId, source }); } catch (_) {}
-
-        const chunks = chunkText(text, 1200);
-        const docs = [];
-        for (let idx = 0; idx < chunks.length; idx++) {
-          const chunk = chunks[idx];
-          const vector = await embedText(chunk);
-          await ensureKnnIndex({ dimension: vector.length });
-          docs.push({
-            id: `${scope}#${scope === 'school' ? String(schoolId) : 'global'}#${source}#${idx}`,
-            scope,
-            school_id: scope === 'school' ? String(schoolId) : undefined,
-            source,
-            chunk_index: idx,
-            content: chunk,
-            embedding: vector,
-            created_at: new Date().toISOString(),
-          });
-        }
-        if (docs.length > 0) await bulkIndex(docs);
-        results.push({ url, ok: true, indexedChunks: docs.length });
+        return { url };
       } catch (e) {
-        results.push({ url, ok: false, error: e?.message || 'Failed' });
+        return { url, error: e?.message || 'Failed' };
       }
-    }
-
-    return res.json({ results });
+    });
+    const valid = entries.filter((entry) => !entry.error);
+    const job = await submitJob({
+      type: 'kb_urls',
+      schoolId: scope === 'school' ? schoolId : null,
+      meta: { scope },
+      items: valid.map(({ url }) => ({
+        itemType: 'kb_url',
+        payload: {
+          scope,
+          schoolId,
+          url,
+          chunking: chunkOptions,
+          pdfExtraction: pdf,
+          dryRun: Boolean(dryRun),
+          force: Boolean(force),
+        },
+      })),
+      background: Boolean(background) && !dryRun,
+      track: !dryRun,
+    });
+    const rejected = entries.filter((entry) => entry.error).map(({ url, error }) => ({ url, ok: false, error }));
+    if (job.queued) return res.status(202).json({ queued: true, jobId: job.jobId, total: job.total, results: rejected });
+
+    const outcomes = new Map(valid.map((entry, i) => [entry, job.outcomes[i]]));
+    const results = entries.map((entry) => {
+      const { url } = entry;
+      if (entry.error) return { url, ok: false, error: entry.error };
+      const { result, error, retrying } = outcomes.get(entry);
+      if (result) return { url, ok: true, status: result.status, indexedChunks: result.indexedChunks, ...(result.quality ? { quality: result.quality } : {}) };
+      if (!error) return { url, ok: true, status: 'skipped', indexedChunks: 0 };
+      return { url, ok: false, error: error.message || 'Failed', retrying: Boolean(retrying) };
+    });
+    const { indexedChunks, failed, ...summary } = summarizeOutcomes(job.outcomes);
+    return res.json({ results, jobId: job.jobId, ...summary });
   } catch (e) {
     console.error('kb index-url error:', e?.message || e);
-    return res.status(500).json({ error: e?.message || 'Failed to index urls' });
+    const status = (typeof e?.status === 'number' && e.status >= 400 && e.status < 600) ? e.status : 500;
+    return res.status(status).json({ error: e?.message || 'Failed to index urls' });
   }
 });
 
@@ -499,64 +481,68 @@ router.post('/index-url', async (req, res) => {
  * - bucket: S3 bucket name
  * - prefix: S3 prefix
  * - maxFiles?: number
+ * - chunking?: { strategy, maxTokens, overlapTokens } (see services/chunking.js)
+ * - pdfExtraction?: "layout" | "text" (default KB_PDF_EXTRACTION); poorly extracted PDFs are listed in
+ *   `flaggedDocuments`
+ * - dryRun?: boolean, report what would change (`changes`) without indexing
+ * - force?: boolean, re-embed every file even if unchanged
+ * - background?: boolean, only queue the indexing job (202 with `jobId`); otherwise it runs in the
+ *   request and files that fail are listed in `failed` and retried by the job
+ * Files whose ETag, last-modified time or content hash is unchanged are skipped; changed files re-embed
+ * only their changed chunks. The response counts new, changed and unchanged files and embedded / reused
+ * chunks.
  */
 router.post('/index', async (req, res) => {
   try {
-    const { scope = 'global', schoolId, bucket, prefix, maxFiles = 25 } = req.body || {};
+    const { scope = 'global', schoolId, bucket, prefix, maxFiles = 25, chunking, pdfExtraction, dryRun, force, background } = req.body || {};
     if (!bucket || !prefix) return res.status(400).json({ error: 'bucket and prefix are required' });
     if (scope === 'school' && !schoolId) return res.status(400).json({ error: 'schoolId is required when scope=school' });
+    const chunkOptions = resolveChunkOptions(chunking);
+    const pdf = resolvePdfExtraction(pdfExtraction);
 
     const files = await listS3Objects({ bucket, prefix, maxKeys: Math.min(200, Number(maxFiles) || 25) });
     const filtered = files
       .filter(f => f?.key && !String(f.key).endsWith('/'))
       .slice(0, Math.min(200, Number(maxFiles) || 25));
 
-    let processedFiles = 0;
-    let indexedChunks = 0;
-
-    for (const f of filtered) {
-      const key = f.key;
-      const kind = sniffType(key);
-      const buf = await getS3ObjectBuffer({ bucket, key });
-      const text = await extractTextFromBuffer(buf, kind);
-      if (!text) continue;
-
-      const source = `s3://${bucket}/${key}`;
-      // idempotent clear in OpenSearch
-      try { await deleteBySource({ scope, schoolId, source }); } catch (_) {}
-
-      const chunks = chunkText(text, 1200);
-      const docs = [];
-      for (let idx = 0; idx < chunks.length; idx++) {
-        const chunk = chunks[idx];
-        const vector = await embedText(chunk);
-        // Ensure index exists with the right dimension (first chunk controls dimension)
-        await ensureKnnIndex({ dimension: vector.length });
-
-        docs.push({
-          id: `${scope}#${scope === 'school' ? String(schoolId) : 'global'}#${source}#${idx}`,
+    const job = await submitJob({
+      type: 'kb_index',
+      schoolId: scope === 'school' ? schoolId : null,
+      meta: { scope, bucket, prefix },
+      items: filtered.map((f) => ({
+        itemType: 'kb_object',
+        payload: {
           scope,
-          school_id: scope === 'school' ? String(schoolId) : undefined,
-          source,
-          chunk_index: idx,
-          content: chunk,
-          embedding: vector,
-          created_at: new Date().toISOString(),
-        });
-      }
-
-      if (docs.length > 0) {
-        await bulkIndex(docs);
-        indexedChunks += docs.length;
-      }
-
-      processedFiles += 1;
-    }
+          schoolId,
+          bucket,
+          key: f.key,
+          etag: f.etag,
+          lastModified: f.lastModified,
+          chunking: chunkOptions,
+          pdfExtraction: pdf,
+          dryRun: Boolean(dryRun),
+          force: Boolean(force),
+        },
+      })),
+      background: Boolean(background) && !dryRun,
+      track: !dryRun,
+    });
+    if (job.queued) return res.status(202).json({ queued: true, jobId: job.jobId, total: job.total });
+    const failedAll = allFailedError(job.outcomes);
+    if (failedAll) throw failedAll;
+    const { written, flaggedDocuments } = kbRunResults(job.outcomes, dryRun);
 
-    return res.json({ processedFiles, indexedChunks, totalFiles: filtered.length });
+    return res.json({
+      processedFiles: written.length,
+      totalFiles: filtered.length,
+      flaggedDocuments,
+      jobId: job.jobId,
+      ...summarizeOutcomes(job.outcomes),
+    });
   } catch (e) {
     console.error('kb index error:', e?.message || e);
-    return res.status(500).json({ error: e?.message || 'Failed to index knowledge base' });
+    const status = (typeof e?.status === 'number' && e.status >= 400 && e.status < 600) ? e.status : 500;
+    return res.status(status).json({ error: e?.message || 'Failed to index knowledge base' });
   }
 });
 
@@ -567,30 +553,59 @@ router.post('/index', async (req, res) => {
  * - schoolId?: uuid (required if scope=school)
  * - query: string
  * - k?: number
- * - threshold?: number (0..1)
+ * - threshold?: number (0..1), minimum kNN score; in hybrid mode lexical-only hits are kept
+ * - mode?: "knn" (default) | "text" | "hybrid"
+ * - fusion?: "rrf" (default) | "weighted" (hybrid only)
+ * - vectorWeight?: number (0..1, weighted fusion only; default 0.5)
+ * - rerank?: true | "llm" | "overlap" — rescore `candidates` retrieved chunks and return the best k
+ * - candidates?: number (rerank only; default max(20, 3k), at most 100)
  */
 router.post('/query', async (req, res) => {
   try {
-    const { scope = 'global', schoolId, query, k = 8, threshold = 0.0 } = req.body || {};
+    const { scope = 'global', schoolId, query, k = 8, threshold = 0.0, mode, fusion = 'rrf', vectorWeight = 0.5, rerank: rerankWith, candidates } = req.body || {};
     if (!query || typeof query !== 'string') return res.status(400).json({ error: 'query is required' });
     if (scope === 'school' && !schoolId) return res.status(400).json({ error: 'schoolId is required when scope=school' });
+    if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+    }
+    if (!FUSION_METHODS.includes(fusion)) {
+      return res.status(400).json({ error: `fusion must be one of: ${FUSION_METHODS.join(', ')}` });
+    }
 
-    const qVec = await embedText(query);
-    await ensureKnnIndex({ dimension: qVec.length });
-    const results = await knnSearch({
+    const reranker = resolveReranker(rerankWith);
+    const size = Math.max(1, Number(k) || 8);
+    const searchMode = mode || 'knn';
+    let qVec = null;
+    if (searchMode !== 'text') {
+      qVec = await embedText(query);
+      await ensureKnnIndex({ dimension: qVec.length });
+    }
+    const results = await searchKb({
       scope,
       schoolId,
+      query,
       vector: qVec,
-      k: Math.max(1, Number(k) || 8),
+      k: reranker ? candidateCount(size, candidates) : size,
+      mode: searchMode,
+      fusion,
+      vectorWeight,
     });
 
-    // OpenSearch kNN uses its own scoring; apply optional threshold as a simple score cutoff.
+    // kNN scores are 1 / (1 + squared L2 distance) on both backends; apply optional threshold as a simple score cutoff.
     const minScore = Math.max(0, Number(threshold) || 0);
-    const filtered = results.filter(r => (Number(r.score) || 0) >= minScore);
-    return res.json({ results: filtered });
+    const knnScore = (r) => (searchMode === 'hybrid' ? r.scores?.knn?.score : r.score);
+    const filtered = searchMode === 'text'
+      ? results
+      : results.filter(r => knnScore(r) === undefined || (Number(knnScore(r)) || 0) >= minScore);
+    const extra = searchMode === 'hybrid' ? { fusion } : {};
+    if (!reranker) return res.json({ results: filtered.map(withCitation), mode: searchMode, ...extra });
+
+    const reranked = await rerank({ query, results: filtered, k: size, reranker });
+    return res.json({ results: reranked.results.map(withCitation), mode: searchMode, ...extra, rerank: reranked.rerank });
   } catch (e) {
     console.error('kb query error:', e?.message || e);
-    return res.status(500).json({ error: e?.message || 'Failed to query knowledge base' });
+    const status = (typeof e?.status === 'number' && e.status >= 400 && e.status < 600) ? e.status : 500;
+    return res.status(status).json({ error: e?.message || 'Failed to query knowledge base' });
   }
 });
 
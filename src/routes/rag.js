@@ -2,10 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const supabase = require('../config/supabase');
+const { isLocalLlm, LocalOpenAI, openaiApiKey } = require('../services/localLlm');
+const { resolveReranker, candidateCount, rerank } = require('../services/reranker');
+const { resolveChunkOptions } = require('../services/chunking');
+const { forgetIndexedDocument, withCitations } = require('../services/ragDocuments');
+const { submitJob } = require('../services/jobWorker');
+const { summarizeOutcomes } = require('../services/indexingJobs');
 
 // Lazy import for ESM-only OpenAI SDK
 let OpenAIClass = null;
 const getOpenAI = async () => {
+  if (isLocalLlm()) return LocalOpenAI;
   if (OpenAIClass) return OpenAIClass;
   try {
     const mod = await import('openai');
@@ -17,55 +24,25 @@ const getOpenAI = async () => {
   return OpenAIClass;
 };
 
-// Lazy import for LangChain bits (ESM)
-let LangChainCache = null;
-async function getLangChainDeps() {
-  if (LangChainCache) return LangChainCache;
-  try {
-    const [openaiMod, cheerioMod, splittersMod] = await Promise.all([
-      import('@langchain/openai'),
-      import('@langchain/community/document_loaders/web/cheerio'),
-      import('@langchain/textsplitters')
-    ]);
-    LangChainCache = {
-      OpenAIEmbeddings: openaiMod.OpenAIEmbeddings,
-      CheerioWebBaseLoader: cheerioMod.CheerioWebBaseLoader,
-      RecursiveCharacterTextSplitter: splittersMod.RecursiveCharacterTextSplitter,
-    };
-  } catch (e) {
-    console.error('Failed to import LangChain modules:', e?.message || e);
-    throw e;
-  }
-  return LangChainCache;
-}
-
 router.use(authenticate);
 
-function chunkText(text, maxChars = 1200) {
-  const chunks = [];
-  let i = 0;
-  while (i < text.length) {
-    const slice = text.slice(i, i + maxChars);
-    chunks.push(slice);
-    i += maxChars;
-  }
-  return chunks;
-}
-
-// POST /api/rag/index-school { schoolId, bucket?, maxFiles? }
+// POST /api/rag/index-school { schoolId, bucket?, maxFiles?, path?, chunking?, dryRun?, force?, startBackground? }
+// chunking: { strategy, maxTokens, overlapTokens } (see services/chunking.js)
+// Runs as an indexing job (services/jobWorker.js), one item per file: in the request, or queued (202) on
+// serverless unless startBackground is false. Files that fail are listed in `failed`; the job retries
+// them in the background. Unchanged files are skipped and changed files re-embed only changed chunks
+// (services/documentRegistry.js); dryRun reports the per-file `changes` without indexing (always in the
+// foreground, untracked), force re-embeds all.
 router.post('/index-school', async (req, res) => {
   try {
-    const { schoolId, bucket = 'school-ai', maxFiles, startBackground, path } = req.body || {};
+    const { schoolId, bucket = 'school-ai', maxFiles, startBackground, path, chunking, dryRun, force } = req.body || {};
     if (!schoolId) return res.status(400).json({ error: 'schoolId required' });
+    const chunkOptions = resolveChunkOptions(chunking);
+    if (!openaiApiKey()) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
 
     const { data: files, error: listErr } = await supabase.storage.from(bucket).list(`${schoolId}`, { limit: 1000 });
     if (listErr) throw listErr;
 
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
-    if (!apiKey) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
-    const OpenAI = await getOpenAI();
-    const client = new OpenAI({ apiKey });
-
     // Filter non-hidden and optionally limit for serverless timeouts
     let list = Array.isArray(files) ? files.filter(it => it && it.name && !String(it.name).startsWith('.')) : [];
 
@@ -83,150 +60,47 @@ router.post('/index-school', async (req, res) => {
     const limit = typeof maxFiles === 'number' && maxFiles > 0 ? maxFiles : defaultLimit;
     const toProcess = list.slice(0, Math.min(limit, list.length));
 
-    // If on serverless and background requested, queue items into rag_queue and return 202
-    if (process.env.VERCEL && (startBackground !== false)) {
-      try {
-        // Create job as queued
-        const jobIns = await supabase
-          .from('rag_jobs')
-          .insert({ school_id: schoolId, job_type: 'files', status: 'queued', processed_count: 0, total_count: toProcess.length, meta: path ? { path, bucket } : {} })
-          .select('id')
-          .single();
-        const jobId = jobIns?.data?.id || null;
-
-        // Create queue items
-        const queueRows = toProcess.map((f) => ({
-          job_id: jobId,
-          school_id: schoolId,
-          item_type: 'file',
-          payload: { path: (path ? (String(path).startsWith(`${schoolId}/`) ? String(path) : `${schoolId}/${String(path).replace(/^\/+/, '')}`) : `${schoolId}/${f.name}`), bucket },
-          status: 'queued'
-        }));
-        if (queueRows.length > 0) {
-          await supabase.from('rag_queue').insert(queueRows);
-        }
-        // Optionally nudge worker (best-effort)
-        const workerUrl = (process.env.SUPABASE_URL || '').replace(/\/?$/, '') + '/functions/v1/rag-queue-worker?limit=3';
-        fetch(workerUrl, { method: 'GET', headers: { 'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY}` } }).catch((err) => console.warn('Operation failed (non-critical):', err?.message || err));
-
-        res.set('X-Background-Queued', '1');
-        return res.status(202).json({ queued: true, jobId, total: toProcess.length });
-      } catch (_) {}
-    }
-
-    // Foreground job tracking
-    let jobId = null;
-    try {
-      const jobRes = await supabase
-        .from('rag_jobs')
-        .insert({ school_id: schoolId, job_type: 'files', status: 'running', processed_count: 0, total_count: toProcess.length })
-        .select('id')
-        .single();
-      jobId = jobRes?.data?.id || null;
-    } catch (_) {}
-
-    let indexed = 0;
-    let processedCount = 0;
-    for (const f of toProcess) {
-      const fileKey = singlePathKey || `${schoolId}/${f.name}`;
-      const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(fileKey);
-      const url = urlData?.publicUrl;
-      if (!url) continue;
-      try {
-        // Fetch with a soft timeout to avoid hanging
-        const ctrl = new AbortController();
-        const timeout = setTimeout(() => ctrl.abort(), 20000);
-        const resp = await fetch(url, { signal: ctrl.signal }).finally(() => clearTimeout(timeout));
-        const ct = String(resp.headers.get('content-type') || '');
-        const lowerName = String(f.name || '').toLowerCase();
-        const ext = lowerName.includes('.') ? lowerName.split('.').pop() : '';
-        const isPdf = /application\/pdf/i.test(ct) || ext === 'pdf';
-        let text = '';
-        if (isPdf) {
-          try {
-            const buf = Buffer.from(await resp.arrayBuffer());
-            const pdfParse = (await import('pdf-parse')).default;
-            const parsed = await pdfParse(buf);
-            text = String(parsed.text || '').trim();
-          } catch (e) {
-            // Fallback to naive text extraction
-            try { text = await resp.text(); } catch (_) { text = ''; }
-          }
-        } else if (/^text\//i.test(ct) || ['txt','md','csv','json'].includes(ext)) {
-          text = await resp.text();
-        } else {
-          // Best-effort fallback: try text(); if it's binary it will be filtered below
-          try { text = await resp.text(); } catch (_) { text = ''; }
-        }
-        text = (text || '').replace(/\u0000/g, ' ').trim();
-        if (!text) {
-          console.warn('[RAG:index-school] No parsable text for', f.name, 'ct=', ct, 'ext=', ext);
-          continue;
-        }
-
-        // Idempotent: clear existing rows for this file
-        await supabase
-          .from('school_ai_documents')
-          .delete()
-          .eq('school_id', schoolId)
-          .eq('file_path', fileKey);
-
-        const chunks = chunkText(text);
-        for (let idx = 0; idx < chunks.length; idx++) {
-          const piece = chunks[idx];
-          const emb = await client.embeddings.create({ model: 'text-embedding-3-small', input: piece });
-          const vector = emb.data?.[0]?.embedding;
-          if (!vector) continue;
-          const { error: insErr } = await supabase
-            .from('school_ai_documents')
-            .insert({ school_id: schoolId, file_path: fileKey, chunk_index: idx, content: piece, embedding: vector });
-          if (!insErr) indexed++;
-        }
-        processedCount++;
-        if (jobId) {
-          await supabase
-            .from('rag_jobs')
-            .update({ processed_count: processedCount })
-            .eq('id', jobId);
-        }
-      } catch (e) {
-        console.warn('[RAG:index-school] failed for', f.name, e?.message || e);
-        processedCount++;
-        if (jobId) {
-          await supabase
-            .from('rag_jobs')
-            .update({ processed_count: processedCount })
-            .eq('id', jobId);
-        }
-      }
-    }
-    if (jobId) {
-      await supabase
-        .from('rag_jobs')
-        .update({ status: 'completed', processed_count: processedCount, finished_at: new Date().toISOString() })
-        .eq('id', jobId);
+    const items = toProcess.map((f) => ({
+      itemType: 'file',
+      payload: {
+        schoolId,
+        bucket,
+        path: singlePathKey || `${schoolId}/${f.name}`,
+        etag: f.metadata?.eTag || null,
+        lastModified: f.updated_at || null,
+        chunking: chunkOptions,
+        dryRun: Boolean(dryRun),
+        force: Boolean(force),
+      },
+    }));
+    const job = await submitJob({
+      type: 'files',
+      schoolId,
+      meta: path ? { path, bucket } : {},
+      items,
+      background: Boolean(process.env.VERCEL) && startBackground !== false && !dryRun,
+      track: !dryRun,
+    });
+    if (job.queued) {
+      res.set('X-Background-Queued', '1');
+      return res.status(202).json({ queued: true, jobId: job.jobId, total: job.total });
     }
-    res.json({ indexed, processedFiles: toProcess.length, totalFiles: list.length, jobId });
+    const { indexedChunks, ...summary } = summarizeOutcomes(job.outcomes);
+    res.json({ indexed: indexedChunks, processedFiles: toProcess.length, totalFiles: list.length, jobId: job.jobId, ...summary });
   } catch (e) {
     console.error('rag index-school error:', e);
-    try {
-      if (jobId) {
-        await supabase
-          .from('rag_jobs')
-          .update({ status: 'error', finished_at: new Date().toISOString() })
-          .eq('id', jobId);
-      }
-    } catch (_) {}
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
     res.status(500).json({ error: 'Failed to index documents' });
   }
 });
 
-// POST /api/rag/ask { schoolId, question }
+// POST /api/rag/ask { schoolId, question, rerank?, candidates? }
+// rerank (true | "llm" | "overlap", or school config `rerank`) rescores `candidates` chunks and keeps the top k.
 router.post('/ask', async (req, res) => {
   try {
-    const { schoolId, question } = req.body || {};
+    const { schoolId, question, rerank: rerankWith, candidates } = req.body || {};
     if (!schoolId || !question) return res.status(400).json({ error: 'schoolId and question required' });
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
+    const apiKey = openaiApiKey();
     const hasOpenAI = Boolean(apiKey);
     let client = null;
     if (hasOpenAI) {
@@ -247,11 +121,14 @@ router.post('/ask', async (req, res) => {
         cfg = { ...cfg, ...set.config };
       }
     } catch (_) {}
+    const k = Math.max(1, Number(cfg.k||12));
+    const reranker = resolveReranker(rerankWith !== undefined ? rerankWith : cfg.rerank);
+    const matchCount = reranker ? candidateCount(k, candidates !== undefined ? candidates : cfg.rerank_candidates) : k;
     if (hasOpenAI) {
       const qEmb = await client.embeddings.create({ model: 'text-embedding-3-small', input: question });
       const vector = qEmb.data?.[0]?.embedding;
       if (!vector) return res.status(500).json({ error: 'Failed to embed question' });
-      const resp = await supabase.rpc('match_school_docs', { query_embedding: vector, in_school_id: schoolId, match_count: Math.max(1, Number(cfg.k||12)), similarity_threshold: Math.max(0, Math.min(1, Number(cfg.threshold||0.7))) });
+      const resp = await supabase.rpc('match_school_docs', { query_embedding: vector, in_school_id: schoolId, match_count: matchCount, similarity_threshold: Math.max(0, Math.min(1, Number(cfg.threshold||0.7))) });
       if (resp.error) throw resp.error;
       contexts = resp.data || [];
       // If no contexts found, fall back to recent chunks
@@ -275,7 +152,16 @@ router.post('/ask', async (req, res) => {
       contexts = data || [];
     }
 
-    const contextText = (contexts || []).map(c => `Source: ${c.file_path} [${c.chunk_index}]\n${c.content}`).join('\n\n---\n\n');
+    let rerankSummary = null;
+    if (reranker && contexts.length) {
+      const reranked = await rerank({ query: question, results: contexts, k, reranker });
+      contexts = reranked.results;
+      rerankSummary = reranked.rerank;
+    }
+
+    // Title / heading path / pages for citations, e.g. "Chapter 2 › Quadratics, p. 14"
+    contexts = await withCitations(schoolId, contexts);
+    const contextText = (contexts || []).map(c => `Source: ${c.file_path}${c.citation ? ` (${c.citation})` : ''} [${c.chunk_index}]\n${c.content}`).join('\n\n---\n\n');
 
     // Fetch school-specific instructions (if any)
     let special = '';
@@ -326,9 +212,10 @@ router.post('/ask', async (req, res) => {
       { school_id: schoolId, role: 'user', content: question, user_id: uid },
       { school_id: schoolId, role: 'assistant', content: answer, user_id: uid },
     ]);
-    res.json({ answer, contexts });
+    res.json({ answer, contexts, ...(rerankSummary ? { rerank: rerankSummary } : {}) });
   } catch (e) {
     console.error('rag ask error:', e);
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
     res.status(500).json({ error: 'Failed to answer question' });
   }
 });
@@ -352,6 +239,7 @@ router.post('/delete-file', async (req, res) => {
       .eq('school_id', schoolId)
       .eq('file_path', `${schoolId}/${fileName}`);
     if (dbErr) throw dbErr;
+    await forgetIndexedDocument('school_ai_documents', { schoolId, filePath: `${schoolId}/${fileName}` });
 
     res.json({ deleted: true });
   } catch (e) {
@@ -639,16 +527,17 @@ router.post('/links/delete', async (req, res) => {
   }
 });
 
-// Index links using LangChain loaders + OpenAIEmbeddings
-// POST /api/rag/index-links { schoolId, urls?, maxLinks?, timeoutMs? }
+// Index school links as an indexing job (services/jobWorker.js), one item per link
+// POST /api/rag/index-links { schoolId, urls?, maxLinks?, timeoutMs?, chunking?, dryRun?, force?, startBackground? }
+// Links are re-fetched conditionally (ETag / Last-Modified); unchanged pages are skipped and changed pages
+// re-embed only changed chunks. dryRun reports the per-link `changes` without indexing. Links that fail
+// are listed in `failed` and retried by the job.
 router.post('/index-links', async (req, res) => {
   try {
-    const { schoolId, urls, maxLinks, timeoutMs, startBackground } = req.body || {};
+    const { schoolId, urls, maxLinks, timeoutMs, startBackground, chunking, dryRun, force } = req.body || {};
     if (!schoolId) return res.status(400).json({ error: 'schoolId required' });
-
-    const { OpenAIEmbeddings, CheerioWebBaseLoader, RecursiveCharacterTextSplitter } = await getLangChainDeps();
-    const apiKey = process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras;
-    if (!apiKey) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
+    const chunkOptions = resolveChunkOptions(chunking);
+    if (!openaiApiKey()) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
 
     // Resolve URLs to index
     let linkRows = [];
@@ -671,163 +560,58 @@ router.post('/index-links', async (req, res) => {
 
     const perLinkTimeoutMs = Math.max(3000, Math.min(15000, Number(timeoutMs) || (isServerless ? 8000 : 15000)));
 
-    const embeddings = new OpenAIEmbeddings({ apiKey, model: 'text-embedding-3-small' });
-    const splitter = new RecursiveCharacterTextSplitter({ chunkSize: 1200, chunkOverlap: 150 });
-
-    // If on serverless, queue link items into rag_queue and return 202
-    if (process.env.VERCEL && (startBackground !== false)) {
-      try {
-        const jobIns = await supabase
-          .from('rag_jobs')
-          .insert({ school_id: schoolId, job_type: 'links', status: 'queued', processed_count: 0, total_count: linkRows.length })
-          .select('id')
-          .single();
-        const jobId = jobIns?.data?.id || null;
-        if (linkRows.length > 0) {
-          const rows = linkRows.map(r => ({ job_id: jobId, school_id: schoolId, item_type: 'link', payload: { url: r.url }, status: 'queued' }));
-          await supabase.from('rag_queue').insert(rows);
-        }
-        // Nudge the worker (best-effort)
-        const workerUrl = (process.env.SUPABASE_URL || '').replace(/\/?$/, '') + '/functions/v1/rag-queue-worker?limit=3';
-        fetch(workerUrl, { method: 'GET', headers: { 'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY}` } }).catch((err) => console.warn('Operation failed (non-critical):', err?.message || err));
-        res.set('X-Background-Queued', '1');
-        return res.status(202).json({ queued: true, jobId, total: linkRows.length });
-      } catch (_) {
-        // fall through to foreground processing
-      }
-    }
-
-    let totalDocs = 0;
-    for (const row of linkRows) {
-      const url = row.url;
-      if (!/^https?:\/\//i.test(url)) continue;
-      try {
-        // Mark as indexing
-        await supabase
-          .from('school_ai_links')
-          .update({ status: 'indexing', last_crawled_at: new Date().toISOString() })
-          .eq('school_id', schoolId)
-          .eq('url', url);
-
-        // Prefer Cheerio loader; fallback to raw fetch
-        let docs = [];
-        try {
-          const loader = new CheerioWebBaseLoader(url);
-          // Cheerio loader doesn't expose timeout; fallback if it takes too long
-          const loaderPromise = loader.load();
-          const timeoutPromise = new Promise((_, rej) => setTimeout(() => rej(new Error('Loader timeout')), perLinkTimeoutMs));
-          docs = await Promise.race([loaderPromise, timeoutPromise]).catch(() => []);
-        } catch (e) {
-          docs = [];
-        }
-        let text = '';
-        if (Array.isArray(docs) && docs.length > 0) {
-          text = docs.map((d) => String(d.pageContent || '')).join('\n\n');
-        }
-        if (!text) {
-          // Raw fetch with timeout
-          const ctrl = new AbortController();
-          const t = setTimeout(() => ctrl.abort(), perLinkTimeoutMs);
-          const resp = await fetch(url, { signal: ctrl.signal }).finally(() => clearTimeout(t));
-          const ct = String(resp.headers.get('content-type') || '');
-          if (/application\/pdf/i.test(ct)) {
-            try {
-              const buf = Buffer.from(await resp.arrayBuffer());
-              const pdfParse = (await import('pdf-parse')).default;
-              const parsed = await pdfParse(buf);
-              text = String(parsed.text || '').trim();
-            } catch (_) {
-              text = await resp.text();
-            }
-          } else {
-            text = await resp.text();
-          }
-        }
-        text = (text || '').replace(/\u0000/g, ' ').trim();
-        if (!text) continue;
-
-        // Remove old rows for this URL for idempotency
-        await supabase
-          .from('school_ai_documents')
-          .delete()
-          .eq('school_id', schoolId)
-          .eq('file_path', url);
-
-        // Chunk using splitter
-        const chunks = await splitter.splitText(text);
-
-        // Embed in small batches to respect rate limits
-        const batchSize = 15;
-        let chunkIndex = 0;
-        for (let i = 0; i < chunks.length; i += batchSize) {
-          const slice = chunks.slice(i, i + batchSize);
-          const vectors = await embeddings.embedDocuments(slice);
-          const rows = vectors.map((vec, j) => ({
-            school_id: schoolId,
-            file_path: url,
-            chunk_index: chunkIndex + j,
-            content: slice[j],
-            embedding: vec,
-          }));
-          const { error: insErr } = await supabase.from('school_ai_documents').insert(rows);
-          if (insErr) throw insErr;
-          chunkIndex += slice.length;
-          totalDocs += slice.length;
-        }
-
-        await supabase
-          .from('school_ai_links')
-          .update({ status: 'indexed', last_crawled_at: new Date().toISOString() })
-          .eq('school_id', schoolId)
-          .eq('url', url);
-      } catch (e) {
-        console.warn('Index link failed:', url, e?.message || e);
-        await supabase
-          .from('school_ai_links')
-          .update({ status: 'error', last_crawled_at: new Date().toISOString() })
-          .eq('school_id', schoolId)
-          .eq('url', url);
-      }
+    const items = linkRows
+      .filter((row) => /^https?:\/\//i.test(row.url))
+      .map((row) => ({
+        itemType: 'link',
+        payload: {
+          schoolId,
+          url: row.url,
+          timeoutMs: perLinkTimeoutMs,
+          chunking: chunkOptions,
+          dryRun: Boolean(dryRun),
+          force: Boolean(force),
+        },
+      }));
+    const job = await submitJob({
+      type: 'links',
+      schoolId,
+      items,
+      background: isServerless && startBackground !== false && !dryRun,
+      track: !dryRun,
+    });
+    if (job.queued) {
+      res.set('X-Background-Queued', '1');
+      return res.status(202).json({ queued: true, jobId: job.jobId, total: job.total });
     }
-
-    res.json({ indexed: totalDocs, processedLinks: linkRows.length });
+    const { indexedChunks, ...summary } = summarizeOutcomes(job.outcomes);
+    res.json({ indexed: indexedChunks, processedLinks: linkRows.length, jobId: job.jobId, ...summary });
   } catch (e) {
     console.error('index-links error:', e);
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
     res.status(500).json({ error: 'Failed to index links' });
   }
 });
 
-// Lightweight enqueue endpoints so the frontend doesn't 404 on older builds
+// Queue one file or link for indexing; a job worker indexes it (202). Without the queue tables the item
+// is indexed in the request instead.
 // POST /api/rag/enqueue/file { schoolId, path, bucket? }
 router.post('/enqueue/file', async (req, res) => {
   try {
     const { schoolId, path, bucket = 'school-ai' } = req.body || {};
     if (!schoolId || !path) return res.status(400).json({ error: 'schoolId and path required' });
 
-    // Create a queued job + queue item
-    let jobId = null;
-    try {
-      const jobRes = await supabase
-        .from('rag_jobs')
-        .insert({ school_id: schoolId, job_type: 'files', status: 'queued', processed_count: 0, total_count: 1, meta: { path, bucket } })
-        .select('id')
-        .single();
-      jobId = jobRes?.data?.id || null;
-    } catch (_) {}
-
-    try {
-      const fullPath = String(path).startsWith(`${schoolId}/`) ? String(path) : `${schoolId}/${String(path).replace(/^\/+/, '')}`;
-      await supabase.from('rag_queue').insert({ job_id: jobId, school_id: schoolId, item_type: 'file', payload: { path: fullPath, bucket }, status: 'queued' });
-    } catch (_) {}
-
-    // Nudge worker
-    try {
-      const workerUrl = (process.env.SUPABASE_URL || '').replace(/\/?$/, '') + '/functions/v1/rag-queue-worker?limit=3';
-      fetch(workerUrl, { method: 'GET', headers: { 'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY}` } }).catch((err) => console.warn('Operation failed (non-critical):', err?.message || err));
-    } catch (_) {}
-
+    const fullPath = String(path).startsWith(`${schoolId}/`) ? String(path) : `${schoolId}/${String(path).replace(/^\/+/, '')}`;
+    const job = await submitJob({
+      type: 'files',
+      schoolId,
+      meta: { path, bucket },
+      items: [{ itemType: 'file', payload: { schoolId, bucket, path: fullPath } }],
+      background: true,
+    });
+    if (!job.queued) return res.json({ queued: false, jobId: null, ...summarizeOutcomes(job.outcomes) });
     res.set('X-Background-Queued', '1');
-    return res.status(202).json({ queued: true, jobId });
+    return res.status(202).json({ queued: true, jobId: job.jobId });
   } catch (e) {
     console.error('enqueue/file error:', e);
     return res.status(500).json({ error: 'Failed to enqueue file' });
@@ -839,39 +623,26 @@ router.post('/enqueue/link', async (req, res) => {
   try {
     const { schoolId, url } = req.body || {};
     if (!schoolId || !url) return res.status(400).json({ error: 'schoolId and url required' });
+    const norm = String(url).trim();
+    if (!/^https?:\/\//i.test(norm)) return res.status(400).json({ error: 'url must be http(s)' });
 
     // Ensure link row exists and mark pending
     try {
-      const norm = String(url).trim();
       // Upsert-like behavior
       await supabase.from('school_ai_links').delete().eq('school_id', schoolId).eq('url', norm);
       await supabase.from('school_ai_links').insert({ school_id: schoolId, url: norm, status: 'pending' });
     } catch (_) {}
 
-    // Create a queued job row
-    let jobId = null;
-    try {
-      const jobRes = await supabase
-        .from('rag_jobs')
-        .insert({ school_id: schoolId, job_type: 'links', status: 'queued', processed_count: 0, total_count: 1, meta: { url } })
-        .select('id')
-        .single();
-      jobId = jobRes?.data?.id || null;
-    } catch (_) {}
-
-    // Insert queue item
-    try {
-      await supabase.from('rag_queue').insert({ job_id: jobId, school_id: schoolId, item_type: 'link', payload: { url }, status: 'queued' });
-    } catch (_) {}
-
-    // Nudge worker
-    try {
-      const workerUrl = (process.env.SUPABASE_URL || '').replace(/\/?$/, '') + '/functions/v1/rag-queue-worker?limit=3';
-      fetch(workerUrl, { method: 'GET', headers: { 'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY}` } }).catch((err) => console.warn('Operation failed (non-critical):', err?.message || err));
-    } catch (_) {}
-
+    const job = await submitJob({
+      type: 'links',
+      schoolId,
+      meta: { url: norm },
+      items: [{ itemType: 'link', payload: { schoolId, url: norm } }],
+      background: true,
+    });
+    if (!job.queued) return res.json({ queued: false, jobId: null, ...summarizeOutcomes(job.outcomes) });
     res.set('X-Background-Queued', '1');
-    return res.status(202).json({ queued: true, jobId });
+    return res.status(202).json({ queued: true, jobId: job.jobId });
   } catch (e) {
     console.error('enqueue/link error:', e);
     return res.status(500).json({ error: 'Failed to enqueue link' });
@@ -884,8 +655,9 @@ router.post('/queue/summary', async (req, res) => {
     const { schoolId } = req.body || {};
     if (!schoolId) return res.status(400).json({ error: 'schoolId required' });
 
-    // Pull counts from rag_queue directly
-    let queued = 0, running = 0, done = 0, error = 0;
+    // Pull counts from rag_queue directly; "dead" items failed every attempt (services/jobQueue.js).
+    // Per-job detail, cancel and retry: /api/jobs.
+    let queued = 0, running = 0, done = 0, error = 0, dead = 0, cancelled = 0;
     try {
       const { data: qrows } = await supabase
         .from('rag_queue')
@@ -896,10 +668,12 @@ router.post('/queue/summary', async (req, res) => {
         else if (r.status === 'running') running += 1;
         else if (r.status === 'done') done += 1;
         else if (r.status === 'error') error += 1;
+        else if (r.status === 'dead') dead += 1;
+        else if (r.status === 'cancelled') cancelled += 1;
       });
     } catch (_) {}
 
-    return res.json({ summary: { queued, running, done, error } });
+    return res.json({ summary: { queued, running, done, error, dead, cancelled } });
   } catch (e) {
     console.error('queue/summary error:', e);
     return res.status(500).json({ error: 'Failed to load queue summary' });
@@ -2,12 +2,67 @@ const express = require('express');
 const router = express.Router();
 
 const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../utils/roles');
 const supabase = require('../config/supabase');
-const { generateMcq: generateMcqBedrock } = require('../services/bedrockTutor');
-const { generateMcq: generateMcqOpenAI } = require('../services/openaiTutor');
-const { putQuestion, getQuestion, updateKnowledge, getKnowledge, recordQuestionAsked } = require('../services/tutorDynamoStore');
+const { generateItem, solveItem, providerOrder, getProviderMetrics } = require('../services/llmProvider');
+const { verifyAttempts, verifyItem, recordRejection, listRejections } = require('../services/mcqVerifier');
+const {
+  putQuestion,
+  getQuestion,
+  updateKnowledge,
+  getKnowledge,
+  recordQuestionAsked,
+  recordHintUsed,
+  updateReviews,
+} = require('../services/tutorStore');
 const { embedText } = require('../services/bedrockEmbeddings');
-const { knnSearch } = require('../services/openSearchClient');
+const { isVectorStoreConfigured } = require('../services/vectorStore');
+const { searchKb, defaultSearchMode } = require('../services/hybridSearch');
+const { traceAnswer, currentEstimate, normalizeBktParams, hintCredit } = require('../services/knowledgeTracing');
+const { abilityFromMastery, irtProbability } = require('../services/irt');
+const { selectNext } = require('../services/adaptiveSelector');
+const {
+  ITEM_TYPES,
+  DEFAULT_ITEM_TYPE,
+  isItemType,
+  itemTypeOf,
+  validateGeneratedItem,
+  publicView,
+  gradeResponse,
+} = require('../services/itemTypes');
+const {
+  reviewKeyFor,
+  servedReviewKey,
+  scheduleAnswer,
+  dueReviews,
+  nextDueAt,
+  postponeReview,
+  reviewsOverCap,
+} = require('../services/reviewScheduler');
+const {
+  getTaxonomy,
+  resolveTopic,
+  ancestorsOf,
+  rollupMastery,
+  suggestPrerequisites,
+  listTopics,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+} = require('../services/topicTaxonomy');
+const { getTopicParams } = require('../services/ktParamStore');
+const {
+  addToBank,
+  seenQuestionIds,
+  hasAnswered,
+  pickBankQuestion,
+  recordBankAnswer,
+  searchBank,
+  isBankQuestionId,
+  getBankQuestion,
+  recordBankStats,
+} = require('../services/questionBank');
 
 /**
  * Retrieve relevant context from the Knowledge Base for RAG.
@@ -15,8 +70,8 @@ const { knnSearch } = require('../services/openSearchClient');
  */
 async function retrieveKBContext(topic) {
   try {
-    // Check if OpenSearch is configured
-    if (!process.env.OPENSEARCH_ENDPOINT) {
+    // Check if a vector index is configured (OpenSearch, or VECTOR_BACKEND=local)
+    if (!isVectorStoreConfigured()) {
       return '';
     }
 
@@ -26,11 +81,13 @@ async function retrieveKBContext(topic) {
       return '';
     }
 
-    // Search the KB (global scope for now)
-    const results = await knnSearch({
+    // Search the KB (global scope for now); hybrid by default so exact terms in the topic match too
+    const results = await searchKb({
       scope: 'global',
+      query: topic,
       vector: queryVector,
       k: 4,
+      mode: defaultSearchMode(),
     });
 
     if (!results || results.length === 0) {
@@ -60,7 +117,7 @@ function looksLikeGreeting(s) {
   return false;
 }
 
-function normalizeTopic(raw) {
+function stripGreeting(raw) {
   const original = String(raw || '').trim();
   const t = original.toLowerCase();
   if (!t) return '';
@@ -87,6 +144,111 @@ function normalizeTopic(raw) {
   return original;
 }
 
+/**
+ * Resolve user input onto the topic taxonomy ({ id, name, canonical }); `id` is the key
+ * under which mastery is stored. Returns null for empty input or a bare greeting.
+ */
+async function normalizeTopic(raw) {
+  const text = stripGreeting(raw).slice(0, 200);
+  if (!text || looksLikeGreeting(text)) return null;
+  return resolveTopic(text);
+}
+
+/**
+ * Generate one item of `itemType` with the configured provider, grounded in KB context.
+ * Returns a storage record (see services/itemTypes.js) plus the provider name.
+ */
+async function generateMcq({ topic, topicKey, userId, level, avoidQuestions, mastery, itemType = DEFAULT_ITEM_TYPE }) {
+  // Retrieve relevant context from Knowledge Base (RAG)
+  const context = await retrieveKBContext(topic);
+
+  // Providers are tried in TUTOR_PROVIDER_ORDER with failover (services/llmProvider.js).
+  const solve = async (prompt) => (await solveItem({ prompt })).result;
+
+  // Quality gate: rejected items are recorded and regenerated, up to TUTOR_VERIFY_ATTEMPTS.
+  const attempts = verifyAttempts();
+  const avoid = Array.isArray(avoidQuestions) ? avoidQuestions.slice() : [];
+  let lastReasons = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const { item: raw, provider } = await generateItem({ topic, level, avoidQuestions: avoid, mastery, context, itemType });
+
+    // Validate the item shape so we don't return 200 with a broken payload.
+    let item;
+    let verdict;
+    try {
+      item = validateGeneratedItem(itemType, raw);
+      verdict = await verifyItem(item, { solve });
+    } catch (shapeErr) {
+      verdict = { ok: false, method: 'structure', reasons: [{ code: 'invalid_item', message: shapeErr.message }] };
+    }
+    if (verdict.ok) return { item: { ...item, verified_by: verdict.method }, provider };
+
+    lastReasons = verdict.reasons;
+    await recordRejection({
+      item: item || raw,
+      reasons: verdict.reasons,
+      method: verdict.method,
+      topic,
+      topicKey,
+      provider,
+      attempt,
+      userId,
+    });
+    if (raw?.question) avoid.push(String(raw.question));
+  }
+  throw new Error(`Could not generate a verified question after ${attempts} attempt${attempts === 1 ? '' : 's'}`
+    + ` (${lastReasons.map((r) => r.code).join(', ') || 'rejected'}). Please try again.`);
+}
+
+/**
+ * Add a generated item to the permanent bank. If the bank table is unavailable, fall back
+ * to the short-lived per-user questions table so the tutor keeps working.
+ */
+async function storeGeneratedQuestion({ userId, topic, topicKey: key, level, generated }) {
+  const { item, provider } = generated;
+  try {
+    const { item: banked } = await addToBank({
+      topic,
+      topicKey: key,
+      level,
+      item,
+      source: `llm:${provider || 'unknown'}`,
+      userId,
+    });
+    return banked;
+  } catch (bankErr) {
+    console.warn('Question bank write failed (using 24h question store):', bankErr?.message || bankErr);
+    const saved = await putQuestion({
+      userId,
+      topic,
+      level,
+      question: item.question,
+      explanation: item.explanation,
+      fields: item,
+    });
+    return { question_id: saved.questionId, ...item };
+  }
+}
+
+/**
+ * Load a served question for a learner. Bank questions are shared, so only those in the
+ * learner's served history (`state`, from getKnowledge) are allowed; legacy generated
+ * questions belong to one user and expire. Returns { q, fromBank } or { status, error }.
+ */
+async function loadServedQuestion(questionId, userId, state) {
+  const fromBank = isBankQuestionId(questionId);
+  if (fromBank && !seenQuestionIds(state).has(String(questionId))) return { status: 403, error: 'Not allowed' };
+  const q = fromBank ? await getBankQuestion(questionId) : await getQuestion(questionId);
+  if (!q) {
+    return {
+      status: 404,
+      error: fromBank ? 'Question not found.' : 'Question not found (expired). Please request a new question.',
+    };
+  }
+  if (!fromBank && q.user_id && q.user_id !== userId) return { status: 403, error: 'Not allowed' };
+  return { q, fromBank };
+}
+
 router.use(authenticate);
 
 // GET /api/tutor/diag
@@ -108,21 +270,39 @@ router.get('/diag', async (_req, res) => {
   });
 });
 
-// POST /api/tutor/mcq { topic, level? }
+// GET /api/tutor/providers (admin)
+// LLM provider order and per-provider call/error/latency counters since process start.
+router.get('/providers', authorize(PERMISSIONS.MANAGE_AI), (_req, res) => {
+  return res.json({ order: providerOrder(), metrics: getProviderMetrics() });
+});
+
+// POST /api/tutor/mcq { topic, level?, item_type? } | { mode: "auto", topic? } | { mode: "review", topic? }
+// item_type is one of services/itemTypes.js ITEM_TYPES (default "mcq").
+// In auto mode the server picks the topic (unless given) and difficulty; see services/adaptiveSelector.js.
+// Review mode serves due spaced-repetition items first (services/reviewScheduler.js), then
+// behaves like a normal request (with a topic) or auto mode (without one).
 router.post('/mcq', async (req, res) => {
   try {
-    const { topic, level } = req.body || {};
-    if (!topic || typeof topic !== 'string') {
+    const { topic, level, mode, item_type: requestedType } = req.body || {};
+    const requestedMode = String(mode || '').toLowerCase();
+    const reviewMode = requestedMode === 'review';
+    let auto = requestedMode === 'auto';
+    if (!auto && !reviewMode && (!topic || typeof topic !== 'string')) {
       return res.status(400).json({ error: 'topic is required' });
     }
+    const itemType = requestedType ? String(requestedType).toLowerCase() : DEFAULT_ITEM_TYPE;
+    if (!isItemType(itemType)) {
+      return res.status(400).json({ error: `item_type must be one of: ${ITEM_TYPES.join(', ')}` });
+    }
 
-    const trimmedTopic = normalizeTopic(topic).slice(0, 200);
-    const lvl = Number(level || 1);
+    const requested = typeof topic === 'string' ? await normalizeTopic(topic) : null;
+    let trimmedTopic = requested ? requested.name : '';
+    let key = requested ? requested.id : null;
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
     // If user typed "hi"/greeting, ask for a real topic instead of generating nonsense/repeating.
-    if (!trimmedTopic || looksLikeGreeting(trimmedTopic)) {
+    if (!auto && !reviewMode && !requested) {
       return res.json({
         type: 'topic_prompt',
         message: `Tell me a topic to start (examples: algebra, fractions, derivatives, probability, geometry).`,
@@ -130,11 +310,70 @@ router.post('/mcq', async (req, res) => {
     }
 
     // Pull a little state so we can avoid repeating questions and adapt difficulty.
-    const state = await getKnowledge(userId);
-    const topicKey = trimmedTopic.toLowerCase().slice(0, 80);
-    const mastery = (state && state.topics && typeof state.topics[topicKey] === 'number')
-      ? Number(state.topics[topicKey])
+    const [state, taxonomy] = await Promise.all([getKnowledge(userId), getTaxonomy()]);
+
+    // Due reviews come first: bank questions are re-served as-is; topic reviews get a fresh question.
+    // Entries whose question is gone or retired are dropped, and those of another item type are
+    // postponed, so they do not stay first in line on every request.
+    let review = null;
+    let served = null;
+    if (reviewMode) {
+      const drop = [];
+      const postpone = {};
+      for (const entry of dueReviews(state, { topicKey: key || undefined, limit: 10 })) {
+        if (!entry.question_id) {
+          review = entry;
+          break;
+        }
+        let q;
+        try {
+          q = await getBankQuestion(entry.question_id);
+        } catch (bankErr) {
+          console.warn('Review question lookup failed (serving a new question):', bankErr?.message || bankErr);
+          review = entry;
+          break;
+        }
+        if (!q || q.status === 'retired') drop.push(entry.key);
+        else if (itemTypeOf(q) !== itemType) postpone[entry.key] = postponeReview(entry);
+        else {
+          review = entry;
+          served = q;
+          break;
+        }
+      }
+      if (drop.length || Object.keys(postpone).length) {
+        try {
+          await updateReviews({ userId, set: postpone, remove: drop });
+        } catch (revErr) {
+          console.warn('Failed to update skipped reviews (non-fatal):', revErr?.message || revErr);
+        }
+      }
+      if (review) {
+        trimmedTopic = review.topic || review.topic_key;
+        key = review.topic_key;
+      } else if (!requested) {
+        auto = true;
+      }
+    }
+
+    let selection = null;
+    if (auto) {
+      selection = selectNext({ state, topicKey: key || undefined, level });
+      if (!selection) {
+        return res.json({
+          type: 'topic_prompt',
+          message: `Answer a few questions on any topic first so I can choose for you (examples: algebra, fractions, probability).`,
+        });
+      }
+      key = selection.topicKey;
+      trimmedTopic = requested ? requested.name : (taxonomy.byId.get(key)?.name || key);
+    }
+
+    const lvl = selection ? selection.level : Number(level || 1);
+    const mastery = (state && state.topics && typeof state.topics[key] === 'number')
+      ? Number(state.topics[key])
       : undefined;
+    const theta = selection ? selection.theta : abilityFromMastery(mastery);
     const avoidQuestions = Array.isArray(state?.recent_questions)
       ? state.recent_questions
           .filter((x) => String(x?.topic || '').toLowerCase() === String(trimmedTopic).toLowerCase())
@@ -143,53 +382,91 @@ router.post('/mcq', async (req, res) => {
           .filter(Boolean)
       : [];
 
-    // Retrieve relevant context from Knowledge Base (RAG)
-    const context = await retrieveKBContext(trimmedTopic);
-
-    // Prefer OpenAI if configured (Bedrock is currently blocked in this account).
-    const prefer = String(process.env.TUTOR_PROVIDER || '').toLowerCase(); // 'openai' | 'bedrock' | ''
-    const hasOpenAIKey = Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras);
-
-    const mcq = (prefer === 'openai' || (prefer !== 'bedrock' && hasOpenAIKey))
-      ? await generateMcqOpenAI({ topic: trimmedTopic, level: lvl, avoidQuestions, mastery, context })
-      : await generateMcqBedrock({ topic: trimmedTopic, level: lvl, avoidQuestions, mastery, context });
+    // Serve an unseen question from the bank when one fits; only generate to fill gaps.
+    // Bank items are matched on IRT difficulty against the learner's topic ability.
+    let source = 'bank';
+    const seen = seenQuestionIds(state);
+    try {
+      if (!served) {
+        served = await pickBankQuestion({
+          topicKey: key,
+          level: lvl,
+          theta,
+          targetSuccess: selection?.targetSuccess,
+          itemType,
+          excludeIds: seen,
+        });
+      }
+    } catch (bankErr) {
+      console.warn('Question bank lookup failed (generating instead):', bankErr?.message || bankErr);
+    }
 
-    // Validate MCQ shape so we don't return 200 with a broken payload.
-    const validChoices = Array.isArray(mcq?.choices) && mcq.choices.length >= 2;
-    const validAnswer = typeof mcq?.answerId === 'string' && mcq.answerId.length > 0;
-    if (!mcq?.question || !validChoices || !validAnswer) {
-      throw new Error('Tutor model returned an invalid MCQ object (missing question/choices/answerId).');
+    if (!served) {
+      source = 'generated';
+      const generated = await generateMcq({
+        topic: trimmedTopic,
+        topicKey: key,
+        userId,
+        level: lvl,
+        avoidQuestions,
+        mastery,
+        itemType,
+      });
+      served = await storeGeneratedQuestion({ userId, topic: trimmedTopic, topicKey: key, level: lvl, generated });
     }
 
-    const saved = await putQuestion({
-      userId,
-      topic: trimmedTopic,
-      level: lvl,
-      question: mcq.question,
-      choices: mcq.choices,
-      answerId: mcq.answerId,
-      explanation: mcq.explanation,
-    });
+    // Re-served reviews are not new exposures, so they do not count towards `asked`.
+    if (isBankQuestionId(served.question_id) && !seen.has(String(served.question_id))) {
+      try {
+        await recordBankStats({ questionId: served.question_id, asked: true });
+      } catch (statErr) {
+        console.warn('Failed to update bank stats (non-fatal):', statErr?.message || statErr);
+      }
+    }
 
     // Record asked question to reduce repetition and show in Recent Questions
     try {
       await recordQuestionAsked({
         userId,
         topic: trimmedTopic,
-        questionId: saved.questionId,
-        question: mcq.question,
+        questionId: served.question_id,
+        question: served.question,
+        reviewKey: review?.key,
       });
-      console.log(`Recorded question ${saved.questionId} for user ${userId}`);
+      console.log(`Recorded question ${served.question_id} for user ${userId}`);
     } catch (recErr) {
       console.error('Failed to record question (non-fatal):', recErr?.message || recErr);
     }
 
     // For demo: return question + choices + question_id; keep answer server-side.
     return res.json({
-      topic: topic.trim(),
-      question_id: saved.questionId,
-      question: mcq.question,
-      choices: mcq.choices
+      topic: trimmedTopic,
+      topic_id: key,
+      question_id: served.question_id,
+      ...publicView(served),
+      source,
+      ...(review ? {
+        review: {
+          key: review.key,
+          due_at: review.due_at,
+          lapses: review.lapses,
+          repetitions: review.repetitions,
+        },
+      } : {}),
+      ...(selection ? {
+        selection: {
+          topic: selection.topicKey,
+          mastery: selection.mastery,
+          difficulty: served.irt?.b ?? selection.difficulty,
+          level: lvl,
+          expected_success: theta === null
+            ? null
+            : Math.round(irtProbability(theta, served.irt || { b: selection.difficulty }) * 100) / 100,
+          strategy: selection.strategy,
+          reason: selection.reason,
+        },
+      } : {}),
+      prerequisites: suggestPrerequisites(taxonomy, state?.topics, key, mastery),
     });
   } catch (e) {
     console.error('tutor mcq error:', e?.message || e);
@@ -198,28 +475,92 @@ router.post('/mcq', async (req, res) => {
   }
 });
 
-// POST /api/tutor/answer { question_id, chosenId }
+// POST /api/tutor/answer { question_id, response } (or legacy { question_id, chosenId } for MCQs)
+// `response` depends on the item type: "B" | ["A","C"] | { value } | { text } | { order } | { pairs }.
 router.post('/answer', async (req, res) => {
   try {
     const userId = req.user?.id;
-    const { question_id, chosenId } = req.body || {};
+    const { question_id, chosenId, response } = req.body || {};
+    const answer = response !== undefined && response !== null ? response : chosenId;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
-    if (!question_id || !chosenId) return res.status(400).json({ error: 'question_id and chosenId required' });
-
-    const q = await getQuestion(question_id);
-    if (!q) return res.status(404).json({ error: 'Question not found (expired). Please request a new question.' });
-    if (q.user_id && q.user_id !== userId) return res.status(403).json({ error: 'Not allowed' });
+    if (!question_id || answer === undefined || answer === null || answer === '') {
+      return res.status(400).json({ error: 'question_id and response (or chosenId) required' });
+    }
 
-    const isCorrect = String(chosenId).toUpperCase() === String(q.answer_id).toUpperCase();
+    const priorState = await getKnowledge(userId);
+    const loaded = await loadServedQuestion(question_id, userId, priorState);
+    if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+    const { q, fromBank } = loaded;
+
+    const grade = gradeResponse(q, answer);
+    const isCorrect = grade.correct;
+
+    // Knowledge tracing: update the topic's mastery estimate from this answer.
+    // Hints revealed for this question (POST /hint) reduce the credit for a correct answer.
+    // Only the first answer to a question counts; later ones are graded and rescheduled only.
+    const [resolved, taxonomy] = await Promise.all([resolveTopic(q.topic || 'General'), getTaxonomy()]);
+    const key = resolved.id;
+    const ktParams = await getTopicParams(key);
+    const hintsUsed = Number(priorState?.hints_used?.[question_id] || 0);
+    const repeat = hasAnswered(priorState, question_id);
+    const priorMastery = priorState?.kt?.[key]?.p_known ?? priorState?.topics?.[key] ?? normalizeBktParams(ktParams).p_init;
+    const estimate = repeat
+      ? currentEstimate({ state: priorState, topicKey: key, params: ktParams })
+      : traceAnswer({ state: priorState, topicKey: key, correct: isCorrect, hintsUsed, params: ktParams });
+
+    // Spaced repetition: a miss schedules the item; any later answer reschedules it.
+    // A question served for a due review reschedules that review (a `t:` topic review is
+    // usually answered through a bank question).
+    const reviewKey = servedReviewKey(priorState, question_id)
+      || reviewKeyFor({ questionId: question_id, topicKey: key, fromBank });
+    const reviewEntry = scheduleAnswer(priorState?.reviews?.[reviewKey] || null, {
+      key: reviewKey,
+      questionId: fromBank ? question_id : null,
+      topic: q.topic,
+      topicKey: key,
+      correct: isCorrect,
+    });
 
     // Update DynamoDB knowledge state (primary)
     const ddbState = await updateKnowledge({
       userId,
       topic: q.topic || 'General',
+      topicKey: key,
       correct: isCorrect,
       questionId: question_id,
+      estimate,
+      review: reviewEntry ? { key: reviewKey, entry: reviewEntry } : null,
+      hintsUsed,
+      repeat,
     });
 
+    // Keep the review schedule bounded.
+    const overflow = reviewsOverCap(ddbState?.reviews);
+    if (overflow.length) {
+      try {
+        await updateReviews({ userId, remove: overflow });
+        for (const k of overflow) delete ddbState.reviews[k];
+      } catch (revErr) {
+        console.warn('Failed to trim reviews (non-fatal):', revErr?.message || revErr);
+      }
+    }
+
+    if (fromBank && !repeat) {
+      try {
+        // Calibrate the item against the learner's ability *before* this answer.
+        // Hinted answers still count in the stats but say little about the item's difficulty.
+        await recordBankAnswer({
+          questionId: question_id,
+          correct: isCorrect,
+          theta: hintsUsed ? null : abilityFromMastery(priorMastery),
+        });
+      } catch (statErr) {
+        console.warn('Failed to update bank stats (non-fatal):', statErr?.message || statErr);
+      }
+    }
+
+    const rollup = rollupMastery(taxonomy, ddbState?.topics);
+
     // Mirror to Supabase for existing UI (best-effort)
     let supa = null;
     try {
@@ -242,7 +583,29 @@ router.post('/answer', async (req, res) => {
 
     return res.json({
       correct: isCorrect,
+      item_type: itemTypeOf(q),
+      score: grade.score,
+      feedback: grade.feedback,
+      mistakes: grade.mistakes,
       explanation: isCorrect ? '' : (q.explanation || ''),
+      solution_steps: Array.isArray(q.solution_steps) ? q.solution_steps : [],
+      hints_used: hintsUsed,
+      credit: isCorrect && !repeat ? hintCredit(hintsUsed) : 0,
+      // Answered before: graded, but mastery and the item's calibration are unchanged.
+      repeat,
+      mastery: {
+        topic: key,
+        value: estimate.p_known,
+        ci_low: estimate.ci_low,
+        ci_high: estimate.ci_high,
+        model: estimate.model,
+      },
+      // Rolled-up mastery of the topic's parents, nearest first.
+      parents: ancestorsOf(taxonomy, key).map((id) => ({ topic: id, value: rollup[id] ?? null })),
+      prerequisites: suggestPrerequisites(taxonomy, ddbState?.topics, key, estimate.p_known),
+      review: reviewEntry
+        ? { key: reviewKey, due_at: reviewEntry.due_at, interval_days: reviewEntry.interval_days }
+        : null,
       knowledge: ddbState || null,
       knowledgeState: supa,
     });
@@ -253,13 +616,51 @@ router.post('/answer', async (req, res) => {
   }
 });
 
+// POST /api/tutor/hint { question_id }
+// Reveals the next stored hint for an unanswered question. Each hint lowers the
+// knowledge-tracing credit of a correct answer (see services/knowledgeTracing.js).
+router.post('/hint', async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const { question_id } = req.body || {};
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+    if (!question_id) return res.status(400).json({ error: 'question_id required' });
+
+    const state = await getKnowledge(userId);
+    const loaded = await loadServedQuestion(question_id, userId, state);
+    if (loaded.error) return res.status(loaded.status).json({ error: loaded.error });
+    const hints = Array.isArray(loaded.q.hints) ? loaded.q.hints : [];
+
+    let used = Number(state?.hints_used?.[question_id] || 0);
+    let hint = null;
+    if (used < hints.length) {
+      used = await recordHintUsed({ userId, questionId: question_id });
+      hint = hints[Math.min(used, hints.length) - 1];
+    }
+
+    return res.json({
+      question_id,
+      hint,
+      tier: hint ? Math.min(used, hints.length) : null,
+      hints_used: used,
+      hints_total: hints.length,
+      remaining: Math.max(0, hints.length - used),
+      message: hint ? undefined : (hints.length ? 'No more hints for this question.' : 'This question has no hints.'),
+    });
+  } catch (e) {
+    console.error('tutor hint error:', e?.message || e);
+    const msg = e?.message || 'Failed to get hint';
+    return res.status(500).json({ message: msg, error: msg });
+  }
+});
+
 // GET /api/tutor/state
 router.get('/state', async (req, res) => {
   try {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
-    const state = await getKnowledge(userId);
-    return res.json({ knowledge: state || null });
+    const [state, taxonomy] = await Promise.all([getKnowledge(userId), getTaxonomy()]);
+    return res.json({ knowledge: state || null, rollup: rollupMastery(taxonomy, state?.topics) });
   } catch (e) {
     console.error('tutor state error:', e?.message || e);
     const msg = e?.message || 'Failed to load tutor state';
@@ -267,6 +668,134 @@ router.get('/state', async (req, res) => {
   }
 });
 
+// GET /api/tutor/reviews/due?topic=&limit=
+// Spaced-repetition items due now, oldest first, plus the earliest due date overall.
+router.get('/reviews/due', async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+    const { topic, limit } = req.query || {};
+    const state = await getKnowledge(userId);
+    const due = dueReviews(state, {
+      topicKey: topic ? (await normalizeTopic(String(topic)))?.id : undefined,
+      limit: Math.max(1, Math.min(100, Number(limit) || 20)),
+    });
+    return res.json({
+      due,
+      count: due.length,
+      scheduled: Object.keys(state?.reviews || {}).length,
+      next_due_at: nextDueAt(state),
+    });
+  } catch (e) {
+    console.error('tutor reviews error:', e?.message || e);
+    const msg = e?.message || 'Failed to load due reviews';
+    return res.status(500).json({ message: msg, error: msg });
+  }
+});
+
+// GET /api/tutor/bank?topic=&q=&level=&limit=&cursor=
+// Admin search over the permanent question bank (includes answers and stats).
+router.get('/bank', authorize(PERMISSIONS.MANAGE_AI), async (req, res) => {
+  try {
+    const { topic, q, level, limit, cursor } = req.query || {};
+    const result = await searchBank({
+      topicKey: topic ? (await normalizeTopic(String(topic)))?.id : undefined,
+      level,
+      text: q ? String(q) : undefined,
+      cursor,
+      limit,
+    });
+    return res.json(result);
+  } catch (e) {
+    console.error('tutor bank search error:', e?.message || e);
+    const msg = e?.message || 'Failed to search question bank';
+    return res.status(500).json({ message: msg, error: msg });
+  }
+});
+
+// GET /api/tutor/rejections?topic=&code=&limit= (admin)
+// Generated items the quality gate rejected (services/mcqVerifier.js), newest first.
+router.get('/rejections', authorize(PERMISSIONS.MANAGE_AI), async (req, res) => {
+  try {
+    const { topic, code, limit } = req.query || {};
+    const items = await listRejections({
+      topicKey: topic ? (await normalizeTopic(String(topic)))?.id : undefined,
+      code: code ? String(code) : undefined,
+      limit,
+    });
+    return res.json({ items, count: items.length });
+  } catch (e) {
+    console.error('tutor rejections error:', e?.message || e);
+    const msg = e?.message || 'Failed to list rejected questions';
+    return res.status(500).json({ message: msg, error: msg });
+  }
+});
+
+// GET /api/tutor/topics
+// The topic taxonomy (canonical ids, aliases, parents, prerequisites).
+router.get('/topics', async (_req, res) => {
+  try {
+    const taxonomy = await getTaxonomy();
+    return res.json({ topics: listTopics(taxonomy), source: taxonomy.source });
+  } catch (e) {
+    console.error('tutor topics list error:', e?.message || e);
+    const msg = e?.message || 'Failed to load topics';
+    return res.status(500).json({ message: msg, error: msg });
+  }
+});
+
+// GET /api/tutor/topics/resolve?q=adding%20fractions
+router.get('/topics/resolve', async (req, res) => {
+  try {
+    const resolved = await normalizeTopic(String(req.query?.q || ''));
+    return res.json({ topic: resolved });
+  } catch (e) {
+    console.error('tutor topic resolve error:', e?.message || e);
+    const msg = e?.message || 'Failed to resolve topic';
+    return res.status(500).json({ message: msg, error: msg });
+  }
+});
+
+function topicErrorStatus(e) {
+  return (typeof e?.status === 'number' && e.status >= 400 && e.status < 600) ? e.status : 500;
+}
+
+// POST /api/tutor/topics { id?, name, aliases?, parent_id?, prerequisites?, description? }
+router.post('/topics', authorize(PERMISSIONS.MANAGE_AI), async (req, res) => {
+  try {
+    const topic = await createTopic(req.body || {});
+    return res.status(201).json({ topic });
+  } catch (e) {
+    console.error('tutor topic create error:', e?.message || e);
+    const msg = e?.message || 'Failed to create topic';
+    return res.status(topicErrorStatus(e)).json({ message: msg, error: msg });
+  }
+});
+
+// PUT /api/tutor/topics/:id { name?, aliases?, parent_id?, prerequisites?, description? }
+router.put('/topics/:id', authorize(PERMISSIONS.MANAGE_AI), async (req, res) => {
+  try {
+    const topic = await updateTopic(String(req.params.id), req.body || {});
+    return res.json({ topic });
+  } catch (e) {
+    console.error('tutor topic update error:', e?.message || e);
+    const msg = e?.message || 'Failed to update topic';
+    return res.status(topicErrorStatus(e)).json({ message: msg, error: msg });
+  }
+});
+
+// DELETE /api/tutor/topics/:id
+router.delete('/topics/:id', authorize(PERMISSIONS.MANAGE_AI), async (req, res) => {
+  try {
+    await deleteTopic(String(req.params.id));
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('tutor topic delete error:', e?.message || e);
+    const msg = e?.message || 'Failed to delete topic';
+    return res.status(topicErrorStatus(e)).json({ message: msg, error: msg });
+  }
+});
+
 module.exports = router;
 
 
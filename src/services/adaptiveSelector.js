@@ -0,0 +1,121 @@
+/**
+ * Server-side choice of the next topic and difficulty for `/api/tutor/mcq` with
+ * `mode: "auto"`.
+ *
+ * Topic: the learner's unmastered topic whose mastery estimate is least certain (widest
+ * credible interval), so each answer tells us the most. When every topic is mastered, the
+ * least recently practised one is reviewed.
+ *
+ * Difficulty: from the topic ability (logit of mastery, see ./irt.js) either aim for a
+ * target success rate (TUTOR_TARGET_SUCCESS, default 0.7) or, with
+ * TUTOR_SELECTION_STRATEGY=information, for maximum Fisher information (50% success).
+ */
+const { credibleInterval } = require('./knowledgeTracing');
+const {
+  abilityFromMastery,
+  difficultyForLevel,
+  difficultyForSuccess,
+  levelForDifficulty,
+} = require('./irt');
+
+const MASTERED_AT = 0.95;
+const DEFAULT_TARGET_SUCCESS = 0.7;
+
+function round2(x) {
+  return Math.round(Number(x) * 100) / 100;
+}
+
+function selectionStrategy() {
+  const strategy = String(process.env.TUTOR_SELECTION_STRATEGY || 'target').toLowerCase();
+  const target = Number(process.env.TUTOR_TARGET_SUCCESS);
+  if (strategy === 'information') return { strategy, targetSuccess: 0.5 };
+  return {
+    strategy: 'target',
+    targetSuccess: Number.isFinite(target) && target > 0 && target < 1 ? target : DEFAULT_TARGET_SUCCESS,
+  };
+}
+
+/** Per-topic mastery summaries from a knowledge item (`topics` + `kt`). */
+function topicSummaries(state) {
+  const topics = state?.topics && typeof state.topics === 'object' ? state.topics : {};
+  const kt = state?.kt && typeof state.kt === 'object' ? state.kt : {};
+  const keys = new Set([...Object.keys(topics), ...Object.keys(kt)]);
+  return Array.from(keys).map((key) => {
+    const est = kt[key] || null;
+    const mastery = Number(est?.p_known ?? topics[key]);
+    const p = Number.isFinite(mastery) ? mastery : 0;
+    const observations = Number(est?.observations || 0);
+    const [ciLow, ciHigh] = Number.isFinite(Number(est?.ci_low)) && Number.isFinite(Number(est?.ci_high))
+      ? [Number(est.ci_low), Number(est.ci_high)]
+      : credibleInterval(p, observations);
+    return { key, mastery: p, ciLow, ciHigh, observations, updatedAt: String(est?.updated_at || '') };
+  });
+}
+
+function chooseTopic(state) {
+  const summaries = topicSummaries(state);
+  if (!summaries.length) return null;
+
+  const open = summaries.filter((s) => s.mastery < MASTERED_AT);
+  if (open.length) {
+    const width = (s) => s.ciHigh - s.ciLow;
+    open.sort((x, y) => (width(y) - width(x)) || (x.mastery - y.mastery));
+    const best = open[0];
+    return {
+      ...best,
+      reason: `mastery ${round2(best.mastery)} (95% CI ${round2(best.ciLow)}-${round2(best.ciHigh)}) `
+        + `is the least certain of your ${open.length} unmastered topic${open.length === 1 ? '' : 's'}`,
+    };
+  }
+
+  summaries.sort((x, y) => x.updatedAt.localeCompare(y.updatedAt));
+  return { ...summaries[0], reason: 'every topic is mastered; reviewing the least recently practised one' };
+}
+
+/**
+ * Choose the next topic (unless `topicKey` is given) and the target difficulty.
+ * Returns null when the learner has no topics yet and none was given.
+ * @returns {{ topicKey, mastery, theta, difficulty, level, targetSuccess, strategy, reason }|null}
+ */
+function selectNext({ state, topicKey, level }) {
+  let pick;
+  if (topicKey) {
+    const own = topicSummaries(state).find((s) => s.key === topicKey);
+    pick = own
+      ? { ...own, reason: `requested topic, mastery ${round2(own.mastery)}` }
+      : { key: topicKey, mastery: null, reason: 'requested topic, no answers yet' };
+  } else {
+    pick = chooseTopic(state);
+    if (!pick) return null;
+  }
+
+  const { strategy, targetSuccess } = selectionStrategy();
+  const theta = abilityFromMastery(pick.mastery);
+  // Without an ability estimate, fall back to the requested level (or the easiest).
+  const difficulty = theta === null
+    ? round2(difficultyForLevel(level || 1))
+    : difficultyForSuccess(theta, targetSuccess);
+  const aim = strategy === 'information'
+    ? 'maximum information (~50% success)'
+    : `~${Math.round(targetSuccess * 100)}% success`;
+
+  return {
+    topicKey: pick.key,
+    mastery: pick.mastery,
+    theta,
+    difficulty,
+    level: levelForDifficulty(difficulty),
+    targetSuccess,
+    strategy,
+    reason: theta === null
+      ? `${pick.reason}; no ability estimate yet, starting at level ${levelForDifficulty(difficulty)}`
+      : `${pick.reason}; ability ${theta} on this topic, aiming for ${aim}`,
+  };
+}
+
+module.exports = {
+  MASTERED_AT,
+  topicSummaries,
+  chooseTopic,
+  selectNext,
+};
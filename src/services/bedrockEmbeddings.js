@@ -9,15 +9,33 @@ function getEmbedModelId() {
   return process.env.BEDROCK_EMBED_MODEL_ID || 'amazon.titan-embed-text-v2:0';
 }
 
+function embeddingProvider() {
+  // If OpenAI is configured, prefer it (Bedrock is blocked for this account).
+  const provider = String(process.env.EMBEDDINGS_PROVIDER || '').toLowerCase(); // 'openai' | 'bedrock' | 'local' | ''
+  if (provider === 'local') return 'local';
+  const hasOpenAIKey = Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras);
+  return provider === 'openai' || (provider !== 'bedrock' && hasOpenAIKey) ? 'openai' : 'bedrock';
+}
+
+/** Identifies the model embedText uses, e.g. "openai:text-embedding-3-small" (stored by documentRegistry.js). */
+function embeddingModel() {
+  const provider = embeddingProvider();
+  if (provider === 'local') return require('./localLlm').localEmbeddingModel();
+  if (provider === 'openai') return `openai:${process.env.OPENAI_EMBED_MODEL || 'text-embedding-3-small'}`;
+  return `bedrock:${getEmbedModelId()}`;
+}
+
 /**
  * Generate a single embedding vector for input text.
  * Supports Titan embeddings response shape. (Other providers can be added later.)
  */
 async function embedText(text) {
-  // If OpenAI is configured, prefer it (Bedrock is blocked for this account).
-  const provider = String(process.env.EMBEDDINGS_PROVIDER || '').toLowerCase(); // 'openai' | 'bedrock' | ''
-  const hasOpenAIKey = Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras);
-  if (provider === 'openai' || (provider !== 'bedrock' && hasOpenAIKey)) {
+  const provider = embeddingProvider();
+  if (provider === 'local') {
+    const { embedText: localEmbed } = require('./localLlm');
+    return await localEmbed(text);
+  }
+  if (provider === 'openai') {
     const { embedText: openaiEmbed } = require('./openaiEmbeddings');
     return await openaiEmbed(text);
   }
@@ -54,6 +72,7 @@ async function embedText(text) {
 
 module.exports = {
   embedText,
+  embeddingModel,
 };
 
 
@@ -1,4 +1,5 @@
 const { BedrockRuntimeClient, InvokeModelCommand, ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { defineProvider } = require('./llmProvider');
 
 function getAwsRegion() {
   return process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
@@ -14,14 +15,6 @@ function isNovaModel(modelId) {
   return id.startsWith('amazon.nova-');
 }
 
-function extractFirstJsonObject(text) {
-  const raw = String(text || '').trim();
-  if (!raw) return null;
-  // Try to find the first {...} block
-  const m = raw.match(/\{[\s\S]*\}/);
-  return m ? m[0] : null;
-}
-
 function enrichBedrockError(err, { modelId }) {
   const name = err?.name || 'Error';
   const msg = String(err?.message || '');
@@ -37,53 +30,21 @@ function enrichBedrockError(err, { modelId }) {
   return err;
 }
 
+function isConfigured() {
+  return Boolean(process.env.BEDROCK_CHAT_MODEL_ID);
+}
+
 /**
- * Generate a single multiple-choice question (A-D) using Bedrock.
- * Returns structured data the frontend can render as clickable options.
+ * Send one prompt to a Bedrock chat model and return its text output.
+ * The verifier role uses BEDROCK_VERIFIER_MODEL_ID when set so the quality-gate check
+ * comes from a different model.
  */
-async function generateMcq({ topic, level = 1, avoidQuestions = [], mastery, context = '' }) {
-  const region = getAwsRegion();
-  const modelId = process.env.BEDROCK_CHAT_MODEL_ID;
-  if (!modelId) {
+async function complete({ prompt, maxTokens = 1000, temperature = 0.4, role = 'generator', signal }) {
+  const chatModelId = process.env.BEDROCK_CHAT_MODEL_ID;
+  if (!chatModelId) {
     throw new Error('Missing BEDROCK_CHAT_MODEL_ID');
   }
-
-  // Build prompt parts
-  const promptParts = [
-    `You are Pythagoras Chat, an AI Smart Tutor.`,
-    `Create ONE multiple-choice question (A-D) about the topic: "${topic}".`,
-    `Difficulty level: ${level} (1=easy, 10=hard).`,
-  ];
-
-  // Add mastery info if available
-  if (typeof mastery === 'number') {
-    promptParts.push(`User estimated mastery for this topic: ${Math.max(0, Math.min(1, mastery)).toFixed(2)} (0=novice, 1=master).`);
-  }
-
-  // Add retrieved context from Knowledge Base (RAG)
-  if (context && context.trim()) {
-    promptParts.push(
-      `\n--- REFERENCE MATERIAL (from knowledge base) ---`,
-      context.slice(0, 3000),
-      `--- END REFERENCE MATERIAL ---`,
-      `Use the reference material above to create an accurate, relevant question. You may also use your own knowledge to supplement.`
-    );
-  }
-
-  // Avoid repeating questions
-  if (Array.isArray(avoidQuestions) && avoidQuestions.length) {
-    promptParts.push(
-      `Do NOT repeat or paraphrase any of these recent questions:`,
-      ...avoidQuestions.slice(0, 6).map((q, i) => `${i + 1}. ${String(q).slice(0, 240)}`)
-    );
-  }
-
-  promptParts.push(
-    `Return ONLY valid JSON with this exact shape:`,
-    `{ "question": string, "choices": [{"id":"A","text":string},{"id":"B","text":string},{"id":"C","text":string},{"id":"D","text":string}], "answerId": "A"|"B"|"C"|"D", "explanation": string }`
-  );
-
-  const prompt = promptParts.join('\n');
+  const modelId = role === 'verifier' ? (process.env.BEDROCK_VERIFIER_MODEL_ID || chatModelId) : chatModelId;
 
   // Bedrock models vary by provider.
   // - Anthropic Claude uses the Messages API schema (anthropic_version + messages).
@@ -91,8 +52,8 @@ async function generateMcq({ topic, level = 1, avoidQuestions = [], mastery, con
   const body = isAnthropicModel(modelId)
     ? JSON.stringify({
         anthropic_version: 'bedrock-2023-05-31',
-        max_tokens: 700,
-        temperature: 0.4,
+        max_tokens: maxTokens,
+        temperature,
         top_p: 0.9,
         messages: [
           { role: 'user', content: [{ type: 'text', text: prompt }] }
@@ -101,13 +62,13 @@ async function generateMcq({ topic, level = 1, avoidQuestions = [], mastery, con
     : JSON.stringify({
         inputText: prompt,
         textGenerationConfig: {
-          maxTokenCount: 700,
-          temperature: 0.4,
+          maxTokenCount: maxTokens,
+          temperature,
           topP: 0.9
         }
       });
 
-  const client = new BedrockRuntimeClient({ region });
+  const client = new BedrockRuntimeClient({ region: getAwsRegion() });
   let raw;
   try {
     if (isNovaModel(modelId)) {
@@ -115,21 +76,21 @@ async function generateMcq({ topic, level = 1, avoidQuestions = [], mastery, con
       const cresp = await client.send(new ConverseCommand({
         modelId,
         messages: [{ role: 'user', content: [{ text: prompt }] }],
-        inferenceConfig: { maxTokens: 700, temperature: 0.4, topP: 0.9 },
-      }));
+        inferenceConfig: { maxTokens, temperature, topP: 0.9 },
+      }), { abortSignal: signal });
       raw = String(cresp?.output?.message?.content?.[0]?.text || '').trim();
       if (!raw) {
         throw new Error('Bedrock Converse returned empty output');
       }
-    } else {
-      const resp = await client.send(new InvokeModelCommand({
-        modelId,
-        contentType: 'application/json',
-        accept: 'application/json',
-        body
-      }));
-      raw = Buffer.from(resp.body).toString('utf-8');
+      return raw;
     }
+    const resp = await client.send(new InvokeModelCommand({
+      modelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body
+    }), { abortSignal: signal });
+    raw = Buffer.from(resp.body).toString('utf-8');
   } catch (e) {
     throw enrichBedrockError(e, { modelId });
   }
@@ -138,10 +99,8 @@ async function generateMcq({ topic, level = 1, avoidQuestions = [], mastery, con
   try {
     envelope = JSON.parse(raw);
   } catch (_) {
-    // Converse often returns plain text; allow extracting JSON from text
-    const jsonBlock = extractFirstJsonObject(raw);
-    if (!jsonBlock) throw new Error(`Bedrock returned non-JSON output: ${raw.slice(0, 200)}`);
-    envelope = JSON.parse(jsonBlock);
+    // Not a JSON envelope: the text itself is the model output.
+    return raw;
   }
 
   // Extract generated text from provider-specific envelope
@@ -156,36 +115,12 @@ async function generateMcq({ topic, level = 1, avoidQuestions = [], mastery, con
     envelope?.text ||
     null;
 
-  const candidate = (typeof textOut === 'string' ? textOut : null) || (typeof envelope === 'string' ? envelope : null);
-  let finalObj = null;
-
-  // Best case: the envelope itself is the object we need
-  if (envelope?.question && Array.isArray(envelope?.choices) && envelope?.answerId) {
-    finalObj = envelope;
-  } else if (candidate) {
-    try {
-      finalObj = JSON.parse(candidate);
-    } catch (_) {
-      const jsonBlock = extractFirstJsonObject(candidate);
-      if (!jsonBlock) throw new Error(`Bedrock returned non-JSON output: ${candidate.slice(0, 200)}`);
-      finalObj = JSON.parse(jsonBlock);
-    }
-  }
-
-  if (!finalObj?.question || !Array.isArray(finalObj?.choices) || !finalObj?.answerId) {
-    throw new Error(`Bedrock MCQ response missing required fields (model=${modelId})`);
-  }
-
-  return {
-    question: finalObj.question,
-    choices: finalObj.choices,
-    answerId: String(finalObj.answerId).toUpperCase(),
-    explanation: finalObj.explanation || ''
-  };
+  // Some models return the result object itself as the envelope.
+  return typeof textOut === 'string' ? textOut : raw;
 }
 
-module.exports = {
-  generateMcq
-};
-
-
+/**
+ * Bedrock provider: `generateMcq` creates a single tutor item (an A-D multiple-choice question
+ * by default, or another `itemType` from itemTypes.js); `solveQuestion` backs the quality gate.
+ */
+module.exports = defineProvider({ name: 'bedrock', label: 'Bedrock', isConfigured, complete });
@@ -0,0 +1,332 @@
+/**
+ * Shared chunking for every indexing path (/api/kb/*, /api/rag/index-school, /api/ai-admin/index-files, ...).
+ *
+ * Strategies (CHUNK_STRATEGY, default "recursive") split at the coarsest boundary that brings a piece
+ * under the size limit, then pack neighbouring pieces back together up to that limit:
+ * - "recursive": headings, then paragraphs, lines, sentences, words. A heading also starts a new chunk,
+ *   so sections are not mixed.
+ * - "paragraph": paragraphs, then lines, sentences, words.
+ * - "sentence": sentences, then words.
+ * - "fixed": equal token windows cut at word boundaries.
+ *
+ * Sizes are in tokens, estimated without a tokenizer (about 4 characters per word piece, which tracks
+ * OpenAI's cl100k closely for prose). `maxTokens` (CHUNK_MAX_TOKENS, default 300) includes the overlap:
+ * each chunk after the first repeats up to `overlapTokens` (CHUNK_OVERLAP_TOKENS, default 40) from the
+ * end of the previous one, starting on a sentence or word boundary. A recursive chunk that opens a new
+ * section gets no overlap.
+ *
+ * Tables (pipe or tab separated rows), fenced code and LaTeX (`$$…$$`, `\[…\]`, `\begin{env}…\end{env}`,
+ * inline `$…$` / `\(…\)`) are never cut, so a chunk may exceed the limit to hold one. Blocks longer than
+ * twice the limit are split like other text; tables then break between rows.
+ *
+ * Every chunk records `strategy` as "<name>:<maxTokens>:<overlapTokens>", stored as `chunk_strategy`.
+ */
+const CHUNK_STRATEGIES = ['recursive', 'paragraph', 'sentence', 'fixed'];
+const DEFAULT_MAX_TOKENS = 300;
+const DEFAULT_OVERLAP_TOKENS = 40;
+const MIN_TOKENS = 50;
+const MAX_TOKENS = 2000;
+const CHARS_PER_TOKEN = 4;
+
+const HEADING_LINE = String.raw`[ \t]{0,3}(?:#{1,6}[ \t]|(?:chapter|section|unit|lesson|part)[ \t]+[\dIVXLC]+\b)`;
+
+const SEPARATORS = {
+  heading: new RegExp(String.raw`\n+(?=${HEADING_LINE})`, 'gi'),
+  paragraph: /\n[ \t]*\n\s*/g,
+  line: /[ \t]*\n\s*/g,
+  sentence: /(?<=[.!?])\s+/g,
+  word: /\s+/g,
+};
+
+const LEVELS = {
+  recursive: ['heading', 'paragraph', 'line', 'sentence', 'word'],
+  paragraph: ['paragraph', 'line', 'sentence', 'word'],
+  sentence: ['sentence', 'word'],
+  fixed: ['word'],
+};
+
+const ATOMIC_BLOCKS = [
+  /```[\s\S]*?```/g,
+  /\$\$[\s\S]+?\$\$/g,
+  /\\\[[\s\S]+?\\\]/g,
+  /\\begin\{([a-zA-Z*]+)\}[\s\S]*?\\end\{\1\}/g,
+  /\\\([\s\S]+?\\\)/g,
+  /\$[^$\n]+\$/g,
+  /^[ \t]*\|.*(?:\n[ \t]*\|.*)+/gm,
+  /^[^\n\t]*\t[^\n]*(?:\n[^\n\t]*\t[^\n]*)+/gm,
+];
+
+const HEADING_TITLE = new RegExp(String.raw`^(?:[ \t]{0,3}(#{1,6})[ \t]+(.+?)[ \t#]*|[ \t]*(((?:chapter|section|unit|lesson|part))[ \t]+[\dIVXLC]+\b.*?)[ \t]*)$`, 'gim');
+
+/** Estimated token count (word pieces of up to 4 characters, punctuation as one token each). */
+function countTokens(text) {
+  let n = 0;
+  for (const piece of String(text || '').match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || []) {
+    n += Math.ceil(piece.length / CHARS_PER_TOKEN);
+  }
+  return n;
+}
+
+function envInt(name, fallback, min, max) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+/** Options from CHUNK_STRATEGY / CHUNK_MAX_TOKENS / CHUNK_OVERLAP_TOKENS (out-of-range values are clamped). */
+function defaultChunkOptions() {
+  const strategy = String(process.env.CHUNK_STRATEGY || 'recursive').toLowerCase();
+  const maxTokens = envInt('CHUNK_MAX_TOKENS', DEFAULT_MAX_TOKENS, MIN_TOKENS, MAX_TOKENS);
+  return {
+    strategy: CHUNK_STRATEGIES.includes(strategy) ? strategy : 'recursive',
+    maxTokens,
+    overlapTokens: envInt('CHUNK_OVERLAP_TOKENS', DEFAULT_OVERLAP_TOKENS, 0, Math.floor(maxTokens / 2)),
+  };
+}
+
+function badOption(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Chunking options from a request's `chunking` object, filled in from the env defaults.
+ * Throws (status 400) on an unknown strategy or out-of-range sizes.
+ * @returns {{ strategy: string, maxTokens: number, overlapTokens: number }}
+ */
+function resolveChunkOptions(input) {
+  const defaults = defaultChunkOptions();
+  const opts = input && typeof input === 'object' ? input : {};
+  const strategy = opts.strategy === undefined ? defaults.strategy : String(opts.strategy).toLowerCase();
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    throw badOption(`chunking.strategy must be one of: ${CHUNK_STRATEGIES.join(', ')}`);
+  }
+  const maxTokens = opts.maxTokens === undefined ? defaults.maxTokens : Number(opts.maxTokens);
+  if (!Number.isInteger(maxTokens) || maxTokens < MIN_TOKENS || maxTokens > MAX_TOKENS) {
+    throw badOption(`chunking.maxTokens must be an integer from ${MIN_TOKENS} to ${MAX_TOKENS}`);
+  }
+  const overlapTokens = opts.overlapTokens === undefined
+    ? Math.min(defaults.overlapTokens, Math.floor(maxTokens / 2))
+    : Number(opts.overlapTokens);
+  if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+    throw badOption('chunking.overlapTokens must be an integer from 0 to half of maxTokens');
+  }
+  return { strategy, maxTokens, overlapTokens };
+}
+
+/** The `chunk_strategy` label stored with each chunk, e.g. "recursive:300:40". */
+function strategyLabel({ strategy, maxTokens, overlapTokens }) {
+  return `${strategy}:${maxTokens}:${overlapTokens}`;
+}
+
+/** Non-overlapping [start, end) spans that must not be cut, merged where they touch. */
+function atomicSpans(text, limit) {
+  const spans = [];
+  for (const re of ATOMIC_BLOCKS) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text))) {
+      if (countTokens(m[0]) <= limit) spans.push({ start: m.index, end: m.index + m[0].length });
+    }
+  }
+  spans.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const s of spans) {
+    const last = merged[merged.length - 1];
+    if (last && s.start < last.end) last.end = Math.max(last.end, s.end);
+    else merged.push({ ...s });
+  }
+  return merged;
+}
+
+/** The first span ending after `pos` (spans are sorted and disjoint, so their ends are sorted too). */
+function spanEndingAfter(spans, pos) {
+  let lo = 0;
+  let hi = spans.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (spans[mid].end > pos) hi = mid;
+    else lo = mid + 1;
+  }
+  return spans[lo] || null;
+}
+
+function insideSpan(spans, pos) {
+  const span = spanEndingAfter(spans, pos);
+  return span && span.start < pos ? span : null;
+}
+
+function overlapsSpan(spans, start, end) {
+  const span = spanEndingAfter(spans, start);
+  return Boolean(span && span.start < end);
+}
+
+function withinSpan(spans, start, end) {
+  const span = spanEndingAfter(spans, start);
+  return Boolean(span && span.start <= start && end <= span.end);
+}
+
+/** Heading lines with their level: Markdown `#` count, or 1 for Chapter/Part/Unit and 2 for Section/Lesson. */
+function headingsOf(text, spans) {
+  const out = [];
+  HEADING_TITLE.lastIndex = 0;
+  let m;
+  while ((m = HEADING_TITLE.exec(text))) {
+    if (m[0].length <= 200 && !insideSpan(spans, m.index)) {
+      const level = m[1] ? m[1].length : (/^(section|lesson)$/i.test(m[4]) ? 2 : 1);
+      out.push({ pos: m.index, end: m.index + m[0].length, level, title: (m[2] || m[3]).trim() });
+    }
+    if (!m[0].length) HEADING_TITLE.lastIndex += 1;
+  }
+  return out;
+}
+
+function trimRange(text, start, end) {
+  let s = start;
+  let e = end;
+  while (s < e && /\s/.test(text[s])) s += 1;
+  while (e > s && /\s/.test(text[e - 1])) e -= 1;
+  return [s, e];
+}
+
+/** Last-resort cut into windows of `budget` tokens' worth of characters, never inside a protected span. */
+function hardSplit(ctx, start, end) {
+  const units = [];
+  const width = ctx.budget * CHARS_PER_TOKEN;
+  let s = start;
+  while (s < end) {
+    let e = Math.min(end, s + width);
+    const span = insideSpan(ctx.spans, e);
+    if (span) e = span.end;
+    units.push({ start: s, end: e, tokens: countTokens(ctx.text.slice(s, e)) });
+    s = e;
+  }
+  return units;
+}
+
+/** Split [start, end) into units of at most `budget` tokens (protected spans excepted). */
+function splitRange(ctx, start, end, levels) {
+  const [s, e] = trimRange(ctx.text, start, end);
+  if (s >= e) return [];
+  const tokens = countTokens(ctx.text.slice(s, e));
+  if (tokens <= ctx.budget || withinSpan(ctx.spans, s, e)) {
+    return [{ start: s, end: e, tokens }];
+  }
+  if (!levels.length) return hardSplit(ctx, s, e);
+
+  const [level, ...rest] = levels;
+  const re = new RegExp(SEPARATORS[level].source, SEPARATORS[level].flags);
+  const segment = ctx.text.slice(s, e);
+  const cuts = [];
+  let m;
+  while ((m = re.exec(segment))) {
+    const from = s + m.index;
+    const to = from + m[0].length;
+    if (!m[0].length) { re.lastIndex += 1; continue; }
+    if (!overlapsSpan(ctx.spans, from, to)) cuts.push([from, to]);
+  }
+  if (!cuts.length) return splitRange(ctx, s, e, rest);
+
+  const units = [];
+  let pos = s;
+  for (const [from, to] of cuts) {
+    units.push(...splitRange(ctx, pos, from, rest));
+    pos = to;
+  }
+  units.push(...splitRange(ctx, pos, e, rest));
+  return units;
+}
+
+/**
+ * Start of the overlap copied from the end of [start, end): the earliest word boundary whose tail fits in
+ * `overlapTokens`, moved to a sentence start when that keeps at least half of it.
+ */
+function overlapStart(ctx, start, end) {
+  if (!ctx.overlap) return end;
+  const { text } = ctx;
+  let best = end;
+  let bestSentence = end;
+  for (let p = end - 1; p > start; p--) {
+    if (!/\s/.test(text[p - 1]) || /\s/.test(text[p])) continue;
+    if (insideSpan(ctx.spans, p)) continue;
+    if (countTokens(text.slice(p, end)) > ctx.overlap) break;
+    best = p;
+    let q = p - 1;
+    while (q > start && /\s/.test(text[q]) && text[q] !== '\n') q -= 1;
+    if (/[.!?\n]/.test(text[q])) bestSentence = p;
+  }
+  return bestSentence < end && countTokens(text.slice(bestSentence, end)) * 2 >= ctx.overlap ? bestSentence : best;
+}
+
+/**
+ * Split `text` into chunks.
+ * @param {string} text
+ * @param {{ strategy?: string, maxTokens?: number, overlapTokens?: number }} [options] see resolveChunkOptions
+ * @returns {{ index: number, content: string, tokens: number, strategy: string, heading_path: string[],
+ *   heading_offset: number|null, char_start: number, char_end: number, overlap_tokens: number }[]}
+ *   `heading_path` lists the enclosing headings, outermost first; `heading_offset` is where the innermost
+ *   one starts. Offsets refer to the text after NUL removal and newline normalisation.
+ */
+function chunkDocument(text, options) {
+  const opts = resolveChunkOptions(options);
+  const clean = String(text || '').replace(/\u0000/g, ' ').replace(/\r\n?/g, '\n');
+  const budget = opts.maxTokens - opts.overlapTokens;
+  const spans = atomicSpans(clean, 2 * opts.maxTokens);
+  const headings = headingsOf(clean, spans);
+  const sectionStarts = new Set(opts.strategy === 'recursive' ? headings.map((h) => h.pos) : []);
+  const ctx = { text: clean, spans, budget, overlap: opts.overlapTokens };
+
+  const units = splitRange(ctx, 0, clean.length, LEVELS[opts.strategy]);
+  const cores = [];
+  let cur = null;
+  for (const u of units) {
+    const newSection = sectionStarts.has(u.start);
+    if (cur && ((newSection && cur.tokens * 4 >= budget) || cur.tokens + u.tokens > budget)) {
+      cores.push(cur);
+      cur = null;
+    }
+    if (cur) {
+      cur.end = u.end;
+      cur.tokens += u.tokens;
+    } else {
+      cur = { start: u.start, end: u.end, tokens: u.tokens, newSection };
+    }
+  }
+  if (cur) cores.push(cur);
+
+  const label = strategyLabel(opts);
+  const path = [];
+  let h = 0;
+  return cores.map((core, index) => {
+    const prev = cores[index - 1];
+    const start = prev && !core.newSection ? overlapStart(ctx, prev.start, prev.end) : core.start;
+    // Headings before the chunk, and those it opens with, give its place in the document.
+    let body = core.start;
+    for (; h < headings.length && headings[h].pos <= body; h++) {
+      while (path.length && path[path.length - 1].level >= headings[h].level) path.pop();
+      path.push(headings[h]);
+      if (headings[h].end > body) body = trimRange(clean, headings[h].end, core.end)[0];
+    }
+    const content = clean.slice(Math.min(start, core.start), core.end);
+    return {
+      index,
+      content,
+      tokens: countTokens(content),
+      strategy: label,
+      heading_path: path.map((p) => p.title),
+      heading_offset: path.length ? path[path.length - 1].pos : null,
+      char_start: Math.min(start, core.start),
+      char_end: core.end,
+      overlap_tokens: start < core.start ? countTokens(clean.slice(start, core.start)) : 0,
+    };
+  });
+}
+
+module.exports = {
+  CHUNK_STRATEGIES,
+  strategyLabel,
+  countTokens,
+  defaultChunkOptions,
+  resolveChunkOptions,
+  chunkDocument,
+};
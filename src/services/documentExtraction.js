@@ -0,0 +1,259 @@
+/**
+ * Text extraction for indexing, keeping the structure citations need.
+ *
+ * `extractDocument` returns the text to chunk (NULs removed, newlines normalised, so chunk offsets from
+ * chunking.js line up with it) plus:
+ * - `title`: PDF info Title, HTML <title> (or first <h1>), first Markdown `#` heading; else the file name.
+ * - `pages`: PDF page ranges as text offsets, for a chunk's page_start / page_end.
+ * - `anchors`: heading offset → URL fragment. HTML headings become Markdown heading lines so chunking
+ *   can split on them; the fragment is the heading's id (or a `:~:text=` fragment when it has none).
+ *   Markdown headings get GitHub-style slugs.
+ *
+ * PDFs are read with pdf-parse's text output by default; `pdf: 'layout'` (the knowledge-base pipeline's
+ * default, KB_PDF_EXTRACTION) uses pdfLayout.js instead, which keeps column order and formulas, drops
+ * running headers and adds a per-page `quality` report.
+ *
+ * Word, PowerPoint and Excel files go through officeExtraction.js. Other binary content (legacy .doc/.ppt,
+ * images) yields no text rather than bytes decoded as UTF-8.
+ *
+ * `chunkMetadata` turns a chunk into the stored fields (title, heading_path, page_start, page_end, anchor);
+ * PDF chunks link to `#page=<page_start>`.
+ */
+const { OFFICE_KINDS, extractOffice } = require('./officeExtraction');
+const { extractPdfLayout } = require('./pdfLayout');
+
+const MAX_TITLE_CHARS = 200;
+const BINARY_SNIFF_BYTES = 8192;
+const PDF_EXTRACTIONS = ['layout', 'text'];
+
+function defaultPdfExtraction() {
+  const mode = String(process.env.KB_PDF_EXTRACTION || 'layout').toLowerCase();
+  return PDF_EXTRACTIONS.includes(mode) ? mode : 'layout';
+}
+
+/** PDF extraction named by a request value ("layout" or "text"); missing means the KB default. */
+function resolvePdfExtraction(value) {
+  if (value === undefined || value === null || value === '') return defaultPdfExtraction();
+  const mode = String(value).toLowerCase();
+  if (!PDF_EXTRACTIONS.includes(mode)) {
+    const err = new Error(`pdfExtraction must be one of: ${PDF_EXTRACTIONS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return mode;
+}
+
+/** Document kind from a file name / URL path and optional content type. */
+function sniffType(key, contentType) {
+  const k = String(key || '').toLowerCase();
+  const ct = String(contentType || '').toLowerCase();
+  if (ct.includes('pdf') || k.endsWith('.pdf')) return 'pdf';
+  if (ct.includes('wordprocessingml') || k.endsWith('.docx')) return 'docx';
+  if (ct.includes('presentationml') || k.endsWith('.pptx') || k.endsWith('.ppsx')) return 'pptx';
+  if (ct.includes('spreadsheetml') || ct.includes('ms-excel') || ct.includes('opendocument.spreadsheet')
+    || /\.(xlsx|xlsm|xls|ods)$/.test(k)) return 'xlsx';
+  if (ct.includes('html') || k.endsWith('.html') || k.endsWith('.htm')) return 'html';
+  if (k.endsWith('.md') || k.endsWith('.txt') || k.endsWith('.json') || k.endsWith('.csv') || ct.startsWith('text/')) return 'text';
+  return 'unknown';
+}
+
+/** NUL bytes near the start mean binary content that would decode to junk. */
+function looksBinary(b) {
+  return b.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+function normalize(text) {
+  return String(text || '').replace(/\u0000/g, ' ').replace(/\r\n?/g, '\n');
+}
+
+function fileTitle(source) {
+  const name = String(source || '').split(/[?#]/)[0].split('/').filter(Boolean).pop() || '';
+  let decoded = name;
+  try { decoded = decodeURIComponent(name); } catch (_) {}
+  return decoded.replace(/\.[a-z0-9]{1,5}$/i, '').replace(/[_-]+/g, ' ').trim() || null;
+}
+
+function slugify(title) {
+  return String(title).toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').trim().replace(/\s+/g, '-');
+}
+
+async function extractPdf(b) {
+  const pdfParse = require('pdf-parse');
+  const pageTexts = [];
+  const parsed = await pdfParse(b, {
+    // Same line joining as pdf-parse's default renderer, but pages are kept apart for page numbers.
+    pagerender: (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then((content) => {
+        let lastY;
+        let text = '';
+        for (const item of content.items) {
+          text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pageTexts.push(normalize(text).trim());
+        return text;
+      }),
+  });
+
+  const pages = [];
+  let text = '';
+  pageTexts.forEach((pageText, i) => {
+    if (!pageText) return;
+    if (text) text += '\n\n';
+    pages.push({ page: i + 1, start: text.length, end: text.length + pageText.length });
+    text += pageText;
+  });
+  const infoTitle = String(parsed?.info?.Title || '').trim();
+  return { text, title: infoTitle || null, pages, anchors: new Map() };
+}
+
+function extractHtml(html) {
+  const cheerio = require('cheerio');
+  const $ = cheerio.load(html);
+  $('script, style, noscript, template, svg').remove();
+  const title = $('title').first().text().replace(/\s+/g, ' ').trim()
+    || $('h1').first().text().replace(/\s+/g, ' ').trim();
+
+  const headings = [];
+  $('h1, h2, h3, h4, h5, h6').each((_, el) => {
+    const $el = $(el);
+    const text = $el.text().replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    const level = Number(String(el.tagName || el.name).slice(1));
+    const anchor = $el.attr('id') || $el.find('[id]').attr('id') || $el.find('a[name]').attr('name')
+      || $el.parent('section[id]').attr('id') || `:~:text=${encodeURIComponent(text)}`;
+    headings.push({ marker: `${'#'.repeat(level)} ${text}`, anchor });
+    $el.replaceWith(`\n\n${'#'.repeat(level)} ${text}\n\n`);
+  });
+  // Rows become pipe-table lines so chunking keeps each table together.
+  $('tr').each((_, el) => {
+    const cells = $(el).children('td, th').map((__, c) => $(c).text().replace(/\s+/g, ' ').trim()).get();
+    $(el).replaceWith(`\n| ${cells.join(' | ')} |\n`);
+  });
+  $('br').replaceWith('\n');
+  $('p, div, li, section, article, header, footer, blockquote, pre, table, ul, ol, dt, dd').each((_, el) => {
+    $(el).prepend('\n').append('\n');
+  });
+
+  const raw = $('body').length ? $('body').text() : $.root().text();
+  const text = normalize(raw)
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const anchors = new Map();
+  let from = 0;
+  for (const h of headings) {
+    const pos = text.indexOf(h.marker, from);
+    if (pos < 0) continue;
+    anchors.set(pos, h.anchor);
+    from = pos + h.marker.length;
+  }
+  return { text, title: title || null, pages: [], anchors };
+}
+
+function extractText(raw) {
+  const text = normalize(raw).trim();
+  const anchors = new Map();
+  let title = null;
+  const re = /^[ \t]{0,3}#{1,6}[ \t]+(.+?)[ \t#]*$/gm;
+  let m;
+  while ((m = re.exec(text))) {
+    if (!title && m[0].trimStart().startsWith('# ')) title = m[1].trim();
+    anchors.set(m.index, slugify(m[1]));
+  }
+  return { text, title, pages: [], anchors };
+}
+
+/**
+ * Extract text and structure from a downloaded document.
+ * @param {Buffer} buf
+ * @param {'pdf'|'docx'|'pptx'|'xlsx'|'html'|'text'|'unknown'} kind see sniffType
+ * @param {{ source?: string, pdf?: 'layout'|'text' }} [opts] source is used for the fallback title
+ * @returns {Promise<{ text: string, title: string|null, pages: { page: number, start: number, end: number }[],
+ *   anchors: Map<number, string>, quality: object|null }>} quality: pdfLayout.js report (layout PDFs only)
+ */
+async function extractDocument(buf, kind, { source, pdf = 'text' } = {}) {
+  const b = Buffer.isBuffer(buf) ? buf : Buffer.from(buf || '');
+  let doc = { text: '', title: null, pages: [], anchors: new Map() };
+  if (b.length) {
+    let parsed = null;
+    if (kind === 'pdf' && pdf === 'layout') {
+      try {
+        parsed = await extractPdfLayout(b);
+      } catch (e) {
+        console.warn('PDF layout extraction failed (using plain text):', e?.message || e);
+      }
+    }
+    if (!parsed && kind === 'pdf') {
+      try {
+        parsed = await extractPdf(b);
+      } catch (_) {
+        // fall through to naive decode
+      }
+    }
+    if (OFFICE_KINDS.includes(kind)) {
+      try {
+        const office = extractOffice(b, kind);
+        parsed = { text: normalize(office.text), title: office.title, pages: [], anchors: new Map() };
+      } catch (e) {
+        // A corrupt package has no usable text; decoding the zip bytes would only index junk.
+        console.warn(`Could not extract ${kind} text (non-critical):`, e?.message || e);
+        parsed = { text: '', title: null, pages: [], anchors: new Map() };
+      }
+    }
+    if (!parsed && kind === 'html') {
+      try {
+        parsed = extractHtml(b.toString('utf-8'));
+      } catch (_) {
+        parsed = { text: normalize(b.toString('utf-8')).replace(/\s+/g, ' ').trim(), title: null, pages: [], anchors: new Map() };
+      }
+    }
+    if (!parsed && looksBinary(b)) parsed = { text: '', title: null, pages: [], anchors: new Map() };
+    doc = parsed || extractText(b.toString('utf-8'));
+  }
+  const title = String(doc.title || '').slice(0, MAX_TITLE_CHARS) || fileTitle(source);
+  return { quality: null, ...doc, title };
+}
+
+/** Citation fields for a chunk of `doc` (a chunkDocument result over `doc.text`). */
+function chunkMetadata(doc, chunk) {
+  const pages = doc.pages.filter((p) => p.start < chunk.char_end && p.end > chunk.char_start);
+  const pageStart = pages.length ? pages[0].page : null;
+  const pageEnd = pages.length ? pages[pages.length - 1].page : null;
+  let anchor = chunk.heading_offset !== null ? (doc.anchors.get(chunk.heading_offset) || null) : null;
+  if (pageStart) anchor = `page=${pageStart}`;
+  return {
+    title: doc.title || null,
+    heading_path: chunk.heading_path,
+    page_start: pageStart,
+    page_end: pageEnd,
+    anchor,
+  };
+}
+
+/** Human-readable citation, e.g. "Chapter 2 › Quadratics, p. 14". */
+function citationLabel({ title, heading_path: headingPath, page_start: pageStart, page_end: pageEnd } = {}) {
+  const where = Array.isArray(headingPath) && headingPath.length ? headingPath.join(' › ') : (title || '');
+  let pages = '';
+  if (pageStart) pages = pageEnd && pageEnd !== pageStart ? `pp. ${pageStart}–${pageEnd}` : `p. ${pageStart}`;
+  return [where, pages].filter(Boolean).join(', ') || null;
+}
+
+/** Link to the chunk's place in the source, when the source is a web URL. */
+function deepLink(source, anchor) {
+  const url = String(source || '');
+  if (!/^https?:\/\//i.test(url)) return null;
+  return anchor ? `${url.split('#')[0]}#${anchor}` : url;
+}
+
+module.exports = {
+  PDF_EXTRACTIONS,
+  resolvePdfExtraction,
+  sniffType,
+  extractDocument,
+  chunkMetadata,
+  citationLabel,
+  deepLink,
+};
@@ -0,0 +1,281 @@
+/**
+ * Registry of indexed documents, so reindexing skips unchanged sources and re-embeds only changed chunks.
+ *
+ * One Supabase row per (index_name, source) records what was indexed: a sha256 of the downloaded bytes,
+ * the storage ETag / last-modified time, the embedding model, the chunking and extraction settings and
+ * a sha256 per chunk. On the next run:
+ * - a source whose listing ETag or last-modified time still matches (same model and settings) is skipped
+ *   before it is downloaded; URLs are fetched with If-None-Match / If-Modified-Since.
+ * - a source whose content hash matches is skipped after download.
+ * - a changed source is re-chunked; chunks whose text was indexed before reuse the stored embedding
+ *   (same embedding model only) and the rest are embedded.
+ * `dryRun` reports what would change without embedding or writing; `force` ignores the registry.
+ *
+ * Databases without the table index every document as before; a warning is logged once:
+ *   create table if not exists document_registry (
+ *     index_name text not null,
+ *     source text not null,
+ *     content_hash text not null,
+ *     etag text,
+ *     last_modified timestamptz,
+ *     embedding_model text,
+ *     settings text,
+ *     chunk_hashes text[] not null default '{}',
+ *     chunk_count integer not null default 0,
+ *     indexed_at timestamptz not null default now(),
+ *     primary key (index_name, source)
+ *   );
+ */
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+const TABLE = 'document_registry';
+const PAGE_SIZE = 1000;
+
+let warnedUnavailable = false;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function sameTime(a, b) {
+  if (!a || !b) return false;
+  const ta = new Date(a).getTime();
+  return Number.isFinite(ta) && ta === new Date(b).getTime();
+}
+
+function isoTime(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+}
+
+function warnUnavailable(error) {
+  if (warnedUnavailable) return;
+  warnedUnavailable = true;
+  const message = String(error?.message || error || '');
+  if (/does not exist|schema cache|relation/i.test(message)) {
+    console.warn(`${TABLE} table not found; every document is re-embedded on reindex. Create it with the SQL in src/services/documentRegistry.js.`);
+  } else {
+    console.warn('Document registry unavailable (non-critical):', message);
+  }
+}
+
+/** Registry rows of `index` (only `sources`, when given) by source, or null when the table cannot be read. */
+async function loadEntries(index, sources) {
+  const entries = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let q = supabase
+      .from(TABLE)
+      .select('*')
+      .eq('index_name', index);
+    if (sources) q = q.in('source', sources);
+    const { data, error } = await q.range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      warnUnavailable(error);
+      return null;
+    }
+    for (const row of data || []) entries.set(row.source, row);
+    if (!data || data.length < PAGE_SIZE) return entries;
+  }
+}
+
+/** How many of `hashes` also occur in `previous` (each previous chunk counted once). */
+function countShared(hashes, previous) {
+  const left = new Map();
+  for (const h of previous) left.set(h, (left.get(h) || 0) + 1);
+  let shared = 0;
+  for (const h of hashes) {
+    const n = left.get(h) || 0;
+    if (!n) continue;
+    left.set(h, n - 1);
+    shared += 1;
+  }
+  return shared;
+}
+
+/**
+ * Open the registry of one index for an indexing run.
+ * @param {{ index: string, embeddingModel: string, settings?: string, dryRun?: boolean, force?: boolean,
+ *   sources?: string[] }} opts
+ *   index: registry namespace, e.g. "kb:opensearch:global" or "school_ai_documents:<schoolId>";
+ *   settings: chunking / extraction label, a change of which reindexes every source;
+ *   sources: load only these sources' rows (a job item indexing one document)
+ */
+async function openRegistry({ index, embeddingModel, settings = '', dryRun = false, force = false, sources }) {
+  const entries = await loadEntries(index, sources);
+  const enabled = Boolean(entries);
+  const stats = { newFiles: 0, changedFiles: 0, unchangedFiles: 0, embeddedChunks: 0, reusedChunks: 0 };
+  const changes = [];
+
+  // The entry for `source` when it was indexed with the current model and settings.
+  const current = (source) => {
+    const entry = !force && enabled ? entries.get(source) : null;
+    return entry && entry.embedding_model === embeddingModel && (entry.settings || '') === settings ? entry : null;
+  };
+
+  const skip = (source) => {
+    stats.unchangedFiles += 1;
+    changes.push({ source, status: 'unchanged', reason: null, chunks: null });
+    return true;
+  };
+
+  return {
+    enabled,
+    dryRun,
+
+    /** True (and counted as unchanged) when the listing ETag or last-modified time still matches. */
+    isUnchanged(source, { etag, lastModified } = {}) {
+      const entry = current(source);
+      if (!entry) return false;
+      if (etag && entry.etag) return entry.etag === etag ? skip(source) : false;
+      return sameTime(entry.last_modified, lastModified) ? skip(source) : false;
+    },
+
+    /** Conditional request headers for re-fetching `source` (a URL). */
+    conditionalHeaders(source) {
+      const entry = current(source);
+      const headers = {};
+      if (entry?.etag) headers['If-None-Match'] = entry.etag;
+      else if (entry?.last_modified) headers['If-Modified-Since'] = new Date(entry.last_modified).toUTCString();
+      return headers;
+    },
+
+    /** Count `source` as unchanged (e.g. after a 304 Not Modified). */
+    notModified(source) {
+      return skip(source);
+    },
+
+    /**
+     * Compare downloaded content and its chunks with the registry.
+     * @param {string} source
+     * @param {{ content: Buffer|string, chunks: { content: string }[], etag?: string, lastModified?: string|Date }} doc
+     * @returns {{ source: string, status: 'new'|'changed'|'unchanged', reason: string|null,
+     *   chunks: { unchanged: number, added: number, removed: number } }} plus the fields `record` stores
+     */
+    plan(source, { content, chunks, etag, lastModified }) {
+      const entry = !force && enabled ? entries.get(source) : null;
+      const contentHash = sha256(content);
+      const chunkHashes = chunks.map((c) => sha256(c.content));
+      const previous = entry?.chunk_hashes || [];
+      const sameModel = entry?.embedding_model === embeddingModel;
+
+      let status = 'new';
+      let reason = null;
+      if (entry) {
+        status = 'changed';
+        if (entry.content_hash !== contentHash) reason = 'content';
+        else if (!sameModel) reason = 'embedding_model';
+        else if ((entry.settings || '') !== settings) reason = 'settings';
+        else status = 'unchanged';
+      }
+      const shared = countShared(chunkHashes, previous);
+      const plan = {
+        source,
+        status,
+        reason,
+        chunks: { unchanged: shared, added: chunkHashes.length - shared, removed: previous.length - shared },
+        contentHash,
+        chunkHashes,
+        etag: etag || null,
+        lastModified: isoTime(lastModified),
+        reusable: new Set(sameModel ? previous : []),
+      };
+
+      if (status === 'unchanged') stats.unchangedFiles += 1;
+      else if (status === 'changed') stats.changedFiles += 1;
+      else stats.newFiles += 1;
+      changes.push({ source, status, reason, chunks: plan.chunks });
+      return plan;
+    },
+
+    /**
+     * Embedding function for a planned source: `embed(texts)` resolves to one vector per text, reusing
+     * stored vectors of unchanged chunks and calling `embedMany(texts) -> vectors` for the others.
+     * Stored vectors are read here, so call it before the source's old chunks are deleted.
+     * @param {object} plan result of `plan`
+     * @param {() => Promise<{ content: string, embedding: number[] }[]>} loadPrevious the source's indexed
+     *   chunks; only called when some chunk can be reused
+     * @param {(texts: string[]) => Promise<number[][]>} embedMany
+     */
+    async embedder(plan, loadPrevious, embedMany) {
+      const stored = new Map();
+      if (plan.reusable.size) {
+        let rows = [];
+        try {
+          rows = await loadPrevious();
+        } catch (e) {
+          console.warn('Could not read stored embeddings; embedding every chunk (non-critical):', e?.message || e);
+        }
+        for (const row of rows) {
+          const hash = sha256(String(row.content || ''));
+          if (plan.reusable.has(hash) && Array.isArray(row.embedding)) stored.set(hash, row.embedding);
+        }
+      }
+      return async (texts) => {
+        const vectors = texts.map((t) => stored.get(sha256(t)) || null);
+        const missing = texts.map((t, i) => (vectors[i] ? null : i)).filter((i) => i !== null);
+        stats.reusedChunks += texts.length - missing.length;
+        if (missing.length) {
+          const fresh = await embedMany(missing.map((i) => texts[i]));
+          missing.forEach((i, j) => { vectors[i] = fresh[j] || null; });
+          stats.embeddedChunks += missing.length;
+        }
+        return vectors;
+      };
+    },
+
+    /** Store a planned source as indexed (no-op for dry runs or without the table). */
+    async record(plan) {
+      if (dryRun || !enabled) return;
+      const row = {
+        index_name: index,
+        source: plan.source,
+        content_hash: plan.contentHash,
+        etag: plan.etag,
+        last_modified: plan.lastModified,
+        embedding_model: embeddingModel,
+        settings,
+        chunk_hashes: plan.chunkHashes,
+        chunk_count: plan.chunkHashes.length,
+        indexed_at: new Date().toISOString(),
+      };
+      const { error } = await supabase.from(TABLE).upsert(row, { onConflict: 'index_name,source' });
+      if (error) console.warn('Document registry update failed (non-critical):', error.message || error);
+      else entries.set(plan.source, row);
+    },
+
+    /** Counts for the route response; dry runs add the per-source `changes`. */
+    summary() {
+      return dryRun ? { ...stats, dryRun: true, changes } : stats;
+    },
+  };
+}
+
+/** Add up the `summary()` of several registries (one per job item) into one response summary. */
+function combineSummaries(summaries) {
+  const total = { newFiles: 0, changedFiles: 0, unchangedFiles: 0, embeddedChunks: 0, reusedChunks: 0 };
+  const changes = [];
+  let dryRun = false;
+  for (const s of summaries) {
+    if (!s) continue;
+    for (const key of Object.keys(total)) total[key] += s[key] || 0;
+    if (s.dryRun) {
+      dryRun = true;
+      changes.push(...(s.changes || []));
+    }
+  }
+  return dryRun ? { ...total, dryRun: true, changes } : total;
+}
+
+/** Drop the registry row of a source that was removed from the index. */
+async function forgetDocument(index, source) {
+  const { error } = await supabase.from(TABLE).delete().eq('index_name', index).eq('source', source);
+  if (error) warnUnavailable(error);
+}
+
+module.exports = {
+  openRegistry,
+  combineSummaries,
+  forgetDocument,
+};
@@ -0,0 +1,328 @@
+/**
+ * Streaming importer for EdNet-format interaction logs.
+ *
+ * Reads CSVs line by line (local path or s3://bucket/key, optionally .gz) so multi-GB
+ * files never sit in memory, and writes:
+ * - questions.jsonl: one line per question with its mapped tutor topic and taxonomy id (`topic_key`)
+ * - attempts.jsonl:  one line per learner sequence, `{ user_id, entries: [{ ts, topic, topic_key, correct, question_id }] }`
+ *   (the same entry shape as the tutor's knowledge `history`, so scripts/fit_kt_params.js can read it)
+ * `seedQuestionBank` then loads questions.jsonl into the tutor's question bank.
+ *
+ * Interaction rows need `user_id, content_id, timestamp, answered_correctly`; lecture rows
+ * (`content_type_id = 1` or `answered_correctly = -1`) are skipped. Rows are grouped by
+ * contiguous user_id, which matches EdNet's ordering; a learner that reappears later
+ * produces a second sequence line and is counted in `stats.splitUsers`.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { getS3ObjectStream } = require('./s3Client');
+const { resolveTopicIn } = require('./topicTaxonomy');
+const { difficultyForSuccess, levelForDifficulty } = require('./irt');
+
+// Seeded questions answered fewer times than this in the import keep the default level.
+const MIN_ATTEMPTS_FOR_LEVEL = 20;
+const DEFAULT_SEED_LEVEL = 5;
+const CHOICE_IDS = ['A', 'B', 'C', 'D'];
+
+function parseS3Uri(uri) {
+  const m = String(uri || '').match(/^s3:\/\/([^/]+)\/(.+)$/);
+  return m ? { bucket: m[1], key: m[2] } : null;
+}
+
+async function openSource(source) {
+  const s3 = parseS3Uri(source);
+  const raw = s3 ? await getS3ObjectStream(s3) : fs.createReadStream(source);
+  return String(source).toLowerCase().endsWith('.gz') ? raw.pipe(zlib.createGunzip()) : raw;
+}
+
+/** Split one CSV line, honouring double-quoted fields and "" escapes. */
+function parseCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      out.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * Iterate CSV rows as objects keyed by the header row.
+ * @param {string} source - local path or s3:// URI
+ * @param {(row: object) => (void|Promise<void>)} onRow
+ * @param {{ limit?: number }} [opts]
+ */
+async function eachCsvRow(source, onRow, { limit } = {}) {
+  const stream = await openSource(source);
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let header = null;
+  let count = 0;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const cells = parseCsvLine(line);
+    if (!header) {
+      header = cells.map((h) => h.trim().replace(/^\uFEFF/, ''));
+      continue;
+    }
+    const row = {};
+    for (let i = 0; i < header.length; i++) row[header[i]] = cells[i];
+    await onRow(row);
+    count += 1;
+    if (limit && count >= limit) {
+      rl.close();
+      if (typeof stream.destroy === 'function') stream.destroy();
+      break;
+    }
+  }
+  return count;
+}
+
+/**
+ * Load a tag → topic map. Accepts the `skill_mappings` document from
+ * docs/sagemaker_kt_pipeline.md or a flat `{ tag: topic }` object; `part_mappings` maps EdNet
+ * parts (1-7) for questions none of whose tags is mapped, and `default` names the topic for
+ * the rest. Topics are taxonomy ids or names (see topicTaxonomy.js).
+ */
+function loadTopicMap(filePath) {
+  if (!filePath) return { mappings: {}, parts: {}, fallback: null };
+  const doc = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const { part_mappings: parts = {}, default: fallback = null, ...rest } = doc;
+  const mappings = doc.skill_mappings || doc.mappings || rest;
+  return { mappings, parts, fallback };
+}
+
+function mappedTopic(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase().slice(0, 80) : null;
+}
+
+function topicForQuestion(tags, part, topicMap) {
+  for (const tag of tags) {
+    const topic = mappedTopic(topicMap.mappings?.[tag]);
+    if (topic) return topic;
+  }
+  const byPart = part === null ? null : mappedTopic(topicMap.parts?.[part]);
+  if (byPart) return byPart;
+  if (topicMap.fallback) return String(topicMap.fallback).toLowerCase().slice(0, 80);
+  return tags.length ? `ednet_tag_${tags[0]}` : 'general';
+}
+
+// Question text is not part of EdNet KT1; exports that add it use `question` and `choice_a`..`choice_d`.
+function questionText(row) {
+  const question = String(row.question ?? row.question_text ?? '').trim();
+  if (!question) return {};
+  const choices = CHOICE_IDS
+    .map((id) => ({ id, text: String(row[`choice_${id.toLowerCase()}`] ?? '').trim() }))
+    .filter((c) => c.text);
+  const explanation = String(row.explanation ?? '').trim();
+  return { question, choices, ...(explanation ? { explanation } : {}) };
+}
+
+function questionIdFor(contentId) {
+  return `ednet_${contentId}`;
+}
+
+// Respect backpressure so a slow disk does not buffer the whole output in memory.
+function writeLine(out, obj) {
+  if (out.write(`${JSON.stringify(obj)}\n`)) return null;
+  return new Promise((resolve) => out.once('drain', resolve));
+}
+
+/**
+ * Read EdNet questions.csv (`question_id, bundle_id, correct_answer, part, tags`) and
+ * write normalized question metadata. With a `taxonomy` (topicTaxonomy.getTaxonomy) each
+ * mapped topic is resolved to its taxonomy id (`topic_key`); `canonical: false` marks topics
+ * the taxonomy does not know.
+ * @returns {Promise<Map<string, { question_id: string, topic: string, topic_key?: string,
+ *   canonical?: boolean, answered: number, correct: number }>>} keyed by content_id; importInteractions
+ *   fills in the answer counts
+ */
+async function importQuestions({ source, topicMap, taxonomy = null, out }) {
+  const index = new Map();
+  await eachCsvRow(source, async (row) => {
+    const contentId = String(row.question_id ?? row.content_id ?? '').replace(/^q/, '').trim();
+    if (!contentId) return;
+    const tags = String(row.tags || '').split(/[;\s]+/).map((t) => t.trim()).filter((t) => t && t !== '-1');
+    const part = row.part ? Number(row.part) : null;
+    const topic = topicForQuestion(tags, part, topicMap);
+    const resolved = taxonomy ? resolveTopicIn(taxonomy, topic) : null;
+    const mapped = resolved ? { topic_key: resolved.id, canonical: resolved.canonical } : {};
+    const meta = {
+      question_id: questionIdFor(contentId),
+      source: 'ednet',
+      content_id: contentId,
+      topic,
+      ...mapped,
+      tags,
+      bundle_id: row.bundle_id || null,
+      part,
+      answer_id: row.correct_answer ? String(row.correct_answer).trim().toUpperCase() : null,
+      ...questionText(row),
+    };
+    index.set(contentId, { question_id: meta.question_id, topic, ...mapped, answered: 0, correct: 0 });
+    if (out) {
+      const wait = writeLine(out, meta);
+      if (wait) await wait;
+    }
+  });
+  return index;
+}
+
+/**
+ * Stream interactions into per-learner attempt sequences.
+ * @returns {Promise<object>} import statistics
+ */
+async function importInteractions({ source, questions, out, limit }) {
+  const stats = {
+    rows: 0,
+    attempts: 0,
+    sequences: 0,
+    skippedLectures: 0,
+    skippedInvalid: 0,
+    unknownQuestions: 0,
+    splitUsers: 0,
+    topics: {},
+  };
+  const flushedUsers = new Set();
+  let currentUser = null;
+  let buffer = [];
+
+  async function flush() {
+    if (currentUser === null || buffer.length === 0) return;
+    if (flushedUsers.has(currentUser)) stats.splitUsers += 1;
+    flushedUsers.add(currentUser);
+    stats.sequences += 1;
+    const wait = writeLine(out, { user_id: currentUser, entries: buffer });
+    buffer = [];
+    if (wait) await wait;
+  }
+
+  stats.rows = await eachCsvRow(source, async (row) => {
+    const userId = String(row.user_id ?? '').trim();
+    const contentId = String(row.content_id ?? row.question_id ?? '').replace(/^q/, '').trim();
+    const answered = Number(row.answered_correctly);
+    if (String(row.content_type_id || '0').trim() === '1' || answered === -1) {
+      stats.skippedLectures += 1;
+      return;
+    }
+    const ts = Number(row.timestamp);
+    if (!userId || !contentId || !Number.isFinite(ts) || (answered !== 0 && answered !== 1)) {
+      stats.skippedInvalid += 1;
+      return;
+    }
+
+    if (userId !== currentUser) {
+      await flush();
+      currentUser = userId;
+    }
+
+    const q = questions?.get(contentId);
+    if (!q) stats.unknownQuestions += 1;
+    const topic = q?.topic || 'general';
+    stats.topics[topic] = (stats.topics[topic] || 0) + 1;
+    stats.attempts += 1;
+    if (q) {
+      q.answered += 1;
+      if (answered === 1) q.correct += 1;
+    }
+    buffer.push({
+      ts: new Date(ts).toISOString(),
+      topic,
+      ...(q?.topic_key ? { topic_key: q.topic_key } : {}),
+      correct: answered === 1,
+      question_id: q?.question_id || questionIdFor(contentId),
+    });
+  }, { limit });
+
+  await flush();
+  return stats;
+}
+
+/** Read attempts.jsonl back as `{ userId, entries }` rows, one at a time. */
+async function* readAttemptSequences(filePath) {
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    yield { userId: String(row.user_id), entries: Array.isArray(row.entries) ? row.entries : [] };
+  }
+}
+
+/**
+ * Bank level for an imported question: its share of correct answers in the import, read as the
+ * difficulty giving that success rate to an average learner (theta 0).
+ */
+function seedLevel(counts) {
+  if (!counts || counts.answered < MIN_ATTEMPTS_FOR_LEVEL) return DEFAULT_SEED_LEVEL;
+  return levelForDifficulty(difficultyForSuccess(0, counts.correct / counts.answered));
+}
+
+/**
+ * Add the questions in a questions.jsonl written by importQuestions to the question bank as MCQs.
+ * Only questions with text, choices and a taxonomy topic (`canonical`) are added; the rest stay
+ * KT-only and are counted in the returned stats. Re-running is safe: a stem already in the bank is
+ * left unchanged.
+ * @param {{ source: string, questions?: Map<string, object> }} opts
+ *   source: the questions.jsonl path; questions: the importQuestions index after importInteractions,
+ *   whose answer counts set each question's level
+ * @returns {Promise<object>} seeding statistics
+ */
+async function seedQuestionBank({ source, questions = null }) {
+  // Loaded here so importing without --seed-bank never touches the tutor store.
+  const { addToBank } = require('./questionBank');
+  const { validateGeneratedItem } = require('./itemTypes');
+  const stats = { seeded: 0, existing: 0, skippedNoText: 0, skippedUnmapped: 0, invalid: 0 };
+  const rl = readline.createInterface({ input: fs.createReadStream(source), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const meta = JSON.parse(line);
+    if (!meta.question) {
+      stats.skippedNoText += 1;
+      continue;
+    }
+    if (!meta.topic_key || !meta.canonical) {
+      stats.skippedUnmapped += 1;
+      continue;
+    }
+    let item;
+    try {
+      item = validateGeneratedItem('mcq', meta);
+    } catch {
+      stats.invalid += 1;
+      continue;
+    }
+    const { created } = await addToBank({
+      topic: meta.topic,
+      topicKey: meta.topic_key,
+      level: seedLevel(questions?.get(meta.content_id)),
+      item: { ...item, external_id: meta.question_id },
+      source: 'ednet',
+      userId: null,
+    });
+    stats[created ? 'seeded' : 'existing'] += 1;
+  }
+  return stats;
+}
+
+module.exports = {
+  parseCsvLine,
+  eachCsvRow,
+  loadTopicMap,
+  importQuestions,
+  importInteractions,
+  readAttemptSequences,
+  seedQuestionBank,
+};
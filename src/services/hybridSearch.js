@@ -0,0 +1,98 @@
+/**
+ * Knowledge-base retrieval modes on top of vectorStore.js:
+ * - "knn": vector search only (the original behaviour).
+ * - "text": lexical BM25 search over chunk `content` only.
+ * - "hybrid": both, fused into one ranking. Exact terms (formula names, course codes) that
+ *   embeddings blur still surface through the lexical side.
+ *
+ * Fusion is reciprocal rank fusion by default (score = sum of 1 / (60 + rank)), which needs no
+ * score calibration between the two searches. "weighted" instead min-max normalises each list
+ * and blends them with `vectorWeight` (0..1, default 0.5).
+ *
+ * Hybrid results carry `scores: { knn, bm25 }`, each `{ score, rank }` or null when that search
+ * did not return the chunk, so rankings can be debugged.
+ */
+const { knnSearch, textSearch } = require('./vectorStore');
+
+const SEARCH_MODES = ['knn', 'text', 'hybrid'];
+const FUSION_METHODS = ['rrf', 'weighted'];
+const RRF_K = 60;
+// Each side fetches more than `k` so chunks ranked moderately by both can still win.
+const CANDIDATE_FACTOR = 3;
+const MIN_CANDIDATES = 20;
+const MAX_CANDIDATES = 100;
+
+function searchMode(mode) {
+  const m = String(mode || '').toLowerCase();
+  return SEARCH_MODES.includes(m) ? m : 'knn';
+}
+
+/** Retrieval mode for retrieveKBContext (KB_SEARCH_MODE, default hybrid). */
+function defaultSearchMode() {
+  const m = String(process.env.KB_SEARCH_MODE || 'hybrid').toLowerCase();
+  return SEARCH_MODES.includes(m) ? m : 'hybrid';
+}
+
+function resultKey(r) {
+  return r.id || `${r.source}#${r.chunk_index}`;
+}
+
+function minMax(results) {
+  const scores = results.map((r) => Number(r.score) || 0);
+  const lo = Math.min(...scores);
+  const hi = Math.max(...scores);
+  return (score) => (hi > lo ? ((Number(score) || 0) - lo) / (hi - lo) : 1);
+}
+
+/**
+ * Fuse ranked lists `{ knn: [...], bm25: [...] }` into one list of at most `k` results.
+ * @param {{ fusion?: 'rrf'|'weighted', vectorWeight?: number, k?: number }} opts
+ */
+function fuseResults(lists, { fusion = 'rrf', vectorWeight = 0.5, k = 8 } = {}) {
+  const method = FUSION_METHODS.includes(fusion) ? fusion : 'rrf';
+  const w = Math.max(0, Math.min(1, Number.isFinite(Number(vectorWeight)) ? Number(vectorWeight) : 0.5));
+  const weights = { knn: w, bm25: 1 - w };
+  const merged = new Map();
+
+  for (const [name, results] of Object.entries(lists)) {
+    const norm = minMax(results);
+    results.forEach((r, i) => {
+      const key = resultKey(r);
+      if (!merged.has(key)) merged.set(key, { ...r, score: 0, scores: { knn: null, bm25: null } });
+      const entry = merged.get(key);
+      entry.scores[name] = { score: r.score, rank: i + 1 };
+      entry.score += method === 'rrf' ? 1 / (RRF_K + i + 1) : weights[name] * norm(r.score);
+    });
+  }
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.max(1, Number(k) || 8));
+}
+
+/**
+ * Search the knowledge base. `vector` is needed for "knn" and "hybrid", `query` for "text"
+ * and "hybrid".
+ */
+async function searchKb({ scope, schoolId, query, vector, k = 8, mode = 'knn', fusion = 'rrf', vectorWeight = 0.5 }) {
+  const size = Math.max(1, Number(k) || 8);
+  const m = searchMode(mode);
+  if (m === 'knn') return knnSearch({ scope, schoolId, vector, k: size });
+  if (m === 'text') return textSearch({ scope, schoolId, query, k: size });
+
+  const candidates = Math.min(MAX_CANDIDATES, Math.max(MIN_CANDIDATES, size * CANDIDATE_FACTOR));
+  const [knn, bm25] = await Promise.all([
+    knnSearch({ scope, schoolId, vector, k: candidates }),
+    textSearch({ scope, schoolId, query, k: candidates }),
+  ]);
+  return fuseResults({ knn, bm25 }, { fusion, vectorWeight, k: size });
+}
+
+module.exports = {
+  SEARCH_MODES,
+  FUSION_METHODS,
+  searchMode,
+  defaultSearchMode,
+  fuseResults,
+  searchKb,
+};
@@ -0,0 +1,404 @@
+/**
+ * Job item handlers for indexing (see jobQueue.js / jobWorker.js). Each indexes one document, whether a
+ * route runs it in the request or a worker runs it from the queue:
+ * - "file": a school file in Supabase storage -> school_ai_documents
+ * - "global_file": a global file in Supabase storage -> global_ai_documents
+ * - "link": a school web link -> school_ai_documents (updates school_ai_links.status)
+ * - "kb_object": an S3 object -> KB vector store; with `pipeline`, also writes the cleaned text,
+ *   quality report and curated JSONL back to S3
+ * - "kb_url": a web page or file -> KB vector store
+ *
+ * Handlers are called as `handler(payload, { jobId, attempt, progress })` and resolve to
+ * `{ source, status, indexedChunks, summary, ... }`, `status` being the registry's "new" / "changed" /
+ * "unchanged" (or "empty" when no text was extracted) and `summary` its counts for the document. Errors
+ * with a 4xx `status` are not retried.
+ */
+const supabase = require('../config/supabase');
+const { getS3ObjectBuffer, putS3Object } = require('./s3Client');
+const { embedText, embeddingModel } = require('./bedrockEmbeddings');
+const { ensureKnnIndex, bulkIndex, deleteBySource, getBySource, vectorBackend } = require('./vectorStore');
+const { resolveChunkOptions, strategyLabel, chunkDocument } = require('./chunking');
+const { openRegistry, combineSummaries } = require('./documentRegistry');
+const { resolvePdfExtraction, sniffType, extractDocument, chunkMetadata } = require('./documentExtraction');
+const { qualitySummary } = require('./pdfLayout');
+const { insertDocumentChunks, openDocumentRegistry, clientEmbedder, storedChunks } = require('./ragDocuments');
+const { isLocalLlm, LocalOpenAI, openaiApiKey } = require('./localLlm');
+
+const FETCH_TIMEOUT_MS = 20000;
+const EMBED_BATCH = 15;
+
+function jobError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** OpenAI client for the Supabase tables' embeddings (LocalOpenAI when LLM_PROVIDER=local). */
+async function embeddingClient() {
+  const apiKey = openaiApiKey();
+  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
+  if (isLocalLlm()) return new LocalOpenAI({ apiKey });
+  const mod = await import('openai');
+  const OpenAI = mod.default || mod.OpenAI || mod;
+  return new OpenAI({ apiKey });
+}
+
+/** GET with a timeout; a non-2xx answer other than 304 fails with that status. */
+async function fetchSource(url, { timeoutMs = FETCH_TIMEOUT_MS, headers } = {}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, { redirect: 'follow', signal: ctrl.signal, headers });
+    if (!resp.ok && resp.status !== 304) throw jobError(`GET ${url} returned ${resp.status}`, resp.status);
+    return { resp, buf: resp.status === 304 ? null : Buffer.from(await resp.arrayBuffer()) };
+  } catch (e) {
+    if (e?.name === 'AbortError') throw jobError(`GET ${url} timed out after ${timeoutMs} ms`, 408);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Document registry of the KB index (see documentRegistry.js). The namespace includes the vector
+ * backend, so switching VECTOR_BACKEND indexes everything into the new store.
+ */
+function openKbRegistry({ scope, schoolId, chunkOptions, pdf, dryRun, force, source }) {
+  return openRegistry({
+    index: `kb:${vectorBackend()}:${scope === 'school' ? `school:${schoolId}` : 'global'}`,
+    embeddingModel: embeddingModel(),
+    settings: `${strategyLabel(chunkOptions)}|pdf:${pdf}`,
+    dryRun: Boolean(dryRun),
+    force: Boolean(force),
+    sources: [source],
+  });
+}
+
+/** Embed texts one by one (Bedrock / OpenAI / local), reporting progress every few chunks. */
+async function embedAll(texts, ctx) {
+  const vectors = [];
+  for (const text of texts) {
+    vectors.push(await embedText(text));
+    if (vectors.length % EMBED_BATCH === 0) await ctx.progress({ stage: 'embedding', chunks: vectors.length, total: texts.length });
+  }
+  return vectors;
+}
+
+/** Replace `source`'s chunks in the KB vector store; returns the indexed documents. */
+async function writeKbChunks({ scope, schoolId, source, doc, chunks, vectors }) {
+  try { await deleteBySource({ scope, schoolId, source }); } catch (_) {}
+  if (!chunks.length) return [];
+  // The first chunk's vector sets the index dimension.
+  await ensureKnnIndex({ dimension: vectors[0].length });
+  const docs = chunks.map((chunk, i) => ({
+    id: `${scope}#${scope === 'school' ? String(schoolId) : 'global'}#${source}#${chunk.index}`,
+    scope,
+    school_id: scope === 'school' ? String(schoolId) : undefined,
+    source,
+    chunk_index: chunk.index,
+    content: chunk.content,
+    chunk_strategy: chunk.strategy,
+    ...chunkMetadata(doc, chunk),
+    embedding: vectors[i],
+    created_at: new Date().toISOString(),
+  }));
+  await bulkIndex(docs);
+  return docs;
+}
+
+/** Curated JSONL of indexed KB documents (pipeline output). */
+function curatedJsonl(docs, chunks) {
+  return docs.map((d, i) => JSON.stringify({
+    scope: d.scope,
+    school_id: d.school_id,
+    source: d.source,
+    chunk_index: d.chunk_index,
+    content: d.content,
+    chunk_strategy: d.chunk_strategy,
+    title: d.title,
+    heading_path: d.heading_path,
+    page_start: d.page_start,
+    page_end: d.page_end,
+    anchor: d.anchor,
+    tokens: chunks[i].tokens,
+    char_start: chunks[i].char_start,
+    char_end: chunks[i].char_end,
+    created_at: d.created_at,
+  })).join('\n');
+}
+
+/**
+ * Embed `chunks` in batches and insert them into a Supabase chunk table with the `base` columns
+ * (school_id / file_path). Returns the number of rows written.
+ */
+async function writeTableChunks(table, base, doc, chunks, embed, ctx) {
+  let written = 0;
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH) {
+    const slice = chunks.slice(i, i + EMBED_BATCH);
+    const vectors = await embed(slice.map((c) => c.content));
+    const rows = slice
+      .map((chunk, j) => vectors[j] && {
+        ...base,
+        chunk_index: chunk.index,
+        content: chunk.content,
+        chunk_strategy: chunk.strategy,
+        ...chunkMetadata(doc, chunk),
+        embedding: vectors[j],
+      })
+      .filter(Boolean);
+    if (rows.length) {
+      const { error } = await insertDocumentChunks(table, rows);
+      if (error) throw error;
+      written += rows.length;
+    }
+    await ctx.progress({ stage: 'embedding', chunks: Math.min(i + EMBED_BATCH, chunks.length), total: chunks.length });
+  }
+  return written;
+}
+
+/**
+ * Index one fetched document into a Supabase chunk table, re-embedding only changed chunks.
+ * `match` selects the document's rows (school_id / file_path).
+ */
+async function indexTableDocument({ table, match, registry, source, buf, doc, listed, chunkOptions }, ctx) {
+  const chunks = chunkDocument(doc.text, chunkOptions);
+  const plan = registry.plan(source, { content: buf, chunks, ...listed });
+  if (plan.status === 'unchanged') await registry.record(plan);
+  if (plan.status === 'unchanged' || registry.dryRun) {
+    return { source, status: plan.status, indexedChunks: 0, summary: registry.summary() };
+  }
+  const embed = await registry.embedder(plan, () => storedChunks(table, match), clientEmbedder(await embeddingClient()));
+  // Idempotent: clear the document's existing rows
+  let del = supabase.from(table).delete();
+  for (const [column, value] of Object.entries(match)) del = del.eq(column, value);
+  const { error } = await del;
+  if (error) throw error;
+  const indexedChunks = await writeTableChunks(table, match, doc, chunks, embed, ctx);
+  await registry.record(plan);
+  return { source, status: plan.status, indexedChunks, summary: registry.summary() };
+}
+
+/** A file in Supabase storage, fetched through its public URL, into `table`. */
+async function indexStorageFile(table, schoolId, payload, ctx) {
+  const { bucket, path, dryRun, force } = payload;
+  const match = schoolId ? { school_id: schoolId, file_path: path } : { file_path: path };
+  const chunkOptions = resolveChunkOptions(payload.chunking);
+  const registry = await openDocumentRegistry(table, {
+    schoolId,
+    chunkOptions,
+    dryRun,
+    force,
+    sources: [path],
+  });
+  const listed = { etag: payload.etag, lastModified: payload.lastModified };
+  if (registry.isUnchanged(path, listed)) return { source: path, status: 'unchanged', indexedChunks: 0, summary: registry.summary() };
+
+  const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(path);
+  if (!urlData?.publicUrl) throw jobError(`No public URL for ${bucket}/${path}`, 404);
+  await ctx.progress({ stage: 'extracting' });
+  const { resp, buf } = await fetchSource(urlData.publicUrl);
+  const ct = String(resp.headers.get('content-type') || '');
+  const kind = sniffType(path.split('/').pop(), ct);
+  const doc = await extractDocument(buf, kind === 'unknown' ? 'text' : kind, { source: path });
+  if (!doc.text) {
+    console.warn('[indexing] No parsable text for', path, 'ct=', ct, 'kind=', kind);
+    return { source: path, status: 'empty', indexedChunks: 0, summary: registry.summary() };
+  }
+  return indexTableDocument({ table, match, registry, source: path, buf, doc, listed, chunkOptions }, ctx);
+}
+
+/** payload: { schoolId, bucket = "school-ai", path, etag?, lastModified?, chunking?, dryRun?, force? } */
+async function indexSchoolFile(payload, ctx) {
+  if (!payload.schoolId || !payload.path) throw jobError('schoolId and path required', 400);
+  return indexStorageFile('school_ai_documents', payload.schoolId, { bucket: 'school-ai', ...payload }, ctx);
+}
+
+/** payload: { bucket = "global-ai", path, etag?, lastModified?, chunking?, dryRun?, force? } */
+async function indexGlobalFile(payload, ctx) {
+  if (!payload.path) throw jobError('path required', 400);
+  return indexStorageFile('global_ai_documents', null, { bucket: 'global-ai', ...payload }, ctx);
+}
+
+async function setLinkStatus(schoolId, url, status) {
+  await supabase
+    .from('school_ai_links')
+    .update({ status, last_crawled_at: new Date().toISOString() })
+    .eq('school_id', schoolId)
+    .eq('url', url);
+}
+
+/**
+ * payload: { schoolId, url, timeoutMs?, chunking?, dryRun?, force? }. Fetched conditionally
+ * (ETag / Last-Modified); school_ai_links.status goes "indexing" -> "indexed" / "error".
+ */
+async function indexSchoolLink(payload, ctx) {
+  const { schoolId, url, timeoutMs, dryRun, force } = payload;
+  if (!schoolId || !/^https?:\/\//i.test(String(url || ''))) throw jobError('schoolId and an http(s) url required', 400);
+  const table = 'school_ai_documents';
+  const chunkOptions = resolveChunkOptions(payload.chunking);
+  const registry = await openDocumentRegistry(table, {
+    schoolId,
+    chunkOptions,
+    dryRun,
+    force,
+    sources: [url],
+  });
+  if (!registry.dryRun) await setLinkStatus(schoolId, url, 'indexing');
+  try {
+    const { resp, buf } = await fetchSource(url, { timeoutMs, headers: registry.conditionalHeaders(url) });
+    let result;
+    if (resp.status === 304) {
+      registry.notModified(url);
+      result = { source: url, status: 'unchanged', indexedChunks: 0, summary: registry.summary() };
+    } else {
+      const ct = String(resp.headers.get('content-type') || '');
+      const kind = sniffType(new URL(url).pathname, ct);
+      const doc = await extractDocument(buf, kind === 'unknown' ? 'text' : kind, { source: url });
+      if (!doc.text) throw jobError(`No text extracted from ${url}`, 422);
+      const listed = { etag: resp.headers.get('etag'), lastModified: resp.headers.get('last-modified') };
+      result = await indexTableDocument({
+        table,
+        match: { school_id: schoolId, file_path: url },
+        registry,
+        source: url,
+        buf,
+        doc,
+        listed,
+        chunkOptions,
+      }, ctx);
+    }
+    if (!registry.dryRun) await setLinkStatus(schoolId, url, 'indexed');
+    return result;
+  } catch (e) {
+    if (!registry.dryRun) await setLinkStatus(schoolId, url, 'error').catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * payload: { scope = "global", schoolId?, bucket, key, etag?, lastModified?, chunking?, pdfExtraction?,
+ * dryRun?, force?, pipeline?: { cleanedKey, qualityKey, curatedKey } }. Results carry `flagged` (a PDF
+ * quality summary) when pages were poorly extracted.
+ */
+async function indexKbObject(payload, ctx) {
+  const { scope = 'global', schoolId, bucket, key, pipeline } = payload;
+  if (!bucket || !key) throw jobError('bucket and key required', 400);
+  const source = `s3://${bucket}/${key}`;
+  const chunkOptions = resolveChunkOptions(payload.chunking);
+  const pdf = resolvePdfExtraction(payload.pdfExtraction);
+  const registry = await openKbRegistry({ ...payload, scope, chunkOptions, pdf, source });
+  const listed = { etag: payload.etag, lastModified: payload.lastModified };
+  const result = (status, extra = {}) => ({ source, status, indexedChunks: 0, ...extra, summary: registry.summary() });
+  if (registry.isUnchanged(source, listed)) return result('unchanged');
+
+  await ctx.progress({ stage: 'extracting' });
+  const buf = await getS3ObjectBuffer({ bucket, key });
+  const doc = await extractDocument(buf, sniffType(key), { source, pdf });
+  const flagged = doc.quality?.flagged ? qualitySummary(doc.quality) : undefined;
+  if (!doc.text) return result('empty', { flagged });
+
+  const chunks = chunkDocument(doc.text, chunkOptions);
+  const plan = registry.plan(source, { content: buf, chunks, ...listed });
+  if (plan.status === 'unchanged') await registry.record(plan);
+  if (plan.status === 'unchanged' || registry.dryRun) return result(plan.status, { flagged });
+
+  if (pipeline) {
+    await putS3Object({ bucket, key: pipeline.cleanedKey, body: doc.text, contentType: 'text/plain; charset=utf-8' });
+    if (doc.quality) {
+      await putS3Object({
+        bucket,
+        key: pipeline.qualityKey,
+        body: JSON.stringify({ source, ...doc.quality }, null, 2),
+        contentType: 'application/json; charset=utf-8',
+      });
+    }
+  }
+  // Stored vectors of unchanged chunks are read before the idempotent clear.
+  const embed = await registry.embedder(plan, () => getBySource({ scope, schoolId, source }), (texts) => embedAll(texts, ctx));
+  const vectors = await embed(chunks.map((c) => c.content));
+  const docs = await writeKbChunks({ scope, schoolId, source, doc, chunks, vectors });
+  if (pipeline) {
+    await putS3Object({ bucket, key: pipeline.curatedKey, body: curatedJsonl(docs, chunks), contentType: 'application/jsonl; charset=utf-8' });
+  }
+  await registry.record(plan);
+  return { ...result(plan.status, { flagged }), indexedChunks: docs.length };
+}
+
+/**
+ * payload: { scope = "global", schoolId?, url, chunking?, pdfExtraction?, dryRun?, force? }. Fetched
+ * conditionally; PDF results carry a `quality` summary. The route checks the URL is public.
+ */
+async function indexKbUrl(payload, ctx) {
+  const { scope = 'global', schoolId, url } = payload;
+  const chunkOptions = resolveChunkOptions(payload.chunking);
+  const pdf = resolvePdfExtraction(payload.pdfExtraction);
+  const registry = await openKbRegistry({ ...payload, scope, chunkOptions, pdf, source: url });
+
+  const { resp, buf } = await fetchSource(url, { headers: registry.conditionalHeaders(url) });
+  if (resp.status === 304) {
+    registry.notModified(url);
+    return { source: url, status: 'unchanged', indexedChunks: 0, summary: registry.summary() };
+  }
+  const ct = String(resp.headers.get('content-type') || '');
+  const kind = sniffType(new URL(url).pathname || '', ct);
+  const doc = await extractDocument(buf, kind === 'unknown' ? 'text' : kind, { source: url, pdf });
+  if (!doc.text) throw jobError('No text extracted', 422);
+  const quality = doc.quality ? qualitySummary(doc.quality) : undefined;
+
+  const chunks = chunkDocument(doc.text, chunkOptions);
+  const plan = registry.plan(url, {
+    content: buf,
+    chunks,
+    etag: resp.headers.get('etag'),
+    lastModified: resp.headers.get('last-modified'),
+  });
+  if (plan.status === 'unchanged') await registry.record(plan);
+  if (plan.status === 'unchanged' || registry.dryRun) {
+    return { source: url, status: plan.status, indexedChunks: 0, quality, summary: registry.summary() };
+  }
+
+  const embed = await registry.embedder(plan, () => getBySource({ scope, schoolId, source: url }), (texts) => embedAll(texts, ctx));
+  const vectors = await embed(chunks.map((c) => c.content));
+  const docs = await writeKbChunks({ scope, schoolId, source: url, doc, chunks, vectors });
+  await registry.record(plan);
+  return { source: url, status: plan.status, indexedChunks: docs.length, quality, summary: registry.summary() };
+}
+
+const HANDLERS = {
+  file: indexSchoolFile,
+  global_file: indexGlobalFile,
+  link: indexSchoolLink,
+  kb_object: indexKbObject,
+  kb_url: indexKbUrl,
+};
+
+/** The file path, URL or S3 URI a job item payload indexes. */
+function itemSource(payload = {}) {
+  return payload.path || payload.url || (payload.key && `s3://${payload.bucket}/${payload.key}`) || null;
+}
+
+/**
+ * Totals of a job run for the route response: the registry counts of its documents plus `failed`
+ * (`{ source, error, retrying }` per item that failed; retrying items are back in the queue).
+ */
+function summarizeOutcomes(outcomes) {
+  const results = outcomes.filter((o) => o.result).map((o) => o.result);
+  const failed = outcomes
+    .filter((o) => o.error)
+    .map((o) => ({
+      source: itemSource(o.payload),
+      error: o.error?.message || String(o.error),
+      retrying: Boolean(o.retrying),
+    }));
+  return {
+    indexedChunks: results.reduce((sum, r) => sum + (r.indexedChunks || 0), 0),
+    failed,
+    ...combineSummaries(results.map((r) => r.summary)),
+  };
+}
+
+module.exports = {
+  HANDLERS,
+  itemSource,
+  summarizeOutcomes,
+};
@@ -0,0 +1,147 @@
+/**
+ * Item response theory (2PL) calibration for bank questions.
+ *
+ * P(correct | theta) = 1 / (1 + exp(-a * (theta - b)))
+ *   b: difficulty on the ability scale (0 = average learner)
+ *   a: discrimination (how sharply the item separates weaker from stronger learners)
+ *
+ * Each answer to a bank question is stored with the learner's ability at the time
+ * (`theta`, taken from their topic mastery). Items are recalibrated from those responses
+ * by MAP estimation: the prior on `b` is centred on the requested `level`, so a fresh
+ * item starts where it was asked for and moves as students actually answer it.
+ */
+
+const LEVEL_MIN = 1;
+const LEVEL_MAX = 10;
+const THETA_LIMIT = 3;
+const A_MIN = 0.2;
+const A_MAX = 4;
+
+// Prior: b ~ N(difficultyForLevel(level), 1), ln(a) ~ N(0, 0.5^2).
+const PRIOR_B_SD = 1;
+const PRIOR_LOG_A_SD = 0.5;
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function round3(x) {
+  return Math.round(Number(x) * 1000) / 1000;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/** Map the prompt's 1-10 difficulty level onto the ability scale (-3..3). */
+function difficultyForLevel(level) {
+  const lvl = clamp(Number(level) || LEVEL_MIN, LEVEL_MIN, LEVEL_MAX);
+  return ((lvl - LEVEL_MIN) / (LEVEL_MAX - LEVEL_MIN)) * 2 * THETA_LIMIT - THETA_LIMIT;
+}
+
+/** Inverse of difficultyForLevel, rounded to a whole prompt level. */
+function levelForDifficulty(b) {
+  const theta = clamp(Number(b) || 0, -THETA_LIMIT, THETA_LIMIT);
+  const lvl = ((theta + THETA_LIMIT) / (2 * THETA_LIMIT)) * (LEVEL_MAX - LEVEL_MIN) + LEVEL_MIN;
+  return Math.round(lvl);
+}
+
+/**
+ * Learner ability for a topic from its mastery probability (logit scale), or null when
+ * the learner has no estimate for the topic yet.
+ */
+function abilityFromMastery(mastery) {
+  const p = Number(mastery);
+  if (mastery === undefined || mastery === null || !Number.isFinite(p)) return null;
+  const q = clamp(p, 1e-3, 1 - 1e-3);
+  return round3(clamp(Math.log(q / (1 - q)), -THETA_LIMIT, THETA_LIMIT));
+}
+
+function irtProbability(theta, { a = 1, b = 0 } = {}) {
+  return sigmoid(Number(a) * (Number(theta) - Number(b)));
+}
+
+/** Fisher information of an item at ability theta. */
+function irtInformation(theta, item) {
+  const p = irtProbability(theta, item);
+  return Number(item?.a || 1) ** 2 * p * (1 - p);
+}
+
+/**
+ * Item difficulty at which a learner of ability theta answers correctly with probability
+ * `success` (for discrimination `a`). success = 0.5 gives b = theta, the point of maximum
+ * information.
+ */
+function difficultyForSuccess(theta, success = 0.5, a = 1) {
+  const p = clamp(Number(success) || 0.5, 0.05, 0.95);
+  return round3(Number(theta) - Math.log(p / (1 - p)) / (Number(a) || 1));
+}
+
+/** Starting parameters for an uncalibrated item. */
+function initialIrt(level) {
+  return { a: 1, b: round3(difficultyForLevel(level)), se_b: PRIOR_B_SD, n: 0 };
+}
+
+/**
+ * Fit 2PL parameters for one item by Fisher scoring on the posterior.
+ * @param {Array<{ theta: number, correct: boolean }>} responses
+ * @param {{ level?: number, maxIter?: number, tol?: number }} [opts]
+ * @returns {{ a: number, b: number, se_b: number, n: number }}
+ */
+function calibrate2pl(responses, { level, maxIter = 25, tol = 1e-6 } = {}) {
+  const obs = (Array.isArray(responses) ? responses : [])
+    .filter((r) => r && Number.isFinite(Number(r.theta)) && typeof r.correct === 'boolean')
+    .map((r) => ({ theta: clamp(Number(r.theta), -THETA_LIMIT, THETA_LIMIT), y: r.correct ? 1 : 0 }));
+  const b0 = difficultyForLevel(level);
+  if (!obs.length) return initialIrt(level);
+
+  // Work in (ln a, b) so discrimination stays positive.
+  let logA = 0;
+  let b = b0;
+  let infoB = 1 / PRIOR_B_SD ** 2;
+  for (let iter = 0; iter < maxIter; iter++) {
+    const a = Math.exp(logA);
+    let gA = -logA / PRIOR_LOG_A_SD ** 2;
+    let gB = -(b - b0) / PRIOR_B_SD ** 2;
+    let hAA = 1 / PRIOR_LOG_A_SD ** 2;
+    let hBB = 1 / PRIOR_B_SD ** 2;
+    let hAB = 0;
+    for (const { theta, y } of obs) {
+      const z = a * (theta - b);
+      const p = sigmoid(z);
+      const w = p * (1 - p);
+      gA += (y - p) * z;
+      gB -= (y - p) * a;
+      hAA += w * z * z;
+      hBB += w * a * a;
+      hAB -= w * z * a;
+    }
+    // Solve the 2x2 system (expected information) for the scoring step.
+    const det = hAA * hBB - hAB * hAB;
+    if (!(det > 0)) break;
+    const dA = clamp((hBB * gA - hAB * gB) / det, -1, 1);
+    const dB = clamp((hAA * gB - hAB * gA) / det, -1, 1);
+    logA = clamp(logA + dA, Math.log(A_MIN), Math.log(A_MAX));
+    b = clamp(b + dB, -THETA_LIMIT - 1, THETA_LIMIT + 1);
+    infoB = det / hAA;
+    if (Math.abs(dA) < tol && Math.abs(dB) < tol) break;
+  }
+
+  return {
+    a: round3(Math.exp(logA)),
+    b: round3(b),
+    se_b: round3(1 / Math.sqrt(infoB)),
+    n: obs.length,
+  };
+}
+
+module.exports = {
+  difficultyForLevel,
+  levelForDifficulty,
+  abilityFromMastery,
+  irtProbability,
+  irtInformation,
+  difficultyForSuccess,
+  initialIrt,
+  calibrate2pl,
+};
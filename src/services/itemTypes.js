@@ -0,0 +1,372 @@
+/**
+ * Tutor item types beyond single-answer A-D MCQs.
+ *
+ * Each type defines:
+ * - prompt:    the generation instruction, the JSON shape the model must return and its schema
+ * - validate:  model output -> storage record (throws on malformed output)
+ * - view:      stored record -> fields safe to send to the learner (no answers)
+ * - grade:     stored record + learner response -> { correct, score, feedback, mistakes }
+ *
+ * `mistakes` is a list of `{ code, message }` from ./mathEquivalence.js (sign errors,
+ * unsimplified answers, ...) for numeric and expression answers, otherwise empty.
+ *
+ * Stored records share `item_type`, `question`, `explanation`, `hints` (progressive, most general
+ * first) and `solution_steps`; the remaining fields are type-specific (see docs/ARCHITECTURE.md).
+ * Records without `item_type` are legacy MCQs.
+ */
+
+const { checkEquivalence, diagnoseNumber, evaluateConstant, isExpression } = require('./mathEquivalence');
+
+const ITEM_TYPES = ['mcq', 'multi_select', 'numeric', 'short_text', 'ordering', 'matching'];
+const DEFAULT_ITEM_TYPE = 'mcq';
+const MAX_HINTS = 3;
+const MAX_SOLUTION_STEPS = 12;
+
+// Fields every item type asks for, kept out of the learner view until requested or answered.
+const TUTORING_SHAPE = `"hints": [string] (2-3 progressive hints, most general first; none may state the answer), "solution_steps": [string] (worked solution, one step per entry)`;
+
+function invalid(type, reason) {
+  return new Error(`Tutor model returned an invalid ${type} item (${reason}).`);
+}
+
+/**
+ * JSON schema for a type's raw model output (checked by llmProvider.js before validate()).
+ * Only the fields validate() can't work without are required.
+ */
+function outputSchema(required, properties = {}) {
+  return {
+    type: 'object',
+    required: ['question', ...required],
+    properties: {
+      question: { type: 'string' },
+      ...properties,
+      hints: { type: 'array' },
+      solution_steps: { type: 'array' },
+      explanation: { type: 'string' },
+    },
+  };
+}
+
+const OPTION_LIST = { type: 'array', items: { type: ['object', 'string'] } };
+
+function cleanText(x, max = 1000) {
+  return String(x ?? '').trim().slice(0, max);
+}
+
+function cleanOptions(list, type, { min, idCase = 'upper' } = {}) {
+  if (!Array.isArray(list) || list.length < min) throw invalid(type, `needs at least ${min} options`);
+  const out = list.map((o, i) => {
+    const id = cleanText(o?.id ?? String.fromCharCode(65 + i), 20);
+    return { id: idCase === 'upper' ? id.toUpperCase() : id, text: cleanText(o?.text ?? o, 500) };
+  });
+  if (out.some((o) => !o.id || !o.text)) throw invalid(type, 'empty option');
+  if (new Set(out.map((o) => o.id)).size !== out.length) throw invalid(type, 'duplicate option ids');
+  return out;
+}
+
+function cleanList(list, maxItems, maxLength) {
+  return (Array.isArray(list) ? list : []).map((x) => cleanText(x, maxLength)).filter(Boolean).slice(0, maxItems);
+}
+
+function shuffled(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Parse "0.5", "1/2", "-3", "2.5e3" (with optional spaces/commas) to a number, else null. */
+function parseNumber(input) {
+  if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+  const s = String(input ?? '').trim().replace(/,/g, '').replace(/\s+/g, '');
+  if (!s) return null;
+  const frac = s.match(/^([+-]?\d+(?:\.\d+)?)\/([+-]?\d+(?:\.\d+)?)$/);
+  if (frac) {
+    const den = Number(frac[2]);
+    return den === 0 ? null : Number(frac[1]) / den;
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeAnswerText(s) {
+  return String(s ?? '').toLowerCase().replace(/\s+/g, '').replace(/\*/g, '');
+}
+
+const mcq = {
+  prompt: {
+    instruction: (topic) => `Create ONE multiple-choice question (A-D) about the topic: "${topic}".`,
+    shape: `{ "question": string, "choices": [{"id":"A","text":string},{"id":"B","text":string},{"id":"C","text":string},{"id":"D","text":string}], "answerId": "A"|"B"|"C"|"D", ${TUTORING_SHAPE}, "explanation": string }`,
+    schema: outputSchema(['choices'], { choices: { ...OPTION_LIST, minItems: 2 }, answerId: { type: 'string' } }),
+  },
+  validate(obj) {
+    const choices = cleanOptions(obj?.choices, 'mcq', { min: 2 });
+    const answerId = cleanText(obj?.answerId ?? obj?.answer_id, 20).toUpperCase();
+    if (!choices.some((c) => c.id === answerId)) throw invalid('mcq', 'answerId is not one of the choices');
+    return { choices, answer_id: answerId };
+  },
+  view: (item) => ({ choices: item.choices }),
+  grade(item, response) {
+    const chosen = String(response?.choiceId ?? response?.chosenId ?? response ?? '').toUpperCase();
+    const correct = chosen === String(item.answer_id).toUpperCase();
+    return { correct, score: correct ? 1 : 0, feedback: null };
+  },
+};
+
+const multiSelect = {
+  prompt: {
+    instruction: (topic) => `Create ONE multiple-select question (choices A-E, one or more correct) about the topic: "${topic}".`,
+    shape: `{ "question": string, "choices": [{"id":"A","text":string}, ... up to "E"], "answerIds": ["A","C"], ${TUTORING_SHAPE}, "explanation": string }`,
+    schema: outputSchema(['choices', 'answerIds'], { choices: { ...OPTION_LIST, minItems: 3 }, answerIds: { type: 'array' } }),
+  },
+  validate(obj) {
+    const choices = cleanOptions(obj?.choices, 'multi_select', { min: 3 });
+    const ids = new Set(choices.map((c) => c.id));
+    const answerIds = Array.from(new Set((Array.isArray(obj?.answerIds) ? obj.answerIds : [])
+      .map((x) => String(x).trim().toUpperCase())));
+    if (!answerIds.length || answerIds.some((x) => !ids.has(x))) throw invalid('multi_select', 'answerIds must be choice ids');
+    return { choices, answer_ids: answerIds.sort() };
+  },
+  view: (item) => ({ choices: item.choices }),
+  grade(item, response) {
+    const picked = new Set((Array.isArray(response) ? response : response?.choiceIds || [])
+      .map((x) => String(x).toUpperCase()));
+    const keyed = new Set(item.answer_ids || []);
+    const hits = Array.from(picked).filter((x) => keyed.has(x)).length;
+    const wrong = picked.size - hits;
+    const correct = hits === keyed.size && wrong === 0;
+    return {
+      correct,
+      score: keyed.size ? Math.max(0, (hits - wrong) / keyed.size) : 0,
+      feedback: correct ? null : `${hits} of ${keyed.size} correct options selected, ${wrong} incorrect.`,
+    };
+  },
+};
+
+const numeric = {
+  prompt: {
+    instruction: (topic) => `Create ONE question about the topic "${topic}" whose answer is a single number.`,
+    shape: `{ "question": string, "answer": number, "tolerance": number (absolute; 0 for exact), "unit": string|null, ${TUTORING_SHAPE}, "explanation": string }`,
+    schema: outputSchema(['answer'], { answer: { type: ['number', 'string'] }, tolerance: { type: ['number', 'string'] } }),
+  },
+  validate(obj) {
+    const value = parseNumber(obj?.answer);
+    if (value === null) throw invalid('numeric', 'answer is not a number');
+    const tol = parseNumber(obj?.tolerance);
+    return {
+      answer_value: value,
+      tolerance: tol !== null && tol >= 0 ? tol : 0,
+      unit: obj?.unit ? cleanText(obj.unit, 40) : null,
+    };
+  },
+  view: (item) => ({ unit: item.unit || null }),
+  grade(item, response) {
+    const raw = response?.value ?? response;
+    // Exact forms such as "sqrt(2)" or "2pi" are accepted alongside decimals and fractions.
+    const value = parseNumber(raw) ?? evaluateConstant(raw);
+    if (value === null) return { correct: false, score: 0, feedback: 'Enter a number (decimals, a/b fractions or an expression like sqrt(2)).' };
+    const expected = Number(item.answer_value);
+    const tol = Math.max(Number(item.tolerance) || 0, Math.abs(expected) * 1e-9);
+    const correct = Math.abs(value - expected) <= tol;
+    const mistakes = correct ? [] : diagnoseNumber(value, expected, Math.max(1e-9, tol / Math.max(1, Math.abs(expected))));
+    return { correct, score: correct ? 1 : 0, feedback: mistakes[0]?.message || null, mistakes };
+  },
+};
+
+function gradeRubric(item, text) {
+  const answer = String(text || '').toLowerCase();
+  const rubric = Array.isArray(item.rubric) ? item.rubric : [];
+  const total = rubric.reduce((n, r) => n + (Number(r.points) || 1), 0);
+  const met = rubric.filter((r) => (r.keywords || []).some((k) => answer.includes(String(k).toLowerCase())));
+  const got = met.reduce((n, r) => n + (Number(r.points) || 1), 0);
+  const score = total ? got / total : 0;
+  const missing = rubric.filter((r) => !met.includes(r)).map((r) => r.criterion);
+  return {
+    correct: score >= 0.6,
+    score,
+    feedback: missing.length ? `Missing: ${missing.join('; ')}` : null,
+  };
+}
+
+const shortText = {
+  prompt: {
+    instruction: (topic) => `Create ONE short-answer question about the topic: "${topic}". The answer should be a short expression, number or phrase.`,
+    shape: `{ "question": string, "answers": [string] (accepted answers, e.g. "2x+4"), "grading": "expression"|"rubric", "rubric": [{"criterion": string, "keywords": [string], "points": number}] (only for "rubric"), ${TUTORING_SHAPE}, "explanation": string }`,
+    schema: outputSchema([], { answers: { type: 'array' }, grading: { enum: ['expression', 'rubric'] }, rubric: { type: 'array' } }),
+  },
+  validate(obj) {
+    const grading = obj?.grading === 'rubric' ? 'rubric' : 'expression';
+    const answers = (Array.isArray(obj?.answers) ? obj.answers : [obj?.answer])
+      .map((a) => cleanText(a, 200))
+      .filter(Boolean);
+    const rubric = (Array.isArray(obj?.rubric) ? obj.rubric : [])
+      .map((r) => ({
+        criterion: cleanText(r?.criterion, 200),
+        keywords: (Array.isArray(r?.keywords) ? r.keywords : []).map((k) => cleanText(k, 80)).filter(Boolean),
+        points: Number(r?.points) > 0 ? Number(r.points) : 1,
+      }))
+      .filter((r) => r.criterion && r.keywords.length);
+    if (grading === 'expression' && !answers.length) throw invalid('short_text', 'no accepted answers');
+    if (grading === 'rubric' && !rubric.length) throw invalid('short_text', 'empty rubric');
+    return { accepted_answers: answers, grading, rubric, require_simplified: obj?.require_simplified === true };
+  },
+  view: () => ({}),
+  grade(item, response) {
+    const text = String(response?.text ?? response ?? '');
+    if (!text.trim()) return { correct: false, score: 0, feedback: 'Enter an answer.' };
+    if (item.grading === 'rubric') return gradeRubric(item, text);
+    const accepted = item.accepted_answers || [];
+    const given = normalizeAnswerText(text);
+    if (accepted.some((a) => normalizeAnswerText(a) === given)) return { correct: true, score: 1, feedback: null };
+
+    // Accepted answers that are not expressions (words, phrases) only match as text above.
+    const expressions = accepted.filter(isExpression);
+    let first = null;
+    for (const a of expressions) {
+      const check = checkEquivalence(text, a, { requireSimplified: item.require_simplified === true });
+      if (check.equivalent) {
+        return {
+          correct: check.correct,
+          score: check.correct ? 1 : 0,
+          feedback: check.mistakes[0]?.message || null,
+          mistakes: check.mistakes,
+        };
+      }
+      first = first || check;
+    }
+    const mistakes = first ? first.mistakes : [];
+    return { correct: false, score: 0, feedback: mistakes[0]?.message || null, mistakes };
+  },
+};
+
+const ordering = {
+  prompt: {
+    instruction: (topic) => `Create ONE ordering question about the topic "${topic}": 3-6 items the student must put in the correct order.`,
+    shape: `{ "question": string, "items": [{"id":"1","text":string}, ...], "correctOrder": ["2","1","3"], ${TUTORING_SHAPE}, "explanation": string }`,
+    schema: outputSchema(['items', 'correctOrder'], { items: { ...OPTION_LIST, minItems: 3 }, correctOrder: { type: 'array' } }),
+  },
+  validate(obj) {
+    const items = cleanOptions(obj?.items, 'ordering', { min: 3, idCase: 'keep' });
+    const order = (Array.isArray(obj?.correctOrder) ? obj.correctOrder : []).map((x) => String(x).trim());
+    const ids = items.map((i) => i.id);
+    if (order.length !== ids.length || ids.some((id) => !order.includes(id))) {
+      throw invalid('ordering', 'correctOrder must list every item id once');
+    }
+    return { items, correct_order: order };
+  },
+  // The model often lists items in the answer order, so shuffle what the learner sees.
+  view: (item) => ({ items: shuffled(item.items) }),
+  grade(item, response) {
+    const order = (Array.isArray(response) ? response : response?.order || []).map((x) => String(x));
+    const expected = item.correct_order || [];
+    const inPlace = expected.filter((id, i) => order[i] === id).length;
+    const correct = inPlace === expected.length && order.length === expected.length;
+    return {
+      correct,
+      score: expected.length ? inPlace / expected.length : 0,
+      feedback: correct ? null : `${inPlace} of ${expected.length} items are in the right position.`,
+    };
+  },
+};
+
+const matching = {
+  prompt: {
+    instruction: (topic) => `Create ONE matching question about the topic "${topic}": 3-6 left items, each matched to exactly one right item.`,
+    shape: `{ "question": string, "left": [{"id":"1","text":string}, ...], "right": [{"id":"a","text":string}, ...], "pairs": {"1":"a", ...}, ${TUTORING_SHAPE}, "explanation": string }`,
+    schema: outputSchema(['left', 'right', 'pairs'], { left: { ...OPTION_LIST, minItems: 3 }, right: { ...OPTION_LIST, minItems: 3 }, pairs: { type: 'object' } }),
+  },
+  validate(obj) {
+    const left = cleanOptions(obj?.left, 'matching', { min: 3, idCase: 'keep' });
+    const right = cleanOptions(obj?.right, 'matching', { min: 3, idCase: 'keep' });
+    const rightIds = new Set(right.map((r) => r.id));
+    const pairs = {};
+    for (const l of left) {
+      const r = String(obj?.pairs?.[l.id] ?? '').trim();
+      if (!rightIds.has(r)) throw invalid('matching', `no valid match for "${l.id}"`);
+      pairs[l.id] = r;
+    }
+    if (new Set(Object.values(pairs)).size !== left.length) throw invalid('matching', 'right items matched twice');
+    return { left, right, pairs };
+  },
+  view: (item) => ({ left: item.left, right: shuffled(item.right) }),
+  grade(item, response) {
+    const given = response?.pairs && typeof response.pairs === 'object' ? response.pairs : (response || {});
+    const expected = item.pairs || {};
+    const keys = Object.keys(expected);
+    const hits = keys.filter((k) => String(given[k] ?? '') === expected[k]).length;
+    const correct = hits === keys.length;
+    return {
+      correct,
+      score: keys.length ? hits / keys.length : 0,
+      feedback: correct ? null : `${hits} of ${keys.length} pairs matched correctly.`,
+    };
+  },
+};
+
+const REGISTRY = {
+  mcq,
+  multi_select: multiSelect,
+  numeric,
+  short_text: shortText,
+  ordering,
+  matching,
+};
+
+function itemTypeOf(item) {
+  return REGISTRY[item?.item_type] ? item.item_type : DEFAULT_ITEM_TYPE;
+}
+
+function isItemType(type) {
+  return Object.prototype.hasOwnProperty.call(REGISTRY, type);
+}
+
+function itemPrompt(type) {
+  return (REGISTRY[type] || REGISTRY[DEFAULT_ITEM_TYPE]).prompt;
+}
+
+/** Model output -> storage record `{ item_type, question, explanation, ...typeFields }`. */
+function validateGeneratedItem(type, obj) {
+  const spec = REGISTRY[type];
+  if (!spec) throw new Error(`Unknown item type: ${type}`);
+  const question = cleanText(obj?.question, 2000);
+  if (!question) throw invalid(type, 'missing question');
+  return {
+    item_type: type,
+    question,
+    ...spec.validate(obj),
+    explanation: cleanText(obj?.explanation, 2000),
+    hints: cleanList(obj?.hints, MAX_HINTS, 500),
+    solution_steps: cleanList(obj?.solution_steps ?? obj?.solutionSteps, MAX_SOLUTION_STEPS, 500),
+  };
+}
+
+/** Learner-facing fields of a stored item (never includes the answer or hint text). */
+function publicView(item) {
+  const type = itemTypeOf(item);
+  return {
+    item_type: type,
+    question: item.question,
+    ...REGISTRY[type].view(item),
+    hints_available: Array.isArray(item.hints) ? item.hints.length : 0,
+  };
+}
+
+/** Grade a learner response against a stored item. */
+function gradeResponse(item, response) {
+  const result = REGISTRY[itemTypeOf(item)].grade(item, response);
+  return { ...result, mistakes: result.mistakes || [] };
+}
+
+module.exports = {
+  ITEM_TYPES,
+  DEFAULT_ITEM_TYPE,
+  isItemType,
+  itemTypeOf,
+  itemPrompt,
+  parseNumber,
+  validateGeneratedItem,
+  publicView,
+  gradeResponse,
+};
@@ -0,0 +1,135 @@
+/**
+ * In-process stand-in for jobSupabaseStore.js (JOB_STORE=memory), so indexing jobs run with no
+ * Supabase tables. Same operations and row shapes; with JOB_STORE_FILE set, jobs and items are also
+ * written to that JSON file and survive restarts.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+let state = null;
+
+function storeFile() {
+  return process.env.JOB_STORE_FILE || '';
+}
+
+function load() {
+  if (state) return state;
+  state = { jobs: new Map(), items: new Map() };
+  const file = storeFile();
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      for (const job of saved.jobs || []) state.jobs.set(job.id, job);
+      for (const item of saved.items || []) state.items.set(item.id, item);
+    } catch (e) {
+      console.warn(`Could not read JOB_STORE_FILE ${file} (starting empty):`, e?.message || e);
+    }
+  }
+  return state;
+}
+
+function save() {
+  const file = storeFile();
+  if (!file) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    jobs: Array.from(state.jobs.values()),
+    items: Array.from(state.items.values()),
+  }));
+}
+
+// Rows are copied in and out, as a database would.
+function copy(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : row;
+}
+
+async function createJob(row) {
+  const { jobs } = load();
+  const job = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...copy(row) };
+  jobs.set(job.id, job);
+  save();
+  return copy(job);
+}
+
+async function updateJob(id, patch) {
+  const job = load().jobs.get(id);
+  if (!job) return;
+  Object.assign(job, copy(patch));
+  save();
+}
+
+async function createItems(rows) {
+  const { items } = load();
+  const created = rows.map((row) => {
+    const item = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...copy(row) };
+    items.set(item.id, item);
+    return copy(item);
+  });
+  save();
+  return created;
+}
+
+async function findClaimable({ now, jobId, limit }) {
+  const t = new Date(now).getTime();
+  const time = (value) => new Date(value).getTime();
+  const items = Array.from(load().items.values()).filter((i) => !jobId || i.job_id === jobId);
+  const expired = items
+    .filter((i) => i.status === 'running' && i.leased_until && time(i.leased_until) < t)
+    .sort((a, b) => time(a.leased_until) - time(b.leased_until));
+  const due = items
+    .filter((i) => i.status === 'queued' && time(i.available_at) <= t)
+    .sort((a, b) => time(a.available_at) - time(b.available_at));
+  return [...expired, ...due].slice(0, limit).map(copy);
+}
+
+async function updateItem(id, patch, expect = {}) {
+  const item = load().items.get(id);
+  if (!item) return null;
+  for (const [column, value] of Object.entries(expect)) {
+    if ((item[column] ?? null) !== value) return null;
+  }
+  Object.assign(item, copy(patch));
+  save();
+  return copy(item);
+}
+
+async function getJob(id) {
+  return copy(load().jobs.get(id) || null);
+}
+
+async function listJobs({ schoolId, type, statuses, before, limit }) {
+  return Array.from(load().jobs.values())
+    .filter((j) => (!schoolId || j.school_id === schoolId)
+      && (!type || j.job_type === type)
+      && (!statuses || !statuses.length || statuses.includes(j.status))
+      && (!before || j.created_at < before))
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+    .slice(0, limit)
+    .map(copy);
+}
+
+async function listItems(jobId) {
+  return Array.from(load().items.values())
+    .filter((i) => i.job_id === jobId)
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+    .map(copy);
+}
+
+async function jobItemStatuses(jobId) {
+  return Array.from(load().items.values())
+    .filter((i) => i.job_id === jobId)
+    .map((i) => ({ status: i.status }));
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  createItems,
+  findClaimable,
+  updateItem,
+  jobItemStatuses,
+  getJob,
+  listJobs,
+  listItems,
+};
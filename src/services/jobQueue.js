@@ -0,0 +1,304 @@
+/**
+ * Durable queue for indexing jobs, shared by every indexing route (see jobWorker.js, indexingJobs.js).
+ *
+ * A job (`rag_jobs` row) groups items (`rag_queue` rows), one per file, URL or S3 object. Item status:
+ * - "queued": waiting until `available_at`.
+ * - "running": leased to `lease_owner` until `leased_until` (JOB_LEASE_MS, default 5 minutes). A claim is
+ *   a compare-and-set on the item's status and attempt count, so two workers never both win it. Workers
+ *   renew the lease while they run; when a worker dies the lease runs out and the item can be claimed
+ *   again (visibility timeout).
+ * - "done": finished; `result` holds the handler's result.
+ * - "dead": dead-lettered after `max_attempts` (JOB_MAX_ATTEMPTS, default 5) or at once for a client error
+ *   (4xx status); `last_error` says why. `retryItems` queues it again with a fresh attempt count.
+ * - "cancelled": `cancelJob` stopped it before it finished. A running handler is not interrupted, but its
+ *   lease is gone, so its result is not recorded.
+ * A failed attempt below the limit is re-queued with exponential backoff: JOB_BACKOFF_MS (default 30 s)
+ * doubled per attempt, capped at JOB_BACKOFF_MAX_MS (default 1 hour), with ±20% jitter.
+ *
+ * Jobs keep processed_count (done + dead + cancelled), failed_count (dead) and status: "queued", "running",
+ * then "completed", "error" when an item was dead-lettered or "cancelled". Items left in "error" by the
+ * former edge-function worker count as dead.
+ *
+ * Stored by JOB_STORE: "supabase" (default, jobSupabaseStore.js) or "memory" (jobLocalStore.js).
+ */
+const ITEM_STATUSES = ['queued', 'running', 'done', 'dead', 'cancelled'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'error', 'cancelled'];
+const FAILED_STATUSES = ['dead', 'error'];
+
+function jobStoreName() {
+  const name = String(process.env.JOB_STORE || 'supabase').toLowerCase();
+  return name === 'memory' ? 'memory' : 'supabase';
+}
+
+// Loaded on first use so the memory store never touches Supabase.
+function store() {
+  return jobStoreName() === 'memory' ? require('./jobLocalStore') : require('./jobSupabaseStore');
+}
+
+function envInt(name, fallback, min) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+function leaseMs() {
+  return envInt('JOB_LEASE_MS', 5 * 60 * 1000, 1000);
+}
+
+function maxAttempts() {
+  return envInt('JOB_MAX_ATTEMPTS', 5, 1);
+}
+
+/** Delay before retrying after failed attempt number `attempt` (1-based). */
+function backoffMs(attempt) {
+  const base = envInt('JOB_BACKOFF_MS', 30 * 1000, 0);
+  const cap = envInt('JOB_BACKOFF_MAX_MS', 60 * 60 * 1000, 0);
+  const delay = Math.min(cap, base * 2 ** Math.max(0, attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function isoIn(ms) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+/** Client errors (bad input, missing or unreadable document) are not retried; timeouts and 429s are. */
+function isRetryable(error) {
+  const status = Number(error?.status);
+  return !(status >= 400 && status < 500) || status === 408 || status === 429;
+}
+
+function errorMessage(error) {
+  return String(error?.message || error || 'Unknown error').slice(0, 2000);
+}
+
+/**
+ * Recompute a job's counts and status from its items.
+ */
+async function refreshJob(jobId) {
+  if (!jobId) return;
+  const statuses = await store().jobItemStatuses(jobId);
+  const count = (status) => statuses.filter((r) => r.status === status).length;
+  const done = count('done');
+  const dead = count('dead') + count('error');
+  const cancelled = count('cancelled');
+  const finished = done + dead + cancelled;
+  const patch = { processed_count: finished, failed_count: dead, total_count: statuses.length };
+  if (finished === statuses.length) {
+    patch.status = cancelled ? 'cancelled' : dead ? 'error' : 'completed';
+    patch.finished_at = new Date().toISOString();
+  } else {
+    // Retried items reopen a finished job.
+    patch.status = count('running') || finished ? 'running' : 'queued';
+    patch.finished_at = null;
+  }
+  await store().updateJob(jobId, patch);
+}
+
+/**
+ * Create a job and its items.
+ * @param {{ type: string, schoolId?: string|null, meta?: object,
+ *   items: { itemType: string, payload: object }[], leaseTo?: string|null }} job
+ *   type: rag_jobs.job_type ("files", "links", "kb_index", ...); itemType: the handler (indexingJobs.js);
+ *   leaseTo: create the items already leased to this owner (a request running the job itself)
+ * @returns {Promise<{ job: object, items: object[] }>}
+ */
+async function enqueueJob({ type, schoolId = null, meta = {}, items, leaseTo = null }) {
+  const s = store();
+  const now = new Date().toISOString();
+  const job = await s.createJob({
+    school_id: schoolId,
+    job_type: type,
+    status: items.length ? (leaseTo ? 'running' : 'queued') : 'completed',
+    processed_count: 0,
+    failed_count: 0,
+    total_count: items.length,
+    meta,
+    ...(items.length ? {} : { finished_at: now }),
+  });
+  const limit = maxAttempts();
+  const created = items.length ? await s.createItems(items.map(({ itemType, payload }) => ({
+    job_id: job.id,
+    school_id: schoolId,
+    item_type: itemType,
+    payload,
+    status: leaseTo ? 'running' : 'queued',
+    attempts: leaseTo ? 1 : 0,
+    max_attempts: limit,
+    available_at: now,
+    lease_owner: leaseTo,
+    leased_until: leaseTo ? isoIn(leaseMs()) : null,
+    started_at: leaseTo ? now : null,
+  }))) : [];
+  return { job, items: created };
+}
+
+/**
+ * Lease up to `limit` due items to `owner` (optionally only items of `jobId`). An item whose lease ran out
+ * on its final attempt is dead-lettered instead.
+ * @returns {Promise<object[]>} the claimed items, `attempts` already counting this attempt
+ */
+async function claimItems({ owner, jobId = null, limit = 1 }) {
+  const s = store();
+  const now = new Date().toISOString();
+  const candidates = await s.findClaimable({ now, jobId, limit: limit * 3 });
+  const claimed = [];
+  const touched = new Set();
+  for (const c of candidates) {
+    if (claimed.length >= limit) break;
+    const attempts = c.attempts || 0;
+    const expect = { status: c.status, attempts };
+    if (c.status === 'running' && attempts >= (c.max_attempts || maxAttempts())) {
+      const dead = await s.updateItem(c.id, {
+        status: 'dead',
+        lease_owner: null,
+        leased_until: null,
+        last_error: c.last_error || 'Lease expired on the final attempt',
+        finished_at: now,
+      }, expect);
+      if (dead) touched.add(c.job_id);
+      continue;
+    }
+    const item = await s.updateItem(c.id, {
+      status: 'running',
+      attempts: attempts + 1,
+      lease_owner: owner,
+      leased_until: isoIn(leaseMs()),
+      started_at: now,
+    }, expect);
+    if (item) {
+      claimed.push(item);
+      touched.add(item.job_id);
+    }
+  }
+  for (const id of touched) await refreshJob(id);
+  return claimed;
+}
+
+/**
+ * Extend `owner`'s lease on an item, optionally storing handler `progress`.
+ * @returns {Promise<boolean>} false when the lease was lost (expired and taken by another worker)
+ */
+async function renewLease(item, { owner, progress } = {}) {
+  const patch = { leased_until: isoIn(leaseMs()) };
+  if (progress !== undefined) patch.progress = progress;
+  return Boolean(await store().updateItem(item.id, patch, { status: 'running', lease_owner: owner }));
+}
+
+/** Mark a leased item done. Returns false when the lease was lost (another worker now owns the item). */
+async function completeItem(item, { owner, result }) {
+  const row = await store().updateItem(item.id, {
+    status: 'done',
+    result: result ?? null,
+    lease_owner: null,
+    leased_until: null,
+    last_error: null,
+    finished_at: new Date().toISOString(),
+  }, { status: 'running', lease_owner: owner });
+  if (row) await refreshJob(item.job_id);
+  return Boolean(row);
+}
+
+/**
+ * Record a failed attempt: re-queue with backoff, or dead-letter.
+ * @returns {Promise<'queued'|'dead'|null>} the new status, null when the lease was lost
+ */
+async function failItem(item, { owner, error }) {
+  const retry = isRetryable(error) && (item.attempts || 0) < (item.max_attempts || maxAttempts());
+  const patch = retry
+    ? { status: 'queued', available_at: isoIn(backoffMs(item.attempts || 1)) }
+    : { status: 'dead', finished_at: new Date().toISOString() };
+  const row = await store().updateItem(item.id, {
+    ...patch,
+    lease_owner: null,
+    leased_until: null,
+    last_error: errorMessage(error),
+  }, { status: 'running', lease_owner: owner });
+  if (row) await refreshJob(item.job_id);
+  return row ? row.status : null;
+}
+
+/**
+ * A job with its items, or null when there is no such job.
+ * @returns {Promise<{ job: object, items: object[] }|null>}
+ */
+async function getJob(jobId) {
+  const s = store();
+  const job = await s.getJob(jobId);
+  return job ? { job, items: await s.listItems(jobId) } : null;
+}
+
+/**
+ * Jobs newest first.
+ * @param {{ schoolId?: string, type?: string, statuses?: string[], before?: string, limit?: number }} [filters]
+ *   before: only jobs created before this time (the `created_at` of the last job of the previous page)
+ */
+function listJobs({ schoolId = null, type = null, statuses = [], before = null, limit = 20 } = {}) {
+  return store().listJobs({ schoolId, type, statuses, before, limit });
+}
+
+/**
+ * Cancel the job's queued and running items. Handlers already running finish, but their leases are
+ * cleared so the result is dropped and no retry is scheduled.
+ * @returns {Promise<number>} how many items were cancelled
+ */
+async function cancelJob(jobId) {
+  const s = store();
+  const now = new Date().toISOString();
+  let cancelled = 0;
+  for (const item of await s.listItems(jobId)) {
+    if (item.status !== 'queued' && item.status !== 'running') continue;
+    const row = await s.updateItem(item.id, {
+      status: 'cancelled',
+      lease_owner: null,
+      leased_until: null,
+      finished_at: now,
+    }, { status: item.status, lease_owner: item.lease_owner ?? null });
+    if (row) cancelled += 1;
+  }
+  await refreshJob(jobId);
+  return cancelled;
+}
+
+/**
+ * Queue the job's failed (dead-lettered) items again, due now, with a fresh attempt count.
+ * @param {{ itemIds?: string[] }} [opts] only these items (default: every failed item)
+ * @returns {Promise<number>} how many items were re-queued
+ */
+async function retryItems(jobId, { itemIds = null } = {}) {
+  const s = store();
+  const now = new Date().toISOString();
+  const only = itemIds ? new Set(itemIds) : null;
+  let retried = 0;
+  for (const item of await s.listItems(jobId)) {
+    if (!FAILED_STATUSES.includes(item.status) || (only && !only.has(item.id))) continue;
+    const row = await s.updateItem(item.id, {
+      status: 'queued',
+      attempts: 0,
+      max_attempts: item.max_attempts || maxAttempts(),
+      available_at: now,
+      lease_owner: null,
+      leased_until: null,
+      finished_at: null,
+    }, { status: item.status });
+    if (row) retried += 1;
+  }
+  if (retried) await refreshJob(jobId);
+  return retried;
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  JOB_STATUSES,
+  jobStoreName,
+  leaseMs,
+  isRetryable,
+  enqueueJob,
+  claimItems,
+  renewLease,
+  completeItem,
+  failItem,
+  refreshJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  retryItems,
+};
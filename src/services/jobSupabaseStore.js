@@ -0,0 +1,105 @@
+/**
+ * Job persistence on the Supabase `rag_jobs` / `rag_queue` tables (JOB_STORE=supabase, the default).
+ *
+ * Leasing, retries and the dead-letter state need columns the tables did not originally have:
+ *   alter table rag_jobs add column if not exists failed_count integer not null default 0;
+ *   alter table rag_jobs alter column school_id drop not null;
+ *   alter table rag_queue add column if not exists attempts integer not null default 0;
+ *   alter table rag_queue add column if not exists max_attempts integer not null default 5;
+ *   alter table rag_queue add column if not exists available_at timestamptz not null default now();
+ *   alter table rag_queue add column if not exists lease_owner text;
+ *   alter table rag_queue add column if not exists leased_until timestamptz;
+ *   alter table rag_queue add column if not exists progress jsonb;
+ *   alter table rag_queue add column if not exists result jsonb;
+ *   alter table rag_queue add column if not exists last_error text;
+ *   alter table rag_queue add column if not exists started_at timestamptz;
+ *   alter table rag_queue add column if not exists finished_at timestamptz;
+ *   alter table rag_queue alter column school_id drop not null;
+ *   create index if not exists rag_queue_claim_idx on rag_queue (status, available_at);
+ *
+ * Operations throw the Supabase error; jobQueue.js decides what is fatal.
+ */
+const supabase = require('../config/supabase');
+
+function check({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+async function createJob(row) {
+  return check(await supabase.from('rag_jobs').insert(row).select('*').single());
+}
+
+async function updateJob(id, patch) {
+  check(await supabase.from('rag_jobs').update(patch).eq('id', id));
+}
+
+async function createItems(rows) {
+  return check(await supabase.from('rag_queue').insert(rows).select('*')) || [];
+}
+
+/** Items that can be claimed at `now`: queued and due, or running with an expired lease. */
+async function findClaimable({ now, jobId, limit }) {
+  const scoped = () => {
+    const q = supabase.from('rag_queue').select('*');
+    return jobId ? q.eq('job_id', jobId) : q;
+  };
+  const expired = check(await scoped()
+    .eq('status', 'running')
+    .lt('leased_until', now)
+    .order('leased_until', { ascending: true })
+    .limit(limit)) || [];
+  const due = check(await scoped()
+    .eq('status', 'queued')
+    .lte('available_at', now)
+    .order('available_at', { ascending: true })
+    .limit(limit)) || [];
+  return [...expired, ...due].slice(0, limit);
+}
+
+/**
+ * Apply `patch` to an item only if its current values match `expect` (compare-and-set).
+ * @returns {Promise<object|null>} the updated item, or null when another writer got there first
+ */
+async function updateItem(id, patch, expect = {}) {
+  let q = supabase.from('rag_queue').update(patch).eq('id', id);
+  for (const [column, value] of Object.entries(expect)) {
+    q = value === null ? q.is(column, null) : q.eq(column, value);
+  }
+  const rows = check(await q.select('*'));
+  return (rows && rows[0]) || null;
+}
+
+async function getJob(id) {
+  return check(await supabase.from('rag_jobs').select('*').eq('id', id).maybeSingle());
+}
+
+/** Jobs newest first, filtered by school, type and statuses, created before `before` (paging cursor). */
+async function listJobs({ schoolId, type, statuses, before, limit }) {
+  let q = supabase.from('rag_jobs').select('*');
+  if (schoolId) q = q.eq('school_id', schoolId);
+  if (type) q = q.eq('job_type', type);
+  if (statuses && statuses.length) q = q.in('status', statuses);
+  if (before) q = q.lt('created_at', before);
+  return check(await q.order('created_at', { ascending: false }).limit(limit)) || [];
+}
+
+async function listItems(jobId) {
+  return check(await supabase.from('rag_queue').select('*').eq('job_id', jobId).order('created_at', { ascending: true })) || [];
+}
+
+async function jobItemStatuses(jobId) {
+  return check(await supabase.from('rag_queue').select('status').eq('job_id', jobId)) || [];
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  createItems,
+  findClaimable,
+  updateItem,
+  jobItemStatuses,
+  getJob,
+  listJobs,
+  listItems,
+};
@@ -0,0 +1,264 @@
+/**
+ * Runs indexing job items (indexingJobs.js) from the queue (jobQueue.js).
+ *
+ * - `submitJob`: how routes start a job. In the foreground the items are created already leased to the
+ *   request and run in order, so the route can answer with the results while the job stays visible in
+ *   `rag_jobs`; failed items are retried by a worker. In the background (serverless) the items are only
+ *   queued and the route answers 202.
+ * - `startWorker`: polls the queue in this process (started by src/index.js unless JOB_WORKER=off or
+ *   serverless; scripts/job-worker.js runs one on its own). JOB_WORKER_CONCURRENCY items at a time
+ *   (default 1), polling every JOB_POLL_MS (default 5 s).
+ * - `drainQueue`: runs due items until none are left or a deadline passes (POST /api/jobs/work, for
+ *   cron on serverless deployments; vercel.json schedules it). After a background enqueue,
+ *   JOB_WORKER_URL (if set) is pinged with `Authorization: Bearer $CRON_SECRET`.
+ */
+const os = require('os');
+const crypto = require('crypto');
+const { leaseMs, enqueueJob, claimItems, renewLease, completeItem, failItem } = require('./jobQueue');
+
+const workers = new Set();
+let warnedUnavailable = false;
+
+function envInt(name, fallback, min) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+// Vercel stops functions after 10 s by default, so drains there stop taking new items well before that.
+function drainMs() {
+  return envInt('JOB_DRAIN_MS', process.env.VERCEL ? 8 * 1000 : 50 * 1000, 1000);
+}
+
+function workerId(kind) {
+  return `${kind}:${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Handlers load the indexing stack (Supabase, S3, vector store), so only on first use.
+function handlerFor(itemType) {
+  const handler = require('./indexingJobs').HANDLERS[itemType];
+  if (!handler) {
+    const err = new Error(`No handler for job item type "${itemType}"`);
+    err.status = 400;
+    throw err;
+  }
+  return handler;
+}
+
+function heartbeatMs() {
+  return Math.max(1000, Math.floor(leaseMs() / 3));
+}
+
+function warnUnavailable(error) {
+  if (warnedUnavailable) return;
+  warnedUnavailable = true;
+  console.warn('Job queue unavailable; indexing runs untracked, without retries (non-critical):', error?.message || error,
+    '- add the columns listed in src/services/jobSupabaseStore.js, or set JOB_STORE=memory.');
+}
+
+/**
+ * Run one leased item and record the outcome, renewing the lease while the handler runs.
+ * @returns {Promise<{ payload: object, result?: object, error?: Error, retrying?: boolean }>}
+ */
+async function runItem(item, owner) {
+  const renew = (progress) => renewLease(item, { owner, progress }).catch((e) => {
+    console.warn('Job lease renewal failed (non-critical):', e?.message || e);
+    return false;
+  });
+  const timer = setInterval(() => { renew(); }, heartbeatMs());
+  if (timer.unref) timer.unref();
+  // Items queued for the former edge-function worker carry the school on the row only.
+  const payload = item.school_id ? { schoolId: item.school_id, ...item.payload } : item.payload || {};
+  try {
+    const result = await handlerFor(item.item_type)(payload, { jobId: item.job_id, attempt: item.attempts, progress: renew });
+    await completeItem(item, { owner, result });
+    return { payload, result };
+  } catch (e) {
+    const status = await failItem(item, { owner, error: e }).catch((err) => {
+      console.warn('Could not record job item failure (non-critical):', err?.message || err);
+      return null;
+    });
+    console.warn(`Job item ${item.id} (${item.item_type}) failed on attempt ${item.attempts}${status === 'queued' ? ', will retry' : ''}:`, e?.message || e);
+    return { payload, error: e, retrying: status === 'queued' };
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+/** Run items leased to `owner` in order, keeping the leases of those still waiting. */
+async function runLeased(items, owner) {
+  const pending = new Set(items);
+  const timer = setInterval(() => {
+    for (const item of pending) renewLease(item, { owner }).catch(() => {});
+  }, heartbeatMs());
+  if (timer.unref) timer.unref();
+  const outcomes = [];
+  try {
+    for (const item of items) {
+      pending.delete(item);
+      // The item was cancelled, or its lease ran out anyway and a worker took it over.
+      if (!(await renewLease(item, { owner }).catch(() => false))) {
+        outcomes.push({ payload: item.payload || {}, skipped: true });
+        continue;
+      }
+      outcomes.push(await runItem(item, owner));
+    }
+  } finally {
+    clearInterval(timer);
+  }
+  return outcomes;
+}
+
+/** Run items directly, without the queue (dry runs, or no queue tables). */
+async function runUntracked(items) {
+  const outcomes = [];
+  for (const { itemType, payload } of items) {
+    try {
+      const result = await handlerFor(itemType)(payload, { jobId: null, attempt: 1, progress: async () => true });
+      outcomes.push({ payload, result });
+    } catch (e) {
+      console.warn(`Job item (${itemType}) failed:`, e?.message || e);
+      outcomes.push({ payload, error: e });
+    }
+  }
+  return outcomes;
+}
+
+/** Nudge workers after items were queued: the ones in this process and JOB_WORKER_URL. */
+function wakeWorkers() {
+  for (const worker of workers) worker.wake();
+  const url = process.env.JOB_WORKER_URL;
+  if (!url) return;
+  const headers = process.env.CRON_SECRET ? { Authorization: `Bearer ${process.env.CRON_SECRET}` } : {};
+  fetch(url, { method: 'POST', headers }).catch((err) => console.warn('Job worker ping failed (non-critical):', err?.message || err));
+}
+
+/**
+ * Start an indexing job for a route.
+ * @param {{ type: string, schoolId?: string|null, meta?: object, items: { itemType: string, payload: object }[],
+ *   background?: boolean, track?: boolean }} job
+ *   background: only queue the items; track: false runs the handlers without a job (dry runs)
+ * @returns {Promise<{ jobId: string|null, queued: boolean, total: number,
+ *   outcomes: { payload: object, result?: object, error?: Error, retrying?: boolean, skipped?: boolean }[] }>}
+ *   `outcomes` is empty when queued; skipped items were cancelled or taken over by a worker
+ */
+async function submitJob({ type, schoolId = null, meta = {}, items, background = false, track = true }) {
+  const owner = background ? null : workerId('request');
+  let enqueued = null;
+  if (track) {
+    try {
+      enqueued = await enqueueJob({ type, schoolId, meta, items, leaseTo: owner });
+    } catch (e) {
+      warnUnavailable(e);
+    }
+  }
+  if (!enqueued) return { jobId: null, queued: false, total: items.length, outcomes: await runUntracked(items) };
+
+  const jobId = enqueued.job.id;
+  if (background) {
+    wakeWorkers();
+    return { jobId, queued: true, total: items.length, outcomes: [] };
+  }
+  return { jobId, queued: false, total: items.length, outcomes: await runLeased(enqueued.items, owner) };
+}
+
+/**
+ * Run due items until none are left or `deadlineMs` has passed (JOB_DRAIN_MS, default 50 s; 8 s on
+ * Vercel). An item already running when the deadline passes is finished.
+ * @returns {Promise<{ processed: number, failed: number, timedOut: boolean }>}
+ */
+async function drainQueue({ deadlineMs = drainMs(), jobId = null } = {}) {
+  const owner = workerId('drain');
+  const until = Date.now() + deadlineMs;
+  let processed = 0;
+  let failed = 0;
+  while (Date.now() < until) {
+    const [item] = await claimItems({ owner, jobId, limit: 1 });
+    if (!item) return { processed, failed, timedOut: false };
+    const outcome = await runItem(item, owner);
+    processed += 1;
+    if (outcome.error) failed += 1;
+  }
+  return { processed, failed, timedOut: true };
+}
+
+/**
+ * Poll the queue and run due items until stopped. Store errors (e.g. missing tables) slow polling down
+ * to once a minute and are logged once per distinct message.
+ * @param {{ concurrency?: number, pollMs?: number }} [opts]
+ * @returns {{ id: string, wake: () => void, stop: () => Promise<void> }}
+ */
+function startWorker({
+  concurrency = envInt('JOB_WORKER_CONCURRENCY', 1, 1),
+  pollMs = envInt('JOB_POLL_MS', 5000, 100),
+} = {}) {
+  const id = workerId('worker');
+  const running = new Set();
+  let stopped = false;
+  let timer = null;
+  let resolveSleep = null;
+  let delay = pollMs;
+  let lastError = null;
+
+  const wake = () => {
+    if (!resolveSleep) return;
+    clearTimeout(timer);
+    const resolve = resolveSleep;
+    resolveSleep = null;
+    resolve();
+  };
+  const sleep = (ms) => new Promise((resolve) => {
+    resolveSleep = resolve;
+    timer = setTimeout(wake, ms);
+    if (timer.unref) timer.unref();
+  });
+
+  const loop = (async () => {
+    while (!stopped) {
+      let claimed = [];
+      const free = concurrency - running.size;
+      if (free > 0) {
+        try {
+          claimed = await claimItems({ owner: id, limit: free });
+          lastError = null;
+          delay = pollMs;
+        } catch (e) {
+          const message = e?.message || String(e);
+          if (message !== lastError) console.warn('Job worker could not poll the queue (non-critical):', message);
+          lastError = message;
+          delay = Math.min(delay * 2, 60 * 1000);
+        }
+      }
+      for (const item of claimed) {
+        const run = runItem(item, id).finally(() => {
+          running.delete(run);
+          wake();
+        });
+        running.add(run);
+      }
+      if (stopped) break;
+      // A finished item wakes the loop early to claim the next one.
+      await sleep(delay);
+    }
+  })();
+
+  const worker = {
+    id,
+    wake,
+    async stop() {
+      stopped = true;
+      workers.delete(worker);
+      wake();
+      await loop;
+      await Promise.allSettled(Array.from(running));
+    },
+  };
+  workers.add(worker);
+  return worker;
+}
+
+module.exports = {
+  submitJob,
+  wakeWorkers,
+  startWorker,
+  drainQueue,
+};
@@ -0,0 +1,216 @@
+/**
+ * Knowledge tracing engines for the tutor.
+ *
+ * An engine turns the stored per-topic estimate plus one observed answer into a new
+ * estimate. Estimates are stored under `kt.<topic>` on the knowledge item; the point
+ * value is mirrored into `topics.<topic>` so existing consumers (spider graph,
+ * community matching) keep working.
+ *
+ * Select the engine with KT_MODEL ('bkt' by default, 'delta' for the legacy fixed steps).
+ *
+ * A correct answer given after hints earns partial credit: each hint removes
+ * KT_HINT_PENALTY (default 0.3) of the evidence a correct answer would otherwise carry.
+ */
+
+// Defaults assume a 4-option MCQ (25% guess rate) and a modest slip rate.
+const DEFAULT_BKT_PARAMS = {
+  p_init: 0.3,
+  p_learn: 0.1,
+  p_guess: 0.25,
+  p_slip: 0.1,
+};
+
+const EPS = 1e-4;
+const DEFAULT_HINT_PENALTY = 0.3;
+
+function clampProb(x, lo = EPS, hi = 1 - EPS) {
+  const n = Number(x);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function round4(x) {
+  return Math.round(Number(x) * 10000) / 10000;
+}
+
+/**
+ * Validate BKT parameters, filling gaps from the defaults.
+ * Guess + slip must stay below 1, otherwise a correct answer would be evidence
+ * *against* knowing the skill.
+ */
+function normalizeBktParams(params = {}) {
+  const p = { ...DEFAULT_BKT_PARAMS };
+  for (const k of Object.keys(DEFAULT_BKT_PARAMS)) {
+    const v = Number(params?.[k]);
+    if (Number.isFinite(v)) p[k] = v;
+  }
+  p.p_init = clampProb(p.p_init);
+  p.p_learn = clampProb(p.p_learn, 0, 1 - EPS);
+  p.p_guess = clampProb(p.p_guess, EPS, 0.5);
+  p.p_slip = clampProb(p.p_slip, EPS, 0.5);
+  if (p.p_guess + p.p_slip >= 1) {
+    p.p_guess = DEFAULT_BKT_PARAMS.p_guess;
+    p.p_slip = DEFAULT_BKT_PARAMS.p_slip;
+  }
+  return p;
+}
+
+/** P(correct) for a learner who knows the skill with probability pKnown. */
+function bktPredictCorrect(pKnown, params) {
+  const { p_guess, p_slip } = params;
+  return pKnown * (1 - p_slip) + (1 - pKnown) * p_guess;
+}
+
+/** Posterior P(known | observation), before the learning transition. */
+function bktPosterior(pKnown, correct, params) {
+  const { p_guess, p_slip } = params;
+  const known = correct ? pKnown * (1 - p_slip) : pKnown * p_slip;
+  const unknown = correct ? (1 - pKnown) * p_guess : (1 - pKnown) * (1 - p_guess);
+  const total = known + unknown;
+  return total > 0 ? known / total : pKnown;
+}
+
+/** Share (0-1) of a correct answer's evidence that counts after `hintsUsed` hints. */
+function hintCredit(hintsUsed) {
+  const hints = Math.max(0, Math.floor(Number(hintsUsed) || 0));
+  const penalty = Number(process.env.KT_HINT_PENALTY);
+  const perHint = Number.isFinite(penalty) && penalty >= 0 ? penalty : DEFAULT_HINT_PENALTY;
+  return Math.max(0, Math.round((1 - hints * perHint) * 1000) / 1000);
+}
+
+/** Apply the learning transition after an opportunity to practice. */
+function bktTransition(pPosterior, params) {
+  return pPosterior + (1 - pPosterior) * params.p_learn;
+}
+
+/**
+ * Approximate 95% credible interval for a mastery probability.
+ * Treats the estimate as the mean of a Beta distribution whose concentration grows
+ * with the number of observed answers, so fresh topics show wide bands.
+ */
+function credibleInterval(p, observations = 0, z = 1.96) {
+  const mean = clampProb(p, 0, 1);
+  const concentration = Math.max(0, Number(observations) || 0) + 2;
+  const sd = Math.sqrt((mean * (1 - mean)) / (concentration + 1));
+  return [round4(Math.max(0, mean - z * sd)), round4(Math.min(1, mean + z * sd))];
+}
+
+function buildEstimate(model, pKnown, { observations, correctCount, params }) {
+  const [ciLow, ciHigh] = credibleInterval(pKnown, observations);
+  return {
+    model,
+    p_known: round4(pKnown),
+    ci_low: ciLow,
+    ci_high: ciHigh,
+    observations,
+    correct_count: correctCount,
+    params: params || null,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+const bktEngine = {
+  name: 'bkt',
+
+  initial({ params, mastery, observations = 0, correctCount = 0 } = {}) {
+    const p = normalizeBktParams(params);
+    // Seed from a legacy point value when the topic predates BKT.
+    const start = typeof mastery === 'number' ? clampProb(mastery) : p.p_init;
+    return buildEstimate('bkt', start, { observations, correctCount, params: p });
+  },
+
+  update(estimate, { correct, hintsUsed }, params) {
+    const p = normalizeBktParams(params || estimate?.params);
+    const prior = clampProb(estimate?.p_known ?? p.p_init);
+    let posterior = bktPosterior(prior, !!correct, p);
+    // Hinted correct answers move the posterior only part of the way from the prior.
+    if (correct) posterior = prior + hintCredit(hintsUsed) * (posterior - prior);
+    const next = clampProb(bktTransition(posterior, p));
+    return buildEstimate('bkt', next, {
+      observations: Number(estimate?.observations || 0) + 1,
+      correctCount: Number(estimate?.correct_count || 0) + (correct ? 1 : 0),
+      params: p,
+    });
+  },
+
+  predictCorrect(estimate, params) {
+    const p = normalizeBktParams(params || estimate?.params);
+    return bktPredictCorrect(clampProb(estimate?.p_known ?? p.p_init), p);
+  },
+};
+
+// Legacy model: fixed +0.08 / -0.04 steps. Kept so a rollout can be reverted via env.
+const deltaEngine = {
+  name: 'delta',
+
+  initial({ mastery, observations = 0, correctCount = 0 } = {}) {
+    const start = typeof mastery === 'number' ? clampProb(mastery, 0, 1) : 0;
+    return buildEstimate('delta', start, { observations, correctCount, params: null });
+  },
+
+  update(estimate, { correct, hintsUsed }) {
+    const prior = clampProb(estimate?.p_known ?? 0, 0, 1);
+    const next = clampProb(prior + (correct ? 0.08 * hintCredit(hintsUsed) : -0.04), 0, 1);
+    return buildEstimate('delta', next, {
+      observations: Number(estimate?.observations || 0) + 1,
+      correctCount: Number(estimate?.correct_count || 0) + (correct ? 1 : 0),
+      params: null,
+    });
+  },
+
+  predictCorrect(estimate) {
+    return clampProb(estimate?.p_known ?? 0, 0, 1);
+  },
+};
+
+const ENGINES = {
+  bkt: bktEngine,
+  delta: deltaEngine,
+};
+
+function getKnowledgeTracer(name) {
+  const key = String(name || process.env.KT_MODEL || 'bkt').toLowerCase();
+  return ENGINES[key] || bktEngine;
+}
+
+/**
+ * The stored estimate for `topicKey` in a knowledge item, without a new answer.
+ * Topics without a stored estimate are seeded from `topics[topicKey]` and the
+ * number of matching history entries.
+ */
+function currentEstimate({ state, topicKey, params, engine }) {
+  const tracer = engine || getKnowledgeTracer();
+  const stored = state?.kt?.[topicKey];
+  if (stored && stored.model === tracer.name) return stored;
+
+  const history = Array.isArray(state?.history) ? state.history : [];
+  const seen = history.filter((h) => !h?.repeat
+    && (h?.topic_key || String(h?.topic || '').toLowerCase().slice(0, 80)) === topicKey);
+  const legacy = state?.topics?.[topicKey];
+  return tracer.initial({
+    params,
+    mastery: typeof legacy === 'number' ? legacy : undefined,
+    observations: seen.length,
+    correctCount: seen.filter((h) => h?.correct).length,
+  });
+}
+
+/** Compute the next estimate for `topicKey` from a knowledge item and one answer. */
+function traceAnswer({ state, topicKey, correct, hintsUsed = 0, params, engine }) {
+  const tracer = engine || getKnowledgeTracer();
+  const prior = currentEstimate({ state, topicKey, params, engine: tracer });
+  return tracer.update(prior, { correct, hintsUsed }, params);
+}
+
+module.exports = {
+  DEFAULT_BKT_PARAMS,
+  normalizeBktParams,
+  bktPredictCorrect,
+  bktPosterior,
+  bktTransition,
+  hintCredit,
+  credibleInterval,
+  getKnowledgeTracer,
+  currentEstimate,
+  traceAnswer,
+};
@@ -0,0 +1,216 @@
+/**
+ * Offline fitting for the BKT knowledge-tracing model.
+ *
+ * Attempt sequences are fitted per topic with expectation-maximization (Baum-Welch on the
+ * two-state "unknown/known" HMM, no forgetting) and scored by one-step-ahead AUC.
+ * Used by scripts/fit_kt_params.js; nothing here touches storage.
+ */
+
+const {
+  DEFAULT_BKT_PARAMS,
+  normalizeBktParams,
+  bktPredictCorrect,
+  bktPosterior,
+  bktTransition,
+} = require('./knowledgeTracing');
+
+/**
+ * Group raw history entries into per-topic attempt sequences.
+ * Input: [{ userId, entries: [{ ts, topic, topic_key?, correct }] }]
+ * Output: Map<topicKey, Array<Array<boolean>>> (one inner array per user, oldest first).
+ * `topicKeyOf(entry)` names an entry's topic; by default its `topic_key`, else the lowercased topic.
+ */
+function buildTopicSequences(users, { topicKeyOf } = {}) {
+  const keyOf = topicKeyOf || ((e) => e.topic_key || String(e.topic || 'general').toLowerCase().slice(0, 80));
+  const byTopic = new Map();
+  for (const u of users || []) {
+    const entries = (Array.isArray(u?.entries) ? u.entries : [])
+      // Repeat answers to a question already answered (see routes/tutor.js) are not new evidence.
+      .filter((e) => e && typeof e.correct === 'boolean' && !e.repeat)
+      .slice()
+      .sort((a, b) => String(a.ts || '').localeCompare(String(b.ts || '')));
+    const perUser = new Map();
+    for (const e of entries) {
+      const key = keyOf(e);
+      if (!perUser.has(key)) perUser.set(key, []);
+      perUser.get(key).push(e.correct);
+    }
+    for (const [key, seq] of perUser) {
+      if (!byTopic.has(key)) byTopic.set(key, []);
+      byTopic.get(key).push(seq);
+    }
+  }
+  return byTopic;
+}
+
+/**
+ * Scaled forward-backward pass for one sequence.
+ * Returns per-step posteriors gamma[t] = P(known at t), expected learn transitions,
+ * and the sequence log-likelihood.
+ */
+function forwardBackward(seq, p) {
+  const T = seq.length;
+  const emit = (state, obs) => {
+    if (state === 1) return obs ? 1 - p.p_slip : p.p_slip;
+    return obs ? p.p_guess : 1 - p.p_guess;
+  };
+
+  const alpha = new Array(T);
+  const scale = new Array(T);
+  let a0 = (1 - p.p_init) * emit(0, seq[0]);
+  let a1 = p.p_init * emit(1, seq[0]);
+  scale[0] = a0 + a1;
+  alpha[0] = [a0 / scale[0], a1 / scale[0]];
+  for (let t = 1; t < T; t++) {
+    const [prev0, prev1] = alpha[t - 1];
+    a0 = prev0 * (1 - p.p_learn) * emit(0, seq[t]);
+    a1 = (prev0 * p.p_learn + prev1) * emit(1, seq[t]);
+    scale[t] = a0 + a1;
+    alpha[t] = [a0 / scale[t], a1 / scale[t]];
+  }
+
+  const beta = new Array(T);
+  beta[T - 1] = [1, 1];
+  for (let t = T - 2; t >= 0; t--) {
+    const [n0, n1] = beta[t + 1];
+    const e0 = emit(0, seq[t + 1]);
+    const e1 = emit(1, seq[t + 1]);
+    beta[t] = [
+      ((1 - p.p_learn) * e0 * n0 + p.p_learn * e1 * n1) / scale[t + 1],
+      (e1 * n1) / scale[t + 1],
+    ];
+  }
+
+  const gamma = new Array(T);
+  for (let t = 0; t < T; t++) {
+    const g0 = alpha[t][0] * beta[t][0];
+    const g1 = alpha[t][1] * beta[t][1];
+    const s = g0 + g1 || 1;
+    gamma[t] = g1 / s;
+  }
+
+  // Expected 0 -> 1 transitions and expected time spent unknown before a transition.
+  let learned = 0;
+  let unknownBefore = 0;
+  for (let t = 0; t < T - 1; t++) {
+    const xi01 = (alpha[t][0] * p.p_learn * emit(1, seq[t + 1]) * beta[t + 1][1]) / scale[t + 1];
+    learned += xi01;
+    unknownBefore += 1 - gamma[t];
+  }
+
+  const logLik = scale.reduce((acc, s) => acc + Math.log(Math.max(s, 1e-300)), 0);
+  return { gamma, learned, unknownBefore, logLik };
+}
+
+/**
+ * Fit BKT parameters for one topic by EM.
+ * @param {Array<Array<boolean>>} sequences - one attempt sequence per learner
+ * @param {object} [opts] - { init, maxIter, tol }
+ * @returns {{ params, logLik, iterations, sequences, attempts }}
+ */
+function fitBktEm(sequences, { init, maxIter = 100, tol = 1e-5 } = {}) {
+  const seqs = (sequences || []).filter((s) => Array.isArray(s) && s.length > 0);
+  const attempts = seqs.reduce((n, s) => n + s.length, 0);
+  let params = normalizeBktParams(init || DEFAULT_BKT_PARAMS);
+  if (!seqs.length) return { params, logLik: 0, iterations: 0, sequences: 0, attempts: 0 };
+
+  let prevLL = -Infinity;
+  let iterations = 0;
+  for (; iterations < maxIter; iterations++) {
+    let initKnown = 0;
+    let learned = 0;
+    let unknownBefore = 0;
+    let guessNum = 0;
+    let guessDen = 0;
+    let slipNum = 0;
+    let slipDen = 0;
+    let ll = 0;
+
+    for (const seq of seqs) {
+      const fb = forwardBackward(seq, params);
+      ll += fb.logLik;
+      initKnown += fb.gamma[0];
+      learned += fb.learned;
+      unknownBefore += fb.unknownBefore;
+      for (let t = 0; t < seq.length; t++) {
+        const known = fb.gamma[t];
+        guessDen += 1 - known;
+        slipDen += known;
+        if (seq[t]) guessNum += 1 - known;
+        else slipNum += known;
+      }
+    }
+
+    params = normalizeBktParams({
+      p_init: initKnown / seqs.length,
+      p_learn: unknownBefore > 0 ? learned / unknownBefore : params.p_learn,
+      p_guess: guessDen > 0 ? guessNum / guessDen : params.p_guess,
+      p_slip: slipDen > 0 ? slipNum / slipDen : params.p_slip,
+    });
+
+    if (Math.abs(ll - prevLL) < tol) {
+      prevLL = ll;
+      iterations += 1;
+      break;
+    }
+    prevLL = ll;
+  }
+
+  return { params, logLik: prevLL, iterations, sequences: seqs.length, attempts };
+}
+
+/** One-step-ahead predictions: [{ p, y }] for every attempt after replaying the prefix. */
+function predictSequences(sequences, params) {
+  const p = normalizeBktParams(params);
+  const out = [];
+  for (const seq of sequences || []) {
+    let known = p.p_init;
+    for (const obs of seq) {
+      out.push({ p: bktPredictCorrect(known, p), y: obs ? 1 : 0 });
+      known = bktTransition(bktPosterior(known, obs, p), p);
+    }
+  }
+  return out;
+}
+
+/**
+ * Area under the ROC curve via the rank-sum statistic (ties get average rank).
+ * Returns null when only one class is present.
+ */
+function auc(predictions) {
+  const rows = (predictions || []).filter((r) => Number.isFinite(r?.p));
+  const pos = rows.filter((r) => r.y === 1).length;
+  const neg = rows.length - pos;
+  if (!pos || !neg) return null;
+
+  const sorted = rows.slice().sort((a, b) => a.p - b.p);
+  let rankSumPos = 0;
+  let i = 0;
+  while (i < sorted.length) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1].p === sorted[i].p) j++;
+    const avgRank = (i + j + 2) / 2; // ranks are 1-based
+    for (let k = i; k <= j; k++) if (sorted[k].y === 1) rankSumPos += avgRank;
+    i = j + 1;
+  }
+  return (rankSumPos - (pos * (pos + 1)) / 2) / (pos * neg);
+}
+
+/** Deterministic train/test split by user id so reruns compare like with like. */
+function isHoldoutUser(userId, fraction) {
+  let h = 2166136261;
+  const s = String(userId || '');
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return ((h >>> 0) % 10000) / 10000 < fraction;
+}
+
+module.exports = {
+  buildTopicSequences,
+  fitBktEm,
+  predictSequences,
+  auc,
+  isHoldoutUser,
+};
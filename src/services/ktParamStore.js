@@ -0,0 +1,47 @@
+/**
+ * Read-through cache for fitted knowledge-tracing parameters.
+ *
+ * Parameters are written by scripts/fit_kt_params.js into the KT params table
+ * (DDB_KT_PARAMS_TABLE). Topics without their own fit fall back to the pooled
+ * `__default__` entry, then to the engine's built-in defaults (null).
+ */
+const { getKtParams } = require('./tutorStore');
+
+const DEFAULT_TOPIC_KEY = '__default__';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const _cache = new Map();
+
+async function loadCached(topicKey) {
+  const hit = _cache.get(topicKey);
+  if (hit && hit.expiresAt > Date.now()) return hit.item;
+  const item = await getKtParams(topicKey);
+  _cache.set(topicKey, { item, expiresAt: Date.now() + CACHE_TTL_MS });
+  return item;
+}
+
+/**
+ * Parameters the tutor should use for `topicKey`, or null for engine defaults.
+ * Never throws: a missing table or network error just means defaults.
+ */
+async function getTopicParams(topicKey) {
+  try {
+    const own = await loadCached(topicKey);
+    if (own?.params) return own.params;
+    const pooled = await loadCached(DEFAULT_TOPIC_KEY);
+    return pooled?.params || null;
+  } catch (e) {
+    console.warn('KT params lookup failed (using defaults):', e?.message || e);
+    return null;
+  }
+}
+
+function clearParamsCache() {
+  _cache.clear();
+}
+
+module.exports = {
+  DEFAULT_TOPIC_KEY,
+  getTopicParams,
+  clearParamsCache,
+};
@@ -0,0 +1,329 @@
+/**
+ * Shared LLM provider layer for the tutor.
+ *
+ * A provider module (openaiTutor.js, bedrockTutor.js, localLlm.js) only implements transport:
+ * `complete({ prompt, maxTokens, temperature, role, signal, request }) -> text` plus
+ * `isConfigured()`, and wraps it with `defineProvider`, which adds the shared prompt templates,
+ * JSON extraction and schema validation (`generateMcq`, `solveQuestion`). `request` carries the
+ * structured task behind the prompt; hosted providers ignore it.
+ *
+ * `generateItem` / `solveItem` run a task across providers in TUTOR_PROVIDER_ORDER
+ * (e.g. "openai,bedrock"; default: TUTOR_PROVIDER first, else OpenAI when a key is set;
+ * LLM_PROVIDER=local uses only the offline provider), failing
+ * over on errors, timeouts (LLM_TIMEOUT_MS, default 30s) and output that fails the schema.
+ * Per-provider latency and error counters are kept in memory (`getProviderMetrics`).
+ */
+const { itemPrompt } = require('./itemTypes');
+
+const PROVIDER_NAMES = ['openai', 'bedrock', 'local'];
+// Tried by default, after the preferred one; the local provider must be asked for.
+const HOSTED_PROVIDERS = ['openai', 'bedrock'];
+const DEFAULT_TIMEOUT_MS = 30000;
+const LATENCY_WINDOW = 200;
+
+const ITEM_TEMPLATE = {
+  intro: 'You are Pythagoras Chat, an AI Smart Tutor.',
+  level: 'Difficulty level: {{level}} (1=easy, 10=hard).',
+  mastery: 'User estimated mastery for this topic: {{mastery}} (0=novice, 1=master).',
+  context: [
+    '\n--- REFERENCE MATERIAL (from knowledge base) ---',
+    '{{context}}',
+    '--- END REFERENCE MATERIAL ---',
+    'Use the reference material above to create an accurate, relevant question. You may also use your own knowledge to supplement.',
+  ].join('\n'),
+  avoid: 'Do NOT repeat or paraphrase any of these recent questions:\n{{avoid}}',
+  output: 'Return ONLY valid JSON with this exact shape:\n{{shape}}',
+};
+
+/** Replace `{{name}}` placeholders; unknown names become empty strings. */
+function renderTemplate(template, vars = {}) {
+  return String(template).replace(/\{\{(\w+)\}\}/g, (_, name) => (vars[name] === undefined || vars[name] === null ? '' : String(vars[name])));
+}
+
+/** Generation prompt for one tutor item of `itemType` (see itemTypes.js). */
+function buildItemPrompt({ topic, level = 1, avoidQuestions = [], mastery, context = '', itemType = 'mcq' }) {
+  const spec = itemPrompt(itemType);
+  const parts = [
+    ITEM_TEMPLATE.intro,
+    spec.instruction(topic),
+    renderTemplate(ITEM_TEMPLATE.level, { level }),
+  ];
+  if (typeof mastery === 'number') {
+    parts.push(renderTemplate(ITEM_TEMPLATE.mastery, { mastery: Math.max(0, Math.min(1, mastery)).toFixed(2) }));
+  }
+  if (context && context.trim()) {
+    parts.push(renderTemplate(ITEM_TEMPLATE.context, { context: context.slice(0, 3000) }));
+  }
+  if (Array.isArray(avoidQuestions) && avoidQuestions.length) {
+    const avoid = avoidQuestions.slice(0, 6).map((q, i) => `${i + 1}. ${String(q).slice(0, 240)}`).join('\n');
+    parts.push(renderTemplate(ITEM_TEMPLATE.avoid, { avoid }));
+  }
+  parts.push(renderTemplate(ITEM_TEMPLATE.output, { shape: spec.shape }));
+  return parts.join('\n');
+}
+
+/** Parse model output as JSON, falling back to the first {...} block in surrounding prose. */
+function extractJson(text, label = 'Model') {
+  const raw = String(text || '').trim();
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    const m = raw.match(/\{[\s\S]*\}/);
+    if (!m) throw new Error(`${label} returned non-JSON output: ${raw.slice(0, 200)}`);
+    return JSON.parse(m[0]);
+  }
+}
+
+function typeOfValue(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+/**
+ * Validate against a small JSON-Schema subset (type, required, properties, items, minItems, enum).
+ * Returns a list of error strings; empty when valid.
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema) return [];
+  const errors = [];
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOfValue(value);
+    const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!ok) return [`${path} should be ${allowed.join('|')}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${path}[${i}]`)));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) errors.push(...validateSchema(value[key], sub, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+function assertSchema(value, schema, label) {
+  const errors = validateSchema(value, schema);
+  if (errors.length) throw new Error(`${label} output failed validation: ${errors.slice(0, 3).join('; ')}`);
+  return value;
+}
+
+const SOLVE_SCHEMA = { type: 'object' };
+const RERANK_SCHEMA = {
+  type: 'object',
+  required: ['scores'],
+  properties: {
+    scores: { type: 'array', items: { type: 'object', required: ['id', 'score'], properties: { score: { type: 'number' } } } },
+  },
+};
+
+/**
+ * Build a provider from its transport. `label` is used in error messages.
+ * @param {{ name: string, label: string, isConfigured: () => boolean,
+ *   complete: (opts: { prompt: string, maxTokens: number, temperature: number, role: string, signal?: AbortSignal, request?: object }) => Promise<string> }} transport
+ */
+function defineProvider({ name, label, isConfigured, complete }) {
+  /** Generate one tutor item (raw model JSON; itemTypes.validateGeneratedItem does the rest). */
+  async function generateMcq({ itemType = 'mcq', signal, ...opts } = {}) {
+    const text = await complete({
+      prompt: buildItemPrompt({ ...opts, itemType }),
+      maxTokens: 1000,
+      temperature: 0.4,
+      role: 'generator',
+      signal,
+      request: { task: 'generate', itemType, topic: opts.topic, level: opts.level, avoidQuestions: opts.avoidQuestions },
+    });
+    const obj = assertSchema(extractJson(text, label), itemPrompt(itemType).schema, label);
+    return {
+      ...obj,
+      answerId: obj.answerId ? String(obj.answerId).toUpperCase() : undefined,
+      explanation: obj.explanation || '',
+    };
+  }
+
+  /** Answer a question independently for the quality gate (see mcqVerifier.js). */
+  async function solveQuestion({ prompt, signal }) {
+    const text = await complete({ prompt, maxTokens: 400, temperature: 0, role: 'verifier', signal, request: { task: 'solve' } });
+    return assertSchema(extractJson(text, label), SOLVE_SCHEMA, label);
+  }
+
+  /** Score retrieved passages against a query (see reranker.js). */
+  async function scorePassages({ prompt, query, passages, signal }) {
+    const text = await complete({
+      prompt,
+      maxTokens: 600,
+      temperature: 0,
+      role: 'reranker',
+      signal,
+      request: { task: 'rerank', query, passages },
+    });
+    return assertSchema(extractJson(text, label), RERANK_SCHEMA, label);
+  }
+
+  return { name, label, isConfigured, complete, generateMcq, solveQuestion, scorePassages };
+}
+
+// Loaded on first use: the provider modules are built with defineProvider above.
+function providers() {
+  return {
+    openai: require('./openaiTutor'),
+    bedrock: require('./bedrockTutor'),
+    local: require('./localLlm'),
+  };
+}
+
+/** Provider names in the order they are tried. */
+function providerOrder() {
+  if (String(process.env.LLM_PROVIDER || '').toLowerCase() === 'local') return ['local'];
+  const explicit = String(process.env.TUTOR_PROVIDER_ORDER || '')
+    .split(',')
+    .map((x) => x.trim().toLowerCase())
+    .filter((x) => PROVIDER_NAMES.includes(x));
+  if (explicit.length) return Array.from(new Set(explicit));
+
+  // Legacy behaviour: TUTOR_PROVIDER wins, otherwise OpenAI when a key is set (Bedrock is often blocked).
+  const prefer = String(process.env.TUTOR_PROVIDER || '').toLowerCase();
+  const hasOpenAIKey = Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras);
+  const first = PROVIDER_NAMES.includes(prefer) ? prefer : (hasOpenAIKey ? 'openai' : 'bedrock');
+  return [first, ...HOSTED_PROVIDERS.filter((n) => n !== first)];
+}
+
+function timeoutMs() {
+  const n = Number(process.env.LLM_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+const metrics = new Map();
+
+function metricsFor(name) {
+  if (!metrics.has(name)) {
+    metrics.set(name, { calls: 0, successes: 0, errors: 0, timeouts: 0, latencies: [], tasks: {}, last_error: null, last_error_at: null });
+  }
+  return metrics.get(name);
+}
+
+function record(name, task, { ok, latencyMs, timedOut, error }) {
+  const m = metricsFor(name);
+  const t = m.tasks[task] || (m.tasks[task] = { calls: 0, errors: 0 });
+  m.calls += 1;
+  t.calls += 1;
+  m.latencies.push(latencyMs);
+  if (m.latencies.length > LATENCY_WINDOW) m.latencies.shift();
+  if (ok) {
+    m.successes += 1;
+    return;
+  }
+  m.errors += 1;
+  t.errors += 1;
+  if (timedOut) m.timeouts += 1;
+  m.last_error = String(error?.message || error).slice(0, 300);
+  m.last_error_at = new Date().toISOString();
+}
+
+function percentile(sorted, q) {
+  if (!sorted.length) return null;
+  return Math.round(sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))]);
+}
+
+/** Per-provider counters since process start (latency percentiles over the last 200 calls). */
+function getProviderMetrics() {
+  const out = {};
+  for (const name of PROVIDER_NAMES) {
+    const m = metricsFor(name);
+    const sorted = m.latencies.slice().sort((a, b) => a - b);
+    out[name] = {
+      configured: providers()[name].isConfigured(),
+      calls: m.calls,
+      successes: m.successes,
+      errors: m.errors,
+      timeouts: m.timeouts,
+      error_rate: m.calls ? Math.round((m.errors / m.calls) * 1000) / 1000 : 0,
+      latency_ms: { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95) },
+      tasks: m.tasks,
+      last_error: m.last_error,
+      last_error_at: m.last_error_at,
+    };
+  }
+  return out;
+}
+
+/**
+ * Run `call(provider, signal)` on each configured provider in order until one succeeds.
+ * Returns { result, provider }; throws with every provider's error when all fail.
+ */
+async function runWithFailover(task, call) {
+  const registry = providers();
+  const order = providerOrder();
+  const usable = order.filter((n) => registry[n].isConfigured());
+  // With nothing configured, try the first provider anyway so its config error surfaces.
+  const candidates = usable.length ? usable : order.slice(0, 1);
+  const limit = timeoutMs();
+  const failures = [];
+
+  for (const name of candidates) {
+    const controller = new AbortController();
+    let timer;
+    const started = Date.now();
+    try {
+      const result = await Promise.race([
+        call(registry[name], controller.signal),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            const err = new Error(`timed out after ${limit}ms`);
+            err.timedOut = true;
+            reject(err);
+          }, limit);
+        }),
+      ]);
+      record(name, task, { ok: true, latencyMs: Date.now() - started });
+      return { result, provider: name };
+    } catch (e) {
+      record(name, task, { ok: false, latencyMs: Date.now() - started, timedOut: Boolean(e?.timedOut), error: e });
+      failures.push(`${name}: ${e?.message || e}`);
+      if (candidates.length > 1) console.warn(`LLM provider ${name} failed for ${task}:`, e?.message || e);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  throw new Error(failures.length === 1
+    ? failures[0].replace(/^\w+: /, '')
+    : `All LLM providers failed for ${task} (${failures.join('; ')})`);
+}
+
+/** Generate one tutor item with failover. Returns { item, provider } (item is raw model JSON). */
+async function generateItem(opts) {
+  const { result, provider } = await runWithFailover('generate', (p, signal) => p.generateMcq({ ...opts, signal }));
+  return { item: result, provider };
+}
+
+/** Independent solve for the quality gate, with failover. Returns { result, provider }. */
+async function solveItem({ prompt }) {
+  return runWithFailover('verify', (p, signal) => p.solveQuestion({ prompt, signal }));
+}
+
+/** Passage relevance scores for the reranker, with failover. Returns { result, provider }. */
+async function scorePassages({ prompt, query, passages }) {
+  return runWithFailover('rerank', (p, signal) => p.scorePassages({ prompt, query, passages, signal }));
+}
+
+module.exports = {
+  renderTemplate,
+  buildItemPrompt,
+  extractJson,
+  validateSchema,
+  defineProvider,
+  providerOrder,
+  generateItem,
+  solveItem,
+  scorePassages,
+  getProviderMetrics,
+};
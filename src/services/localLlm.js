@@ -0,0 +1,324 @@
+/**
+ * Deterministic offline stand-ins for the hosted models, for local development and tests.
+ *
+ * - Embeddings (EMBEDDINGS_PROVIDER=local): hashed word and character-trigram features,
+ *   signed and L2-normalised, LOCAL_EMBED_DIM wide (default 1536 to match the OpenSearch
+ *   index). Texts sharing words get similar vectors, so kNN retrieval still behaves sensibly.
+ * - Tutor items (LLM_PROVIDER=local, or "local" in TUTOR_PROVIDER_ORDER): canned arithmetic
+ *   items of every item type that pass schema validation and the quality gate, a solver that
+ *   answers them, and term-overlap passage scores for the "llm" reranker.
+ * - Chat (LLM_PROVIDER=local): an OpenAI-compatible client whose answers quote the supplied
+ *   context, with streaming support.
+ *
+ * Output depends only on the input and LOCAL_LLM_SEED, so runs are reproducible.
+ */
+const { defineProvider } = require('./llmProvider');
+const { evaluateConstant } = require('./mathEquivalence');
+
+const DEFAULT_DIM = 1536;
+
+function isLocalLlm() {
+  return String(process.env.LLM_PROVIDER || '').toLowerCase() === 'local';
+}
+
+function isLocalEmbeddings() {
+  return String(process.env.EMBEDDINGS_PROVIDER || '').toLowerCase() === 'local';
+}
+
+function embedDim() {
+  const n = Number(process.env.LOCAL_EMBED_DIM);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_DIM;
+}
+
+// FNV-1a, salted with LOCAL_LLM_SEED.
+function hash(text) {
+  let h = 2166136261 ^ (Number(process.env.LOCAL_LLM_SEED) || 0);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function seededRandom(seedText) {
+  let a = hash(seedText);
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Identifies the local embedding (dimension and seed change every vector). */
+function localEmbeddingModel() {
+  return `local:${embedDim()}:${Number(process.env.LOCAL_LLM_SEED) || 0}`;
+}
+
+/** Deterministic embedding from hashed word and character-trigram features. */
+async function embedText(text) {
+  const dim = embedDim();
+  const vector = new Array(dim).fill(0);
+  const words = String(text || '').toLowerCase().slice(0, 8000).match(/[\p{L}\p{N}]+/gu) || [];
+  const add = (feature, weight) => {
+    const h = hash(feature);
+    vector[h % dim] += (h & 0x80000000 ? -1 : 1) * weight;
+  };
+  for (const w of words) {
+    add(`w:${w}`, 1);
+    const padded = `#${w}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.5);
+  }
+  const norm = Math.sqrt(vector.reduce((s, x) => s + x * x, 0));
+  return norm ? vector.map((x) => x / norm) : vector;
+}
+
+// --- Tutor items -------------------------------------------------------------
+
+function int(rand, lo, hi) {
+  return lo + Math.floor(rand() * (hi - lo + 1));
+}
+
+function choiceList(texts) {
+  return texts.map((text, i) => ({ id: String.fromCharCode(65 + i), text: String(text) }));
+}
+
+function shuffle(rand, list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function tutoring(a, b, op, result) {
+  return {
+    hints: [
+      'Work out the operation in the question one step at a time.',
+      `Start from ${a} and apply "${op} ${b}".`,
+    ],
+    solution_steps: [`${a} ${op} ${b} = ${result}`],
+    explanation: `${a} ${op} ${b} = ${result}.`,
+  };
+}
+
+const ITEM_BUILDERS = {
+  mcq(rand, topic, scale) {
+    const a = int(rand, 2, 9 * scale);
+    const b = int(rand, 2, 9 * scale);
+    const sum = a + b;
+    const choices = shuffle(rand, [sum, sum + 1, sum - 1, sum + 10]);
+    return {
+      question: `Practice (${topic}): What is ${a} + ${b}?`,
+      choices: choiceList(choices),
+      answerId: String.fromCharCode(65 + choices.indexOf(sum)),
+      ...tutoring(a, b, '+', sum),
+    };
+  },
+  multi_select(rand, topic, scale) {
+    const a = int(rand, 2, 5 * scale);
+    const b = int(rand, 2, 6);
+    const target = a * b;
+    const texts = shuffle(rand, [`${a} * ${b}`, `${target - 1} + 1`, `${target} + ${b}`, `${a} + ${b}`, `${target + 2} - 1`]);
+    return {
+      question: `Practice (${topic}): Which of these expressions are equal to ${target}?`,
+      choices: choiceList(texts),
+      answerIds: texts.map((t, i) => (evaluateConstant(t) === target ? String.fromCharCode(65 + i) : null)).filter(Boolean),
+      ...tutoring(a, b, '*', target),
+    };
+  },
+  numeric(rand, topic, scale) {
+    const a = int(rand, 2, 9 * scale);
+    const b = int(rand, 2, 9);
+    return {
+      question: `Practice (${topic}): What is ${a} * ${b}?`,
+      answer: a * b,
+      tolerance: 0,
+      unit: null,
+      ...tutoring(a, b, '*', a * b),
+    };
+  },
+  short_text(rand, topic, scale) {
+    const a = int(rand, 2, 5 * scale);
+    const b = int(rand, 2, 9);
+    return {
+      question: `Practice (${topic}): Simplify ${a}x + ${b}x.`,
+      answers: [`${a + b}x`],
+      grading: 'expression',
+      hints: ['Both terms are multiples of x.', `Add the coefficients ${a} and ${b}.`],
+      solution_steps: [`${a}x + ${b}x = (${a} + ${b})x`, `= ${a + b}x`],
+      explanation: `Collect like terms: ${a}x + ${b}x = ${a + b}x.`,
+    };
+  },
+  ordering(rand, topic, scale) {
+    const values = new Set();
+    while (values.size < 4) values.add(int(rand, 1, 20 * scale));
+    const items = Array.from(values).map((v, i) => ({ id: String(i + 1), text: String(v) }));
+    const correctOrder = items.slice().sort((x, y) => Number(x.text) - Number(y.text)).map((i) => i.id);
+    return {
+      question: `Practice (${topic}): Put these numbers in order from smallest to largest.`,
+      items,
+      correctOrder,
+      hints: ['Compare the numbers two at a time.', 'Find the smallest number first.'],
+      solution_steps: [`Smallest to largest: ${correctOrder.map((id) => items[Number(id) - 1].text).join(', ')}`],
+      explanation: 'Numbers are ordered by value.',
+    };
+  },
+  matching(rand, topic, scale) {
+    const products = new Set();
+    const left = [];
+    while (left.length < 3) {
+      const a = int(rand, 2, 5 * scale);
+      const b = int(rand, 2, 9);
+      if (products.has(a * b)) continue;
+      products.add(a * b);
+      left.push({ id: String(left.length + 1), text: `${a} * ${b}`, value: a * b });
+    }
+    const right = left.map((l, i) => ({ id: String.fromCharCode(97 + i), text: String(l.value) }));
+    return {
+      question: `Practice (${topic}): Match each product to its value.`,
+      left: left.map(({ id, text }) => ({ id, text })),
+      right,
+      pairs: Object.fromEntries(left.map((l, i) => [l.id, right[i].id])),
+      hints: ['Work out each product on the left.', 'Each value on the right is used once.'],
+      solution_steps: left.map((l) => `${l.text} = ${l.value}`),
+      explanation: 'Each product matches its value.',
+    };
+  },
+};
+
+/** Canned item for a generation request; retries (longer avoid list) get a different item. */
+function cannedItem({ topic = 'General', level = 1, itemType = 'mcq', avoidQuestions = [] }) {
+  const build = ITEM_BUILDERS[itemType] || ITEM_BUILDERS.mcq;
+  const rand = seededRandom(`${itemType}|${topic}|${level}|${(avoidQuestions || []).join('|')}`);
+  const scale = Math.max(1, Math.min(10, Number(level) || 1));
+  return build(rand, String(topic).slice(0, 80), scale);
+}
+
+function optionLines(lines, header, next) {
+  const start = lines.indexOf(header);
+  if (start === -1) return [];
+  const out = [];
+  for (let i = start + 1; i < lines.length && !next.includes(lines[i]); i++) {
+    const m = lines[i].match(/^(\w+)\) (.*)$/);
+    if (m) out.push({ id: m[1], text: m[2], value: evaluateConstant(m[2]) });
+  }
+  return out;
+}
+
+/**
+ * Answer a quality-gate solver prompt (mcqVerifier.solverPrompt) for the canned items:
+ * evaluate the arithmetic in the stem and options.
+ */
+function solvePrompt(prompt) {
+  const lines = String(prompt || '').split('\n');
+  const question = (lines.find((l) => l.startsWith('Question: ')) || '').slice('Question: '.length);
+  const shape = lines[lines.length - 1] || '';
+  const stem = question.match(/(?:what is|equal to)\s+([^?]+)\?/i);
+  const target = stem ? evaluateConstant(stem[1]) : null;
+  const simplify = question.match(/simplify\s+(.+?)\.?$/i);
+  const options = optionLines(lines, 'Options:', ['Select every correct option.', 'Return ONLY valid JSON with this exact shape:']);
+
+  if (shape.includes('"answerIds"')) return { answerIds: options.filter((o) => o.value === target).map((o) => o.id) };
+  if (shape.includes('"answerId"')) {
+    const hit = options.find((o) => o.value === target);
+    return { answerId: hit ? hit.id : null, alsoCorrect: [] };
+  }
+  if (shape.includes('"order"')) {
+    const items = optionLines(lines, 'Items:', ['Return ONLY valid JSON with this exact shape:']);
+    return { order: items.slice().sort((a, b) => a.value - b.value).map((i) => i.id) };
+  }
+  if (shape.includes('"pairs"')) {
+    const left = optionLines(lines, 'Left:', ['Right:']);
+    const right = optionLines(lines, 'Right:', ['Return ONLY valid JSON with this exact shape:']);
+    return { pairs: Object.fromEntries(left.map((l) => [l.id, right.find((r) => r.value === l.value)?.id])) };
+  }
+  // "Simplify ..." is answered with the expression itself: equivalent, just not simplified.
+  if (shape.includes('"answer": string')) return { answer: simplify ? simplify[1] : String(target) };
+  return { answer: target };
+}
+
+function complete({ prompt, role = 'generator', request }) {
+  if (role === 'verifier') return Promise.resolve(JSON.stringify(solvePrompt(prompt)));
+  if (request?.task === 'rerank') {
+    // The local reranker's term-overlap scores stand in for a model's judgement.
+    const { overlapScores } = require('./reranker');
+    const scores = overlapScores(request.query, request.passages || []).map((score, i) => ({ id: i + 1, score }));
+    return Promise.resolve(JSON.stringify({ scores }));
+  }
+  return Promise.resolve(JSON.stringify(cannedItem(request || {})));
+}
+
+const provider = defineProvider({ name: 'local', label: 'Local LLM', isConfigured: () => true, complete });
+
+// --- Chat --------------------------------------------------------------------
+
+function messageText(m) {
+  if (typeof m?.content === 'string') return m.content;
+  return Array.isArray(m?.content) ? m.content.map((p) => p?.text || '').join(' ') : '';
+}
+
+/** Canned chat answer: echoes the question and quotes the first context snippet, if any. */
+function chatAnswer(messages = []) {
+  const user = [...messages].reverse().find((m) => m?.role === 'user');
+  const text = messageText(user);
+  const question = (text.match(/Question:\s*([\s\S]*)$/) || [null, text])[1].trim();
+  const context = (text.match(/Context:\s*([\s\S]*?)\n\nQuestion:/) || [])[1] || '';
+  const source = (context.match(/Source:\s*(\S+)\s*\[(\d+)\]/) || []);
+  const snippet = context.replace(/Source:[^\n]*\n/g, '').split(/\n+/).map((s) => s.trim()).find(Boolean) || '';
+  const parts = [`(local model) You asked: "${question.slice(0, 200)}".`];
+  if (snippet) parts.push(`From the provided context: ${snippet.slice(0, 300)}${source[1] ? ` [${source[1]}:${source[2]}]` : ''}`);
+  else parts.push('No context was provided, so this is a placeholder answer.');
+  return parts.join(' ');
+}
+
+/**
+ * Minimal stand-in for the OpenAI SDK client: chat.completions.create (incl. stream) and
+ * embeddings.create. Routes construct it in place of `new OpenAI({ apiKey })`.
+ */
+class LocalOpenAI {
+  constructor() {
+    this.chat = {
+      completions: {
+        async create({ messages, stream }) {
+          const content = chatAnswer(messages);
+          if (!stream) {
+            return { choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] };
+          }
+          const pieces = content.match(/\S+\s*/g) || [];
+          return {
+            async *[Symbol.asyncIterator]() {
+              for (const piece of pieces) yield { choices: [{ index: 0, delta: { content: piece } }] };
+              yield { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+            },
+          };
+        },
+      },
+    };
+    this.embeddings = {
+      async create({ input }) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const data = await Promise.all(inputs.map(async (text, index) => ({ index, embedding: await embedText(text) })));
+        return { data };
+      },
+    };
+  }
+}
+
+/** OpenAI key for the chat routes; any non-empty value when the local model is selected. */
+function openaiApiKey() {
+  return process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY_Pythagoras || (isLocalLlm() ? 'local' : '');
+}
+
+module.exports = {
+  isLocalLlm,
+  isLocalEmbeddings,
+  embedText,
+  localEmbeddingModel,
+  cannedItem,
+  LocalOpenAI,
+  openaiApiKey,
+  ...provider,
+};
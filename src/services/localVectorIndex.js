@@ -0,0 +1,212 @@
+/**
+ * In-process kNN index with the same interface as openSearchClient.js (VECTOR_BACKEND=local).
+ *
+ * Brute-force search over every chunk that passes the scope/school filter, which is fast enough
+ * for the few thousand chunks a small deployment holds. kNN scores follow OpenSearch's faiss `l2`
+ * space (1 / (1 + squared distance)), so `/api/kb/query` thresholds mean the same on both backends;
+ * `textSearch` scores with BM25 (k1 = 1.2, b = 0.75), as OpenSearch does for `match` queries.
+ *
+ * Each index (OPENSEARCH_INDEX, default "pythagoras-kb") is kept in memory and saved to
+ * `<VECTOR_INDEX_DIR>/<index>.json` (default `.data/vector-index`) after every write.
+ * Documents are upserted by `id`.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const indexes = new Map();
+// Per-document term counts for BM25, computed on first search.
+const termCache = new WeakMap();
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function termCounts(doc) {
+  let entry = termCache.get(doc);
+  if (!entry) {
+    const terms = tokenize(doc.content);
+    const counts = new Map();
+    for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+    entry = { counts, length: terms.length };
+    termCache.set(doc, entry);
+  }
+  return entry;
+}
+
+function getIndex() {
+  return process.env.OPENSEARCH_INDEX || 'pythagoras-kb';
+}
+
+function indexDir() {
+  return process.env.VECTOR_INDEX_DIR || path.join(process.cwd(), '.data', 'vector-index');
+}
+
+function indexFile(index) {
+  return path.join(indexDir(), `${index.replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+/** Loaded index or null when it has not been created. */
+function loadIndex(index) {
+  if (indexes.has(index)) return indexes.get(index);
+  const file = indexFile(index);
+  if (!fs.existsSync(file)) return null;
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const idx = { dimension: saved.dimension, docs: new Map((saved.docs || []).map((d) => [d.id, d])) };
+  indexes.set(index, idx);
+  return idx;
+}
+
+function saveIndex(index, idx) {
+  const file = indexFile(index);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ dimension: idx.dimension, docs: Array.from(idx.docs.values()) }));
+  fs.renameSync(tmp, file);
+}
+
+function requireIndex(index) {
+  const idx = loadIndex(index);
+  if (!idx) throw new Error(`Local vector index "${index}" does not exist (call ensureKnnIndex first)`);
+  return idx;
+}
+
+function matchesScope(doc, { scope, schoolId }) {
+  if (doc.scope !== scope) return false;
+  return scope !== 'school' || doc.school_id === String(schoolId);
+}
+
+async function ensureKnnIndex({ dimension }) {
+  const index = getIndex();
+  if (loadIndex(index)) return { index, created: false };
+  const idx = { dimension: Number(dimension), docs: new Map() };
+  indexes.set(index, idx);
+  saveIndex(index, idx);
+  return { index, created: true };
+}
+
+async function bulkIndex(docs) {
+  const started = Date.now();
+  const index = getIndex();
+  const idx = requireIndex(index);
+  for (const d of docs) {
+    if (!Array.isArray(d.embedding) || d.embedding.length !== idx.dimension) {
+      throw new Error(`Vector dimension mismatch for ${d.id}: expected ${idx.dimension}, got ${d.embedding?.length ?? 'none'}`);
+    }
+  }
+  for (const d of docs) {
+    const id = d.id || `${d.source}#${d.chunk_index}#${Date.now()}`;
+    // Drop undefined fields (e.g. school_id on global docs), as the JSON body to OpenSearch does.
+    idx.docs.set(id, JSON.parse(JSON.stringify({ ...d, id })));
+  }
+  saveIndex(index, idx);
+  return { took: Date.now() - started, indexed: docs.length };
+}
+
+async function deleteBySource({ scope, schoolId, source }) {
+  const index = getIndex();
+  const idx = loadIndex(index);
+  if (!idx) return { deleted: 0 };
+  let deleted = 0;
+  for (const [id, doc] of idx.docs) {
+    if (doc.source === source && matchesScope(doc, { scope, schoolId })) {
+      idx.docs.delete(id);
+      deleted += 1;
+    }
+  }
+  if (deleted) saveIndex(index, idx);
+  return { deleted };
+}
+
+/** Indexed chunks of one source with their embeddings (`{ chunk_index, content, embedding }`). */
+async function getBySource({ scope, schoolId, source }) {
+  const idx = loadIndex(getIndex());
+  if (!idx) return [];
+  return Array.from(idx.docs.values())
+    .filter((doc) => doc.source === source && matchesScope(doc, { scope, schoolId }))
+    .map((doc) => ({ chunk_index: doc.chunk_index, content: doc.content, embedding: doc.embedding }));
+}
+
+function toResult({ doc, score }) {
+  return {
+    id: doc.id,
+    score,
+    source: doc.source,
+    chunk_index: doc.chunk_index,
+    content: doc.content,
+    chunk_strategy: doc.chunk_strategy,
+    title: doc.title,
+    heading_path: doc.heading_path,
+    page_start: doc.page_start,
+    page_end: doc.page_end,
+    anchor: doc.anchor,
+    school_id: doc.school_id,
+    scope: doc.scope,
+  };
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+async function knnSearch({ scope, schoolId, vector, k = 8 }) {
+  const idx = requireIndex(getIndex());
+  if (!Array.isArray(vector) || vector.length !== idx.dimension) {
+    throw new Error(`Query vector dimension ${vector?.length ?? 'none'} does not match index dimension ${idx.dimension}`);
+  }
+  const size = Math.max(1, Number(k) || 8);
+  const hits = [];
+  for (const doc of idx.docs.values()) {
+    if (!matchesScope(doc, { scope, schoolId })) continue;
+    hits.push({ doc, score: 1 / (1 + squaredDistance(vector, doc.embedding)) });
+  }
+  hits.sort((a, b) => b.score - a.score);
+  return hits.slice(0, size).map(toResult);
+}
+
+/** Lexical search over `content`, scored with BM25 against the documents in scope. */
+async function textSearch({ scope, schoolId, query, k = 8 }) {
+  const idx = requireIndex(getIndex());
+  const terms = Array.from(new Set(tokenize(query)));
+  if (!terms.length) return [];
+  const docs = Array.from(idx.docs.values())
+    .filter((doc) => matchesScope(doc, { scope, schoolId }))
+    .map((doc) => ({ doc, ...termCounts(doc) }));
+  if (!docs.length) return [];
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+  const idf = new Map(terms.map((t) => {
+    const df = docs.filter((d) => d.counts.has(t)).length;
+    return [t, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  const hits = [];
+  for (const d of docs) {
+    let score = 0;
+    for (const t of terms) {
+      const tf = d.counts.get(t) || 0;
+      if (!tf) continue;
+      score += idf.get(t) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * d.length / avgLength));
+    }
+    if (score > 0) hits.push({ doc: d.doc, score });
+  }
+  hits.sort((a, b) => b.score - a.score);
+  return hits.slice(0, Math.max(1, Number(k) || 8)).map(toResult);
+}
+
+module.exports = {
+  ensureKnnIndex,
+  bulkIndex,
+  deleteBySource,
+  getBySource,
+  knnSearch,
+  textSearch,
+  getIndex,
+};
@@ -0,0 +1,457 @@
+/**
+ * Answer-equivalence engine for numeric and algebraic tutor answers.
+ *
+ * Student input such as `4+2*x`, `2(x+2)`, `1/2`, `2√2` or `sqrt(8)` is parsed into a small
+ * expression tree and compared with the expected answer by evaluating both at seeded random
+ * points (so `2x+4` and `4+2x` are equivalent without a full CAS). When they differ, the
+ * same samples are used to recognise common mistakes (sign error, constant offset or factor,
+ * reciprocal); when they agree, the student's tree is checked for an unsimplified form
+ * (foldable arithmetic, unreduced fractions, reducible roots, uncollected like terms).
+ *
+ * Syntax: + - * / ^ (or **), parentheses, implicit multiplication (2x, 3(x+1), (x+1)(x-1)),
+ * |x|, functions sqrt cbrt abs exp ln log (base 10) sin cos tan asin acos atan, constants
+ * pi and e, and the unicode forms √ π × · ÷ − ² ³. `x = 2` is read as `2`.
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+// Longest names first so "asin" is not read as a*s*i*n or "sqrt" as s*q*r*t.
+const NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length);
+
+const SAMPLE_POINTS = 12;
+const MAX_SAMPLE_ATTEMPTS = 80;
+const DEFAULT_TOLERANCE = 1e-7;
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+function preprocess(input) {
+  // Superscripts first: NFKC would turn x² into x2.
+  return String(input ?? '')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .normalize('NFKC')
+    .replace(/[×·∙]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/π/g, 'pi')
+    .replace(/\*\*/g, '^')
+    .trim();
+}
+
+function tokenize(input) {
+  const s = preprocess(input);
+  const tokens = [];
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (/[0-9.]/.test(ch)) {
+      const m = s.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      if (!m) throw new ExpressionError(`Unexpected "${ch}"`, i);
+      tokens.push({ type: 'num', value: Number(m[0]), pos: i });
+      i += m[0].length;
+      continue;
+    }
+    if (/[a-zA-Z]/.test(ch)) {
+      const word = s.slice(i).match(/^[a-zA-Z]+/)[0];
+      let j = 0;
+      while (j < word.length) {
+        const rest = word.slice(j).toLowerCase();
+        const name = NAMES.find((n) => rest.startsWith(n));
+        if (name) {
+          tokens.push({ type: FUNCTIONS[name] ? 'fn' : 'const', value: name, pos: i + j });
+          j += name.length;
+        } else {
+          // Unknown letters are single-letter variables: "xy" is x*y.
+          tokens.push({ type: 'var', value: word[j], pos: i + j });
+          j += 1;
+        }
+      }
+      i += word.length;
+      continue;
+    }
+    if (ch === '√') { tokens.push({ type: 'fn', value: 'sqrt', pos: i }); i++; continue; }
+    if ('+-*/^()|='.includes(ch)) { tokens.push({ type: 'op', value: ch, pos: i }); i++; continue; }
+    throw new ExpressionError(`Unexpected "${ch}"`, i);
+  }
+  return tokens;
+}
+
+function parseTokens(tokens) {
+  let pos = 0;
+  let absDepth = 0;
+  const peek = () => tokens[pos];
+  const isOp = (t, v) => t && t.type === 'op' && t.value === v;
+  const startsOperand = (t) => t && (t.type === 'num' || t.type === 'var' || t.type === 'const' || t.type === 'fn'
+    || isOp(t, '(') || (isOp(t, '|') && absDepth === 0));
+
+  function expect(v) {
+    const t = peek();
+    if (!isOp(t, v)) throw new ExpressionError(`Expected "${v}"`, t ? t.pos : -1);
+    pos++;
+  }
+
+  function primary() {
+    const t = peek();
+    if (!t) throw new ExpressionError('Unexpected end of input', -1);
+    if (t.type === 'num') { pos++; return { type: 'num', value: t.value }; }
+    if (t.type === 'var') { pos++; return { type: 'var', name: t.value }; }
+    if (t.type === 'const') { pos++; return { type: 'const', name: t.value }; }
+    if (t.type === 'fn') {
+      pos++;
+      // sqrt(x), sqrt x, √8 and 2√2 are all accepted.
+      const arg = isOp(peek(), '(') ? (pos++, (() => { const e = expr(); expect(')'); return e; })()) : power();
+      return { type: 'call', fn: t.value, arg };
+    }
+    if (isOp(t, '(')) {
+      pos++;
+      const e = expr();
+      expect(')');
+      return e;
+    }
+    if (isOp(t, '|')) {
+      pos++;
+      absDepth++;
+      const e = expr();
+      absDepth--;
+      expect('|');
+      return { type: 'call', fn: 'abs', arg: e };
+    }
+    throw new ExpressionError(`Unexpected "${t.value}"`, t.pos);
+  }
+
+  function power() {
+    const base = primary();
+    if (isOp(peek(), '^')) {
+      pos++;
+      return { type: 'op', op: '^', args: [base, unary()] };
+    }
+    return base;
+  }
+
+  function unary() {
+    const t = peek();
+    if (isOp(t, '-')) { pos++; return { type: 'neg', arg: unary() }; }
+    if (isOp(t, '+')) { pos++; return unary(); }
+    return power();
+  }
+
+  function term() {
+    let left = unary();
+    for (;;) {
+      const t = peek();
+      if (isOp(t, '*') || isOp(t, '/')) {
+        pos++;
+        left = { type: 'op', op: t.value, args: [left, unary()] };
+      } else if (startsOperand(t)) {
+        left = { type: 'op', op: '*', args: [left, power()], implicit: true };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function expr() {
+    let left = term();
+    for (;;) {
+      const t = peek();
+      if (isOp(t, '+') || isOp(t, '-')) {
+        pos++;
+        left = { type: 'op', op: t.value, args: [left, term()] };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  if (!tokens.length) throw new ExpressionError('Empty expression', 0);
+  // "x = 2" (or "y = 2x+1") is read as its right-hand side.
+  const eq = tokens.findIndex((t) => isOp(t, '='));
+  if (eq !== -1) {
+    if (eq !== 1 || tokens[0].type !== 'var') throw new ExpressionError('Only "variable = expression" is supported', tokens[eq].pos);
+    pos = eq + 1;
+  }
+  const tree = expr();
+  if (pos < tokens.length) throw new ExpressionError(`Unexpected "${tokens[pos].value}"`, tokens[pos].pos);
+  return tree;
+}
+
+/** Parse an expression string into a tree. Throws ExpressionError with a position. */
+function parseExpression(input) {
+  return parseTokens(tokenize(input));
+}
+
+function evaluate(node, vars = {}) {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'const': return CONSTANTS[node.name];
+    case 'var': return Object.prototype.hasOwnProperty.call(vars, node.name) ? vars[node.name] : NaN;
+    case 'neg': return -evaluate(node.arg, vars);
+    case 'call': return FUNCTIONS[node.fn](evaluate(node.arg, vars));
+    case 'op': {
+      const a = evaluate(node.args[0], vars);
+      const b = evaluate(node.args[1], vars);
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      if (node.op === '/') return a / b;
+      return a ** b;
+    }
+    default: return NaN;
+  }
+}
+
+function variablesOf(node, out = new Set()) {
+  if (node.type === 'var') out.add(node.name);
+  if (node.arg) variablesOf(node.arg, out);
+  if (node.args) node.args.forEach((a) => variablesOf(a, out));
+  return out;
+}
+
+function nodeCount(node) {
+  return 1 + (node.arg ? nodeCount(node.arg) : 0) + (node.args ? node.args.reduce((n, a) => n + nodeCount(a), 0) : 0);
+}
+
+// Deterministic samples: the same pair of answers always gets the same verdict.
+function seededRandom(seedText) {
+  let h = 2166136261;
+  for (let i = 0; i < seedText.length; i++) {
+    h ^= seedText.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Pairs of [student, expected] values at random points where both are finite. */
+function samplePairs(student, expected, names, seed) {
+  const rand = seededRandom(seed);
+  const pairs = [];
+  for (let attempt = 0; attempt < MAX_SAMPLE_ATTEMPTS && pairs.length < SAMPLE_POINTS; attempt++) {
+    // Later attempts use positive values only, for answers with sqrt/ln domains.
+    const positive = attempt >= MAX_SAMPLE_ATTEMPTS / 2;
+    const vars = {};
+    for (const n of names) vars[n] = positive ? 0.1 + rand() * 4.9 : -5 + rand() * 10;
+    const s = evaluate(student, vars);
+    const e = evaluate(expected, vars);
+    if (Number.isFinite(s) && Number.isFinite(e)) pairs.push([s, e]);
+    if (!names.length) break;
+  }
+  return pairs;
+}
+
+function close(a, b, tol) {
+  return Math.abs(a - b) <= tol * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function allClose(values, tol) {
+  return values.length > 0 && values.every((v) => close(v, values[0], tol));
+}
+
+function formatNumber(x) {
+  return Number.isInteger(x) ? String(x) : String(Math.round(x * 1e6) / 1e6);
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : Math.abs(a);
+}
+
+function isInt(node) {
+  return node.type === 'num' && Number.isInteger(node.value);
+}
+
+/** Reasons the (already equivalent) student tree is not in simplest form. */
+function simplificationIssues(node, expected) {
+  const issues = new Set();
+  const visit = (n) => {
+    if (n.type === 'op' && n.args.every((a) => a.type === 'num')) {
+      const [a, b] = n.args;
+      if (n.op === '/' && isInt(a) && isInt(b)) {
+        if (b.value === 1 || gcd(a.value, b.value) > 1) issues.add('unreduced_fraction');
+      } else {
+        issues.add('unevaluated_arithmetic');
+      }
+    }
+    if (n.type === 'call' && n.fn === 'sqrt' && isInt(n.arg) && n.arg.value > 3) {
+      for (let k = Math.floor(Math.sqrt(n.arg.value)); k >= 2; k--) {
+        if (n.arg.value % (k * k) === 0) { issues.add('reducible_root'); break; }
+      }
+    }
+    if (n.arg) visit(n.arg);
+    if (n.args) n.args.forEach(visit);
+  };
+  visit(node);
+
+  // Like terms: two summands that differ only by a numeric coefficient.
+  const summands = [];
+  const flatten = (n, sign) => {
+    if (n.type === 'op' && (n.op === '+' || n.op === '-')) {
+      flatten(n.args[0], sign);
+      flatten(n.args[1], n.op === '-' ? -sign : sign);
+    } else {
+      summands.push(n);
+    }
+  };
+  flatten(node, 1);
+  const signature = (n) => {
+    if (n.type === 'neg') return signature(n.arg);
+    if (n.type === 'num') return '#';
+    if (n.type === 'op' && n.op === '*' && n.args[0].type === 'num') return signature(n.args[1]);
+    return JSON.stringify(n, (k, v) => (k === 'implicit' ? undefined : v));
+  };
+  const seen = new Set();
+  for (const s of summands) {
+    const sig = signature(s);
+    if (seen.has(sig)) issues.add(sig === '#' ? 'unevaluated_arithmetic' : 'like_terms');
+    seen.add(sig);
+  }
+
+  if (!issues.size && nodeCount(node) > 2 * nodeCount(expected) + 2) issues.add('longer_than_needed');
+  return Array.from(issues);
+}
+
+const SIMPLIFY_MESSAGES = {
+  unreduced_fraction: 'The fraction can be reduced.',
+  unevaluated_arithmetic: 'Some arithmetic is left unevaluated.',
+  reducible_root: 'The square root can be simplified (take out square factors).',
+  like_terms: 'Like terms can be collected.',
+  longer_than_needed: 'The answer can be simplified further.',
+};
+
+/** Recognise common mistakes from sampled (student, expected) value pairs. */
+function diagnose(pairs, tol) {
+  const mistakes = [];
+  if (!pairs.length) return mistakes;
+  const nonZero = pairs.filter(([, e]) => Math.abs(e) > 1e-9);
+  if (nonZero.length && nonZero.every(([s, e]) => close(s, -e, tol))) {
+    mistakes.push({ code: 'sign_error', message: 'Check your signs: your answer is the negative of the correct one.' });
+    return mistakes;
+  }
+  if (nonZero.length && nonZero.every(([s, e]) => close(s * e, 1, tol)) && !nonZero.every(([, e]) => close(Math.abs(e), 1, tol))) {
+    mistakes.push({ code: 'reciprocal', message: 'Your answer is the reciprocal of the correct one.' });
+    return mistakes;
+  }
+  const diffs = pairs.map(([s, e]) => s - e);
+  if (pairs.length > 1 && allClose(diffs, tol)) {
+    mistakes.push({ code: 'constant_offset', message: `Your answer is off by ${formatNumber(diffs[0])}.` });
+    return mistakes;
+  }
+  const ratios = nonZero.map(([s, e]) => s / e);
+  if (nonZero.length > 1 && allClose(ratios, tol)) {
+    mistakes.push({ code: 'constant_factor', message: `Your answer is off by a factor of ${formatNumber(ratios[0])}.` });
+  }
+  return mistakes;
+}
+
+/**
+ * Whether an accepted answer should be graded as math rather than text: it parses and has
+ * a digit, an operator or is a single variable/constant ("Paris" would parse as P*a*r*i*s).
+ */
+function isExpression(input) {
+  const s = preprocess(input);
+  if (!/[0-9+\-*/^()=|√.]/.test(s) && !/^([a-z]|pi|e)$/i.test(s)) return false;
+  try {
+    parseExpression(s);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Value of a constant expression such as "sqrt(2)", "2pi" or "3/4", else null. */
+function evaluateConstant(input) {
+  try {
+    const tree = parseExpression(input);
+    if (variablesOf(tree).size) return null;
+    const value = evaluate(tree);
+    return Number.isFinite(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Common mistakes for a single wrong numeric answer (sign error, reciprocal). */
+function diagnoseNumber(given, expected, tolerance = DEFAULT_TOLERANCE) {
+  return diagnose([[Number(given), Number(expected)]], tolerance);
+}
+
+/**
+ * Compare a student answer with the expected one.
+ * @param {string} studentInput
+ * @param {string|number} expectedInput
+ * @param {{ tolerance?: number, requireSimplified?: boolean }} [opts]
+ * @returns {{ equivalent: boolean, simplified: boolean, correct: boolean,
+ *   mistakes: Array<{ code: string, message: string }>, error?: string }}
+ */
+function checkEquivalence(studentInput, expectedInput, { tolerance = DEFAULT_TOLERANCE, requireSimplified = false } = {}) {
+  let student;
+  try {
+    student = parseExpression(studentInput);
+  } catch (e) {
+    return {
+      equivalent: false,
+      simplified: false,
+      correct: false,
+      mistakes: [{ code: 'parse_error', message: `Could not read your answer: ${e.message}.` }],
+      error: e.message,
+    };
+  }
+  const expected = parseExpression(expectedInput);
+
+  const expectedVars = variablesOf(expected);
+  const extra = Array.from(variablesOf(student)).filter((v) => !expectedVars.has(v));
+  const names = Array.from(new Set([...expectedVars, ...variablesOf(student)])).sort();
+  const pairs = samplePairs(student, expected, names, `${preprocess(studentInput)}|${preprocess(String(expectedInput))}`);
+  const equivalent = pairs.length > 0 && pairs.every(([s, e]) => close(s, e, tolerance));
+
+  if (!equivalent) {
+    const mistakes = extra.length
+      ? [{ code: 'unexpected_variable', message: `Your answer uses ${extra.join(', ')}, which the answer does not.` }]
+      : diagnose(pairs, tolerance);
+    return { equivalent: false, simplified: false, correct: false, mistakes };
+  }
+
+  const issues = simplificationIssues(student, expected);
+  const mistakes = issues.map((code) => ({ code: 'unsimplified', detail: code, message: SIMPLIFY_MESSAGES[code] }));
+  return {
+    equivalent: true,
+    simplified: issues.length === 0,
+    correct: !requireSimplified || issues.length === 0,
+    mistakes,
+  };
+}
+
+module.exports = {
+  ExpressionError,
+  parseExpression,
+  isExpression,
+  evaluate,
+  evaluateConstant,
+  diagnoseNumber,
+  checkEquivalence,
+};
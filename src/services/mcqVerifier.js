@@ -0,0 +1,244 @@
+/**
+ * Quality gate for generated tutor items, run before an item is banked or served.
+ *
+ * Checks, cheapest first:
+ * 1. Choices: duplicate or mathematically equivalent options, "all/none of the above".
+ * 2. Arithmetic: when the stem asks to evaluate a constant expression ("What is 3/4 + 1/8?"),
+ *    the keyed answer must equal its value (./mathEquivalence.js) and no distractor may.
+ * 3. Independent solve: a second model call answers the item without seeing the key; the
+ *    answer is graded with the item's own grader, so a disagreement means a wrong key or an
+ *    ambiguous item. Skipped when the arithmetic check already settled the item.
+ *
+ * TUTOR_VERIFY selects the checks: "model" (default, all three), "basic" (1-2, no extra
+ * model call) or "off". Rejections are recorded in Supabase `tutor_mcq_rejections` for
+ * admin review.
+ */
+const supabase = require('../config/supabase');
+const { itemTypeOf, gradeResponse } = require('./itemTypes');
+const { checkEquivalence, evaluateConstant, isExpression } = require('./mathEquivalence');
+
+const REJECTIONS_TABLE = 'tutor_mcq_rejections';
+const DEFAULT_ATTEMPTS = 3;
+
+// "What is 12 × 7?", "Calculate 3/4 + 1/8.", "Evaluate the expression 2^5 - 3".
+const ARITHMETIC_STEM = /(?:what is|calculate|compute|evaluate|simplify|find)\s+(?:the value of\s+|the expression\s+)?([0-9\s+\-−*×·/÷^().,√πsqrt²³]+?)\s*[?.=]*\s*$/i;
+const CATCH_ALL_CHOICE = /^(all|none|both|neither) of (the )?(above|these|them)\.?$/i;
+
+function verifyMode() {
+  const mode = String(process.env.TUTOR_VERIFY || 'model').toLowerCase();
+  return ['off', 'basic', 'model'].includes(mode) ? mode : 'model';
+}
+
+function verifyAttempts() {
+  const n = Number(process.env.TUTOR_VERIFY_ATTEMPTS);
+  return Number.isInteger(n) && n >= 1 ? Math.min(n, 6) : DEFAULT_ATTEMPTS;
+}
+
+function reason(code, message) {
+  return { code, message };
+}
+
+function normalizeChoice(text) {
+  return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').replace(/[.\s]+$/, '').trim();
+}
+
+function sameValue(a, b) {
+  if (!isExpression(a) || !isExpression(b)) return false;
+  return checkEquivalence(String(a), String(b)).equivalent;
+}
+
+/** Duplicate, equivalent or catch-all options in choice-based items. */
+function choiceIssues(item) {
+  const type = itemTypeOf(item);
+  const options = type === 'ordering' ? item.items : type === 'matching' ? item.right : item.choices;
+  if (!Array.isArray(options)) return [];
+  const keyed = new Set(item.answer_ids || []);
+  const issues = [];
+  for (let i = 0; i < options.length; i++) {
+    for (let j = i + 1; j < options.length; j++) {
+      const a = options[i].text;
+      const b = options[j].text;
+      if (normalizeChoice(a) === normalizeChoice(b)) {
+        issues.push(reason('duplicate_choices', `Options ${options[i].id} and ${options[j].id} are identical.`));
+      } else if (sameValue(a, b) && !(type === 'multi_select' && keyed.has(options[i].id) === keyed.has(options[j].id))) {
+        // Several equivalent correct options are fine in a multi-select; a keyed/unkeyed pair is not.
+        issues.push(reason('equivalent_choices', `Options ${options[i].id} and ${options[j].id} have the same value.`));
+      }
+    }
+  }
+  if (type === 'mcq' || type === 'multi_select') {
+    for (const o of options) {
+      if (CATCH_ALL_CHOICE.test(String(o.text).trim())) {
+        issues.push(reason('ambiguous_choice', `Option ${o.id} ("${o.text}") makes the key ambiguous.`));
+      }
+    }
+  }
+  return issues;
+}
+
+/** Value of the constant expression the stem asks for, or null. */
+function stemArithmetic(question) {
+  const m = String(question || '').match(ARITHMETIC_STEM);
+  if (!m || !/[+\-−*×·/÷^√²³]|sqrt/.test(m[1])) return null;
+  return evaluateConstant(m[1].replace(/,/g, ''));
+}
+
+/**
+ * Deterministic key check for arithmetic stems.
+ * Returns { checked: false } when the stem is not plain arithmetic.
+ */
+function arithmeticIssues(item) {
+  const value = stemArithmetic(item.question);
+  if (value === null) return { checked: false, issues: [] };
+  const type = itemTypeOf(item);
+  const matches = (text) => {
+    const v = evaluateConstant(String(text ?? '').replace(/,/g, ''));
+    return v !== null && Math.abs(v - value) <= 1e-9 * Math.max(1, Math.abs(value));
+  };
+
+  if (type === 'mcq') {
+    const keyed = (item.choices || []).find((c) => c.id === item.answer_id);
+    const correct = (item.choices || []).filter((c) => matches(c.text));
+    if (!keyed || !matches(keyed.text)) {
+      return {
+        checked: true,
+        issues: [reason('key_mismatch', correct.length
+          ? `The stem evaluates to ${value}, which is option ${correct[0].id}, not the keyed ${item.answer_id}.`
+          : `The stem evaluates to ${value}, which is not among the options.`)],
+      };
+    }
+    return { checked: true, issues: [] };
+  }
+  if (type === 'numeric') {
+    const tol = Math.max(Number(item.tolerance) || 0, 1e-9 * Math.max(1, Math.abs(value)));
+    return Math.abs(Number(item.answer_value) - value) <= tol
+      ? { checked: true, issues: [] }
+      : { checked: true, issues: [reason('key_mismatch', `The stem evaluates to ${value}, not ${item.answer_value}.`)] };
+  }
+  if (type === 'short_text' && item.grading !== 'rubric') {
+    return (item.accepted_answers || []).some(matches)
+      ? { checked: true, issues: [] }
+      : { checked: true, issues: [reason('key_mismatch', `The stem evaluates to ${value}; no accepted answer matches.`)] };
+  }
+  return { checked: false, issues: [] };
+}
+
+const SOLVER_SHAPES = {
+  mcq: '{ "answerId": "A"|"B"|"C"|"D", "alsoCorrect": [ids of any other option that is also a defensible answer] }',
+  multi_select: '{ "answerIds": ["A","C"] }',
+  numeric: '{ "answer": number }',
+  short_text: '{ "answer": string }',
+  ordering: '{ "order": [item ids in the correct order] }',
+  matching: '{ "pairs": { "<left id>": "<right id>" } }',
+};
+
+function listOptions(options) {
+  return (options || []).map((o) => `${o.id}) ${o.text}`);
+}
+
+/** Prompt for the independent solver; never includes the key or explanation. */
+function solverPrompt(item) {
+  const type = itemTypeOf(item);
+  const lines = [
+    `You are checking a tutoring question written by someone else. Solve it yourself, carefully and independently.`,
+    `Question: ${item.question}`,
+  ];
+  if (type === 'mcq' || type === 'multi_select') lines.push('Options:', ...listOptions(item.choices));
+  if (type === 'multi_select') lines.push('Select every correct option.');
+  if (type === 'numeric' && item.unit) lines.push(`Answer in ${item.unit}.`);
+  if (type === 'ordering') lines.push('Items:', ...listOptions(item.items));
+  if (type === 'matching') lines.push('Left:', ...listOptions(item.left), 'Right:', ...listOptions(item.right));
+  lines.push('Return ONLY valid JSON with this exact shape:', SOLVER_SHAPES[type]);
+  return lines.join('\n');
+}
+
+/** Solver JSON -> learner-style response for gradeResponse. */
+function solverResponse(type, out) {
+  if (type === 'mcq') return String(out?.answerId || '').toUpperCase();
+  if (type === 'multi_select') return (Array.isArray(out?.answerIds) ? out.answerIds : []).map((x) => String(x).toUpperCase());
+  if (type === 'numeric') return { value: out?.answer };
+  if (type === 'short_text') return { text: String(out?.answer ?? '') };
+  if (type === 'ordering') return { order: out?.order };
+  return { pairs: out?.pairs };
+}
+
+/**
+ * Run the quality gate on a validated item.
+ * `solve(prompt)` (optional) returns the independent solver's parsed JSON.
+ * @returns {Promise<{ ok: boolean, method: string, reasons: Array<{ code, message }> }>}
+ */
+async function verifyItem(item, { solve, mode = verifyMode() } = {}) {
+  if (mode === 'off') return { ok: true, method: 'none', reasons: [] };
+  const type = itemTypeOf(item);
+  const reasons = choiceIssues(item);
+  const arithmetic = arithmeticIssues(item);
+  reasons.push(...arithmetic.issues);
+  if (reasons.length) return { ok: false, method: arithmetic.checked ? 'arithmetic' : 'structure', reasons };
+  if (arithmetic.checked) return { ok: true, method: 'arithmetic', reasons };
+
+  // Rubric answers are judged on keywords; an independent solve can't be graded against them.
+  const solvable = !(type === 'short_text' && item.grading === 'rubric');
+  if (mode !== 'model' || !solve || !solvable) return { ok: true, method: 'structure', reasons };
+
+  let out;
+  try {
+    out = await solve(solverPrompt(item));
+  } catch (e) {
+    // A solver outage should not take question generation down with it.
+    console.warn('Question verifier solve failed (accepting unverified item):', e?.message || e);
+    return { ok: true, method: 'structure', reasons };
+  }
+  const grade = gradeResponse(item, solverResponse(type, out));
+  if (!grade.correct) {
+    reasons.push(reason('solver_disagrees', `An independent solve answered ${JSON.stringify(solverResponse(type, out))}.`));
+  }
+  const also = Array.isArray(out?.alsoCorrect) ? out.alsoCorrect.map((x) => String(x).toUpperCase()) : [];
+  const others = also.filter((id) => id && id !== item.answer_id);
+  if (type === 'mcq' && others.length) {
+    reasons.push(reason('ambiguous_choice', `The solver considers option${others.length === 1 ? '' : 's'} ${others.join(', ')} also correct.`));
+  }
+  return { ok: reasons.length === 0, method: 'model', reasons };
+}
+
+/** Best-effort record of a rejected item for admin review. */
+async function recordRejection({ item, reasons, method, topic, topicKey, provider, attempt, userId }) {
+  try {
+    const { error } = await supabase.from(REJECTIONS_TABLE).insert({
+      topic: String(topic || '').slice(0, 200),
+      topic_id: topicKey || null,
+      item_type: itemTypeOf(item || {}),
+      provider: provider || null,
+      method: method || null,
+      attempt: Number(attempt) || 1,
+      reasons,
+      item: item || null,
+      user_id: userId || null,
+    });
+    if (error) throw error;
+  } catch (e) {
+    console.warn('Failed to record rejected question (non-fatal):', e?.message || e);
+  }
+}
+
+/** Recent rejections, newest first. */
+async function listRejections({ topicKey, code, limit = 50 } = {}) {
+  let q = supabase
+    .from(REJECTIONS_TABLE)
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.max(1, Math.min(200, Number(limit) || 50)));
+  if (topicKey) q = q.eq('topic_id', topicKey);
+  if (code) q = q.contains('reasons', [{ code }]);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  verifyMode,
+  verifyAttempts,
+  solverPrompt,
+  verifyItem,
+  recordRejection,
+  listRejections,
+};
@@ -0,0 +1,262 @@
+/**
+ * Text extraction for Office Open XML documents (used by documentExtraction.js).
+ *
+ * DOCX and PPTX are zip packages of XML parts; they are opened with the zip reader bundled in `xlsx`
+ * (SheetJS CFB) and the parts are scanned with regular expressions, so no extra dependency is needed.
+ * - DOCX: paragraphs in order; Heading N styles become Markdown headings, list items "- " lines and
+ *   tables `| a | b |` rows (which chunking keeps together).
+ * - PPTX: one "## Slide N: <title>" section per slide in presentation order, with its text boxes,
+ *   tables and speaker notes.
+ * - XLSX (also XLS / ODS, read by SheetJS): one "## Sheet: <name>" section per sheet. XLSX_TEXT_FORMAT
+ *   "rows" (default) writes each row as "Row 5: Header: value; Header: value" so a chunk stays readable
+ *   without the header row; "csv" writes the sheet as CSV.
+ *
+ * Each extractor returns `{ text, title }`; the title comes from the document properties.
+ */
+const XLSX = require('xlsx');
+
+const XLSX_FORMATS = ['rows', 'csv'];
+const MAX_SHEET_ROWS = 10000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code] ?? m;
+  });
+}
+
+/** Package parts by path ("word/document.xml" → UTF-8 text). */
+function readPackage(buf) {
+  const container = XLSX.CFB.read(buf, { type: 'buffer' });
+  const parts = new Map();
+  container.FullPaths.forEach((fullPath, i) => {
+    const entry = container.FileIndex[i];
+    if (!entry || entry.type !== 2 || !entry.content) return;
+    parts.set(fullPath.replace(/^Root Entry\//, ''), Buffer.from(entry.content).toString('utf-8'));
+  });
+  return parts;
+}
+
+function coreTitle(parts) {
+  const m = /<dc:title>([\s\S]*?)<\/dc:title>/.exec(parts.get('docProps/core.xml') || '');
+  return m ? decodeXml(m[1]).trim() || null : null;
+}
+
+function tableRow(cells) {
+  return `| ${cells.map((c) => c.replace(/\|/g, '\\|')).join(' | ')} |`;
+}
+
+function joinBlocks(blocks) {
+  return blocks.filter(Boolean).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ---- DOCX -------------------------------------------------------------------
+
+function docxRunText(xml) {
+  let text = '';
+  const re = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    if (m[1] !== undefined) text += decodeXml(m[1]);
+    else text += m[0].startsWith('<w:tab') ? ' ' : '\n';
+  }
+  return text.replace(/[ \u00a0]+/g, ' ').trim();
+}
+
+function docxTable(xml) {
+  const rows = [];
+  for (const row of xml.match(/<w:tr\b[^>]*>[\s\S]*?<\/w:tr>/g) || []) {
+    const cells = (row.match(/<w:tc\b[^>]*>[\s\S]*?<\/w:tc>/g) || [])
+      .map((cell) => docxRunText(cell).replace(/\s+/g, ' '));
+    if (cells.some(Boolean)) rows.push(tableRow(cells));
+  }
+  return rows.join('\n');
+}
+
+function extractDocx(buf) {
+  const parts = readPackage(buf);
+  const xml = parts.get('word/document.xml');
+  if (!xml) throw new Error('DOCX has no word/document.xml');
+  const body = (/<w:body>([\s\S]*)<\/w:body>/.exec(xml) || [null, xml])[1];
+
+  let styleTitle = null;
+  const blocks = [];
+  for (const block of body.match(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g) || []) {
+    if (block.startsWith('<w:tbl>')) {
+      blocks.push(docxTable(block));
+      continue;
+    }
+    const text = docxRunText(block);
+    if (!text) continue;
+    const style = (/<w:pStyle w:val="([^"]+)"/.exec(block) || [])[1] || '';
+    const heading = /heading\s*(\d)/i.exec(style);
+    if (/^title$/i.test(style)) {
+      styleTitle = styleTitle || text;
+      blocks.push(text);
+    } else if (heading) {
+      blocks.push(`${'#'.repeat(Math.min(6, Number(heading[1]) || 1))} ${text.replace(/\s+/g, ' ')}`);
+    } else if (/<w:numPr>/.test(block)) {
+      blocks.push(`- ${text}`);
+    } else {
+      blocks.push(text);
+    }
+  }
+  // Consecutive list items read better as one block.
+  return { text: joinBlocks(blocks).replace(/^(- .*)\n\n(?=- )/gm, '$1\n'), title: coreTitle(parts) || styleTitle };
+}
+
+// ---- PPTX -------------------------------------------------------------------
+
+function pptxParagraphs(xml) {
+  const out = [];
+  for (const p of xml.match(/<a:p\b[^>]*>[\s\S]*?<\/a:p>/g) || []) {
+    let text = '';
+    const re = /<a:t>([^<]*)<\/a:t>|<a:br\b[^>]*\/>/g;
+    let m;
+    while ((m = re.exec(p))) text += m[1] !== undefined ? decodeXml(m[1]) : '\n';
+    text = text.replace(/[ \u00a0]+/g, ' ').trim();
+    if (text) out.push(text);
+  }
+  return out;
+}
+
+/** Text of a slide or notes part: `{ title, lines }`, skipping placeholders in `skip` (slide number etc.). */
+function pptxShapes(xml, skip = []) {
+  let title = null;
+  const lines = [];
+  for (const shape of xml.match(/<p:sp>[\s\S]*?<\/p:sp>|<p:graphicFrame>[\s\S]*?<\/p:graphicFrame>/g) || []) {
+    const type = (/<p:ph\b[^>]*type="(\w+)"/.exec(shape) || [])[1] || '';
+    if (skip.includes(type)) continue;
+    if (shape.startsWith('<p:graphicFrame>')) {
+      const rows = (shape.match(/<a:tr\b[^>]*>[\s\S]*?<\/a:tr>/g) || [])
+        .map((row) => tableRow((row.match(/<a:tc\b[^>]*>[\s\S]*?<\/a:tc>/g) || []).map((c) => pptxParagraphs(c).join(' '))));
+      if (rows.length) lines.push(rows.join('\n'));
+      continue;
+    }
+    const paragraphs = pptxParagraphs(shape);
+    if (!paragraphs.length) continue;
+    if (!title && (type === 'title' || type === 'ctrTitle')) title = paragraphs.join(' ').replace(/\s+/g, ' ');
+    else lines.push(paragraphs.join('\n'));
+  }
+  return { title, lines };
+}
+
+function resolvePart(fromPart, target) {
+  const segments = fromPart.split('/').slice(0, -1);
+  for (const seg of String(target).split('/')) {
+    if (seg === '..') segments.pop();
+    else if (seg && seg !== '.') segments.push(seg);
+  }
+  return segments.join('/');
+}
+
+function relTargets(parts, part) {
+  const dir = part.split('/').slice(0, -1).join('/');
+  const rels = parts.get(`${dir}/_rels/${part.split('/').pop()}.rels`) || '';
+  const out = new Map();
+  for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = (/Id="([^"]+)"/.exec(m[0]) || [])[1];
+    const target = (/Target="([^"]+)"/.exec(m[0]) || [])[1];
+    if (id && target) out.set(id, { target: resolvePart(part, target), type: (/Type="([^"]+)"/.exec(m[0]) || [])[1] || '' });
+  }
+  return out;
+}
+
+/** Slide parts in presentation order (sldIdLst), falling back to slide file numbers. */
+function slideOrder(parts) {
+  const rels = relTargets(parts, 'ppt/presentation.xml');
+  const ordered = [];
+  for (const m of (parts.get('ppt/presentation.xml') || '').matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)) {
+    const rel = rels.get(m[1]);
+    if (rel && parts.has(rel.target)) ordered.push(rel.target);
+  }
+  if (ordered.length) return ordered;
+  return Array.from(parts.keys())
+    .filter((p) => /^ppt\/slides\/slide\d+\.xml$/.test(p))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+}
+
+function extractPptx(buf) {
+  const parts = readPackage(buf);
+  const slides = slideOrder(parts);
+  if (!slides.length) throw new Error('PPTX has no slides');
+
+  const blocks = slides.map((part, i) => {
+    const { title, lines } = pptxShapes(parts.get(part), ['sldNum', 'dt', 'ftr']);
+    const notesRel = Array.from(relTargets(parts, part).values()).find((r) => /\/notesSlide$/.test(r.type));
+    const notes = notesRel && parts.has(notesRel.target)
+      ? pptxShapes(parts.get(notesRel.target), ['sldNum', 'sldImg', 'dt', 'ftr', 'hdr']).lines
+      : [];
+    return joinBlocks([
+      `## Slide ${i + 1}${title ? `: ${title}` : ''}`,
+      ...lines,
+      notes.length ? `Notes: ${notes.join('\n')}` : '',
+    ]);
+  });
+  return { text: joinBlocks(blocks), title: coreTitle(parts) };
+}
+
+// ---- XLSX -------------------------------------------------------------------
+
+function xlsxFormat() {
+  const format = String(process.env.XLSX_TEXT_FORMAT || 'rows').toLowerCase();
+  return XLSX_FORMATS.includes(format) ? format : 'rows';
+}
+
+function sheetRows(ws) {
+  const range = XLSX.utils.decode_range(ws['!ref'] || 'A1');
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, blankrows: true, defval: '' });
+  return rows.map((cells, i) => ({ number: range.s.r + i + 1, cells: cells.map((c) => String(c).replace(/\s+/g, ' ').trim()) }))
+    .filter((r) => r.cells.some(Boolean));
+}
+
+function sheetAsRows(ws) {
+  const [header, ...rows] = sheetRows(ws);
+  if (!header) return '';
+  if (!rows.length) return header.cells.filter(Boolean).join('; ');
+  return rows.map((row) => {
+    const pairs = row.cells
+      .map((value, i) => (value ? `${header.cells[i] || `Column ${i + 1}`}: ${value}` : ''))
+      .filter(Boolean);
+    return `Row ${row.number}: ${pairs.join('; ')}`;
+  }).join('\n');
+}
+
+function extractXlsx(buf) {
+  const wb = XLSX.read(buf, { type: 'buffer', cellDates: true, sheetRows: MAX_SHEET_ROWS });
+  const format = xlsxFormat();
+  const blocks = wb.SheetNames.map((name) => {
+    const ws = wb.Sheets[name];
+    // With sheetRows, SheetJS keeps the sheet's real extent in !fullref.
+    if (ws['!fullref'] && XLSX.utils.decode_range(ws['!fullref']).e.r >= MAX_SHEET_ROWS) {
+      console.warn(`XLSX sheet "${name}" has more than ${MAX_SHEET_ROWS} rows; indexing the first ${MAX_SHEET_ROWS}`);
+    }
+    const body = format === 'csv' ? XLSX.utils.sheet_to_csv(ws, { blankrows: false }).trim() : sheetAsRows(ws);
+    return body ? `## Sheet: ${name}\n\n${body}` : '';
+  });
+  return { text: joinBlocks(blocks), title: String(wb.Props?.Title || '').trim() || null };
+}
+
+const EXTRACTORS = {
+  docx: extractDocx,
+  pptx: extractPptx,
+  xlsx: extractXlsx,
+};
+
+const OFFICE_KINDS = Object.keys(EXTRACTORS);
+
+/** Extract an Office document of kind "docx", "pptx" or "xlsx"; throws on a corrupt file. */
+function extractOffice(buf, kind) {
+  return EXTRACTORS[kind](buf);
+}
+
+module.exports = {
+  OFFICE_KINDS,
+  XLSX_FORMATS,
+  extractOffice,
+};
@@ -53,6 +53,47 @@ function getClient() {
   return _client;
 }
 
+// Metadata fields of the kNN index (the embedding field is added with its dimension).
+const METADATA_PROPERTIES = {
+  scope: { type: 'keyword' },
+  school_id: { type: 'keyword' },
+  source: { type: 'keyword' },
+  chunk_index: { type: 'integer' },
+  content: { type: 'text' },
+  chunk_strategy: { type: 'keyword' },
+  title: { type: 'text' },
+  heading_path: { type: 'keyword' },
+  page_start: { type: 'integer' },
+  page_end: { type: 'integer' },
+  anchor: { type: 'keyword' },
+  created_at: { type: 'date' },
+};
+
+// Indexes whose mapping was already brought up to date by this process.
+const _mappingChecked = new Set();
+
+/**
+ * Add metadata fields missing from an existing index's mapping (an index created before they were
+ * introduced). A field OpenSearch already mapped dynamically, with another type, cannot be changed in
+ * place: it is reported in `conflicts`, and fixing it needs a new index and a reindex.
+ */
+async function addMissingMappings(client, index) {
+  const resp = await client.indices.getMapping({ index });
+  const mapping = Object.values(resp.body || {})[0]?.mappings?.properties || {};
+  const missing = {};
+  const conflicts = [];
+  for (const [field, spec] of Object.entries(METADATA_PROPERTIES)) {
+    if (!mapping[field]) missing[field] = spec;
+    else if (mapping[field].type !== spec.type) conflicts.push(field);
+  }
+  const addedFields = Object.keys(missing);
+  if (addedFields.length) await client.indices.putMapping({ index, body: { properties: missing } });
+  if (conflicts.length) {
+    console.warn(`OpenSearch index "${index}" maps ${conflicts.join(', ')} with another type; reindex to fix (see docs/ARCHITECTURE.md).`);
+  }
+  return { addedFields, conflicts };
+}
+
 async function ensureKnnIndex({ dimension }) {
   const client = getClient();
   const index = getIndex();
@@ -60,7 +101,15 @@ async function ensureKnnIndex({ dimension }) {
   // Check if index exists
   const exists = await client.indices.exists({ index });
   if (exists.body) {
-    return { index, created: false };
+    if (_mappingChecked.has(index)) return { index, created: false };
+    try {
+      const { addedFields, conflicts } = await addMissingMappings(client, index);
+      _mappingChecked.add(index);
+      return { index, created: false, addedFields, conflicts };
+    } catch (e) {
+      console.warn('OpenSearch mapping update failed (non-fatal):', e?.message || e);
+      return { index, created: false };
+    }
   }
 
   // Create a kNN index with vector field and metadata fields
@@ -69,11 +118,7 @@ async function ensureKnnIndex({ dimension }) {
     settings: service === 'aoss' ? { 'index.knn': true } : { index: { knn: true } },
     mappings: {
       properties: {
-        scope: { type: 'keyword' },
-        school_id: { type: 'keyword' },
-        source: { type: 'keyword' },
-        chunk_index: { type: 'integer' },
-        content: { type: 'text' },
+        ...METADATA_PROPERTIES,
         embedding: {
           type: 'knn_vector',
           dimension: Number(dimension),
@@ -83,12 +128,12 @@ async function ensureKnnIndex({ dimension }) {
             engine: 'faiss',
           },
         },
-        created_at: { type: 'date' },
       },
     },
   };
 
   await client.indices.create({ index, body });
+  _mappingChecked.add(index);
   return { index, created: true };
 }
 
@@ -153,33 +198,29 @@ async function deleteBySource({ scope, schoolId, source }) {
   };
 }
 
-async function knnSearch({ scope, schoolId, vector, k = 8 }) {
-  const client = getClient();
-  const index = getIndex();
-
+function scopeFilter({ scope, schoolId }) {
   const filter = [{ term: { scope } }];
   if (scope === 'school') filter.push({ term: { school_id: String(schoolId) } });
+  return filter;
+}
+
+// Chunks fetched per source when reusing embeddings (the default max_result_window).
+const MAX_SOURCE_CHUNKS = 10000;
 
+const RESULT_FIELDS = [
+  'source', 'chunk_index', 'content', 'chunk_strategy',
+  'title', 'heading_path', 'page_start', 'page_end', 'anchor',
+  'school_id', 'scope',
+];
+
+async function runSearch(must, { scope, schoolId, size }) {
+  const client = getClient();
+  const index = getIndex();
   const body = {
-    size: Math.max(1, Number(k) || 8),
-    query: {
-      bool: {
-        filter,
-        must: [
-          {
-            knn: {
-              embedding: {
-                vector,
-                k: Math.max(1, Number(k) || 8),
-              },
-            },
-          },
-        ],
-      },
-    },
-    _source: ['source', 'chunk_index', 'content', 'school_id', 'scope'],
+    size,
+    query: { bool: { filter: scopeFilter({ scope, schoolId }), must } },
+    _source: RESULT_FIELDS,
   };
-
   const resp = await client.search({ index, body });
   const hits = resp.body.hits?.hits || [];
 
@@ -190,11 +231,37 @@ async function knnSearch({ scope, schoolId, vector, k = 8 }) {
   }));
 }
 
+async function knnSearch({ scope, schoolId, vector, k = 8 }) {
+  const size = Math.max(1, Number(k) || 8);
+  return runSearch([{ knn: { embedding: { vector, k: size } } }], { scope, schoolId, size });
+}
+
+/** Lexical (BM25) search over the `content` text field. */
+async function textSearch({ scope, schoolId, query, k = 8 }) {
+  const size = Math.max(1, Number(k) || 8);
+  return runSearch([{ match: { content: { query: String(query || '') } } }], { scope, schoolId, size });
+}
+
+/** Indexed chunks of one source with their embeddings (`{ chunk_index, content, embedding }`). */
+async function getBySource({ scope, schoolId, source }) {
+  const client = getClient();
+  const index = getIndex();
+  const body = {
+    size: MAX_SOURCE_CHUNKS,
+    query: { bool: { filter: [...scopeFilter({ scope, schoolId }), { term: { source } }] } },
+    _source: ['chunk_index', 'content', 'embedding'],
+  };
+  const resp = await client.search({ index, body });
+  return (resp.body.hits?.hits || []).map((h) => h._source);
+}
+
 module.exports = {
   ensureKnnIndex,
   bulkIndex,
   deleteBySource,
+  getBySource,
   knnSearch,
+  textSearch,
   getClient,
   getIndex,
   getEndpoint,
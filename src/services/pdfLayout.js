@@ -0,0 +1,632 @@
+/**
+ * Layout-aware PDF extraction for the knowledge-base pipeline (used by documentExtraction.js).
+ *
+ * pdf-parse's own output joins text runs in content-stream order, which interleaves columns, drops
+ * superscripts onto the baseline and keeps running headers. This extractor works from the positioned
+ * runs pdf.js reports for each page instead:
+ * - Rows: runs sharing a baseline, split into segments at wide horizontal gaps.
+ * - Columns: vertical gutters that almost every row leaves empty, with prose on both sides. Each band of
+ *   rows is read column by column; a segment crossing a gutter (title, full-width caption) ends the band.
+ *   Several segments of one row inside a column become a `| a | b |` table row.
+ * - Headers / footers: rows in the top or bottom margin that repeat (digits ignored) on at least 30% of
+ *   the pages (running headers often alternate between odd and even pages), and bare page numbers, are
+ *   dropped.
+ * - Math: smaller raised / lowered runs become `^{…}` / `_{…}`, symbols map to LaTeX commands (`≤` →
+ *   `\leq`, `α` → `\alpha`, `√x` → `\sqrt{x}`) and runs of math are wrapped in `$…$` (a line that is
+ *   only math in `$$…$$`), which chunking keeps in one piece.
+ * - Headings: lines set clearly larger than the body text become Markdown headings.
+ *
+ * Every page gets a quality report (`score` 0-1, `status` good / fair / poor, `issues`), so documents
+ * that extract badly (scanned pages, broken font encodings, letter-spaced text) can be flagged.
+ */
+const ROW_TOLERANCE = 0.5; // baseline distance, in font sizes, for runs on one row
+const SEGMENT_GAP = 1.2; // horizontal gap, in font sizes, that starts a new segment
+const SCRIPT_SIZE = 0.85; // runs smaller than this share of the row size may be super/subscripts
+const MARGIN_ZONE = 0.15; // share of the page height checked for headers and footers
+const MARGIN_ROWS = 2; // rows per margin that may be a header or footer
+const REPEAT_SHARE = 0.3; // share of pages a margin row must appear on (odd / even headers differ)
+const GUTTER_COVERAGE = 0.35; // share of rows that may cross a gutter (title block, full-width lines)
+const HEADING_SIZE = 1.15; // heading font size relative to the body
+const MAX_HEADING_CHARS = 150;
+const QUALITY_LEVELS = { good: 0.8, fair: 0.5 };
+const FLAG_POOR_SHARE = 0.2;
+
+const LIGATURES = { 'ﬀ': 'ff', 'ﬁ': 'fi', 'ﬂ': 'fl', 'ﬃ': 'ffi', 'ﬄ': 'ffl', 'ﬅ': 'st', 'ﬆ': 'st' };
+const SCRIPT_DIGITS = {
+  '⁰': '^0', '¹': '^1', '²': '^2', '³': '^3', '⁴': '^4', '⁵': '^5', '⁶': '^6', '⁷': '^7', '⁸': '^8', '⁹': '^9',
+  '⁺': '^+', '⁻': '^-', 'ⁿ': '^n',
+  '₀': '_0', '₁': '_1', '₂': '_2', '₃': '_3', '₄': '_4', '₅': '_5', '₆': '_6', '₇': '_7', '₈': '_8', '₉': '_9',
+};
+const MATH_SYMBOLS = {
+  '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '·': '\\cdot', '∙': '\\cdot',
+  '≤': '\\leq', '≥': '\\geq', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '≅': '\\cong',
+  '∝': '\\propto', '∞': '\\infty', '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∮': '\\oint',
+  '∂': '\\partial', '∇': '\\nabla', '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq',
+  '⊃': '\\supset', '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists',
+  '→': '\\to', '←': '\\leftarrow', '⇒': '\\Rightarrow', '⇔': '\\Leftrightarrow', '↔': '\\leftrightarrow',
+  '∠': '\\angle', '⊥': '\\perp', '∥': '\\parallel', '△': '\\triangle', '∘': '\\circ', '⋅': '\\cdot',
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon',
+  'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu',
+  'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon',
+  'φ': '\\phi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+  'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+  'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+  'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℝ': '\\mathbb{R}', 'ℂ': '\\mathbb{C}',
+};
+const MATH_CHARS = new RegExp(`[${Object.keys(MATH_SYMBOLS).join('')}√]`, 'u');
+const FUNCTION_NAMES = new Set(['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'log', 'ln', 'exp', 'lim', 'max', 'min', 'det', 'mod', 'arcsin', 'arccos', 'arctan']);
+// Assignment, comparison, increment and comment punctuation of program code ("v0 :=", "// load", "++i").
+const CODE_TOKEN = /^(:=|\/\/|\/\*|\*\/|={2,3}|!==?|[-+*/%&|^]=|=>|&&|\|\||[{}])$|\+\+|^--\w|\w--$/;
+const LIST_MARKER = /^(\d{1,3}[.)]|\[\d{1,3}\]|[a-z][.)]|[•·▪◦‣*–-])$/;
+const LIST_START = /^(\d{1,3}[.)]|\[\d{1,3}\]|[•▪◦‣–]) /;
+const EQUATION_NUMBER = /^\(\d{1,3}(\.\d{1,3})?[a-z]?\)$/;
+const PAGE_NUMBER = /^(page\s*)?(\d{1,4}|[ivxlc]{1,6})(\s*(of|\/)\s*\d{1,4})?$/i;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function cleanRun(str) {
+  return String(str || '')
+    .replace(/[ﬀ-ﬆ]/g, (c) => LIGATURES[c] || c)
+    .replace(/[\u0000-\u0008\u000e-\u001f]/g, '')
+    .replace(/[\s\u00a0]+/g, ' ');
+}
+
+// ---- Rows and segments --------------------------------------------------------
+
+/** Horizontal pdf.js text items as runs with position and size. Rotated text (margin stamps) is skipped. */
+function pageRuns(items) {
+  const runs = [];
+  for (const item of items || []) {
+    const [a, b, c, d, x, y] = item.transform || [];
+    if (Math.abs(b) > 0.01 || Math.abs(c) > 0.01 || !(d > 0)) continue;
+    const str = cleanRun(item.str);
+    if (!str.trim()) continue;
+    runs.push({ str, raw: String(item.str || ''), x, y, size: Math.hypot(c, d) || Math.abs(a), width: Math.max(0, Number(item.width) || 0) });
+  }
+  return runs;
+}
+
+/** Group runs into rows (top to bottom) and rows into segments split at wide gaps. */
+function buildRows(runs) {
+  const rows = [];
+  const sorted = [...runs].sort((p, q) => q.y - p.y || p.x - q.x);
+  for (const run of sorted) {
+    let best = null;
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const row = rows[i];
+      if (row.y - run.y > 3 * Math.max(row.size, run.size)) break;
+      const distance = Math.abs(row.y - run.y);
+      if (distance <= ROW_TOLERANCE * Math.max(row.size, run.size) && (!best || distance < Math.abs(best.y - run.y))) best = row;
+    }
+    if (!best) {
+      rows.push({ y: run.y, size: run.size, runs: [run] });
+      continue;
+    }
+    best.runs.push(run);
+    if (run.size > best.size * 1.05) {
+      best.size = run.size;
+      best.y = run.y;
+    }
+  }
+  rows.sort((p, q) => q.y - p.y);
+  mergeScriptRows(rows);
+  for (const row of rows) {
+    row.runs.sort((p, q) => p.x - q.x);
+    row.segments = [];
+    let current = null;
+    for (const run of row.runs) {
+      const gap = current ? run.x - current.x1 : Infinity;
+      if (!current || gap > SEGMENT_GAP * row.size) {
+        current = { runs: [], x0: run.x, x1: run.x + run.width, y: run.y, size: run.size };
+        row.segments.push(current);
+      }
+      current.runs.push(run);
+      current.x1 = Math.max(current.x1, run.x + run.width);
+    }
+    row.segments.forEach(sizeSegment);
+  }
+  return rows;
+}
+
+/**
+ * A segment's size is the size most of its characters are set in (not the row's: columns may differ,
+ * and a single oversized symbol should not make a heading); its baseline is that of those runs.
+ */
+function sizeSegment(segment) {
+  const chars = new Map();
+  for (const run of segment.runs) {
+    const size = Math.round(run.size * 2) / 2;
+    chars.set(size, (chars.get(size) || 0) + run.str.length);
+  }
+  const main = Array.from(chars.entries()).sort((p, q) => q[1] - p[1] || q[0] - p[0])[0][0];
+  const runs = segment.runs.filter((r) => Math.abs(r.size - main) <= 0.25);
+  segment.size = median(runs.map((r) => r.size)) || main;
+  segment.y = median(runs.map((r) => r.y));
+}
+
+/**
+ * A row of only small runs just above or below a larger row (an exponent or index set further from the
+ * baseline than ROW_TOLERANCE) belongs to that row.
+ */
+function mergeScriptRows(rows) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    const host = [rows[i - 1], rows[i + 1]]
+      .filter((r) => r && row.size < SCRIPT_SIZE * r.size && Math.abs(r.y - row.y) <= 0.8 * r.size)
+      .filter((r) => row.runs.some((run) => r.runs.some((o) => run.x >= o.x - r.size && run.x <= o.x + o.width + r.size)))
+      .sort((p, q) => Math.abs(p.y - row.y) - Math.abs(q.y - row.y))[0];
+    if (!host) continue;
+    host.runs.push(...row.runs);
+    rows.splice(i, 1);
+  }
+}
+
+/** Segment text with raised / lowered smaller runs written as ^{…} / _{…}. */
+function segmentText(segment) {
+  const base = segment.runs.filter((r) => r.size >= SCRIPT_SIZE * segment.size);
+  const baseline = base.length ? median(base.map((r) => r.y)) : segment.y;
+  let text = '';
+  let end = null;
+  let script = null;
+  const flush = () => {
+    if (!script) return;
+    const body = script.text.trim();
+    const footnote = /\p{L}{2,}$/u.test(text) && /^[∗*†‡§¶#$+,a-z]+$/.test(body);
+    if (footnote || !body) text += body;
+    else text += `${script.mark}${body.length === 1 ? body : `{${body}}`}`;
+    script = null;
+  };
+  for (const run of segment.runs) {
+    let mark = null;
+    if (run.size < SCRIPT_SIZE * segment.size) {
+      if (run.y - baseline > 0.2 * segment.size) mark = '^';
+      else if (baseline - run.y > 0.1 * segment.size) mark = '_';
+    }
+    const gap = end === null ? 0 : run.x - end;
+    const spaced = gap > 0.2 * Math.min(run.size, segment.size);
+    if (mark) {
+      if (script && script.mark !== mark) flush();
+      if (!script) script = { mark, text: '' };
+      script.text += (spaced && script.text ? ' ' : '') + run.str;
+    } else {
+      flush();
+      if (spaced && text && !text.endsWith(' ') && !run.str.startsWith(' ')) text += ' ';
+      text += run.str;
+    }
+    end = run.x + run.width;
+  }
+  flush();
+  // Accents set as separate glyphs ("na ̈ıve") are put back on their letter.
+  return text
+    .replace(/ ?([\u0300-\u036f]) ?(\p{L})/gu, (m, mark, letter) => (letter === 'ı' ? 'i' : letter) + mark)
+    .normalize('NFC')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+// ---- Columns ------------------------------------------------------------------
+
+/**
+ * Vertical gutters: x ranges in the middle of the text block that at most GUTTER_COVERAGE of rows cross,
+ * with prose segments (at least a fifth of the text width) on both sides.
+ */
+function findGutters(rows, bodySize) {
+  const segments = rows.flatMap((r) => r.segments);
+  if (rows.length < 6 || !segments.length) return [];
+  const minX = Math.min(...segments.map((s) => s.x0));
+  const maxX = Math.max(...segments.map((s) => s.x1));
+  const width = maxX - minX;
+  if (width <= 0) return [];
+  const bins = Math.ceil(width / 2);
+  const coverage = new Array(bins).fill(0);
+  for (const row of rows) {
+    const covered = new Set();
+    for (const s of row.segments) {
+      for (let b = Math.floor((s.x0 - minX) / 2); b < Math.ceil((s.x1 - minX) / 2) && b < bins; b++) covered.add(b);
+    }
+    covered.forEach((b) => { coverage[b] += 1; });
+  }
+  const limit = GUTTER_COVERAGE * rows.length;
+  const gutters = [];
+  let start = null;
+  for (let b = 0; b <= bins; b++) {
+    const x = minX + b * 2;
+    const open = b < bins && coverage[b] <= limit && x > minX + 0.2 * width && x < maxX - 0.2 * width;
+    if (open && start === null) start = x;
+    if (!open && start !== null) {
+      const gutter = emptiestBand(coverage, minX, start, x, rows.length);
+      if (gutter.end - gutter.start >= Math.max(6, 0.8 * bodySize)) gutters.push(gutter);
+      start = null;
+    }
+  }
+  const prose = (s) => s.x1 - s.x0 >= 0.2 * width;
+  return gutters.filter((g) => {
+    const left = rows.filter((r) => r.segments.some((s) => s.x1 <= g.start + 1 && prose(s))).length;
+    const right = rows.filter((r) => r.segments.some((s) => s.x0 >= g.end - 1 && prose(s))).length;
+    return left >= 0.25 * rows.length && right >= 0.25 * rows.length;
+  });
+}
+
+/** Narrow a gutter candidate to its least covered stretch (hanging indents reach into the gap). */
+function emptiestBand(coverage, minX, start, end, rowCount) {
+  const from = Math.round((start - minX) / 2);
+  const to = Math.round((end - minX) / 2);
+  const least = Math.min(...coverage.slice(from, to));
+  const limit = least + Math.max(1, 0.05 * rowCount);
+  let best = { start, end: start };
+  let runStart = null;
+  for (let b = from; b <= to; b++) {
+    const low = b < to && coverage[b] <= limit;
+    if (low && runStart === null) runStart = b;
+    if (!low && runStart !== null) {
+      if (b - runStart > (best.end - best.start) / 2) best = { start: minX + runStart * 2, end: minX + b * 2 };
+      runStart = null;
+    }
+  }
+  return best;
+}
+
+/** Column index of a segment, or -1 when it crosses a gutter. */
+function columnOf(segment, gutters) {
+  let column = 0;
+  for (const g of gutters) {
+    if (segment.x0 < g.end - 1 && segment.x1 > g.start + 1) return -1;
+    if (segment.x0 >= g.end - 1) column += 1;
+  }
+  return column;
+}
+
+/** Lines in reading order: bands of rows read column by column, spanning rows in between. */
+function readingOrder(rows, gutters) {
+  const lines = [];
+  let band = [];
+  const flushBand = () => {
+    for (let c = 0; c <= gutters.length; c++) {
+      for (const entry of band) {
+        const segs = entry.segments.filter((s) => s.column === c);
+        if (segs.length) lines.push(toLine(segs, `c${c}`));
+      }
+    }
+    band = [];
+  };
+  for (const row of rows) {
+    row.segments.forEach((s) => { s.column = columnOf(s, gutters); });
+    if (row.segments.some((s) => s.column === -1)) {
+      flushBand();
+      lines.push(toLine(row.segments, 'span'));
+    } else {
+      band.push(row);
+    }
+  }
+  flushBand();
+  return lines;
+}
+
+function toLine(segments, region) {
+  const texts = [];
+  for (const text of segments.map(segmentText).filter(Boolean)) {
+    // A hanging list marker ("1.", "•") belongs to the text after it.
+    if (texts.length && LIST_MARKER.test(texts[texts.length - 1])) texts[texts.length - 1] += ` ${text}`;
+    else texts.push(text);
+  }
+  // A right-hand "(12)" is an equation number, not a table cell.
+  const tag = texts.length > 1 && EQUATION_NUMBER.test(texts[texts.length - 1]) ? texts.pop().slice(1, -1) : null;
+  return {
+    tag,
+    text: texts.length > 1 ? `| ${texts.map((t) => t.replace(/\|/g, '\\|')).join(' | ')} |` : (texts[0] || ''),
+    table: texts.length > 1,
+    region,
+    x0: Math.min(...segments.map((s) => s.x0)),
+    x1: Math.max(...segments.map((s) => s.x1)),
+    y: segments[0].y,
+    size: Math.max(...segments.map((s) => s.size)),
+  };
+}
+
+// ---- Math ---------------------------------------------------------------------
+
+function latexSymbols(text) {
+  return text
+    .replace(/[⁰-⁹₀-₉¹²³⁺⁻ⁿ₊₋]/g, (c) => SCRIPT_DIGITS[c] || c)
+    .replace(/√\s*(\([^()]*\)|[\p{L}\p{N}.]+)/gu, '\\sqrt{$1}')
+    .replace(/√/g, '\\sqrt')
+    .replace(/−/g, '-')
+    .replace(/(^|[^\\\p{L}])(arcsin|arccos|arctan|sin|cos|tan|cot|sec|csc|log|ln|exp|lim|max|min|det)(?!\p{L})/gu, '$1\\$2')
+    .replace(new RegExp(`[${Object.keys(MATH_SYMBOLS).join('')}]`, 'gu'), (c, offset, whole) => {
+      const next = whole[offset + c.length] || '';
+      return MATH_SYMBOLS[c] + (/\p{L}/u.test(next) ? ' ' : '');
+    });
+}
+
+function tokenKind(token) {
+  const bare = token.replace(/[.,;:]+$/, '');
+  if (!bare) return 'word';
+  if (FUNCTION_NAMES.has(bare.toLowerCase())) return 'operand';
+  // A real word (three or more letters in a row) stays prose even when it carries a symbol.
+  if (/\p{L}{3,}/u.test(bare)) return MATH_CHARS.test(bare) ? 'word-with-math' : 'word';
+  if (MATH_CHARS.test(bare) || /[=^_]|[⁰-⁹₀-₉¹²³]/.test(bare)) return 'math';
+  if (/^[\p{N}.,]+$/u.test(bare) || /^\p{L}$/u.test(bare) || /^[-+*/<>()[\]{}|!'−]+$/.test(bare)) return 'operand';
+  if (/^[\p{L}\p{N}()[\]{}+\-*/<>|.,'−]+$/u.test(bare) && /[^\p{L}]/u.test(bare) && !/\p{L}{2,}/u.test(bare)) return 'operand';
+  return 'word';
+}
+
+/**
+ * Mark up math in one line. Runs of operands that contain at least one math token become `$…$`;
+ * a line that is all math becomes a `$$…$$` display block. A line with code punctuation (`:=`, `//`,
+ * `++`, ...) is program code and is left as it is.
+ */
+function markMath(text) {
+  if (!MATH_CHARS.test(text) && !/[=^_]|[⁰-⁹₀-₉¹²³]/.test(text)) return { text, display: false };
+  const tokens = text.split(' ');
+  if (tokens.some((t) => CODE_TOKEN.test(t.replace(/[.,;:]+$/, '') || t))) return { text, display: false };
+  const kinds = tokens.map(tokenKind);
+  const out = [];
+  let i = 0;
+  while (i < tokens.length) {
+    if (kinds[i] !== 'math' && kinds[i] !== 'operand') {
+      out.push(kinds[i] === 'word-with-math'
+        ? tokens[i].replace(new RegExp(`[${Object.keys(MATH_SYMBOLS).join('')}]`, 'gu'), (c) => `$${MATH_SYMBOLS[c]}$`)
+        : tokens[i]);
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < tokens.length && (kinds[j] === 'math' || kinds[j] === 'operand')) j += 1;
+    const run = tokens.slice(i, j);
+    // A lone "=" or operator between words (code, prose) is not worth marking up.
+    const lone = run.length === 1 && /^[-+*/=<>]+$/.test(run[0]);
+    if (lone || !run.some((_, k) => kinds[i + k] === 'math')) {
+      out.push(...run);
+    } else {
+      if (i === 0 && j === tokens.length) {
+        const [, body, trail] = /^(.*?)([.,;:]?)$/.exec(run.join(' '));
+        return { text: `$$ ${latexSymbols(body)} $$${trail}`, display: true };
+      }
+      const last = run.length - 1;
+      const trail = (/[.,;:]+$/.exec(run[last]) || [''])[0];
+      run[last] = run[last].slice(0, run[last].length - trail.length);
+      out.push(`$${latexSymbols(run.join(' '))}$${trail}`);
+    }
+    i = j;
+  }
+  return { text: out.join(' '), display: false };
+}
+
+// ---- Paragraphs ---------------------------------------------------------------
+
+function headingLevels(lines, bodySize) {
+  const sizes = Array.from(new Set(lines
+    .filter((l) => l.size >= HEADING_SIZE * bodySize)
+    .map((l) => Math.round(l.size * 2) / 2)))
+    .sort((a, b) => b - a);
+  return (size) => {
+    const i = sizes.indexOf(Math.round(size * 2) / 2);
+    return i < 0 ? 0 : Math.min(3, i + 1);
+  };
+}
+
+/** Join lines into paragraphs; headings, tables and display math are blocks of their own. */
+function pageBlocks(lines, bodySize, levelOf) {
+  const blocks = [];
+  let para = null;
+  let prev = null;
+  const spacing = median(lines
+    .map((l, i) => (i && lines[i - 1].region === l.region ? lines[i - 1].y - l.y : 0))
+    .filter((d) => d > 0 && d < 3 * bodySize)) || 1.2 * bodySize;
+
+  // Most lines of justified text end at the column's right edge.
+  const rightEdge = new Map();
+  for (const region of new Set(lines.map((l) => l.region))) {
+    rightEdge.set(region, median(lines.filter((l) => l.region === region).map((l) => l.x1)));
+  }
+
+  const close = () => {
+    if (para) blocks.push(para.join(' ').replace(/ {2,}/g, ' '));
+    para = null;
+  };
+  for (const line of lines) {
+    const level = line.text.length <= MAX_HEADING_CHARS && !line.table ? levelOf(line.size) : 0;
+    if (level) {
+      const last = blocks[blocks.length - 1];
+      const marker = `${'#'.repeat(level)} `;
+      // A heading wrapped over two lines stays one heading.
+      if (!para && prev && prev.level === level && last && last.startsWith(marker) && prev.y - line.y < 2 * line.size) {
+        blocks[blocks.length - 1] = `${last} ${line.text}`;
+      } else {
+        close();
+        blocks.push(`${marker}${line.text.replace(/^#+\s*/, '')}`);
+      }
+      prev = { ...line, level };
+      continue;
+    }
+    if (line.table) {
+      close();
+      const last = blocks[blocks.length - 1];
+      if (prev && prev.table && last) blocks[blocks.length - 1] = `${last}\n${line.text}`;
+      else blocks.push(line.text);
+      prev = line;
+      continue;
+    }
+    const math = markMath(line.text);
+    if (math.display) {
+      close();
+      blocks.push(line.tag ? math.text.replace(/ \$\$(\W?)$/, ` \\tag{${line.tag}} $$$$$1`) : math.text);
+      prev = { ...line, display: true };
+      continue;
+    }
+    const breaks = !para || !prev || prev.level || prev.table || prev.display
+      || prev.region !== line.region
+      || prev.y - line.y > 1.6 * spacing
+      || Math.abs(prev.size - line.size) > 0.15 * bodySize
+      // A first-line indent; the indent after a paragraph's first line is a hanging one.
+      || (line.x0 - prev.x0 > line.size && para.length > 1)
+      || (LIST_START.test(line.text) && line.x0 <= prev.x0 + 1)
+      // A short line ends its paragraph when it ends a sentence or stands alone (a run-in heading).
+      || ((/[.!?:]$/.test(prev.text) || para.length === 1) && prev.x1 < rightEdge.get(prev.region) - 3 * bodySize);
+    if (line.tag) math.text += ` (${line.tag})`;
+    if (breaks) {
+      close();
+      para = [math.text];
+    } else {
+      const lastText = para[para.length - 1];
+      // Rejoin words hyphenated across lines.
+      if (/\p{L}-$/u.test(lastText) && /^\p{Ll}/u.test(math.text)) para[para.length - 1] = lastText.slice(0, -1) + math.text;
+      else para.push(math.text);
+    }
+    prev = line;
+  }
+  close();
+  return blocks.filter(Boolean);
+}
+
+// ---- Headers, footers and quality ----------------------------------------------
+
+function marginKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/** Rows in the top and bottom margin zones that may be running headers / footers. */
+function marginRows(page) {
+  const height = page.height;
+  const top = page.rows.filter((r) => r.y - page.bottom > (1 - MARGIN_ZONE) * height).slice(0, MARGIN_ROWS);
+  const bottom = page.rows.filter((r) => r.y - page.bottom < MARGIN_ZONE * height).slice(-MARGIN_ROWS);
+  return [...top.map((row) => ({ row, zone: 'top' })), ...bottom.map((row) => ({ row, zone: 'bottom' }))]
+    .map(({ row, zone }) => ({ row, key: `${zone}:${marginKey(row.segments.map(segmentText).join(' '))}` }));
+}
+
+function stripMargins(pages) {
+  const withText = pages.filter((p) => p.rows.length);
+  const counts = new Map();
+  for (const page of withText) {
+    for (const key of new Set(marginRows(page).map((m) => m.key))) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const needed = Math.max(2, Math.ceil(REPEAT_SHARE * withText.length));
+  for (const page of withText) {
+    const drop = new Set(marginRows(page)
+      .filter(({ row, key }) => counts.get(key) >= needed
+        || PAGE_NUMBER.test(row.segments.map(segmentText).join(' ').trim()))
+      .map((m) => m.row));
+    page.headersRemoved = drop.size;
+    page.rows = page.rows.filter((r) => !drop.has(r));
+  }
+}
+
+/**
+ * Extraction quality of one page from its raw runs: share of unreadable characters (replacement,
+ * private-use and control characters), share of word-like tokens and of single letters (letter-spaced
+ * or broken encodings).
+ */
+function pageQuality(runs) {
+  const raw = runs.map((r) => r.raw).join(' ');
+  const chars = raw.replace(/\s/g, '').length;
+  if (!chars) return { chars: 0, score: 0, status: 'poor', issues: ['no_text'] };
+  const unreadable = (raw.match(/[\uFFFD\uE000-\uF8FF\u0001-\u0008\u000E-\u001F]/g) || []).length / chars;
+  const tokens = raw.split(/\s+/).filter(Boolean);
+  const words = tokens.filter((t) => /\p{L}{2,}/u.test(t)).length / tokens.length;
+  const letters = tokens.filter((t) => /^\p{L}+$/u.test(t));
+  const singles = letters.length ? letters.filter((t) => t.length === 1).length / letters.length : 0;
+
+  const issues = [];
+  if (unreadable > 0.02) issues.push('unreadable_characters');
+  if (words < 0.3) issues.push('few_words');
+  if (singles > 0.4 && letters.length >= 10) issues.push('broken_spacing');
+  if (chars < 40) issues.push('sparse');
+  const score = Math.max(0, Math.min(1, 1 - 3 * unreadable - Math.max(0, 0.4 - words) - Math.max(0, singles - 0.3)));
+  const rounded = Math.round(score * 100) / 100;
+  const status = rounded >= QUALITY_LEVELS.good ? 'good' : rounded >= QUALITY_LEVELS.fair ? 'fair' : 'poor';
+  return { chars, score: rounded, status, issues };
+}
+
+// ---- Entry points ---------------------------------------------------------------
+
+/**
+ * Lay out pages given as `{ items, view }` (pdf.js text content items and the page's view box).
+ * @returns {{ pageTexts: string[], pages: object[], firstHeading: string|null }}
+ */
+function layoutPages(rawPages) {
+  const pages = rawPages.map(({ items, view }) => {
+    const runs = pageRuns(items);
+    const [, y0 = 0, , y1 = 792] = Array.isArray(view) ? view : [];
+    return { runs, rows: buildRows(runs), bottom: y0, height: (y1 - y0) || 792, headersRemoved: 0 };
+  });
+  stripMargins(pages);
+
+  const allSizes = pages.flatMap((p) => p.runs.flatMap((r) => new Array(Math.min(200, r.str.length)).fill(Math.round(r.size * 2) / 2)));
+  const bodySize = median(allSizes) || 10;
+  let firstHeading = null;
+
+  const pageTexts = pages.map((page) => {
+    const gutters = findGutters(page.rows, bodySize);
+    page.columns = gutters.length + 1;
+    const lines = readingOrder(page.rows, gutters).filter((l) => l.text);
+    const blocks = pageBlocks(lines, bodySize, headingLevels(lines, bodySize));
+    firstHeading = firstHeading || (blocks.find((b) => /^#{1,6} /.test(b)) || '').replace(/^#+ /, '') || null;
+    return blocks.join('\n\n');
+  });
+
+  const report = pages.map((page, i) => ({
+    page: i + 1,
+    ...pageQuality(page.runs),
+    columns: page.columns,
+    headers_removed: page.headersRemoved,
+  }));
+  return { pageTexts, pages: report, firstHeading };
+}
+
+/** Document-level summary of page reports; flagged when a fifth of the pages (or the mean) is poor. */
+function summarizeQuality(pages) {
+  const score = pages.length ? Math.round((pages.reduce((s, p) => s + p.score, 0) / pages.length) * 100) / 100 : 0;
+  const poorPages = pages.filter((p) => p.status === 'poor').map((p) => p.page);
+  return {
+    score,
+    flagged: !pages.length || score < QUALITY_LEVELS.fair || poorPages.length / pages.length >= FLAG_POOR_SHARE,
+    poor_pages: poorPages,
+    pages,
+  };
+}
+
+/**
+ * Extract a PDF buffer with layout analysis.
+ * @returns {Promise<{ text: string, title: string|null, pages: { page: number, start: number, end: number }[],
+ *   anchors: Map<number, string>, quality: { score: number, flagged: boolean, poor_pages: number[], pages: object[] } }>}
+ */
+async function extractPdfLayout(buf) {
+  const pdfParse = require('pdf-parse');
+  const rawPages = [];
+  const parsed = await pdfParse(buf, {
+    pagerender: (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then((content) => {
+        rawPages.push({ items: content.items, view: pageData.view });
+        return '';
+      }),
+  });
+
+  const { pageTexts, pages: report, firstHeading } = layoutPages(rawPages);
+  const pages = [];
+  let text = '';
+  pageTexts.forEach((pageText, i) => {
+    if (!pageText) return;
+    if (text) text += '\n\n';
+    pages.push({ page: i + 1, start: text.length, end: text.length + pageText.length });
+    text += pageText;
+  });
+  const infoTitle = String(parsed?.info?.Title || '').trim();
+  return { text, title: infoTitle || firstHeading, pages, anchors: new Map(), quality: summarizeQuality(report) };
+}
+
+/** Short form of a quality report for API responses (the per-page list left out). */
+function qualitySummary(quality) {
+  return { score: quality.score, flagged: quality.flagged, poor_pages: quality.poor_pages };
+}
+
+module.exports = {
+  extractPdfLayout,
+  layoutPages,
+  markMath,
+  summarizeQuality,
+  qualitySummary,
+};
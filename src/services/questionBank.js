@@ -0,0 +1,187 @@
+/**
+ * Permanent, curated question bank for the tutor.
+ *
+ * Questions are keyed by a hash of their normalized stem, so the same question
+ * generated twice (or with different spacing/case/punctuation) is stored once.
+ * `/api/tutor/mcq` serves an unseen bank question when one fits the topic and the
+ * learner's ability (IRT difficulty, see ./irt.js), and only calls the LLM to fill gaps;
+ * generated questions are added to the bank.
+ */
+const crypto = require('crypto');
+const {
+  putBankQuestion,
+  getBankQuestion,
+  listBankQuestionsByTopic,
+  scanBankQuestions,
+  recordBankStats,
+  updateBankIrt,
+} = require('./tutorStore');
+const { difficultyForLevel, difficultyForSuccess, initialIrt, calibrate2pl } = require('./irt');
+const { DEFAULT_ITEM_TYPE, itemTypeOf } = require('./itemTypes');
+
+const BANK_ID_PREFIX = 'bank_';
+// Calibration log kept per item; older responses are dropped once it grows past this.
+const MAX_IRT_RESPONSES = 500;
+// With an ability estimate, only serve items within this many logits of it.
+const MAX_DIFFICULTY_GAP = 1;
+
+/** Lowercase, collapse whitespace, drop quotes and sentence punctuation (keep decimals). */
+function normalizeStem(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[“”‘’"'`]/g, '')
+    .replace(/[?!:;,]/g, ' ')
+    .replace(/(^|[^\d])\.|\.(?!\d)/g, '$1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// MCQ ids hash the stem alone (unchanged from before item types); other types include the type.
+function bankQuestionId(stemNorm, itemType = DEFAULT_ITEM_TYPE) {
+  const keyed = itemType === DEFAULT_ITEM_TYPE ? stemNorm : `${itemType}|${stemNorm}`;
+  const hash = crypto.createHash('sha256').update(keyed).digest('hex').slice(0, 24);
+  return `${BANK_ID_PREFIX}${hash}`;
+}
+
+function isBankQuestionId(questionId) {
+  return String(questionId || '').startsWith(BANK_ID_PREFIX);
+}
+
+/**
+ * Add a question to the bank. `item` is a storage record from
+ * itemTypes.validateGeneratedItem. If an equivalent stem of the same type already
+ * exists the stored question is returned unchanged (`created: false`).
+ */
+async function addToBank({ topic, topicKey, level, item, source, userId }) {
+  const stemNorm = normalizeStem(item?.question);
+  if (!stemNorm) throw new Error('Cannot bank a question without a stem');
+  const itemType = itemTypeOf(item);
+  const questionId = bankQuestionId(stemNorm, itemType);
+  return putBankQuestion({
+    ...item,
+    item_type: itemType,
+    question_id: questionId,
+    stem_norm: stemNorm.slice(0, 1000),
+    topic: String(topic || 'General').slice(0, 200),
+    topic_key: topicKey,
+    level: Number(level) || 1,
+    explanation: item.explanation || '',
+    source: source || 'llm',
+    created_by: userId || null,
+    irt: initialIrt(level),
+  });
+}
+
+/** Question ids a learner has already been asked or answered. */
+function seenQuestionIds(state) {
+  const ids = new Set();
+  for (const x of Array.isArray(state?.recent_questions) ? state.recent_questions : []) {
+    if (x?.question_id) ids.add(String(x.question_id));
+  }
+  for (const x of Array.isArray(state?.history) ? state.history : []) {
+    if (x?.question_id) ids.add(String(x.question_id));
+  }
+  for (const id of Object.keys(answeredMap(state))) ids.add(id);
+  return ids;
+}
+
+function answeredMap(state) {
+  const map = state?.answered_questions;
+  return map && typeof map === 'object' && !Array.isArray(map) ? map : {};
+}
+
+/**
+ * True when the learner has already answered `questionId` (the answered_questions map, or the
+ * history of items written before it existed). Only the first answer to a question counts
+ * toward its bank stats, IRT calibration and the learner's mastery.
+ */
+function hasAnswered(state, questionId) {
+  const id = String(questionId);
+  if (Object.prototype.hasOwnProperty.call(answeredMap(state), id)) return true;
+  return (Array.isArray(state?.history) ? state.history : []).some((x) => String(x?.question_id || '') === id);
+}
+
+/** Calibrated IRT difficulty, or the requested level mapped onto the ability scale. */
+function itemDifficulty(item) {
+  const b = Number(item?.irt?.b);
+  return Number.isFinite(b) ? b : difficultyForLevel(item?.level);
+}
+
+/**
+ * Pick an unseen bank question of `itemType` for the topic. With a learner ability (`theta`) the item
+ * whose IRT difficulty is closest to the one giving `targetSuccess` (default 50%) wins;
+ * without one, items within ±1 of the requested level are ranked by difficulty against
+ * that level. Ties go to the least-asked items. Returns null when nothing fits.
+ */
+async function pickBankQuestion({ topicKey, level, theta, targetSuccess, itemType = DEFAULT_ITEM_TYPE, excludeIds }) {
+  const exclude = excludeIds instanceof Set ? excludeIds : new Set(excludeIds || []);
+  const lvl = Number(level) || 1;
+  const hasAbility = Number.isFinite(theta);
+  const target = hasAbility ? difficultyForSuccess(theta, targetSuccess) : difficultyForLevel(lvl);
+  const candidates = await listBankQuestionsByTopic(topicKey, {
+    accept: (it) => !exclude.has(it.question_id)
+      && itemTypeOf(it) === itemType
+      && (hasAbility
+        ? Math.abs(itemDifficulty(it) - target) <= MAX_DIFFICULTY_GAP
+        : Math.abs((Number(it.level) || 1) - lvl) <= 1),
+  });
+  if (!candidates.length) return null;
+
+  // Difficulty distance in quarter-logit buckets first, then exposure.
+  const score = (it) => Math.round(Math.abs(itemDifficulty(it) - target) * 4) * 1000 + Number(it?.stats?.asked || 0);
+  const best = Math.min(...candidates.map(score));
+  const top = candidates.filter((it) => score(it) === best);
+  return top[Math.floor(Math.random() * top.length)];
+}
+
+/**
+ * Record an answer to a bank question and recalibrate its IRT parameters.
+ * `theta` is the learner's ability on the question's topic before answering; without
+ * it the answer still counts in `stats` but not in calibration.
+ */
+async function recordBankAnswer({ questionId, correct, theta }) {
+  const response = Number.isFinite(theta) ? { theta, correct: Boolean(correct) } : undefined;
+  const item = await recordBankStats({ questionId, answered: true, correct, response });
+  if (!item || !response) return item;
+
+  const all = Array.isArray(item.responses) ? item.responses : [];
+  const kept = all.slice(-MAX_IRT_RESPONSES);
+  const irt = { ...calibrate2pl(kept, { level: item.level }), calibrated_at: new Date().toISOString() };
+  await updateBankIrt({
+    questionId,
+    irt,
+    ...(kept.length < all.length ? { responses: kept, expectedCount: all.length } : {}),
+  });
+  return { ...item, irt };
+}
+
+async function searchBank({ topicKey, level, text, cursor, limit = 50 }) {
+  const startKey = cursor ? JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8')) : null;
+  const { items, lastKey } = await scanBankQuestions({
+    topicKey,
+    level: level === undefined || level === null || level === '' ? undefined : Number(level),
+    text: text ? normalizeStem(text) : undefined,
+    startKey,
+    limit: Math.max(1, Math.min(200, Number(limit) || 50)),
+  });
+  return {
+    items,
+    nextCursor: lastKey ? Buffer.from(JSON.stringify(lastKey)).toString('base64url') : null,
+  };
+}
+
+module.exports = {
+  normalizeStem,
+  bankQuestionId,
+  isBankQuestionId,
+  addToBank,
+  seenQuestionIds,
+  hasAnswered,
+  itemDifficulty,
+  pickBankQuestion,
+  recordBankAnswer,
+  searchBank,
+  getBankQuestion,
+  recordBankStats,
+};
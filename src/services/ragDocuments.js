@@ -0,0 +1,160 @@
+/**
+ * Writes to and reads from the Supabase pgvector chunk tables (school_ai_documents, global_ai_documents).
+ *
+ * Rows carry chunk metadata: `chunk_strategy` (see chunking.js) and the citation fields from
+ * documentExtraction.js (title, heading_path, page_start, page_end, anchor). Databases created before
+ * those columns existed reject them; the rows are then written without the missing column and a warning
+ * is logged once per table and column:
+ *   alter table <table> add column if not exists chunk_strategy text;
+ *   alter table <table> add column if not exists title text;
+ *   alter table <table> add column if not exists heading_path text[];
+ *   alter table <table> add column if not exists page_start integer;
+ *   alter table <table> add column if not exists page_end integer;
+ *   alter table <table> add column if not exists anchor text;
+ *
+ * Indexing routes track what they embedded in the document registry (documentRegistry.js), one
+ * namespace per table and school, so unchanged files are skipped on reindex.
+ */
+const supabase = require('../config/supabase');
+const { citationLabel, deepLink } = require('./documentExtraction');
+const { strategyLabel } = require('./chunking');
+const { openRegistry, forgetDocument } = require('./documentRegistry');
+const { isLocalLlm, localEmbeddingModel } = require('./localLlm');
+
+const METADATA_COLUMNS = {
+  chunk_strategy: 'text',
+  title: 'text',
+  heading_path: 'text[]',
+  page_start: 'integer',
+  page_end: 'integer',
+  anchor: 'text',
+};
+
+// table -> Set of metadata columns the database does not have
+const missingColumns = new Map();
+
+function missingFor(table) {
+  if (!missingColumns.has(table)) missingColumns.set(table, new Set());
+  return missingColumns.get(table);
+}
+
+/** Metadata column named in a "column does not exist" error, if any. */
+function missingColumnIn(error) {
+  const message = String(error?.message || '');
+  if (!/column/i.test(message)) return null;
+  return Object.keys(METADATA_COLUMNS).find((c) => new RegExp(`\\b${c}\\b`).test(message)) || null;
+}
+
+function withoutColumns(rows, columns) {
+  if (!columns.size) return rows;
+  return rows.map((row) => Object.fromEntries(Object.entries(row).filter(([key]) => !columns.has(key))));
+}
+
+/**
+ * Insert one row or an array of rows into `table`.
+ * @returns {Promise<{ error: object|null }>} the Supabase error of the final attempt
+ */
+async function insertDocumentChunks(table, rows) {
+  const list = Array.isArray(rows) ? rows : [rows];
+  const missing = missingFor(table);
+  for (;;) {
+    const { error } = await supabase.from(table).insert(withoutColumns(list, missing));
+    const column = error ? missingColumnIn(error) : null;
+    if (!column || missing.has(column)) return { error: error || null };
+    missing.add(column);
+    console.warn(`${table} has no ${column} column; storing chunks without it. Run: alter table ${table} add column if not exists ${column} ${METADATA_COLUMNS[column]};`);
+  }
+}
+
+function registryIndex(table, schoolId) {
+  return schoolId ? `${table}:${schoolId}` : table;
+}
+
+/**
+ * Document registry for an indexing request into `table`.
+ * @param {string} table
+ * @param {{ schoolId?: string, chunkOptions: object, embeddingModel?: string, dryRun?: boolean, force?: boolean,
+ *   sources?: string[] }} opts
+ *   embeddingModel defaults to the routes' OpenAI model, or the local embedding when LLM_PROVIDER=local
+ *   (the routes then embed with LocalOpenAI)
+ */
+function openDocumentRegistry(table, { schoolId, chunkOptions, embeddingModel, dryRun, force, sources }) {
+  return openRegistry({
+    index: registryIndex(table, schoolId),
+    embeddingModel: embeddingModel || (isLocalLlm() ? localEmbeddingModel() : 'openai:text-embedding-3-small'),
+    settings: strategyLabel(chunkOptions),
+    dryRun: Boolean(dryRun),
+    force: Boolean(force),
+    sources,
+  });
+}
+
+/** `embedMany` for the registry's embedder: batch embeddings from an OpenAI client (or LocalOpenAI). */
+function clientEmbedder(client, model = 'text-embedding-3-small') {
+  return async (input) => {
+    const emb = await client.embeddings.create({ model, input });
+    return input.map((_, i) => emb.data?.[i]?.embedding || null);
+  };
+}
+
+/** Forget a deleted document so indexing it again embeds it from scratch. */
+function forgetIndexedDocument(table, { schoolId, filePath }) {
+  return forgetDocument(registryIndex(table, schoolId), filePath);
+}
+
+/**
+ * Stored chunks of one document (`{ content, embedding }`), for reusing embeddings when it is reindexed.
+ * @param {string} table
+ * @param {object} match column filters, e.g. `{ school_id, file_path }`
+ */
+async function storedChunks(table, match) {
+  const { data, error } = await supabase.from(table).select('content, embedding').match(match);
+  if (error) {
+    console.warn('Stored chunk lookup failed (non-critical):', error.message || error);
+    return [];
+  }
+  // pgvector columns come back as "[0.1,0.2,...]" strings.
+  return (data || []).map((row) => ({
+    content: row.content,
+    embedding: typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding,
+  }));
+}
+
+/**
+ * Add citation metadata to school chunks returned by `match_school_docs` (which only returns the
+ * original columns): title, heading_path, page_start, page_end, anchor, plus `citation` (e.g.
+ * "Chapter 2 › Quadratics, p. 14") and `link` (deep link for web sources, else null).
+ */
+async function withCitations(schoolId, contexts) {
+  const list = Array.isArray(contexts) ? contexts : [];
+  const paths = Array.from(new Set(list.map((c) => c.file_path).filter(Boolean)));
+  const byChunk = new Map();
+  const missing = missingFor('school_ai_documents');
+  const columns = ['title', 'heading_path', 'page_start', 'page_end', 'anchor'].filter((c) => !missing.has(c));
+  if (paths.length && columns.length) {
+    const { data, error } = await supabase
+      .from('school_ai_documents')
+      .select(['file_path', 'chunk_index', ...columns].join(', '))
+      .eq('school_id', schoolId)
+      .in('file_path', paths);
+    if (error) console.warn('Chunk metadata lookup failed (non-critical):', error.message || error);
+    for (const row of data || []) byChunk.set(`${row.file_path}#${row.chunk_index}`, row);
+  }
+  return list.map((c) => {
+    const meta = { ...byChunk.get(`${c.file_path}#${c.chunk_index}`), ...c };
+    return {
+      ...meta,
+      citation: citationLabel(meta),
+      link: deepLink(c.file_path, meta.anchor),
+    };
+  });
+}
+
+module.exports = {
+  insertDocumentChunks,
+  openDocumentRegistry,
+  clientEmbedder,
+  forgetIndexedDocument,
+  storedChunks,
+  withCitations,
+};
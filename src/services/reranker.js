@@ -0,0 +1,144 @@
+/**
+ * Optional reranking stage for knowledge-base (/api/kb/query) and school RAG (/api/rag/ask) retrieval.
+ *
+ * Retrieval fetches `candidates` chunks, more than the caller needs; a reranker rescores each one
+ * against the query and the best `k` are returned. Rerankers:
+ * - "llm" (default, RERANKER): the LLM providers (llmProvider.js, with failover) grade every passage
+ *   0-10 in a single call.
+ * - "overlap": a local scorer with no model call. IDF-weighted coverage of the query terms, plus a
+ *   bonus for adjacent query-term pairs appearing as a phrase.
+ *
+ * A failing reranker is not fatal: the retrieval order is kept and the error is reported in the
+ * stage summary, which also carries the latency the stage added.
+ */
+const { scorePassages } = require('./llmProvider');
+
+const RERANKERS = ['llm', 'overlap'];
+const MIN_CANDIDATES = 20;
+const MAX_CANDIDATES = 100;
+const PASSAGE_CHARS = 800;
+const MAX_SCORE = 10;
+
+function defaultReranker() {
+  const name = String(process.env.RERANKER || 'llm').toLowerCase();
+  return RERANKERS.includes(name) ? name : 'llm';
+}
+
+/**
+ * Reranker named by a request value: `true` means the default, a name selects one,
+ * anything falsy disables reranking (null).
+ */
+function resolveReranker(value) {
+  if (!value) return null;
+  if (value === true || value === 'true') return defaultReranker();
+  const name = String(value).toLowerCase();
+  if (!RERANKERS.includes(name)) {
+    const err = new Error(`rerank must be true or one of: ${RERANKERS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return name;
+}
+
+/** Number of chunks to retrieve before reranking down to `k` (default max(20, 3k), at most 100). */
+function candidateCount(k, requested) {
+  const n = Number(requested);
+  const wanted = Number.isInteger(n) && n > 0 ? n : Math.max(MIN_CANDIDATES, k * 3);
+  return Math.max(k, Math.min(MAX_CANDIDATES, wanted));
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/** Local relevance scores (0-10), one per passage. */
+function overlapScores(query, passages) {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (!terms.length) return passages.map(() => 0);
+  const docs = passages.map((p) => {
+    const tokens = tokenize(p);
+    const pairs = new Set();
+    for (let i = 0; i + 1 < tokens.length; i++) pairs.add(`${tokens[i]} ${tokens[i + 1]}`);
+    return { terms: new Set(tokens), pairs };
+  });
+  const idf = new Map(terms.map((t) => {
+    const df = docs.filter((d) => d.terms.has(t)).length;
+    return [t, Math.log(1 + (docs.length + 1) / (df + 1))];
+  }));
+  const totalIdf = terms.reduce((sum, t) => sum + idf.get(t), 0);
+  const queryTokens = tokenize(query);
+  const queryPairs = [];
+  for (let i = 0; i + 1 < queryTokens.length; i++) queryPairs.push(`${queryTokens[i]} ${queryTokens[i + 1]}`);
+
+  return docs.map((d) => {
+    const coverage = terms.reduce((sum, t) => sum + (d.terms.has(t) ? idf.get(t) : 0), 0) / totalIdf;
+    const phrase = queryPairs.length ? queryPairs.filter((p) => d.pairs.has(p)).length / queryPairs.length : 0;
+    return Math.round(MAX_SCORE * (0.8 * coverage + 0.2 * phrase) * 1000) / 1000;
+  });
+}
+
+/** Prompt for the "llm" reranker; passages are numbered from 1. */
+function rerankPrompt(query, passages) {
+  return [
+    'You are ranking search results by how well they help answer a query.',
+    `Query: ${String(query).slice(0, 500)}`,
+    'Passages:',
+    ...passages.map((p, i) => `[${i + 1}] ${p.replace(/\s+/g, ' ')}`),
+    `Score every passage from 0 (irrelevant) to ${MAX_SCORE} (directly answers the query).`,
+    'Return ONLY valid JSON with this exact shape:',
+    '{ "scores": [ { "id": 1, "score": 7 } ] }',
+  ].join('\n');
+}
+
+async function llmScores(query, passages) {
+  const { result } = await scorePassages({ prompt: rerankPrompt(query, passages), query, passages });
+  const byId = new Map(result.scores.map((s) => [Number(s.id), Number(s.score)]));
+  return passages.map((_, i) => {
+    const score = byId.get(i + 1);
+    return Number.isFinite(score) ? Math.max(0, Math.min(MAX_SCORE, score)) : 0;
+  });
+}
+
+const SCORERS = {
+  llm: llmScores,
+  overlap: async (query, passages) => overlapScores(query, passages),
+};
+
+/**
+ * Rescore `results` (retrieval order, each with `content`) against `query` and keep the best `k`.
+ * Each returned result gains `rerank_score` and `retrieval_rank`.
+ * @returns {Promise<{ results: object[], rerank: { reranker, candidates, returned, latency_ms, error? } }>}
+ */
+async function rerank({ query, results, k, reranker = defaultReranker() }) {
+  const started = Date.now();
+  const size = Math.max(1, Number(k) || 8);
+  const list = Array.isArray(results) ? results : [];
+  const summary = { reranker, candidates: list.length };
+  let out;
+  try {
+    const passages = list.map((r) => String(r.content || '').slice(0, PASSAGE_CHARS));
+    const scores = list.length ? await SCORERS[reranker](query, passages) : [];
+    out = list
+      .map((r, i) => ({ ...r, rerank_score: scores[i], retrieval_rank: i + 1 }))
+      .sort((a, b) => b.rerank_score - a.rerank_score || a.retrieval_rank - b.retrieval_rank)
+      .slice(0, size);
+  } catch (e) {
+    console.warn('Rerank failed (keeping retrieval order):', e?.message || e);
+    summary.error = String(e?.message || e).slice(0, 300);
+    out = list.slice(0, size);
+  }
+  return {
+    results: out,
+    rerank: { ...summary, returned: out.length, latency_ms: Date.now() - started },
+  };
+}
+
+module.exports = {
+  RERANKERS,
+  defaultReranker,
+  resolveReranker,
+  candidateCount,
+  overlapScores,
+  rerankPrompt,
+  rerank,
+};
@@ -0,0 +1,162 @@
+/**
+ * Spaced-repetition scheduling (SM-2) for questions a learner got wrong.
+ *
+ * A wrong answer puts the item on the learner's review schedule; every later answer to
+ * it reschedules it. Items are stored in the knowledge item's `reviews` map, keyed by:
+ * - `q:<question_id>` for bank questions (the same question is served again), or
+ * - `t:<topic_key>` for legacy 24h questions, which expire, so a fresh question on the
+ *   topic is served instead.
+ * A question served for a review records the entry's key on its `recent_questions` entry, so the
+ * answer reschedules that entry even when a bank question stood in for a `t:` review.
+ *
+ * Intervals follow SM-2 (1 day, 6 days, then interval x ease), except that a lapse is
+ * due again after REVIEW_RELEARN_MINUTES (default 10) so it comes back in the same session.
+ * A learner keeps at most REVIEW_MAX_ITEMS entries (default 200); beyond that the ones due
+ * furthest out are dropped.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+
+// SM-2 answer quality: we only observe right/wrong, so map them to "good" and "fail".
+const QUALITY_CORRECT = 4;
+const QUALITY_WRONG = 1;
+
+function relearnMs() {
+  const minutes = Number(process.env.REVIEW_RELEARN_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 10) * 60 * 1000;
+}
+
+function maxReviews() {
+  const n = Number(process.env.REVIEW_MAX_ITEMS);
+  return Number.isInteger(n) && n > 0 ? n : 200;
+}
+
+function reviewKeyFor({ questionId, topicKey, fromBank }) {
+  return fromBank && questionId ? `q:${questionId}` : `t:${topicKey}`;
+}
+
+/**
+ * Key of the review a question was served for (see recordQuestionAsked), or null when it was
+ * not served as a review or that review is no longer scheduled.
+ */
+function servedReviewKey(state, questionId) {
+  const recent = Array.isArray(state?.recent_questions) ? state.recent_questions : [];
+  const id = String(questionId || '');
+  for (let i = recent.length - 1; i >= 0; i--) {
+    if (String(recent[i]?.question_id || '') !== id) continue;
+    const key = recent[i].review_key;
+    return key && state?.reviews?.[key] ? key : null;
+  }
+  return null;
+}
+
+function nextEase(ease, quality) {
+  const q = 5 - quality;
+  return Math.max(MIN_EASE, Math.round((ease + (0.1 - q * (0.08 + q * 0.02))) * 100) / 100);
+}
+
+/**
+ * New schedule entry after an answer, or null when nothing should be scheduled
+ * (a correct answer to an item that is not under review).
+ * A correct answer before the item is due keeps the current schedule, so answering
+ * several questions on a topic in a row does not inflate its interval.
+ */
+function scheduleAnswer(prev, { key, questionId, topic, topicKey, correct, now = new Date() }) {
+  if (!prev && correct) return null;
+  const nowMs = now.getTime();
+  const ts = now.toISOString();
+
+  const base = prev || {
+    key,
+    question_id: questionId || null,
+    topic: String(topic || 'General').slice(0, 160),
+    topic_key: topicKey,
+    ease: DEFAULT_EASE,
+    interval_days: 0,
+    repetitions: 0,
+    lapses: 0,
+    created_at: ts,
+  };
+
+  if (correct && prev && Date.parse(prev.due_at) > nowMs) {
+    return { ...prev, last_result: 'correct', last_answered_at: ts };
+  }
+
+  const ease = nextEase(Number(base.ease) || DEFAULT_EASE, correct ? QUALITY_CORRECT : QUALITY_WRONG);
+  let repetitions;
+  let intervalDays;
+  let dueMs;
+  if (correct) {
+    repetitions = Number(base.repetitions || 0) + 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.min(MAX_INTERVAL_DAYS, Math.round(Math.max(1, Number(base.interval_days) || 1) * ease));
+    dueMs = nowMs + intervalDays * DAY_MS;
+  } else {
+    repetitions = 0;
+    intervalDays = 0;
+    dueMs = nowMs + relearnMs();
+  }
+
+  return {
+    ...base,
+    ease,
+    interval_days: intervalDays,
+    repetitions,
+    lapses: Number(base.lapses || 0) + (correct ? 0 : 1),
+    due_at: new Date(dueMs).toISOString(),
+    last_result: correct ? 'correct' : 'wrong',
+    last_answered_at: ts,
+  };
+}
+
+/**
+ * An entry moved `days` later without counting as an answer, for a due item that cannot be
+ * served right now (e.g. the request asked for another item type).
+ */
+function postponeReview(entry, { now = new Date(), days = 1 } = {}) {
+  return { ...entry, due_at: new Date(now.getTime() + days * DAY_MS).toISOString(), postponed_at: now.toISOString() };
+}
+
+/** Keys to drop so at most `max` entries remain: those due furthest out go first. */
+function reviewsOverCap(reviews, max = maxReviews()) {
+  const entries = reviews && typeof reviews === 'object' ? Object.entries(reviews) : [];
+  if (entries.length <= max) return [];
+  return entries
+    .sort(([, a], [, b]) => String(b?.due_at || '').localeCompare(String(a?.due_at || '')))
+    .slice(0, entries.length - max)
+    .map(([key]) => key);
+}
+
+/**
+ * Review entries due at `now` (oldest due first), optionally for one topic.
+ */
+function dueReviews(state, { now = new Date(), topicKey, limit = 20 } = {}) {
+  const reviews = state?.reviews && typeof state.reviews === 'object' ? Object.values(state.reviews) : [];
+  const nowMs = now.getTime();
+  return reviews
+    .filter((r) => r && r.due_at && Date.parse(r.due_at) <= nowMs)
+    .filter((r) => !topicKey || r.topic_key === topicKey)
+    .sort((a, b) => String(a.due_at).localeCompare(String(b.due_at)))
+    .slice(0, limit);
+}
+
+/** Earliest due date (ISO) across the schedule, or null when nothing is scheduled. */
+function nextDueAt(state) {
+  const reviews = state?.reviews && typeof state.reviews === 'object' ? Object.values(state.reviews) : [];
+  const dates = reviews.map((r) => r?.due_at).filter(Boolean).sort();
+  return dates[0] || null;
+}
+
+module.exports = {
+  reviewKeyFor,
+  servedReviewKey,
+  scheduleAnswer,
+  dueReviews,
+  nextDueAt,
+  postponeReview,
+  reviewsOverCap,
+};
@@ -1,4 +1,4 @@
-const { S3Client, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { S3Client, GetObjectCommand, ListObjectsV2Command, PutObjectCommand } = require('@aws-sdk/client-s3');
 
 function getAwsRegion() {
   return process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
@@ -25,7 +25,7 @@ async function listS3Objects({ bucket, prefix, maxKeys = 1000 }) {
     }));
     const items = Array.isArray(resp?.Contents) ? resp.Contents : [];
     for (const it of items) {
-      if (it?.Key) out.push({ key: it.Key, size: it.Size || 0, lastModified: it.LastModified });
+      if (it?.Key) out.push({ key: it.Key, size: it.Size || 0, lastModified: it.LastModified, etag: it.ETag || null });
       if (out.length >= maxKeys) break;
     }
     if (out.length >= maxKeys) break;
@@ -46,10 +46,32 @@ async function getS3ObjectBuffer({ bucket, key }) {
   return Buffer.concat(chunks);
 }
 
+/**
+ * Open an object as a readable stream (for files too large to buffer, e.g. EdNet CSVs).
+ */
+async function getS3ObjectStream({ bucket, key }) {
+  const s3 = getS3Client();
+  const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  if (!resp?.Body) throw new Error(`Empty S3 object: s3://${bucket}/${key}`);
+  return resp.Body;
+}
+
+async function putS3Object({ bucket, key, body, contentType }) {
+  const s3 = getS3Client();
+  await s3.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: body,
+    ContentType: contentType || 'application/octet-stream',
+  }));
+}
+
 module.exports = {
   getS3Client,
   listS3Objects,
   getS3ObjectBuffer,
+  getS3ObjectStream,
+  putS3Object,
 };
 
 
@@ -0,0 +1,375 @@
+/**
+ * Managed topic taxonomy for the tutor.
+ *
+ * Topics have a canonical id (the key used for mastery in DynamoDB), a display name,
+ * aliases, an optional parent, and prerequisite edges. They live in the Supabase table
+ * `tutor_topics`; while that table is empty or unreachable the built-in taxonomy below is
+ * used, and the first admin edit copies the built-ins into the table.
+ *
+ * Free-text topics are resolved onto the taxonomy by id/name/alias (case, punctuation and
+ * simple plurals ignored), then by the longest alias contained in the text ("adding
+ * fractions with unlike denominators" -> adding-fractions). Text that matches nothing keeps
+ * the legacy key (lowercased, 80 chars) so ad-hoc topics still work.
+ */
+// Loaded on first use, so offline jobs without Supabase credentials (scripts/fit_kt_params.js) fall
+// back to the built-in topics.
+function db() {
+  return require('../config/supabase');
+}
+
+const TABLE = 'tutor_topics';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,79}$/;
+
+// Mastery below LOW_MASTERY triggers prerequisite suggestions; prerequisites at or
+// above READY_MASTERY are not suggested.
+const LOW_MASTERY = 0.4;
+const READY_MASTERY = 0.7;
+
+const BUILTIN_TOPICS = [
+  { id: 'arithmetic', name: 'Arithmetic', aliases: ['basic math', 'number operations'] },
+  { id: 'fractions', name: 'Fractions', aliases: ['fraction'], prerequisites: ['arithmetic'] },
+  { id: 'adding-fractions', name: 'Adding fractions', aliases: ['adding fractions', 'fraction addition', 'subtracting fractions'], parent_id: 'fractions' },
+  { id: 'multiplying-fractions', name: 'Multiplying fractions', aliases: ['multiplying fractions', 'dividing fractions', 'fraction multiplication'], parent_id: 'fractions' },
+  { id: 'decimals', name: 'Decimals', aliases: ['decimal numbers'], prerequisites: ['fractions'] },
+  { id: 'percentages', name: 'Percentages', aliases: ['percent', 'percentage'], prerequisites: ['decimals'] },
+  { id: 'algebra', name: 'Algebra', aliases: ['algebraic expressions'], prerequisites: ['arithmetic'] },
+  { id: 'linear-equations', name: 'Linear equations', aliases: ['linear equations', 'solving equations'], parent_id: 'algebra' },
+  { id: 'quadratics', name: 'Quadratic equations', aliases: ['quadratic', 'quadratic equations', 'factoring quadratics'], parent_id: 'algebra', prerequisites: ['linear-equations'] },
+  { id: 'functions', name: 'Functions', aliases: ['function'], parent_id: 'algebra', prerequisites: ['linear-equations'] },
+  { id: 'geometry', name: 'Geometry', aliases: ['shapes', 'area and perimeter'], prerequisites: ['arithmetic'] },
+  { id: 'trigonometry', name: 'Trigonometry', aliases: ['trig', 'sine and cosine'], prerequisites: ['geometry', 'algebra'] },
+  { id: 'probability', name: 'Probability', aliases: ['chance'], prerequisites: ['fractions'] },
+  { id: 'statistics', name: 'Statistics', aliases: ['stats', 'mean median mode'], prerequisites: ['probability'] },
+  { id: 'calculus', name: 'Calculus', prerequisites: ['functions'] },
+  { id: 'derivatives', name: 'Derivatives', aliases: ['derivative', 'differentiation'], parent_id: 'calculus', prerequisites: ['functions'] },
+  { id: 'integrals', name: 'Integrals', aliases: ['integral', 'integration'], parent_id: 'calculus', prerequisites: ['derivatives'] },
+];
+
+let _cache = null;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Lowercase, strip punctuation, and singularize words so variants compare equal. */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => {
+      if (w.length > 4 && w.endsWith('ies')) return `${w.slice(0, -3)}y`;
+      if (w.length > 3 && w.endsWith('s') && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+      return w;
+    })
+    .join(' ');
+}
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+// Key for text that matches no taxonomy topic (the pre-taxonomy behaviour).
+function adhocTopicKey(text) {
+  return String(text || 'general').toLowerCase().slice(0, 80);
+}
+
+function cleanTopic(row) {
+  const list = (v) => (Array.isArray(v) ? v.map((x) => String(x).trim()).filter(Boolean) : []);
+  return {
+    id: String(row.id),
+    name: String(row.name || row.id),
+    aliases: list(row.aliases),
+    parent_id: row.parent_id || null,
+    prerequisites: list(row.prerequisites),
+    description: row.description || null,
+  };
+}
+
+function buildTaxonomy(rows, source) {
+  const byId = new Map();
+  for (const row of rows) byId.set(String(row.id), cleanTopic(row));
+  const index = new Map();
+  const children = new Map();
+  for (const t of byId.values()) {
+    for (const form of [t.id.replace(/-/g, ' '), t.name, ...t.aliases]) {
+      const norm = normalizeText(form);
+      if (norm && !index.has(norm)) index.set(norm, t.id);
+    }
+    if (t.parent_id && byId.has(t.parent_id)) {
+      if (!children.has(t.parent_id)) children.set(t.parent_id, []);
+      children.get(t.parent_id).push(t.id);
+    }
+  }
+  return { byId, index, children, source };
+}
+
+async function loadRows() {
+  const { data, error } = await db().from(TABLE).select('*').order('id', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Current taxonomy ({ byId, index, children, source }), cached for 5 minutes.
+ * Never throws: a missing table or network error falls back to the built-ins.
+ */
+async function getTaxonomy() {
+  if (_cache && _cache.expiresAt > Date.now()) return _cache.taxonomy;
+  let taxonomy;
+  try {
+    const rows = await loadRows();
+    taxonomy = rows.length ? buildTaxonomy(rows, 'table') : buildTaxonomy(BUILTIN_TOPICS, 'builtin');
+  } catch (e) {
+    console.warn('Topic taxonomy load failed (using built-in topics):', e?.message || e);
+    taxonomy = buildTaxonomy(BUILTIN_TOPICS, 'builtin');
+  }
+  _cache = { taxonomy, expiresAt: Date.now() + CACHE_TTL_MS };
+  return taxonomy;
+}
+
+function clearTaxonomyCache() {
+  _cache = null;
+}
+
+/**
+ * Resolve free text onto a loaded taxonomy (see resolveTopic).
+ * @returns {{ id: string, name: string, canonical: boolean }}
+ */
+function resolveTopicIn(taxonomy, text) {
+  const raw = String(text || '').trim();
+  const norm = normalizeText(raw);
+  const direct = taxonomy.byId.get(raw.toLowerCase()) ? raw.toLowerCase() : taxonomy.index.get(norm);
+  if (direct) {
+    const t = taxonomy.byId.get(direct);
+    return { id: t.id, name: t.name, canonical: true };
+  }
+
+  // Longest known phrase contained in the text, on word boundaries.
+  const padded = ` ${norm} `;
+  let best = null;
+  for (const [form, id] of taxonomy.index) {
+    if (padded.includes(` ${form} `) && (!best || form.length > best.form.length)) best = { form, id };
+  }
+  if (best) {
+    const t = taxonomy.byId.get(best.id);
+    return { id: t.id, name: t.name, canonical: true };
+  }
+  return { id: adhocTopicKey(raw), name: raw, canonical: false };
+}
+
+/**
+ * Resolve free text onto the taxonomy.
+ * @returns {Promise<{ id: string, name: string, canonical: boolean }>}
+ */
+async function resolveTopic(text) {
+  return resolveTopicIn(await getTaxonomy(), text);
+}
+
+/** Ancestor ids of a topic, nearest first. */
+function ancestorsOf(taxonomy, id) {
+  const out = [];
+  let cur = taxonomy.byId.get(id)?.parent_id;
+  while (cur && taxonomy.byId.has(cur) && !out.includes(cur)) {
+    out.push(cur);
+    cur = taxonomy.byId.get(cur).parent_id;
+  }
+  return out;
+}
+
+/**
+ * Mastery for every taxonomy topic with evidence: a parent's value is the mean of its own
+ * estimate (if any) and its children's rolled-up values.
+ * @param {object} taxonomy - from getTaxonomy()
+ * @param {Record<string, number>} topics - the knowledge item's `topics` map
+ * @returns {Record<string, number>}
+ */
+function rollupMastery(taxonomy, topics) {
+  const own = topics && typeof topics === 'object' ? topics : {};
+  const memo = new Map();
+  const visit = (id, seen) => {
+    if (memo.has(id)) return memo.get(id);
+    if (seen.has(id)) return null;
+    seen.add(id);
+    const parts = [];
+    if (typeof own[id] === 'number') parts.push(Number(own[id]));
+    for (const child of taxonomy.children.get(id) || []) {
+      const v = visit(child, seen);
+      if (v !== null) parts.push(v);
+    }
+    const value = parts.length ? Math.round((parts.reduce((a, b) => a + b, 0) / parts.length) * 10000) / 10000 : null;
+    memo.set(id, value);
+    return value;
+  };
+  const out = {};
+  for (const id of taxonomy.byId.keys()) {
+    const v = visit(id, new Set());
+    if (v !== null) out[id] = v;
+  }
+  return out;
+}
+
+/**
+ * Prerequisites worth practising when mastery of `topicId` is low: direct prerequisites
+ * of the topic and its ancestors that are unpractised or below READY_MASTERY.
+ */
+function suggestPrerequisites(taxonomy, topics, topicId, mastery) {
+  if (typeof mastery !== 'number' || mastery >= LOW_MASTERY) return [];
+  const own = topics && typeof topics === 'object' ? topics : {};
+  const ids = [];
+  for (const id of [topicId, ...ancestorsOf(taxonomy, topicId)]) {
+    for (const p of taxonomy.byId.get(id)?.prerequisites || []) {
+      if (p !== topicId && taxonomy.byId.has(p) && !ids.includes(p)) ids.push(p);
+    }
+  }
+  return ids
+    .map((id) => ({ topic: id, name: taxonomy.byId.get(id).name, mastery: typeof own[id] === 'number' ? own[id] : null }))
+    .filter((s) => s.mastery === null || s.mastery < READY_MASTERY)
+    .sort((a, b) => (a.mastery ?? -1) - (b.mastery ?? -1));
+}
+
+function listTopics(taxonomy) {
+  return Array.from(taxonomy.byId.values()).map((t) => ({
+    ...t,
+    children: taxonomy.children.get(t.id) || [],
+  }));
+}
+
+// --- Admin edits -----------------------------------------------------------------
+
+/** Validate a full topic set; throws an Error with `status` 400/409 on the first problem. */
+function validateTopics(byId) {
+  const owner = new Map();
+  for (const t of byId.values()) {
+    if (!ID_PATTERN.test(t.id)) throw httpError(400, `Invalid topic id "${t.id}" (lowercase letters, digits and dashes)`);
+    if (!t.name.trim()) throw httpError(400, `Topic "${t.id}" needs a name`);
+    if (t.parent_id && !byId.has(t.parent_id)) throw httpError(400, `Unknown parent "${t.parent_id}" for "${t.id}"`);
+    for (const p of t.prerequisites) {
+      if (!byId.has(p)) throw httpError(400, `Unknown prerequisite "${p}" for "${t.id}"`);
+      if (p === t.id) throw httpError(400, `Topic "${t.id}" cannot be its own prerequisite`);
+    }
+    for (const form of [t.id.replace(/-/g, ' '), t.name, ...t.aliases]) {
+      const norm = normalizeText(form);
+      if (owner.has(norm) && owner.get(norm) !== t.id) {
+        throw httpError(409, `"${form}" already names topic "${owner.get(norm)}"`);
+      }
+      owner.set(norm, t.id);
+    }
+  }
+
+  // Parent chains and prerequisite edges must both be acyclic.
+  for (const t of byId.values()) {
+    const seen = new Set([t.id]);
+    let cur = t.parent_id;
+    while (cur) {
+      if (seen.has(cur)) throw httpError(400, `Parent cycle through "${t.id}"`);
+      seen.add(cur);
+      cur = byId.get(cur)?.parent_id;
+    }
+  }
+  const state = new Map();
+  const dfs = (id) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'active') throw httpError(400, `Prerequisite cycle through "${id}"`);
+    state.set(id, 'active');
+    for (const p of byId.get(id)?.prerequisites || []) dfs(p);
+    state.set(id, 'done');
+  };
+  for (const id of byId.keys()) dfs(id);
+}
+
+// The first edit copies the built-ins into the table so they are not lost.
+async function ensureSeeded() {
+  const rows = await loadRows();
+  if (rows.length) return rows;
+  const ts = new Date().toISOString();
+  const seed = BUILTIN_TOPICS.map((t) => ({ ...cleanTopic(t), created_at: ts, updated_at: ts }));
+  const { error } = await db().from(TABLE).insert(seed);
+  if (error) throw error;
+  return seed;
+}
+
+async function createTopic(input) {
+  const rows = await ensureSeeded();
+  const byId = new Map(rows.map((r) => [String(r.id), cleanTopic(r)]));
+  const topic = cleanTopic({ ...input, id: input?.id || slugify(input?.name) });
+  if (byId.has(topic.id)) throw httpError(409, `Topic "${topic.id}" already exists`);
+  byId.set(topic.id, topic);
+  validateTopics(byId);
+
+  const ts = new Date().toISOString();
+  const { data, error } = await db()
+    .from(TABLE)
+    .insert({ ...topic, created_at: ts, updated_at: ts })
+    .select('*')
+    .single();
+  if (error) throw error;
+  clearTaxonomyCache();
+  return data;
+}
+
+async function updateTopic(id, patch) {
+  const rows = await ensureSeeded();
+  const byId = new Map(rows.map((r) => [String(r.id), cleanTopic(r)]));
+  const current = byId.get(id);
+  if (!current) throw httpError(404, `Topic "${id}" not found`);
+  const allowed = ['name', 'aliases', 'parent_id', 'prerequisites', 'description'];
+  const next = { ...current };
+  for (const k of allowed) if (patch && Object.prototype.hasOwnProperty.call(patch, k)) next[k] = patch[k];
+  const topic = cleanTopic({ ...next, id });
+  byId.set(id, topic);
+  validateTopics(byId);
+
+  const { data, error } = await db()
+    .from(TABLE)
+    .update({ ...topic, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+  if (error) throw error;
+  clearTaxonomyCache();
+  return data;
+}
+
+/** Delete a topic that has no children and is nobody's prerequisite. */
+async function deleteTopic(id) {
+  const rows = await ensureSeeded();
+  const topics = rows.map(cleanTopic);
+  if (!topics.some((t) => t.id === id)) throw httpError(404, `Topic "${id}" not found`);
+  const children = topics.filter((t) => t.parent_id === id).map((t) => t.id);
+  if (children.length) throw httpError(409, `Topic "${id}" still has children: ${children.join(', ')}`);
+  const dependents = topics.filter((t) => t.prerequisites.includes(id)).map((t) => t.id);
+  if (dependents.length) throw httpError(409, `Topic "${id}" is a prerequisite of: ${dependents.join(', ')}`);
+
+  const { error } = await db().from(TABLE).delete().eq('id', id);
+  if (error) throw error;
+  clearTaxonomyCache();
+}
+
+module.exports = {
+  BUILTIN_TOPICS,
+  normalizeText,
+  adhocTopicKey,
+  getTaxonomy,
+  clearTaxonomyCache,
+  resolveTopic,
+  resolveTopicIn,
+  ancestorsOf,
+  rollupMastery,
+  suggestPrerequisites,
+  listTopics,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+};
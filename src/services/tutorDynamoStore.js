@@ -1,10 +1,17 @@
-const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, GetCommand, UpdateCommand, ScanCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { getDdbDocClient } = require('./awsDynamo');
 
+// Most answers kept in `history` (a DynamoDB item is limited to 400 KB). Answered question ids are
+// kept separately in `answered_questions`, so trimming does not make old questions count again.
+const MAX_HISTORY = 500;
+
 function tables() {
   return {
     questions: process.env.DDB_QUESTIONS_TABLE || 'pythagoras_tutor_questions',
     knowledge: process.env.DDB_KNOWLEDGE_TABLE || 'pythagoras_knowledge_state',
+    ktParams: process.env.DDB_KT_PARAMS_TABLE || 'pythagoras_kt_params',
+    bank: process.env.DDB_QUESTION_BANK_TABLE || 'pythagoras_question_bank',
+    bankTopicIndex: process.env.DDB_QUESTION_BANK_TOPIC_INDEX || 'topic_key-index',
   };
 }
 
@@ -16,7 +23,11 @@ function newId(prefix = 'q') {
   return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
 }
 
-async function putQuestion({ userId, topic, level, question, choices, answerId, explanation }) {
+/**
+ * Store a generated question for 24h. `fields` carries type-specific attributes
+ * (item_type, answer_ids, answer_value, ...; see itemTypes.js).
+ */
+async function putQuestion({ userId, topic, level, question, choices, answerId, explanation, fields }) {
   const ddb = getDdbDocClient();
   const { questions } = tables();
   const questionId = newId('mcq');
@@ -31,6 +42,7 @@ async function putQuestion({ userId, topic, level, question, choices, answerId,
     choices,
     answer_id: answerId,
     explanation: explanation || '',
+    ...(fields || {}),
     created_at: nowIso(),
     ttl: Math.floor(Date.now() / 1000) + 60 * 60 * 24, // expire after 24h
   };
@@ -54,7 +66,8 @@ async function getKnowledge(userId) {
   return resp?.Item || null;
 }
 
-async function recordQuestionAsked({ userId, topic, questionId, question }) {
+/** Append a served question to recent_questions; `reviewKey` is the due review it was served for. */
+async function recordQuestionAsked({ userId, topic, questionId, question, reviewKey }) {
   const ddb = getDdbDocClient();
   const { knowledge } = tables();
   const pk = `user#${userId}`;
@@ -66,6 +79,7 @@ async function recordQuestionAsked({ userId, topic, questionId, question }) {
     question_id: String(questionId || '').slice(0, 120),
     question: String(question || '').slice(0, 600),
   };
+  if (reviewKey) entry.review_key = String(reviewKey);
 
   const resp = await ddb.send(new UpdateCommand({
     TableName: knowledge,
@@ -114,19 +128,53 @@ async function recordQuestionAsked({ userId, topic, questionId, question }) {
 }
 
 /**
- * Update knowledge state per topic using a simple mastery model (0..1).
- * - correct: mastery += 0.08 (cap 1.0)
- * - wrong:   mastery -= 0.04 (floor 0.0)
- * Also tracks XP/streak and a small recent history.
+ * Count one more hint revealed for a question the learner has not answered yet.
+ * Counts live in the knowledge item's `hints_used` map until the answer clears them.
+ * Returns the new count.
  */
-async function updateKnowledge({ userId, topic, correct, questionId }) {
+async function recordHintUsed({ userId, questionId }) {
   const ddb = getDdbDocClient();
   const { knowledge } = tables();
   const pk = `user#${userId}`;
-  const t = (topic || 'general').toLowerCase().slice(0, 80);
 
-  const masteryDelta = correct ? 0.08 : -0.04;
+  // The map must exist before a nested path in it can be updated.
+  await ddb.send(new UpdateCommand({
+    TableName: knowledge,
+    Key: { pk },
+    UpdateExpression: 'SET user_id = if_not_exists(user_id, :uid), hints_used = if_not_exists(hints_used, :emptyMap)',
+    ExpressionAttributeValues: { ':uid': userId, ':emptyMap': {} },
+  }));
+
+  const resp = await ddb.send(new UpdateCommand({
+    TableName: knowledge,
+    Key: { pk },
+    UpdateExpression: 'SET hints_used.#q = if_not_exists(hints_used.#q, :zero) + :one, updated_at = :ts',
+    ExpressionAttributeNames: { '#q': String(questionId) },
+    ExpressionAttributeValues: { ':zero': 0, ':one': 1, ':ts': nowIso() },
+    ReturnValues: 'UPDATED_NEW',
+  }));
+  return Number(resp?.Attributes?.hints_used?.[String(questionId)] || 0);
+}
+
+/**
+ * Persist one answer into the knowledge state.
+ * `estimate` is the knowledge-tracing result for the topic (see knowledgeTracing.js);
+ * it is stored under kt.<topic> and its point value mirrored into topics.<topic>.
+ * `review` ({ key, entry }, optional) is the item's new spaced-repetition schedule
+ * (see reviewScheduler.js), stored under reviews.<key>.
+ * `hintsUsed` is recorded on the history entry and clears hints_used.<questionId>.
+ * `repeat` marks the history entry of a question answered before (left out of KT fitting).
+ * `questionId` is added to the answered_questions map (used as a set, see questionBank.hasAnswered).
+ * Also tracks XP/streak and the last MAX_HISTORY answers.
+ */
+async function updateKnowledge({ userId, topic, topicKey, correct, questionId, estimate, review, hintsUsed = 0, repeat = false }) {
+  const ddb = getDdbDocClient();
+  const { knowledge } = tables();
+  const pk = `user#${userId}`;
+  const t = topicKey || (topic || 'general').toLowerCase().slice(0, 80);
+
   const xpDelta = correct ? 10 : 2;
+  const mastery = Math.max(0, Math.min(1, Number(estimate?.p_known) || 0));
 
   const topicRaw = topic || 'General';
 
@@ -140,6 +188,10 @@ async function updateKnowledge({ userId, topic, correct, questionId }) {
       'user_id = if_not_exists(user_id, :uid)',
       'updated_at = :ts',
       'topics = if_not_exists(topics, :emptyMap)',
+      'kt = if_not_exists(kt, :emptyMap)',
+      'reviews = if_not_exists(reviews, :emptyMap)',
+      'hints_used = if_not_exists(hints_used, :emptyMap)',
+      'answered_questions = if_not_exists(answered_questions, :emptyMap)',
       'history = if_not_exists(history, :emptyList)',
       'xp = if_not_exists(xp, :zero)',
       'streak = if_not_exists(streak, :zero)',
@@ -156,43 +208,81 @@ async function updateKnowledge({ userId, topic, correct, questionId }) {
   // Step 2: apply the actual knowledge update.
   async function applyMainUpdate({ forceRepairContainers = false } = {}) {
     const ts = nowIso();
-    const baseEntry = [{ ts, topic: topicRaw, correct: !!correct, question_id: questionId || null }];
+    const hints = Math.max(0, Number(hintsUsed) || 0);
+    const baseEntry = [{
+      ts,
+      topic: topicRaw,
+      topic_key: t,
+      correct: !!correct,
+      question_id: questionId || null,
+      hints_used: hints,
+      ...(repeat ? { repeat: true } : {}),
+    }];
 
     const exprValues = {
       ':ts': ts,
       ':topicRaw': topicRaw,
       ':result': correct ? 'correct' : 'wrong',
       ':zero': 0,
-      ':mdelta': masteryDelta,
       ':xpDelta': xpDelta,
-      ':streakDelta': correct ? 1 : 0, // streak reset handled below
       ':newEntry': baseEntry,
     };
+    if (correct) exprValues[':one'] = 1;
+    const exprNames = { '#t': t };
 
-    // If the item got into a bad state (topics/history wrong type), repair by overwriting containers.
+    // If the item got into a bad state (topics/kt/history wrong type), repair by overwriting
+    // the containers with just this answer. (A nested path and its parent can't both be SET.)
+    let containerParts;
     if (forceRepairContainers) {
-      exprValues[':emptyMap'] = {};
+      exprValues[':topicsRepair'] = { [t]: mastery };
+      exprValues[':ktRepair'] = { [t]: estimate || null };
+      containerParts = ['topics = :topicsRepair', 'kt = :ktRepair', 'history = :newEntry'];
+      if (questionId) {
+        exprValues[':answeredRepair'] = { [String(questionId)]: true };
+        containerParts.push('answered_questions = :answeredRepair');
+      }
+      if (review?.key) {
+        exprValues[':reviewsRepair'] = { [review.key]: review.entry };
+        containerParts.push('reviews = :reviewsRepair');
+      }
+    } else {
+      exprValues[':mastery'] = mastery;
+      exprValues[':kt'] = estimate || null;
       exprValues[':emptyList'] = [];
+      containerParts = [
+        'topics.#t = :mastery',
+        'kt.#t = :kt',
+        'history = list_append(if_not_exists(history, :emptyList), :newEntry)',
+      ];
+      if (review?.key) {
+        exprValues[':review'] = review.entry;
+        exprNames['#r'] = review.key;
+        containerParts.push('reviews.#r = :review');
+      }
+      if (questionId) {
+        exprValues[':answered'] = true;
+        exprNames['#q'] = String(questionId);
+        containerParts.push('answered_questions.#q = :answered');
+      }
     }
+    // Hint counts are per unanswered question; this answer consumes them.
+    const clearHints = !forceRepairContainers && hints > 0 && questionId;
+    if (clearHints) exprNames['#h'] = String(questionId);
 
     const resp = await ddb.send(new UpdateCommand({
       TableName: knowledge,
       Key: { pk },
       UpdateExpression: `SET ${[
-        ...(forceRepairContainers ? ['topics = :emptyMap', 'history = :emptyList'] : []),
         'updated_at = :ts',
         'last_topic = :topicRaw',
         'last_result = :result',
-        'topics.#t = if_not_exists(topics.#t, :zero) + :mdelta',
+        ...containerParts,
         'xp = if_not_exists(xp, :zero) + :xpDelta',
-        'streak = if_not_exists(streak, :zero) + :streakDelta',
-        'history = list_append(if_not_exists(history, :emptyList), :newEntry)',
-      ].join(', ')}`,
-      ExpressionAttributeNames: { '#t': t },
-      ExpressionAttributeValues: {
-        ...exprValues,
-        ...(forceRepairContainers ? {} : { ':emptyList': [] }), // needed for if_not_exists(history, :emptyList)
-      },
+        // A wrong answer resets the streak.
+        correct ? 'streak = if_not_exists(streak, :zero) + :one' : 'streak = :zero',
+      ].join(', ')}${clearHints ? ' REMOVE hints_used.#h' : ''}`,
+      ...(forceRepairContainers ? {} : { ExpressionAttributeNames: exprNames }),
+      ExpressionAttributeValues: exprValues,
       ReturnValues: 'ALL_NEW',
     }));
 
@@ -213,44 +303,284 @@ async function updateKnowledge({ userId, topic, correct, questionId }) {
     }
   }
 
-  // Clamp mastery and handle streak reset if wrong (second update, minimal for demo)
-  if (updated) {
-    const current = Number(updated?.topics?.[t] || 0);
-    const clamped = Math.max(0, Math.min(1, current));
-    const needClamp = clamped !== current;
-    const needResetStreak = !correct && Number(updated?.streak || 0) !== 0;
-
-    if (needClamp || needResetStreak) {
-      const setParts = [];
-      if (needClamp) setParts.push('topics.#t = :clamped');
-      if (needResetStreak) setParts.push('streak = :zero');
-      setParts.push('updated_at = :ts');
-
-      const expr2 = { ':ts': nowIso() };
-      if (needClamp) expr2[':clamped'] = clamped;
-      if (needResetStreak) expr2[':zero'] = 0;
-
-      const cmd2 = new UpdateCommand({
+  // Keep history bounded (best-effort), as recordQuestionAsked does for recent_questions.
+  try {
+    const list = Array.isArray(updated?.history) ? updated.history : [];
+    if (list.length > MAX_HISTORY) {
+      const resp = await ddb.send(new UpdateCommand({
         TableName: knowledge,
         Key: { pk },
-        UpdateExpression: `SET ${setParts.join(', ')}`,
-        ...(needClamp ? { ExpressionAttributeNames: { '#t': t } } : {}),
-        ExpressionAttributeValues: expr2,
+        UpdateExpression: 'SET history = :h, updated_at = :ts',
+        ExpressionAttributeValues: { ':h': list.slice(-MAX_HISTORY), ':ts': nowIso() },
         ReturnValues: 'ALL_NEW',
-      });
-      updated = (await ddb.send(cmd2))?.Attributes || updated;
+      }));
+      return resp?.Attributes || updated;
     }
-  }
+  } catch (_) {}
 
   return updated;
 }
 
+/**
+ * Set (`set`: key -> entry) and delete (`remove`: keys) spaced-repetition entries in the
+ * knowledge item's `reviews` map. Fails with ConditionalCheckFailedException when the
+ * learner has no `reviews` map yet. Returns the updated item.
+ */
+async function updateReviews({ userId, set = {}, remove = [] }) {
+  const ddb = getDdbDocClient();
+  const { knowledge } = tables();
+  const names = {};
+  const values = { ':ts': nowIso() };
+  const sets = ['updated_at = :ts'];
+  Object.entries(set).forEach(([key, entry], i) => {
+    names[`#s${i}`] = key;
+    values[`:s${i}`] = entry;
+    sets.push(`reviews.#s${i} = :s${i}`);
+  });
+  const removes = remove.map((key, i) => {
+    names[`#d${i}`] = key;
+    return `reviews.#d${i}`;
+  });
+  const resp = await ddb.send(new UpdateCommand({
+    TableName: knowledge,
+    Key: { pk: `user#${userId}` },
+    UpdateExpression: `SET ${sets.join(', ')}${removes.length ? ` REMOVE ${removes.join(', ')}` : ''}`,
+    ConditionExpression: 'attribute_exists(reviews)',
+    ...(Object.keys(names).length ? { ExpressionAttributeNames: names } : {}),
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW',
+  }));
+  return resp?.Attributes || null;
+}
+
+/**
+ * Page through knowledge items (used by offline jobs such as KT fitting).
+ * Returns { items, lastKey }; pass lastKey back as startKey for the next page.
+ */
+async function scanKnowledgeItems({ startKey, limit = 100 } = {}) {
+  const ddb = getDdbDocClient();
+  const { knowledge } = tables();
+  const resp = await ddb.send(new ScanCommand({
+    TableName: knowledge,
+    Limit: limit,
+    ExclusiveStartKey: startKey || undefined,
+    ProjectionExpression: 'pk, user_id, history',
+  }));
+  return { items: resp?.Items || [], lastKey: resp?.LastEvaluatedKey || null };
+}
+
+async function getKtParams(topicKey) {
+  const ddb = getDdbDocClient();
+  const { ktParams } = tables();
+  const resp = await ddb.send(new GetCommand({ TableName: ktParams, Key: { pk: `topic#${topicKey}` } }));
+  return resp?.Item || null;
+}
+
+async function putKtParams({ topicKey, model = 'bkt', params, metrics }) {
+  const ddb = getDdbDocClient();
+  const { ktParams } = tables();
+  const item = {
+    pk: `topic#${topicKey}`,
+    topic: topicKey,
+    model,
+    params,
+    metrics: metrics || null,
+    fitted_at: nowIso(),
+  };
+  await ddb.send(new PutCommand({ TableName: ktParams, Item: item }));
+  return item;
+}
+
+/**
+ * Insert a question into the permanent bank unless one with the same id (stem hash)
+ * already exists. Returns { item, created }.
+ */
+async function putBankQuestion(item) {
+  const ddb = getDdbDocClient();
+  const { bank } = tables();
+  const ts = nowIso();
+  const full = {
+    ...item,
+    pk: `question#${item.question_id}`,
+    status: item.status || 'active',
+    stats: { asked: 0, answered: 0, correct: 0 },
+    created_at: ts,
+    updated_at: ts,
+  };
+  try {
+    await ddb.send(new PutCommand({
+      TableName: bank,
+      Item: full,
+      ConditionExpression: 'attribute_not_exists(pk)',
+    }));
+    return { item: full, created: true };
+  } catch (e) {
+    if (e?.name !== 'ConditionalCheckFailedException') throw e;
+    const existing = await getBankQuestion(item.question_id);
+    return { item: existing || full, created: false };
+  }
+}
+
+async function getBankQuestion(questionId) {
+  const ddb = getDdbDocClient();
+  const { bank } = tables();
+  const resp = await ddb.send(new GetCommand({ TableName: bank, Key: { pk: `question#${questionId}` } }));
+  return resp?.Item || null;
+}
+
+/**
+ * Active bank questions for a topic, up to `limit` of them that pass `accept` (optional
+ * predicate, e.g. not yet seen by the learner). Follows LastEvaluatedKey until enough items
+ * match or the topic is exhausted, since the status filter and `accept` drop items after
+ * DynamoDB's page limit. Uses the topic_key GSI; falls back to a filtered scan when the
+ * index has not been created yet.
+ */
+async function listBankQuestionsByTopic(topicKey, { limit = 100, accept } = {}) {
+  const ddb = getDdbDocClient();
+  const { bank, bankTopicIndex } = tables();
+  const page = (scan, startKey) => ddb.send(scan
+    ? new ScanCommand({
+      TableName: bank,
+      FilterExpression: 'topic_key = :t AND #s = :active',
+      ExpressionAttributeNames: { '#s': 'status' },
+      ExpressionAttributeValues: { ':t': topicKey, ':active': 'active' },
+      ExclusiveStartKey: startKey,
+    })
+    : new QueryCommand({
+      TableName: bank,
+      IndexName: bankTopicIndex,
+      KeyConditionExpression: 'topic_key = :t',
+      FilterExpression: '#s = :active',
+      ExpressionAttributeNames: { '#s': 'status' },
+      ExpressionAttributeValues: { ':t': topicKey, ':active': 'active' },
+      Limit: limit,
+      ExclusiveStartKey: startKey,
+    }));
+
+  const matches = [];
+  let scan = false;
+  let startKey;
+  do {
+    let resp;
+    try {
+      resp = await page(scan, startKey);
+    } catch (e) {
+      if (scan || startKey || (e?.name !== 'ValidationException' && e?.name !== 'ResourceNotFoundException')) throw e;
+      scan = true;
+      resp = await page(true);
+    }
+    for (const item of resp?.Items || []) {
+      if (matches.length >= limit) break;
+      if (!accept || accept(item)) matches.push(item);
+    }
+    startKey = resp?.LastEvaluatedKey;
+  } while (startKey && matches.length < limit);
+  return matches;
+}
+
+/**
+ * Admin search over the bank. Filters are optional; `text` matches the normalized stem.
+ * Returns { items, lastKey } for pagination.
+ */
+async function scanBankQuestions({ topicKey, level, text, startKey, limit = 50 } = {}) {
+  const ddb = getDdbDocClient();
+  const { bank } = tables();
+  const filters = [];
+  const values = {};
+  if (topicKey) { filters.push('topic_key = :t'); values[':t'] = topicKey; }
+  if (Number.isFinite(level)) { filters.push('#lvl = :lvl'); values[':lvl'] = level; }
+  if (text) { filters.push('contains(stem_norm, :q)'); values[':q'] = text; }
+  const resp = await ddb.send(new ScanCommand({
+    TableName: bank,
+    Limit: limit,
+    ExclusiveStartKey: startKey || undefined,
+    ...(filters.length ? {
+      FilterExpression: filters.join(' AND '),
+      ExpressionAttributeValues: values,
+      ...(Number.isFinite(level) ? { ExpressionAttributeNames: { '#lvl': 'level' } } : {}),
+    } : {}),
+  }));
+  return { items: resp?.Items || [], lastKey: resp?.LastEvaluatedKey || null };
+}
+
+/**
+ * Increment bank answer statistics (`asked`, or `answered` + `correct`). When `response`
+ * (`{ theta, correct }`) is given it is appended to the item's IRT calibration log.
+ */
+async function recordBankStats({ questionId, asked = false, answered = false, correct = false, response }) {
+  const ddb = getDdbDocClient();
+  const { bank } = tables();
+  const parts = ['updated_at = :ts'];
+  if (asked) parts.push('stats.asked = if_not_exists(stats.asked, :zero) + :one');
+  if (answered) parts.push('stats.answered = if_not_exists(stats.answered, :zero) + :one');
+  if (answered && correct) parts.push('stats.correct = if_not_exists(stats.correct, :zero) + :one');
+  // DynamoDB rejects unused expression values, so only bind the counters when used.
+  const values = parts.length > 1 ? { ':ts': nowIso(), ':zero': 0, ':one': 1 } : { ':ts': nowIso() };
+  if (response) {
+    parts.push('responses = list_append(if_not_exists(responses, :emptyList), :resp)');
+    values[':emptyList'] = [];
+    values[':resp'] = [response];
+  }
+  const resp = await ddb.send(new UpdateCommand({
+    TableName: bank,
+    Key: { pk: `question#${questionId}` },
+    UpdateExpression: `SET ${parts.join(', ')}`,
+    ConditionExpression: 'attribute_exists(pk)',
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW',
+  }));
+  return resp?.Attributes || null;
+}
+
+/**
+ * Store recalibrated IRT parameters on a bank item. When `responses` is given the log is
+ * replaced (trimmed) too, guarded on its current length so a concurrent answer is not lost;
+ * if the guard fails only `irt` is written.
+ */
+async function updateBankIrt({ questionId, irt, responses, expectedCount }) {
+  const ddb = getDdbDocClient();
+  const { bank } = tables();
+  const key = { pk: `question#${questionId}` };
+  if (Array.isArray(responses) && Number.isFinite(expectedCount)) {
+    try {
+      await ddb.send(new UpdateCommand({
+        TableName: bank,
+        Key: key,
+        UpdateExpression: 'SET irt = :irt, responses = :responses',
+        ConditionExpression: 'attribute_exists(pk) AND size(responses) = :n',
+        ExpressionAttributeValues: { ':irt': irt, ':responses': responses, ':n': expectedCount },
+      }));
+      return;
+    } catch (e) {
+      if (e?.name !== 'ConditionalCheckFailedException') throw e;
+    }
+  }
+  await ddb.send(new UpdateCommand({
+    TableName: bank,
+    Key: key,
+    UpdateExpression: 'SET irt = :irt',
+    ConditionExpression: 'attribute_exists(pk)',
+    ExpressionAttributeValues: { ':irt': irt },
+  }));
+}
+
 module.exports = {
   putQuestion,
   getQuestion,
   getKnowledge,
   recordQuestionAsked,
+  recordHintUsed,
   updateKnowledge,
+  updateReviews,
+  scanKnowledgeItems,
+  getKtParams,
+  putKtParams,
+  putBankQuestion,
+  getBankQuestion,
+  listBankQuestionsByTopic,
+  scanBankQuestions,
+  recordBankStats,
+  updateBankIrt,
 };
 
 
@@ -0,0 +1,405 @@
+/**
+ * In-process stand-in for tutorDynamoStore.js (TUTOR_STORE=memory), for development and tests.
+ *
+ * Same operations, arguments and return shapes. Items live in one Map per table, keyed by `pk`;
+ * with TUTOR_STORE_FILE set they are also written to that JSON file, so state survives restarts.
+ * The DynamoDB behaviour the tutor relies on is emulated:
+ * - `ttl` (epoch seconds): expired items read as missing and are purged.
+ * - Conditional writes fail with an error named `ConditionalCheckFailedException`.
+ * - Updating a nested path (topics.<t>, hints_used.<q>, answered_questions.<q>, stats.*) whose
+ *   container is missing or not a map fails with DynamoDB's "document path ... is invalid" error,
+ *   so updateKnowledge repairs containers exactly as it does against DynamoDB.
+ * - Every update is applied to a copy and committed only if it succeeds.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TABLE_NAMES = ['questions', 'knowledge', 'ktParams', 'bank'];
+const MAX_RECENT_QUESTIONS = 30;
+const MAX_HISTORY = 500;
+
+let state = null;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function newId(prefix = 'q') {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+function storeFile() {
+  return process.env.TUTOR_STORE_FILE || '';
+}
+
+function emptyState() {
+  return Object.fromEntries(TABLE_NAMES.map((name) => [name, new Map()]));
+}
+
+function db() {
+  if (state) return state;
+  state = emptyState();
+  const file = storeFile();
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const name of TABLE_NAMES) {
+        for (const item of saved[name] || []) state[name].set(item.pk, item);
+      }
+    } catch (e) {
+      console.warn('Failed to load local tutor store (starting empty):', e?.message || e);
+    }
+  }
+  return state;
+}
+
+function persist() {
+  const file = storeFile();
+  if (!file) return;
+  const out = Object.fromEntries(TABLE_NAMES.map((name) => [name, Array.from(state[name].values())]));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(out));
+}
+
+/** Drop all data (and the TUTOR_STORE_FILE contents). Meant for tests. */
+function resetLocalStore() {
+  state = emptyState();
+  persist();
+}
+
+function storeError(name, message) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+function conditionFailed() {
+  return storeError('ConditionalCheckFailedException', 'The conditional request failed');
+}
+
+function invalidPath() {
+  return storeError('ValidationException', 'The document path provided in the update expression is invalid for update');
+}
+
+function isMap(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isExpired(item) {
+  return Number.isFinite(item?.ttl) && item.ttl <= Math.floor(Date.now() / 1000);
+}
+
+/** Live (unexpired) item, not copied. */
+function liveItem(table, pk) {
+  const items = db()[table];
+  const item = items.get(pk);
+  if (!item) return null;
+  if (isExpired(item)) {
+    items.delete(pk);
+    persist();
+    return null;
+  }
+  return item;
+}
+
+function getItem(table, pk) {
+  const item = liveItem(table, pk);
+  return item ? structuredClone(item) : null;
+}
+
+function putItem(table, item) {
+  db()[table].set(item.pk, structuredClone(item));
+  persist();
+}
+
+function liveItems(table) {
+  return Array.from(db()[table].keys()).map((pk) => liveItem(table, pk)).filter(Boolean);
+}
+
+/**
+ * Apply `mutate(draft)` to a copy of the item (or a new `{ pk }`) and save it.
+ * `mustExist` mirrors `ConditionExpression: 'attribute_exists(pk)'`. Returns the new item.
+ */
+function updateItem(table, pk, mutate, { mustExist = false } = {}) {
+  const current = liveItem(table, pk);
+  if (mustExist && !current) throw conditionFailed();
+  const draft = current ? structuredClone(current) : { pk };
+  mutate(draft);
+  putItem(table, draft);
+  return structuredClone(draft);
+}
+
+function ifNotExists(draft, attr, value) {
+  if (draft[attr] === undefined) draft[attr] = value;
+}
+
+function setNested(draft, container, key, value) {
+  if (!isMap(draft[container])) throw invalidPath();
+  draft[container][key] = value;
+}
+
+function listAppend(list, entries) {
+  if (list === undefined) return entries.slice();
+  if (!Array.isArray(list)) {
+    throw storeError('ValidationException', 'An operand in the update expression has an incorrect data type');
+  }
+  return list.concat(entries);
+}
+
+/** One page of a table scan, in insertion order; `lastKey` is `{ pk }` while more remain. */
+function scanPage(table, { startKey, limit }) {
+  const items = liveItems(table);
+  const start = startKey?.pk ? items.findIndex((it) => it.pk === startKey.pk) + 1 : 0;
+  const page = items.slice(start, start + limit);
+  const more = start + limit < items.length && page.length > 0;
+  return { items: page, lastKey: more ? { pk: page[page.length - 1].pk } : null };
+}
+
+/** Store a generated question for 24h (see tutorDynamoStore.putQuestion). */
+async function putQuestion({ userId, topic, level, question, choices, answerId, explanation, fields }) {
+  const questionId = newId('mcq');
+  putItem('questions', {
+    pk: `question#${questionId}`,
+    question_id: questionId,
+    user_id: userId,
+    topic,
+    level,
+    question,
+    choices,
+    answer_id: answerId,
+    explanation: explanation || '',
+    ...(fields || {}),
+    created_at: nowIso(),
+    ttl: Math.floor(Date.now() / 1000) + 60 * 60 * 24, // expire after 24h
+  });
+  return { questionId };
+}
+
+async function getQuestion(questionId) {
+  return getItem('questions', `question#${questionId}`);
+}
+
+async function getKnowledge(userId) {
+  return getItem('knowledge', `user#${userId}`);
+}
+
+async function recordQuestionAsked({ userId, topic, questionId, question, reviewKey }) {
+  const ts = nowIso();
+  const entry = {
+    ts,
+    topic: String(topic || 'General').slice(0, 160),
+    question_id: String(questionId || '').slice(0, 120),
+    question: String(question || '').slice(0, 600),
+  };
+  if (reviewKey) entry.review_key = String(reviewKey);
+  return updateItem('knowledge', `user#${userId}`, (d) => {
+    ifNotExists(d, 'user_id', userId);
+    d.updated_at = ts;
+    d.recent_questions = listAppend(d.recent_questions, [entry]).slice(-MAX_RECENT_QUESTIONS);
+    d.last_question_id = entry.question_id || null;
+    d.last_question_text = entry.question || null;
+    d.last_topic = entry.topic;
+  });
+}
+
+/** Count one more hint revealed for an unanswered question; returns the new count. */
+async function recordHintUsed({ userId, questionId }) {
+  const pk = `user#${userId}`;
+  // As in DynamoDB, the map is created first and the nested counter updated second.
+  updateItem('knowledge', pk, (d) => {
+    ifNotExists(d, 'user_id', userId);
+    ifNotExists(d, 'hints_used', {});
+  });
+  const updated = updateItem('knowledge', pk, (d) => {
+    const q = String(questionId);
+    setNested(d, 'hints_used', q, (Number(d.hints_used?.[q]) || 0) + 1);
+    d.updated_at = nowIso();
+  });
+  return Number(updated.hints_used[String(questionId)] || 0);
+}
+
+/** Persist one answer into the knowledge state (see tutorDynamoStore.updateKnowledge). */
+async function updateKnowledge({ userId, topic, topicKey, correct, questionId, estimate, review, hintsUsed = 0, repeat = false }) {
+  const pk = `user#${userId}`;
+  const t = topicKey || (topic || 'general').toLowerCase().slice(0, 80);
+  const xpDelta = correct ? 10 : 2;
+  const mastery = Math.max(0, Math.min(1, Number(estimate?.p_known) || 0));
+  const topicRaw = topic || 'General';
+
+  // Step 1: ensure container attributes exist (existing ones keep whatever type they have).
+  updateItem('knowledge', pk, (d) => {
+    ifNotExists(d, 'user_id', userId);
+    d.updated_at = nowIso();
+    ifNotExists(d, 'topics', {});
+    ifNotExists(d, 'kt', {});
+    ifNotExists(d, 'reviews', {});
+    ifNotExists(d, 'hints_used', {});
+    ifNotExists(d, 'answered_questions', {});
+    ifNotExists(d, 'history', []);
+    ifNotExists(d, 'xp', 0);
+    ifNotExists(d, 'streak', 0);
+  });
+
+  // Step 2: apply the actual knowledge update.
+  function applyMainUpdate({ forceRepairContainers = false } = {}) {
+    const ts = nowIso();
+    const hints = Math.max(0, Number(hintsUsed) || 0);
+    const entry = {
+      ts,
+      topic: topicRaw,
+      topic_key: t,
+      correct: !!correct,
+      question_id: questionId || null,
+      hints_used: hints,
+      ...(repeat ? { repeat: true } : {}),
+    };
+    return updateItem('knowledge', pk, (d) => {
+      d.updated_at = ts;
+      d.last_topic = topicRaw;
+      d.last_result = correct ? 'correct' : 'wrong';
+      if (forceRepairContainers) {
+        d.topics = { [t]: mastery };
+        d.kt = { [t]: estimate || null };
+        d.history = [entry];
+        if (review?.key) d.reviews = { [review.key]: review.entry };
+        if (questionId) d.answered_questions = { [String(questionId)]: true };
+      } else {
+        setNested(d, 'topics', t, mastery);
+        setNested(d, 'kt', t, estimate || null);
+        d.history = listAppend(d.history, [entry]).slice(-MAX_HISTORY);
+        if (review?.key) setNested(d, 'reviews', review.key, review.entry);
+        if (questionId) setNested(d, 'answered_questions', String(questionId), true);
+        // Hint counts are per unanswered question; this answer consumes them.
+        if (hints > 0 && questionId) {
+          if (!isMap(d.hints_used)) throw invalidPath();
+          delete d.hints_used[String(questionId)];
+        }
+      }
+      d.xp = (Number(d.xp) || 0) + xpDelta;
+      // A wrong answer resets the streak.
+      d.streak = correct ? (Number(d.streak) || 0) + 1 : 0;
+    });
+  }
+
+  try {
+    return applyMainUpdate();
+  } catch (e) {
+    const msg = String(e?.message || '');
+    if (msg.includes('document path provided in the update expression is invalid')) {
+      return applyMainUpdate({ forceRepairContainers: true });
+    }
+    throw e;
+  }
+}
+
+/** Set and delete entries of the `reviews` map (see tutorDynamoStore.updateReviews). */
+async function updateReviews({ userId, set = {}, remove = [] }) {
+  return updateItem('knowledge', `user#${userId}`, (d) => {
+    if (d.reviews === undefined) throw conditionFailed();
+    for (const [key, entry] of Object.entries(set)) setNested(d, 'reviews', key, entry);
+    for (const key of remove) delete d.reviews[key];
+    d.updated_at = nowIso();
+  });
+}
+
+async function scanKnowledgeItems({ startKey, limit = 100 } = {}) {
+  const { items, lastKey } = scanPage('knowledge', { startKey, limit });
+  return {
+    items: items.map(({ pk, user_id, history }) => structuredClone({ pk, user_id, history })),
+    lastKey,
+  };
+}
+
+async function getKtParams(topicKey) {
+  return getItem('ktParams', `topic#${topicKey}`);
+}
+
+async function putKtParams({ topicKey, model = 'bkt', params, metrics }) {
+  const item = {
+    pk: `topic#${topicKey}`,
+    topic: topicKey,
+    model,
+    params,
+    metrics: metrics || null,
+    fitted_at: nowIso(),
+  };
+  putItem('ktParams', item);
+  return item;
+}
+
+async function putBankQuestion(item) {
+  const pk = `question#${item.question_id}`;
+  const existing = getItem('bank', pk);
+  if (existing) return { item: existing, created: false };
+  const ts = nowIso();
+  const full = {
+    ...item,
+    pk,
+    status: item.status || 'active',
+    stats: { asked: 0, answered: 0, correct: 0 },
+    created_at: ts,
+    updated_at: ts,
+  };
+  putItem('bank', full);
+  return { item: full, created: true };
+}
+
+async function getBankQuestion(questionId) {
+  return getItem('bank', `question#${questionId}`);
+}
+
+async function listBankQuestionsByTopic(topicKey, { limit = 100, accept } = {}) {
+  return liveItems('bank')
+    .filter((it) => it.topic_key === topicKey && it.status === 'active' && (!accept || accept(it)))
+    .slice(0, limit)
+    .map((it) => structuredClone(it));
+}
+
+/** Like a DynamoDB scan, `limit` counts items examined, so a page can hold fewer matches. */
+async function scanBankQuestions({ topicKey, level, text, startKey, limit = 50 } = {}) {
+  const { items, lastKey } = scanPage('bank', { startKey, limit });
+  const matches = items.filter((it) => (!topicKey || it.topic_key === topicKey)
+    && (!Number.isFinite(level) || it.level === level)
+    && (!text || String(it.stem_norm || '').includes(text)));
+  return { items: matches.map((it) => structuredClone(it)), lastKey };
+}
+
+async function recordBankStats({ questionId, asked = false, answered = false, correct = false, response }) {
+  return updateItem('bank', `question#${questionId}`, (d) => {
+    d.updated_at = nowIso();
+    const bump = (key) => setNested(d, 'stats', key, (Number(d.stats?.[key]) || 0) + 1);
+    if (asked) bump('asked');
+    if (answered) bump('answered');
+    if (answered && correct) bump('correct');
+    if (response) d.responses = listAppend(d.responses, [response]);
+  }, { mustExist: true });
+}
+
+async function updateBankIrt({ questionId, irt, responses, expectedCount }) {
+  updateItem('bank', `question#${questionId}`, (d) => {
+    d.irt = irt;
+    // Replace the log only if no answer was appended since it was read.
+    const guarded = Array.isArray(responses) && Number.isFinite(expectedCount);
+    if (guarded && Array.isArray(d.responses) && d.responses.length === expectedCount) d.responses = responses;
+  }, { mustExist: true });
+}
+
+module.exports = {
+  putQuestion,
+  getQuestion,
+  getKnowledge,
+  recordQuestionAsked,
+  recordHintUsed,
+  updateKnowledge,
+  updateReviews,
+  scanKnowledgeItems,
+  getKtParams,
+  putKtParams,
+  putBankQuestion,
+  getBankQuestion,
+  listBankQuestionsByTopic,
+  scanBankQuestions,
+  recordBankStats,
+  updateBankIrt,
+  resetLocalStore,
+};
@@ -0,0 +1,41 @@
+/**
+ * Tutor persistence, selected by TUTOR_STORE:
+ * - "dynamo" (default): tutorDynamoStore.js, the DynamoDB tables.
+ * - "memory": tutorLocalStore.js, in-process (optionally saved to TUTOR_STORE_FILE); no AWS needed.
+ *
+ * Both backends expose the same operations; routes and services require this module.
+ * The backend is resolved on every call, so tests can switch TUTOR_STORE at runtime.
+ */
+const OPERATIONS = [
+  'putQuestion',
+  'getQuestion',
+  'getKnowledge',
+  'recordQuestionAsked',
+  'recordHintUsed',
+  'updateKnowledge',
+  'updateReviews',
+  'scanKnowledgeItems',
+  'getKtParams',
+  'putKtParams',
+  'putBankQuestion',
+  'getBankQuestion',
+  'listBankQuestionsByTopic',
+  'scanBankQuestions',
+  'recordBankStats',
+  'updateBankIrt',
+];
+
+function storeName() {
+  const name = String(process.env.TUTOR_STORE || 'dynamo').toLowerCase();
+  return name === 'memory' ? 'memory' : 'dynamo';
+}
+
+// Loaded on first use so the memory store never pulls in the AWS SDK.
+function backend() {
+  return storeName() === 'memory' ? require('./tutorLocalStore') : require('./tutorDynamoStore');
+}
+
+module.exports = {
+  storeName,
+  ...Object.fromEntries(OPERATIONS.map((op) => [op, (...args) => backend()[op](...args)])),
+};
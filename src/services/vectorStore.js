@@ -0,0 +1,35 @@
+/**
+ * Knowledge-base vector index, selected by VECTOR_BACKEND:
+ * - "opensearch" (default): openSearchClient.js (AOSS / OpenSearch Service, needs OPENSEARCH_ENDPOINT).
+ * - "local": localVectorIndex.js, in-process with on-disk persistence.
+ *
+ * Both backends expose ensureKnnIndex, bulkIndex, deleteBySource, getBySource (a source's chunks with
+ * embeddings, for incremental reindexing), knnSearch and textSearch (BM25 over `content`) with the same
+ * arguments and results; routes and services require this module (or hybridSearch.js, which fuses
+ * the two searches).
+ */
+function vectorBackend() {
+  const name = String(process.env.VECTOR_BACKEND || 'opensearch').toLowerCase();
+  return name === 'local' ? 'local' : 'opensearch';
+}
+
+/** Whether the selected backend can be used (the local one always can). */
+function isVectorStoreConfigured() {
+  return vectorBackend() === 'local' || Boolean(process.env.OPENSEARCH_ENDPOINT);
+}
+
+// Loaded on first use so the local backend never pulls in the OpenSearch client.
+function backend() {
+  return vectorBackend() === 'local' ? require('./localVectorIndex') : require('./openSearchClient');
+}
+
+module.exports = {
+  vectorBackend,
+  isVectorStoreConfigured,
+  ensureKnnIndex: (...args) => backend().ensureKnnIndex(...args),
+  bulkIndex: (...args) => backend().bulkIndex(...args),
+  deleteBySource: (...args) => backend().deleteBySource(...args),
+  getBySource: (...args) => backend().getBySource(...args),
+  knnSearch: (...args) => backend().knnSearch(...args),
+  textSearch: (...args) => backend().textSearch(...args),
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countTokens,
+  resolveChunkOptions,
+  chunkDocument,
+} = require('../src/services/chunking');
+
+const sentences = (word, n) => Array.from({ length: n }, (_, i) => `${word} number ${i} ends here.`).join(' ');
+
+test('every chunk stays within the token limit, overlap included', () => {
+  const text = sentences('Alpha', 200);
+  const chunks = chunkDocument(text, { strategy: 'recursive', maxTokens: 100, overlapTokens: 20 });
+  assert.ok(chunks.length > 5);
+  for (const c of chunks) {
+    assert.ok(c.tokens <= 100, `chunk ${c.index} has ${c.tokens} tokens`);
+    assert.equal(c.strategy, 'recursive:100:20');
+    assert.ok(text.includes(c.content));
+  }
+  assert.deepEqual(chunks.map((c) => c.index), chunks.map((_, i) => i));
+});
+
+test('each chunk after the first repeats the end of the previous one', () => {
+  const chunks = chunkDocument(sentences('Beta', 120), { strategy: 'sentence', maxTokens: 80, overlapTokens: 20 });
+  assert.equal(chunks[0].overlap_tokens, 0);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].overlap_tokens > 0 && chunks[i].overlap_tokens <= 20);
+    assert.ok(chunks[i].char_start < chunks[i - 1].char_end, 'chunks overlap');
+    assert.match(chunks[i].content, /^Beta number \d+/, 'overlap starts on a sentence boundary');
+  }
+});
+
+test('without overlap the chunks tile the text', () => {
+  const text = sentences('Gamma', 100);
+  const chunks = chunkDocument(text, { strategy: 'fixed', maxTokens: 60, overlapTokens: 0 });
+  for (let i = 1; i < chunks.length; i++) assert.ok(chunks[i].char_start >= chunks[i - 1].char_end);
+  assert.equal(chunks.map((c) => c.content).join(' ').split(/\s+/).length, text.split(/\s+/).length);
+});
+
+test('a heading starts a new chunk with no overlap and its heading path', () => {
+  const text = `# Fractions\n\n${sentences('Half', 6)}\n\n## Adding\n\n${sentences('Sum', 6)}`;
+  const chunks = chunkDocument(text, { strategy: 'recursive', maxTokens: 100, overlapTokens: 20 });
+  assert.equal(chunks.length, 2);
+  assert.deepEqual(chunks[0].heading_path, ['Fractions']);
+  assert.match(chunks[1].content, /^## Adding/);
+  assert.equal(chunks[1].overlap_tokens, 0);
+  assert.deepEqual(chunks[1].heading_path, ['Fractions', 'Adding']);
+});
+
+test('display math and tables are never cut', () => {
+  const formula = `$$ ${'x + '.repeat(40)}y $$`;
+  const table = Array.from({ length: 12 }, (_, i) => `| row ${i} | value ${i * 2} |`).join('\n');
+  const text = `${sentences('Delta', 20)}\n\n${formula}\n\n${table}\n\n${sentences('Omega', 20)}`;
+  const chunks = chunkDocument(text, { strategy: 'paragraph', maxTokens: 60, overlapTokens: 10 });
+  assert.ok(chunks.some((c) => c.content.includes(formula)));
+  assert.ok(chunks.some((c) => c.content.includes(table)));
+});
+
+test('many inline formulas are never cut', () => {
+  const text = Array.from({ length: 2000 }, (_, i) => `Step ${i} uses $x_${i} + y$ and ends here.`).join(' ');
+  const chunks = chunkDocument(text, { strategy: 'sentence', maxTokens: 50, overlapTokens: 10 });
+  assert.ok(chunks.length > 50);
+  for (const c of chunks) assert.equal(c.content.split('$').length % 2, 1, `chunk ${c.index} cuts a formula`);
+});
+
+test('options are validated with status 400', () => {
+  assert.deepEqual(resolveChunkOptions({ strategy: 'Sentence', maxTokens: 200, overlapTokens: 50 }),
+    { strategy: 'sentence', maxTokens: 200, overlapTokens: 50 });
+  for (const bad of [{ strategy: 'words' }, { maxTokens: 10 }, { maxTokens: 100, overlapTokens: 60 }]) {
+    assert.throws(() => resolveChunkOptions(bad), (e) => e.status === 400);
+  }
+  assert.equal(countTokens(''), 0);
+  assert.ok(countTokens('internationalization') > countTokens('cat'));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// In-memory stand-in for the few Supabase calls the registry makes, installed before it is loaded.
+const rows = [];
+function query(filters = []) {
+  const matching = () => rows.filter((r) => filters.every((f) => f(r)));
+  return {
+    select: () => query(filters),
+    eq: (col, value) => query([...filters, (r) => r[col] === value]),
+    in: (col, values) => query([...filters, (r) => values.includes(r[col])]),
+    range: async (from, to) => ({ data: matching().slice(from, to + 1), error: null }),
+    upsert: async (row) => {
+      const i = rows.findIndex((r) => r.index_name === row.index_name && r.source === row.source);
+      if (i >= 0) rows[i] = row;
+      else rows.push(row);
+      return { error: null };
+    },
+    delete: () => ({
+      eq: (c1, v1) => ({
+        eq: async (c2, v2) => {
+          for (let i = rows.length - 1; i >= 0; i--) if (rows[i][c1] === v1 && rows[i][c2] === v2) rows.splice(i, 1);
+          return { error: null };
+        },
+      }),
+    }),
+  };
+}
+const supabasePath = require.resolve('../src/config/supabase');
+require.cache[supabasePath] = { id: supabasePath, filename: supabasePath, loaded: true, exports: { from: () => query() } };
+
+const { openRegistry, combineSummaries, forgetDocument } = require('../src/services/documentRegistry');
+
+const INDEX = 'kb:test';
+const MODEL = 'text-embedding-3-small';
+const chunksOf = (...texts) => texts.map((content) => ({ content }));
+const fakeVector = (text) => [text.length];
+
+async function index(registry, source, doc) {
+  const plan = registry.plan(source, doc);
+  const embed = await registry.embedder(
+    plan,
+    async () => doc.previous || [],
+    async (texts) => texts.map(fakeVector),
+  );
+  await embed(doc.chunks.map((c) => c.content));
+  await registry.record(plan);
+  return plan;
+}
+
+test('a new source is embedded in full and recorded', async () => {
+  const registry = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'recursive:300:40' });
+  assert.equal(registry.enabled, true);
+  const plan = await index(registry, 'a.md', { content: 'one two', chunks: chunksOf('one', 'two'), etag: '"e1"' });
+  assert.equal(plan.status, 'new');
+  assert.deepEqual(registry.summary(), { newFiles: 1, changedFiles: 0, unchangedFiles: 0, embeddedChunks: 2, reusedChunks: 0 });
+  const row = rows.find((r) => r.source === 'a.md');
+  assert.equal(row.content_hash, crypto.createHash('sha256').update('one two').digest('hex'));
+  assert.equal(row.chunk_count, 2);
+});
+
+test('an unchanged listing is skipped before download', async () => {
+  const registry = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'recursive:300:40' });
+  assert.equal(registry.isUnchanged('a.md', { etag: '"e1"' }), true);
+  assert.equal(registry.isUnchanged('a.md', { etag: '"e2"' }), false);
+  assert.deepEqual(registry.conditionalHeaders('a.md'), { 'If-None-Match': '"e1"' });
+  assert.equal(registry.summary().unchangedFiles, 1);
+});
+
+test('a changed source reuses the vectors of unchanged chunks and embeds only the rest', async () => {
+  const registry = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'recursive:300:40' });
+  const previous = [{ content: 'one', embedding: [99] }, { content: 'two', embedding: [98] }];
+  const plan = await index(registry, 'a.md', { content: 'one three', chunks: chunksOf('one', 'three'), previous });
+  assert.equal(plan.status, 'changed');
+  assert.equal(plan.reason, 'content');
+  assert.deepEqual(plan.chunks, { unchanged: 1, added: 1, removed: 1 });
+  const summary = registry.summary();
+  assert.equal(summary.reusedChunks, 1);
+  assert.equal(summary.embeddedChunks, 1);
+});
+
+test('a new embedding model or new settings reindex the source', async () => {
+  const byModel = await openRegistry({ index: INDEX, embeddingModel: 'other-model', settings: 'recursive:300:40' });
+  const modelPlan = byModel.plan('a.md', { content: 'one three', chunks: chunksOf('one', 'three') });
+  assert.equal(modelPlan.reason, 'embedding_model');
+  assert.equal(modelPlan.reusable.size, 0);
+
+  const bySettings = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'fixed:300:0' });
+  assert.equal(bySettings.isUnchanged('a.md', { etag: '"e1"' }), false);
+  const settingsPlan = bySettings.plan('a.md', { content: 'one three', chunks: chunksOf('one', 'three') });
+  assert.equal(settingsPlan.reason, 'settings');
+  assert.equal(settingsPlan.reusable.size, 2);
+});
+
+test('a dry run reports changes without recording them', async () => {
+  const before = JSON.stringify(rows);
+  const registry = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'recursive:300:40', dryRun: true });
+  await index(registry, 'b.md', { content: 'new', chunks: chunksOf('new') });
+  const plan = registry.plan('a.md', { content: 'one three', chunks: chunksOf('one', 'three') });
+  assert.equal(plan.status, 'unchanged');
+  assert.equal(JSON.stringify(rows), before);
+  const summary = registry.summary();
+  assert.equal(summary.dryRun, true);
+  assert.deepEqual(summary.changes.map((c) => [c.source, c.status]), [['b.md', 'new'], ['a.md', 'unchanged']]);
+});
+
+test('force ignores the registry', async () => {
+  const registry = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'recursive:300:40', force: true });
+  assert.equal(registry.isUnchanged('a.md', { etag: '"e1"' }), false);
+  assert.equal(registry.plan('a.md', { content: 'one three', chunks: chunksOf('one') }).status, 'new');
+});
+
+test('summaries of several job items add up', () => {
+  const total = combineSummaries([
+    { newFiles: 1, changedFiles: 0, unchangedFiles: 2, embeddedChunks: 5, reusedChunks: 0 },
+    null,
+    { newFiles: 0, changedFiles: 1, unchangedFiles: 0, embeddedChunks: 1, reusedChunks: 3, dryRun: true, changes: [{ source: 'x' }] },
+  ]);
+  assert.deepEqual(total, {
+    newFiles: 1, changedFiles: 1, unchangedFiles: 2, embeddedChunks: 6, reusedChunks: 3, dryRun: true, changes: [{ source: 'x' }],
+  });
+});
+
+test('a forgotten source is indexed as new again', async () => {
+  await forgetDocument(INDEX, 'a.md');
+  const registry = await openRegistry({ index: INDEX, embeddingModel: MODEL, settings: 'recursive:300:40' });
+  assert.equal(registry.plan('a.md', { content: 'one three', chunks: chunksOf('one', 'three') }).status, 'new');
+});
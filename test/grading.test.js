@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkEquivalence, evaluateConstant } = require('../src/services/mathEquivalence');
+const { validateGeneratedItem, gradeResponse } = require('../src/services/itemTypes');
+
+test('algebraically equivalent answers are accepted', () => {
+  for (const [given, expected] of [['2(x+1)', '2x+2'], ['x^2-1', '(x-1)(x+1)'], ['0.5', '1/2']]) {
+    const r = checkEquivalence(given, expected);
+    assert.equal(r.equivalent, true, `${given} vs ${expected}`);
+    assert.equal(r.correct, true);
+  }
+});
+
+test('an unsimplified answer is equivalent but fails when simplification is required', () => {
+  const r = checkEquivalence('2/4', '1/2', { requireSimplified: true });
+  assert.equal(r.equivalent, true);
+  assert.equal(r.simplified, false);
+  assert.equal(r.correct, false);
+  assert.equal(r.mistakes[0].code, 'unsimplified');
+  assert.equal(checkEquivalence('2/4', '1/2').correct, true);
+});
+
+test('common mistakes are diagnosed', () => {
+  assert.equal(checkEquivalence('-3', '3').mistakes[0].code, 'sign_error');
+  assert.equal(checkEquivalence('1/2', '2').mistakes[0].code, 'reciprocal');
+  assert.equal(checkEquivalence('y+1', 'x+1').mistakes[0].code, 'unexpected_variable');
+});
+
+test('unreadable input is reported, not thrown', () => {
+  const r = checkEquivalence('2x+', '2x');
+  assert.equal(r.correct, false);
+  assert.equal(r.mistakes[0].code, 'parse_error');
+});
+
+test('constant expressions evaluate and expressions with variables do not', () => {
+  assert.ok(Math.abs(evaluateConstant('sqrt(2)') - Math.SQRT2) < 1e-12);
+  assert.ok(Math.abs(evaluateConstant('2pi') - 2 * Math.PI) < 1e-12);
+  assert.equal(evaluateConstant('2x'), null);
+});
+
+test('numeric items accept fractions and exact forms within tolerance', () => {
+  const item = validateGeneratedItem('numeric', { question: 'Half of one?', answer: '0.5' });
+  assert.equal(gradeResponse(item, '1/2').correct, true);
+  assert.equal(gradeResponse(item, { value: '0.50' }).correct, true);
+  const wrong = gradeResponse(item, '-0.5');
+  assert.equal(wrong.correct, false);
+  assert.equal(wrong.mistakes[0].code, 'sign_error');
+  assert.equal(gradeResponse(item, 'abc').correct, false);
+
+  const root = validateGeneratedItem('numeric', { question: 'Root two?', answer: 1.414, tolerance: 0.001 });
+  assert.equal(gradeResponse(root, 'sqrt(2)').correct, true);
+});
+
+test('MCQ grading compares choice ids case-insensitively', () => {
+  const item = validateGeneratedItem('mcq', {
+    question: 'Pick B',
+    choices: [{ id: 'A', text: 'one' }, { id: 'B', text: 'two' }],
+    answerId: 'B',
+  });
+  assert.equal(gradeResponse(item, { choiceId: 'b' }).correct, true);
+  assert.equal(gradeResponse(item, { choiceId: 'A' }).correct, false);
+  assert.throws(() => validateGeneratedItem('mcq', { question: 'q', choices: ['x', 'y'], answerId: 'Z' }));
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rng } = require('./helpers');
+const {
+  difficultyForLevel,
+  levelForDifficulty,
+  abilityFromMastery,
+  irtProbability,
+  difficultyForSuccess,
+  initialIrt,
+  calibrate2pl,
+} = require('../src/services/irt');
+
+function responsesFor(item, { n, seed }) {
+  const rand = rng(seed);
+  return Array.from({ length: n }, () => {
+    const theta = rand() * 6 - 3;
+    return { theta, correct: rand() < irtProbability(theta, item) };
+  });
+}
+
+test('levels 1-10 span the ability scale and map back', () => {
+  assert.equal(difficultyForLevel(1), -3);
+  assert.equal(difficultyForLevel(10), 3);
+  for (let level = 1; level <= 10; level++) assert.equal(levelForDifficulty(difficultyForLevel(level)), level);
+});
+
+test('the difficulty for a target success rate gives that rate', () => {
+  const b = difficultyForSuccess(0.5, 0.7);
+  assert.ok(Math.abs(irtProbability(0.5, { a: 1, b }) - 0.7) < 1e-3);
+});
+
+test('mastery maps onto the ability scale', () => {
+  assert.equal(abilityFromMastery(0.5), 0);
+  assert.ok(abilityFromMastery(0.9) > 0 && abilityFromMastery(0.1) < 0);
+  assert.equal(abilityFromMastery(undefined), null);
+});
+
+test('without responses an item keeps its level prior', () => {
+  assert.deepEqual(calibrate2pl([], { level: 4 }), initialIrt(4));
+});
+
+test('MAP calibration recovers difficulty and discrimination from many responses', () => {
+  const item = { a: 1.5, b: 1 };
+  const fit = calibrate2pl(responsesFor(item, { n: 3000, seed: 5 }), { level: 5 });
+  assert.ok(Math.abs(fit.b - item.b) < 0.2, `b = ${fit.b}`);
+  assert.ok(Math.abs(fit.a - item.a) < 0.3, `a = ${fit.a}`);
+  assert.equal(fit.n, 3000);
+});
+
+test('few responses stay near the prior and more responses shrink the standard error', () => {
+  const item = { a: 1, b: 2 };
+  const few = calibrate2pl(responsesFor(item, { n: 5, seed: 9 }), { level: 5 });
+  const many = calibrate2pl(responsesFor(item, { n: 500, seed: 9 }), { level: 5 });
+  assert.ok(Math.abs(few.b - difficultyForLevel(5)) < Math.abs(many.b - difficultyForLevel(5)));
+  assert.ok(many.se_b < few.se_b);
+});
+
+test('an item everyone answers correctly comes out easier than its prior', () => {
+  const easy = Array.from({ length: 40 }, (_, i) => ({ theta: (i % 7) - 3, correct: true }));
+  assert.ok(calibrate2pl(easy, { level: 5 }).b < difficultyForLevel(5));
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JOB_STORE = 'memory';
+delete process.env.JOB_STORE_FILE;
+process.env.JOB_MAX_ATTEMPTS = '2';
+process.env.JOB_BACKOFF_MS = '0';
+
+const queue = require('../src/services/jobQueue');
+const store = require('../src/services/jobLocalStore');
+
+const OWNER = 'worker-a';
+
+async function newJob(n = 1) {
+  const items = Array.from({ length: n }, (_, i) => ({ itemType: 'test', payload: { n: i } }));
+  const { job } = await queue.enqueueJob({ type: 'files', items });
+  return job.id;
+}
+
+async function status(jobId) {
+  const { job, items } = await queue.getJob(jobId);
+  return { job: job.status, items: items.map((i) => i.status) };
+}
+
+test('an item is leased to one worker at a time', async () => {
+  const jobId = await newJob();
+  const [item] = await queue.claimItems({ owner: OWNER, jobId });
+  assert.equal(item.status, 'running');
+  assert.equal(item.attempts, 1);
+  assert.deepEqual(await queue.claimItems({ owner: 'worker-b', jobId }), []);
+  assert.equal(await queue.renewLease(item, { owner: 'worker-b' }), false);
+  assert.equal(await queue.renewLease(item, { owner: OWNER, progress: { done: 1 } }), true);
+  assert.equal((await status(jobId)).job, 'running');
+});
+
+test('completing every item completes the job', async () => {
+  const jobId = await newJob(2);
+  const claimed = await queue.claimItems({ owner: OWNER, jobId, limit: 5 });
+  assert.equal(claimed.length, 2);
+  for (const item of claimed) assert.equal(await queue.completeItem(item, { owner: OWNER, result: { ok: true } }), true);
+  const { job, items } = await queue.getJob(jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.processed_count, 2);
+  assert.deepEqual(items.map((i) => i.result), [{ ok: true }, { ok: true }]);
+});
+
+test('a failed attempt is retried until max_attempts, then dead-lettered', async () => {
+  const jobId = await newJob();
+  let [item] = await queue.claimItems({ owner: OWNER, jobId });
+  assert.equal(await queue.failItem(item, { owner: OWNER, error: new Error('timeout') }), 'queued');
+  [item] = await queue.claimItems({ owner: OWNER, jobId });
+  assert.equal(item.attempts, 2);
+  assert.equal(await queue.failItem(item, { owner: OWNER, error: new Error('timeout again') }), 'dead');
+  const { job, items } = await queue.getJob(jobId);
+  assert.equal(job.status, 'error');
+  assert.equal(job.failed_count, 1);
+  assert.equal(items[0].last_error, 'timeout again');
+});
+
+test('client errors are dead-lettered at once, but 408 and 429 are retried', async () => {
+  const clientError = Object.assign(new Error('not found'), { status: 404 });
+  assert.equal(queue.isRetryable(clientError), false);
+  assert.equal(queue.isRetryable({ status: 429 }), true);
+  assert.equal(queue.isRetryable({ status: 408 }), true);
+  assert.equal(queue.isRetryable(new Error('socket hang up')), true);
+
+  const jobId = await newJob();
+  const [item] = await queue.claimItems({ owner: OWNER, jobId });
+  assert.equal(await queue.failItem(item, { owner: OWNER, error: clientError }), 'dead');
+});
+
+test('an expired lease can be claimed by another worker and the old owner loses the item', async () => {
+  const jobId = await newJob();
+  const [first] = await queue.claimItems({ owner: OWNER, jobId });
+  await store.updateItem(first.id, { leased_until: new Date(Date.now() - 1000).toISOString() });
+  const [second] = await queue.claimItems({ owner: 'worker-b', jobId });
+  assert.equal(second.id, first.id);
+  assert.equal(second.attempts, 2);
+  assert.equal(await queue.completeItem(first, { owner: OWNER, result: null }), false);
+  assert.equal(await queue.completeItem(second, { owner: 'worker-b', result: null }), true);
+});
+
+test('a lease that runs out on the final attempt dead-letters the item', async () => {
+  const jobId = await newJob();
+  let [item] = await queue.claimItems({ owner: OWNER, jobId });
+  await queue.failItem(item, { owner: OWNER, error: new Error('flaky') });
+  [item] = await queue.claimItems({ owner: OWNER, jobId });
+  await store.updateItem(item.id, { leased_until: new Date(Date.now() - 1000).toISOString() });
+  assert.deepEqual(await queue.claimItems({ owner: 'worker-b', jobId }), []);
+  const { job, items } = await queue.getJob(jobId);
+  assert.equal(items[0].status, 'dead');
+  assert.equal(job.status, 'error');
+});
+
+test('cancelling stops queued and running items and drops a running result', async () => {
+  const jobId = await newJob(2);
+  const [running] = await queue.claimItems({ owner: OWNER, jobId });
+  assert.equal(await queue.cancelJob(jobId), 2);
+  assert.equal(await queue.completeItem(running, { owner: OWNER, result: { late: true } }), false);
+  assert.deepEqual(await status(jobId), { job: 'cancelled', items: ['cancelled', 'cancelled'] });
+  assert.deepEqual(await queue.claimItems({ owner: OWNER, jobId }), []);
+});
+
+test('retrying re-queues dead items with a fresh attempt count and reopens the job', async () => {
+  const jobId = await newJob(2);
+  const [a, b] = await queue.claimItems({ owner: OWNER, jobId, limit: 2 });
+  await queue.completeItem(a, { owner: OWNER, result: null });
+  await queue.failItem(b, { owner: OWNER, error: Object.assign(new Error('bad input'), { status: 400 }) });
+  assert.equal((await status(jobId)).job, 'error');
+
+  assert.equal(await queue.retryItems(jobId), 1);
+  const { job, items } = await queue.getJob(jobId);
+  assert.equal(job.status, 'running');
+  assert.deepEqual(items.map((i) => i.status), ['done', 'queued']);
+  assert.equal(items[1].attempts, 0);
+  const [again] = await queue.claimItems({ owner: OWNER, jobId });
+  assert.equal(again.id, b.id);
+});
+
+test('jobs are listed newest first and filtered by status', async () => {
+  const jobs = await queue.listJobs({ limit: 100 });
+  assert.ok(jobs.length >= 8);
+  for (let i = 1; i < jobs.length; i++) assert.ok(jobs[i - 1].created_at >= jobs[i].created_at);
+  const cancelled = await queue.listJobs({ statuses: ['cancelled'] });
+  assert.ok(cancelled.length >= 1 && cancelled.every((j) => j.status === 'cancelled'));
+});
+
+test('an empty job is completed at once', async () => {
+  const { job, items } = await queue.enqueueJob({ type: 'links', items: [] });
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(items, []);
+});
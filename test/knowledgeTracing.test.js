@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_BKT_PARAMS,
+  normalizeBktParams,
+  bktPosterior,
+  hintCredit,
+  credibleInterval,
+  getKnowledgeTracer,
+  currentEstimate,
+  traceAnswer,
+} = require('../src/services/knowledgeTracing');
+
+const bkt = getKnowledgeTracer('bkt');
+
+test('a correct answer raises mastery and a wrong one lowers it', () => {
+  const start = bkt.initial({ params: DEFAULT_BKT_PARAMS });
+  const right = bkt.update(start, { correct: true }, DEFAULT_BKT_PARAMS);
+  const wrong = bkt.update(start, { correct: false }, DEFAULT_BKT_PARAMS);
+  assert.ok(right.p_known > start.p_known);
+  assert.ok(wrong.p_known < right.p_known);
+  assert.equal(right.observations, 1);
+  assert.equal(right.correct_count, 1);
+  assert.equal(wrong.correct_count, 0);
+});
+
+test('the posterior follows Bayes rule for the guess and slip rates', () => {
+  const p = normalizeBktParams({ p_guess: 0.2, p_slip: 0.1 });
+  // P(known | correct) = 0.5 * 0.9 / (0.5 * 0.9 + 0.5 * 0.2)
+  assert.ok(Math.abs(bktPosterior(0.5, true, p) - 0.45 / 0.55) < 1e-12);
+  assert.ok(Math.abs(bktPosterior(0.5, false, p) - 0.05 / 0.45) < 1e-12);
+});
+
+test('guess + slip of 1 or more falls back to the defaults', () => {
+  const p = normalizeBktParams({ p_guess: 0.5, p_slip: 0.5 });
+  assert.equal(p.p_guess, DEFAULT_BKT_PARAMS.p_guess);
+  assert.equal(p.p_slip, DEFAULT_BKT_PARAMS.p_slip);
+});
+
+test('hints shrink the credit of a correct answer', () => {
+  assert.equal(hintCredit(0), 1);
+  assert.equal(hintCredit(1), 0.7);
+  assert.equal(hintCredit(5), 0);
+  const start = bkt.initial({ params: DEFAULT_BKT_PARAMS });
+  const plain = bkt.update(start, { correct: true, hintsUsed: 0 }, DEFAULT_BKT_PARAMS);
+  const hinted = bkt.update(start, { correct: true, hintsUsed: 2 }, DEFAULT_BKT_PARAMS);
+  assert.ok(hinted.p_known < plain.p_known);
+  assert.ok(hinted.p_known > start.p_known);
+});
+
+test('the credible interval narrows with more observations', () => {
+  const [lo0, hi0] = credibleInterval(0.6, 0);
+  const [lo50, hi50] = credibleInterval(0.6, 50);
+  assert.ok(hi50 - lo50 < hi0 - lo0);
+  assert.ok(lo50 <= 0.6 && hi50 >= 0.6);
+});
+
+test('the delta engine keeps the legacy fixed steps', () => {
+  const delta = getKnowledgeTracer('delta');
+  const start = delta.initial({ mastery: 0.5 });
+  assert.equal(delta.update(start, { correct: true }).p_known, 0.58);
+  assert.equal(delta.update(start, { correct: false }).p_known, 0.46);
+});
+
+test('a topic without a stored estimate is seeded from legacy mastery, ignoring repeat answers', () => {
+  const state = {
+    topics: { fractions: 0.6 },
+    history: [
+      { topic_key: 'fractions', correct: true },
+      { topic_key: 'fractions', correct: true, repeat: true },
+      { topic: 'Fractions', correct: false },
+      { topic_key: 'algebra', correct: true },
+    ],
+  };
+  const est = currentEstimate({ state, topicKey: 'fractions', engine: bkt });
+  assert.equal(est.p_known, 0.6);
+  assert.equal(est.observations, 2);
+  assert.equal(est.correct_count, 1);
+
+  const next = traceAnswer({ state, topicKey: 'fractions', correct: true, engine: bkt });
+  assert.equal(next.observations, 3);
+  assert.ok(next.p_known > 0.6);
+});
+
+test('a stored estimate of the active model is used as is', () => {
+  const stored = bkt.update(bkt.initial({}), { correct: true });
+  const state = { kt: { algebra: stored }, topics: { algebra: 0.1 } };
+  assert.deepEqual(currentEstimate({ state, topicKey: 'algebra', engine: bkt }), stored);
+});
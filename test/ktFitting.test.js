@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rng } = require('./helpers');
+const {
+  buildTopicSequences,
+  fitBktEm,
+  predictSequences,
+  auc,
+  isHoldoutUser,
+} = require('../src/services/ktFitting');
+
+function simulate(params, { learners, length, seed }) {
+  const rand = rng(seed);
+  const seqs = [];
+  for (let u = 0; u < learners; u++) {
+    let known = rand() < params.p_init;
+    const seq = [];
+    for (let t = 0; t < length; t++) {
+      seq.push(known ? rand() >= params.p_slip : rand() < params.p_guess);
+      if (!known && rand() < params.p_learn) known = true;
+    }
+    seqs.push(seq);
+  }
+  return seqs;
+}
+
+test('history entries are grouped per topic and learner, oldest first, without repeats', () => {
+  const byTopic = buildTopicSequences([
+    {
+      userId: 'u1',
+      entries: [
+        { ts: '2024-01-02', topic: 'Fractions', correct: false },
+        { ts: '2024-01-01', topic_key: 'fractions', correct: true },
+        { ts: '2024-01-03', topic_key: 'fractions', correct: true, repeat: true },
+        { ts: '2024-01-04', topic: 'Algebra', correct: true },
+        { ts: '2024-01-05', topic: 'Algebra' },
+      ],
+    },
+    { userId: 'u2', entries: [{ ts: '2024-01-01', topic: 'algebra', correct: false }] },
+  ]);
+  assert.deepEqual(byTopic.get('fractions'), [[true, false]]);
+  assert.deepEqual(byTopic.get('algebra'), [[true], [false]]);
+});
+
+test('topicKeyOf decides the topic of each entry', () => {
+  const byTopic = buildTopicSequences(
+    [{ userId: 'u1', entries: [{ ts: '1', topic: 'Adding fractions', correct: true }] }],
+    { topicKeyOf: () => 'fractions' },
+  );
+  assert.deepEqual(Array.from(byTopic.keys()), ['fractions']);
+});
+
+test('EM recovers the parameters that generated the data', () => {
+  const truth = { p_init: 0.2, p_learn: 0.15, p_guess: 0.2, p_slip: 0.1 };
+  const seqs = simulate(truth, { learners: 1500, length: 12, seed: 7 });
+  const fit = fitBktEm(seqs, { maxIter: 200 });
+  assert.equal(fit.sequences, 1500);
+  assert.equal(fit.attempts, 1500 * 12);
+  for (const k of Object.keys(truth)) {
+    assert.ok(Math.abs(fit.params[k] - truth[k]) < 0.05, `${k}: fitted ${fit.params[k]}, true ${truth[k]}`);
+  }
+});
+
+test('EM never lowers the likelihood of the starting parameters', () => {
+  const seqs = simulate({ p_init: 0.4, p_learn: 0.1, p_guess: 0.25, p_slip: 0.15 }, { learners: 300, length: 8, seed: 3 });
+  const one = fitBktEm(seqs, { maxIter: 1 });
+  const many = fitBktEm(seqs, { maxIter: 50 });
+  assert.ok(many.logLik >= one.logLik);
+});
+
+test('no sequences leave the initial parameters untouched', () => {
+  const fit = fitBktEm([], { init: { p_init: 0.4 } });
+  assert.equal(fit.params.p_init, 0.4);
+  assert.equal(fit.iterations, 0);
+});
+
+test('fitted parameters predict held-out answers better than chance', () => {
+  const truth = { p_init: 0.3, p_learn: 0.2, p_guess: 0.2, p_slip: 0.1 };
+  const train = simulate(truth, { learners: 800, length: 10, seed: 11 });
+  const holdout = simulate(truth, { learners: 200, length: 10, seed: 12 });
+  const { params } = fitBktEm(train);
+  assert.ok(auc(predictSequences(holdout, params)) > 0.6);
+});
+
+test('AUC ranks perfectly separated predictions as 1 and ties as 0.5', () => {
+  assert.equal(auc([{ p: 0.9, y: 1 }, { p: 0.1, y: 0 }, { p: 0.8, y: 1 }]), 1);
+  assert.equal(auc([{ p: 0.5, y: 1 }, { p: 0.5, y: 0 }]), 0.5);
+  assert.equal(auc([{ p: 0.5, y: 1 }]), null);
+});
+
+test('the holdout split is deterministic per user', () => {
+  const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+  const held = users.filter((u) => isHoldoutUser(u, 0.2));
+  assert.deepEqual(users.filter((u) => isHoldoutUser(u, 0.2)), held);
+  assert.ok(held.length > 300 && held.length < 500);
+});
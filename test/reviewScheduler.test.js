@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  reviewKeyFor,
+  servedReviewKey,
+  scheduleAnswer,
+  dueReviews,
+  nextDueAt,
+  postponeReview,
+  reviewsOverCap,
+} = require('../src/services/reviewScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const t0 = new Date('2024-03-01T12:00:00.000Z');
+const at = (ms) => new Date(t0.getTime() + ms);
+const entry = { key: 'q:bank_1', questionId: 'bank_1', topic: 'Fractions', topicKey: 'fractions' };
+
+test('bank questions are keyed by question, other questions by topic', () => {
+  assert.equal(reviewKeyFor({ questionId: 'bank_1', topicKey: 'fractions', fromBank: true }), 'q:bank_1');
+  assert.equal(reviewKeyFor({ questionId: 'q_1', topicKey: 'fractions', fromBank: false }), 't:fractions');
+});
+
+test('a topic review answered through a bank question reschedules the topic review', () => {
+  const topicEntry = { key: 't:fractions', questionId: null, topic: 'Fractions', topicKey: 'fractions' };
+  const due = scheduleAnswer(null, { ...topicEntry, correct: false, now: t0 });
+  const state = {
+    reviews: { 't:fractions': due },
+    recent_questions: [
+      { question_id: 'bank_9', review_key: 't:fractions' },
+      { question_id: 'bank_2' },
+    ],
+  };
+  const now = at(DAY_MS);
+  const key = servedReviewKey(state, 'bank_9');
+  assert.equal(key, 't:fractions');
+  const next = scheduleAnswer(state.reviews[key], { ...topicEntry, key, questionId: 'bank_9', correct: true, now });
+  assert.equal(next.question_id, null);
+  assert.ok(Date.parse(next.due_at) > now.getTime());
+  assert.deepEqual(dueReviews({ reviews: { [key]: next } }, { now }), []);
+
+  assert.equal(servedReviewKey(state, 'bank_2'), null);
+  assert.equal(servedReviewKey({ ...state, reviews: {} }, 'bank_9'), null);
+});
+
+test('a correct answer to an item not under review schedules nothing', () => {
+  assert.equal(scheduleAnswer(null, { ...entry, correct: true, now: t0 }), null);
+});
+
+test('a wrong answer is due again after the relearn delay', () => {
+  const lapse = scheduleAnswer(null, { ...entry, correct: false, now: t0 });
+  assert.equal(lapse.due_at, at(10 * 60 * 1000).toISOString());
+  assert.equal(lapse.lapses, 1);
+  assert.equal(lapse.repetitions, 0);
+  assert.ok(lapse.ease < 2.5);
+});
+
+test('correct reviews follow the SM-2 intervals of 1 day, 6 days, then interval x ease', () => {
+  let r = scheduleAnswer(null, { ...entry, correct: false, now: t0 });
+  let now = new Date(Date.parse(r.due_at));
+  r = scheduleAnswer(r, { ...entry, correct: true, now });
+  assert.equal(r.interval_days, 1);
+  now = new Date(Date.parse(r.due_at));
+  r = scheduleAnswer(r, { ...entry, correct: true, now });
+  assert.equal(r.interval_days, 6);
+  now = new Date(Date.parse(r.due_at));
+  const third = scheduleAnswer(r, { ...entry, correct: true, now });
+  assert.equal(third.interval_days, Math.round(6 * third.ease));
+  assert.equal(third.due_at, new Date(now.getTime() + third.interval_days * DAY_MS).toISOString());
+});
+
+test('a correct answer before the item is due keeps its schedule', () => {
+  const lapse = scheduleAnswer(null, { ...entry, correct: false, now: t0 });
+  const early = scheduleAnswer(lapse, { ...entry, correct: true, now: at(60 * 1000) });
+  assert.equal(early.due_at, lapse.due_at);
+  assert.equal(early.repetitions, 0);
+  assert.equal(early.last_result, 'correct');
+});
+
+test('due reviews come oldest first, per topic when asked', () => {
+  const state = {
+    reviews: {
+      a: { key: 'a', topic_key: 'fractions', due_at: at(-2 * DAY_MS).toISOString() },
+      b: { key: 'b', topic_key: 'algebra', due_at: at(-DAY_MS).toISOString() },
+      c: { key: 'c', topic_key: 'fractions', due_at: at(DAY_MS).toISOString() },
+    },
+  };
+  assert.deepEqual(dueReviews(state, { now: t0 }).map((r) => r.key), ['a', 'b']);
+  assert.deepEqual(dueReviews(state, { now: t0, topicKey: 'algebra' }).map((r) => r.key), ['b']);
+  assert.equal(nextDueAt(state), state.reviews.a.due_at);
+  assert.equal(nextDueAt({}), null);
+});
+
+test('a postponed review is due a day later', () => {
+  const moved = postponeReview({ key: 'a', due_at: at(-DAY_MS).toISOString() }, { now: t0 });
+  assert.equal(moved.due_at, at(DAY_MS).toISOString());
+  assert.equal(dueReviews({ reviews: { a: moved } }, { now: t0 }).length, 0);
+});
+
+test('over the cap, the reviews due furthest out are dropped', () => {
+  const reviews = {
+    soon: { due_at: at(DAY_MS).toISOString() },
+    later: { due_at: at(5 * DAY_MS).toISOString() },
+    latest: { due_at: at(9 * DAY_MS).toISOString() },
+  };
+  assert.deepEqual(reviewsOverCap(reviews, 1), ['latest', 'later']);
+  assert.deepEqual(reviewsOverCap(reviews, 3), []);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TUTOR_STORE = 'memory';
+delete process.env.TUTOR_STORE_FILE;
+
+const store = require('../src/services/tutorStore');
+const { hasAnswered, seenQuestionIds } = require('../src/services/questionBank');
+
+const answer = (userId, questionId, extra = {}) => store.updateKnowledge({
+  userId,
+  topic: 'Fractions',
+  topicKey: 'fractions',
+  correct: true,
+  questionId,
+  estimate: { p_known: 0.5 },
+  ...extra,
+});
+
+test('history is capped but every answered question is still known', async () => {
+  for (let i = 0; i < 510; i++) await answer('capped', `bank_${i}`);
+  const state = await store.getKnowledge('capped');
+  assert.equal(state.history.length, 500);
+  assert.equal(state.history[0].question_id, 'bank_10');
+  assert.equal(Object.keys(state.answered_questions).length, 510);
+  assert.equal(hasAnswered(state, 'bank_0'), true);
+  assert.equal(hasAnswered(state, 'bank_510'), false);
+  assert.ok(seenQuestionIds(state).has('bank_0'));
+});
+
+test('answers recorded before answered_questions existed still count', () => {
+  const legacy = { history: [{ question_id: 'bank_1', correct: false }] };
+  assert.equal(hasAnswered(legacy, 'bank_1'), true);
+  assert.equal(hasAnswered(legacy, 'bank_2'), false);
+});